@@ -7,11 +7,42 @@
 const AppState = {
     currentImage: null,
     currentImageData: null,
+    currentBackImageData: null, // Back side of a two-sided card
     currentContact: null,
     batchQueue: [],
     batchResults: [], // Store batch processing results for review
     batchProcessing: false,
-    batchIndex: 0
+    sessionSaveTimer: null, // Debounces batch session saves while editing review cards
+    editingContactId: null, // Saved contact open in the detail view
+    mergeResolve: null, // Resolves the open merge dialog's promise
+    reparseResolve: null, // Resolves the open re-parse dialog's promise
+    importData: null, // File, mapping and contacts of the open import preview
+    thumbnailUrls: new Map(), // Object URLs of list thumbnails by contact ID, revoked on reload
+    detailImageUrls: [], // Object URLs of the full images in the detail view
+    contactList: null, // VirtualList showing saved contacts
+    contactsNextToken: null, // Continuation token for the next page of contacts
+    contactsLoading: false,
+    contactsQueryId: 0, // Incremented on every reload so late pages of old queries are dropped
+    searchTerms: new Map(), // Matched index terms by contact ID while a search is shown (highlighting)
+    wordOverlay: null, // WordOverlay with the OCR word boxes on the single-scan preview
+    detailPhotoOverlay: null, // WordOverlay marking the vCard photo area in the detail view
+    detailPhotoRegion: null, // Photo area of the contact open in the detail view
+    previewSelection: null // { line } or { region } picked on the preview, waiting for a field
+};
+
+// Contacts read from IndexedDB per page of the list
+const CONTACTS_PAGE_SIZE = 30;
+
+// Fields a word line or area on the preview can be assigned to, with their box colors
+const PREVIEW_FIELDS = {
+    name: { label: 'Name', color: '#2563eb' },
+    company: { label: 'Company', color: '#9333ea' },
+    title: { label: 'Job Title', color: '#db2777' },
+    phone: { label: 'Phone', color: '#16a34a' },
+    fax: { label: 'Fax', color: '#0d9488' },
+    email: { label: 'Email', color: '#ea580c' },
+    website: { label: 'Website', color: '#0891b2' },
+    address: { label: 'Address', color: '#ca8a04' }
 };
 
 // DOM elements
@@ -19,13 +50,31 @@ const elements = {
     fileInput: document.getElementById('fileInput'),
     cameraBtn: document.getElementById('cameraBtn'),
     batchMode: document.getElementById('batchMode'),
+    twoSided: document.getElementById('twoSided'),
+    backInput: document.getElementById('backInput'),
+    btnAddBack: document.getElementById('btnAddBack'),
+    previewBackImg: document.getElementById('previewBackImg'),
+    phoneRegion: document.getElementById('phoneRegion'),
+    vcardVersion: document.getElementById('vcardVersion'),
+    vcardPhoto: document.getElementById('vcardPhoto'),
+    ocrWorkers: document.getElementById('ocrWorkers'),
+    ocrLanguageList: document.getElementById('ocrLanguageList'),
+    ocrLanguageSummary: document.getElementById('ocrLanguageSummary'),
     imagePreview: document.getElementById('imagePreview'),
     previewImg: document.getElementById('previewImg'),
+    previewFieldMenu: document.getElementById('previewFieldMenu'),
+    previewWordTools: document.getElementById('previewWordTools'),
+    previewLegend: document.getElementById('previewLegend'),
+    btnSelectArea: document.getElementById('btnSelectArea'),
     contactForm: document.getElementById('contactForm'),
     nameInput: document.getElementById('nameInput'),
+    titleInput: document.getElementById('titleInput'),
     phoneInput: document.getElementById('phoneInput'),
+    faxInput: document.getElementById('faxInput'),
     emailInput: document.getElementById('emailInput'),
     companyInput: document.getElementById('companyInput'),
+    websiteInput: document.getElementById('websiteInput'),
+    addressInput: document.getElementById('addressInput'),
     eventTagInput: document.getElementById('eventTagInput'),
     saveBtn: document.getElementById('saveBtn'),
     shareWhatsAppBtn: document.getElementById('shareWhatsAppBtn'),
@@ -33,19 +82,61 @@ const elements = {
     contactsList: document.getElementById('contactsList'),
     searchInput: document.getElementById('searchInput'),
     eventFilter: document.getElementById('eventFilter'),
+    contactSort: document.getElementById('contactSort'),
     loadingOverlay: document.getElementById('loadingOverlay'),
     loadingText: document.getElementById('loadingText'),
     batchProgress: document.getElementById('batchProgress'),
     batchCurrent: document.getElementById('batchCurrent'),
     batchTotal: document.getElementById('batchTotal'),
     batchProgressBar: document.getElementById('batchProgressBar'),
+    batchFileList: document.getElementById('batchFileList'),
+    batchPausedNote: document.getElementById('batchPausedNote'),
+    btnPauseBatch: document.getElementById('btnPauseBatch'),
+    btnCancelBatch: document.getElementById('btnCancelBatch'),
+    btnRetryFailed: document.getElementById('btnRetryFailed'),
     compressionBadge: document.getElementById('compressionBadge'),
     btnClearAll: document.getElementById('btnClearAll'),
     toast: document.getElementById('toast'),
     toastMessage: document.getElementById('toastMessage'),
     batchReviewSection: document.getElementById('batchReviewSection'),
     batchReviewList: document.getElementById('batchReviewList'),
-    btnSaveAllBatch: document.getElementById('btnSaveAllBatch')
+    btnSaveAllBatch: document.getElementById('btnSaveAllBatch'),
+    contactDetailModal: document.getElementById('contactDetailModal'),
+    contactDetailForm: document.getElementById('contactDetailForm'),
+    detailFrontImg: document.getElementById('detailFrontImg'),
+    detailBackImg: document.getElementById('detailBackImg'),
+    detailNoImage: document.getElementById('detailNoImage'),
+    detailPhotoTools: document.getElementById('detailPhotoTools'),
+    btnDetailPhotoArea: document.getElementById('btnDetailPhotoArea'),
+    btnDetailPhotoClear: document.getElementById('btnDetailPhotoClear'),
+    detailTimestamps: document.getElementById('detailTimestamps'),
+    detailRawTextBox: document.getElementById('detailRawTextBox'),
+    detailRawText: document.getElementById('detailRawText'),
+    btnDetailReparse: document.getElementById('btnDetailReparse'),
+    btnFindDuplicates: document.getElementById('btnFindDuplicates'),
+    mergeModal: document.getElementById('mergeModal'),
+    mergeTitle: document.getElementById('mergeTitle'),
+    mergeReason: document.getElementById('mergeReason'),
+    mergeFields: document.getElementById('mergeFields'),
+    btnMergeConfirm: document.getElementById('btnMergeConfirm'),
+    btnMergeKeep: document.getElementById('btnMergeKeep'),
+    btnMergeCancel: document.getElementById('btnMergeCancel'),
+    btnReparseAll: document.getElementById('btnReparseAll'),
+    reparseModal: document.getElementById('reparseModal'),
+    reparseTitle: document.getElementById('reparseTitle'),
+    reparseSummary: document.getElementById('reparseSummary'),
+    reparseFields: document.getElementById('reparseFields'),
+    btnReparseApply: document.getElementById('btnReparseApply'),
+    btnReparseSkip: document.getElementById('btnReparseSkip'),
+    btnReparseCancel: document.getElementById('btnReparseCancel'),
+    btnImport: document.getElementById('btnImport'),
+    importInput: document.getElementById('importInput'),
+    importModal: document.getElementById('importModal'),
+    importSummary: document.getElementById('importSummary'),
+    importMapping: document.getElementById('importMapping'),
+    importPreview: document.getElementById('importPreview'),
+    btnImportConfirm: document.getElementById('btnImportConfirm'),
+    btnImportCancel: document.getElementById('btnImportCancel')
 };
 
 /**
@@ -75,6 +166,124 @@ function updateThemeIcon(isDark) {
     }
 }
 
+/**
+ * Fill the phone region selector and apply the saved region
+ * Numbers printed without a country code are read as belonging to this region
+ */
+function initPhoneRegion() {
+    const savedRegion = localStorage.getItem('phoneRegion');
+    if (savedRegion) {
+        try {
+            phoneParser.setDefaultRegion(savedRegion);
+        } catch (error) {
+            localStorage.removeItem('phoneRegion');
+        }
+    }
+
+    if (!elements.phoneRegion) return;
+
+    elements.phoneRegion.innerHTML = phoneParser.getRegions()
+        .map(region => `<option value="${region.code}">${escapeHtml(region.name)} (+${region.callingCode})</option>`)
+        .join('');
+    elements.phoneRegion.value = phoneParser.defaultRegion;
+}
+
+/**
+ * Apply the saved vCard version to downloads and shares
+ */
+function initVCardVersion() {
+    const savedVersion = localStorage.getItem('vcardVersion');
+    if (savedVersion) {
+        try {
+            vCardHandler.setDefaultVersion(savedVersion);
+        } catch (error) {
+            localStorage.removeItem('vcardVersion');
+        }
+    }
+
+    if (elements.vcardVersion) {
+        elements.vcardVersion.value = vCardHandler.defaultVersion;
+    }
+}
+
+/**
+ * Apply the saved vCard photo choice to downloads
+ */
+function initVCardPhoto() {
+    const savedMode = localStorage.getItem('vcardPhoto');
+    if (savedMode) {
+        try {
+            vCardHandler.setPhotoMode(savedMode);
+        } catch (error) {
+            localStorage.removeItem('vcardPhoto');
+        }
+    }
+
+    if (elements.vcardPhoto) {
+        elements.vcardPhoto.value = vCardHandler.photoMode;
+    }
+}
+
+/**
+ * Fill the OCR worker count selector (batch scans) and select the saved size
+ */
+function initOcrWorkers() {
+    if (!elements.ocrWorkers) return;
+
+    const options = [`<option value="">Auto (${ocrWorkerPool.getAutoSize()})</option>`];
+    for (let size = 1; size <= ocrWorkerPool.getMaxSize(); size++) {
+        options.push(`<option value="${size}">${size}</option>`);
+    }
+    elements.ocrWorkers.innerHTML = options.join('');
+    elements.ocrWorkers.value = localStorage.getItem(ocrWorkerPool.storageKey) || '';
+}
+
+/**
+ * Render the OCR language checkboxes with installed/enabled state
+ * Languages without a traineddata file in tessdata/ are shown but ignored offline
+ */
+async function renderOcrLanguages() {
+    if (!elements.ocrLanguageList) return;
+
+    const languages = await languagePackManager.listLanguages();
+
+    elements.ocrLanguageList.innerHTML = languages.map(language => `
+        <label class="flex items-center space-x-2 text-sm ${language.installed ? 'text-gray-700 dark:text-gray-300' : 'text-gray-400 dark:text-gray-500'}">
+            <input type="checkbox" value="${language.code}" ${language.enabled ? 'checked' : ''} class="w-4 h-4 text-blue-600 rounded">
+            <span>${escapeHtml(language.name)}</span>
+            ${language.installed ? '' : '<span class="text-xs">(not installed)</span>'}
+        </label>
+    `).join('');
+
+    const active = languages.filter(language => language.enabled && language.installed).map(language => language.code);
+    elements.ocrLanguageSummary.textContent = active.length > 0 ? active.join('+') : 'none installed';
+}
+
+/**
+ * Save the checked OCR languages and re-initialize the OCR worker with them
+ */
+async function handleOcrLanguageChange() {
+    const codes = Array.from(elements.ocrLanguageList.querySelectorAll('input:checked')).map(input => input.value);
+
+    if (codes.length === 0) {
+        showToast('At least one OCR language must be enabled');
+        await renderOcrLanguages();
+        return;
+    }
+
+    showLoading('Loading OCR languages...');
+    try {
+        await ocrProcessor.setLanguages(codes);
+        showToast(`OCR languages: ${ocrProcessor.languages}`);
+    } catch (error) {
+        console.error('Failed to load OCR languages:', error);
+        showToast('Could not load the selected OCR languages');
+    } finally {
+        hideLoading();
+        await renderOcrLanguages();
+    }
+}
+
 /**
  * Initialize the application
  * Sets up event listeners and loads saved contacts
@@ -82,6 +291,12 @@ function updateThemeIcon(isDark) {
 async function init() {
     // Initialize theme
     initTheme();
+    initPhoneRegion();
+    initVCardVersion();
+    initVCardPhoto();
+    initOcrWorkers();
+    initWordOverlay();
+    initDetailPhotoOverlay();
     
     // Check for missing Tesseract files and show warning if needed
     try {
@@ -93,6 +308,8 @@ async function init() {
     } catch (error) {
         console.log('Could not check Tesseract files:', error);
     }
+
+    await renderOcrLanguages();
     
     // Initialize IndexedDB
     try {
@@ -116,12 +333,26 @@ async function init() {
     // Setup event listeners
     setupEventListeners();
 
+    // Offer to continue a batch review interrupted by a reload
+    await offerBatchResume();
+
+    // Restore the contact list sort order
+    const savedSort = localStorage.getItem('contactSort');
+    if (savedSort && [...elements.contactSort.options].some(option => option.value === savedSort)) {
+        elements.contactSort.value = savedSort;
+    }
+
     // Load saved contacts
     await loadContacts();
 
     // Load event tags for filter
     await loadEventTags();
 
+    // Contacts whose images were moved to Blobs by a database upgrade still need thumbnails
+    contactManager.generateMissingThumbnails()
+        .then(count => (count > 0 ? loadContacts() : null))
+        .catch(error => console.error('Error creating thumbnails:', error));
+
     console.log('Application initialized');
 }
 
@@ -146,6 +377,35 @@ function setupEventListeners() {
         }
     });
 
+    // Review card edits are saved to the batch session
+    elements.batchReviewList.addEventListener('input', scheduleBatchSessionSave);
+
+    // Batch controls
+    elements.btnPauseBatch.addEventListener('click', togglePauseBatch);
+    elements.btnCancelBatch.addEventListener('click', cancelBatch);
+
+    // Two-sided capture toggle
+    elements.twoSided.addEventListener('change', updateAddBackButton);
+
+    // Back side capture for the card in the form
+    elements.btnAddBack.addEventListener('click', () => {
+        elements.backInput.click();
+    });
+    elements.backInput.addEventListener('change', handleBackSelect);
+
+    // Word boxes on the preview follow edits to the fields
+    elements.contactForm.addEventListener('input', () => AppState.wordOverlay.render());
+    elements.btnSelectArea.addEventListener('click', toggleSelectArea);
+    elements.previewFieldMenu.addEventListener('click', (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        if (button.dataset.field === undefined) {
+            closePreviewFieldMenu();
+        } else {
+            applyPreviewSelection(button.dataset.field);
+        }
+    });
+
     // Form submission (save contact)
     elements.contactForm.addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -171,14 +431,77 @@ function setupEventListeners() {
         }
     });
 
-    // Search input
-    elements.searchInput.addEventListener('input', async (e) => {
-        await filterContacts(e.target.value, elements.eventFilter.value);
+    // Editing a flagged field counts as reviewing it
+    [elements.nameInput, elements.titleInput, elements.phoneInput, elements.faxInput, elements.emailInput,
+        elements.companyInput, elements.websiteInput, elements.addressInput].forEach(input => {
+        input.addEventListener('input', () => {
+            input.classList.remove('ring-2', 'ring-yellow-400');
+            input.title = '';
+        });
+    });
+
+    // Contact detail view
+    elements.contactDetailForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveContactDetail();
+    });
+    elements.contactDetailForm.addEventListener('input', (e) => {
+        if (e.target.dataset.field) showDetailError(e.target.dataset.field, '');
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape') return;
+        if (AppState.mergeResolve) {
+            closeMergeDialog('cancel');
+        } else if (AppState.reparseResolve) {
+            closeReparseDialog('cancel');
+        } else if (AppState.importData) {
+            closeImportDialog();
+        } else if (AppState.editingContactId !== null) {
+            closeContactDetail();
+        } else if (AppState.previewSelection) {
+            closePreviewFieldMenu();
+        }
+    });
+
+    // Duplicate merge dialog
+    elements.btnMergeConfirm.addEventListener('click', () => closeMergeDialog('merge'));
+    elements.btnMergeKeep.addEventListener('click', () => closeMergeDialog('keep'));
+    elements.btnMergeCancel.addEventListener('click', () => closeMergeDialog('cancel'));
+    elements.btnFindDuplicates.addEventListener('click', findDuplicateContacts);
+
+    // Re-parse stored OCR text with the current parser
+    elements.btnReparseApply.addEventListener('click', () => closeReparseDialog('apply'));
+    elements.btnReparseSkip.addEventListener('click', () => closeReparseDialog('skip'));
+    elements.btnReparseCancel.addEventListener('click', () => closeReparseDialog('cancel'));
+    elements.btnReparseAll.addEventListener('click', reparseAllContacts);
+    elements.btnDetailReparse.addEventListener('click', reparseOpenContact);
+    elements.btnDetailPhotoArea.addEventListener('click', () => {
+        setDetailPhotoSelecting(!AppState.detailPhotoOverlay.selectMode);
+    });
+    elements.btnDetailPhotoClear.addEventListener('click', () => setDetailPhotoRegion(null));
+
+    // Import contacts from .vcf or CSV files
+    elements.btnImport.addEventListener('click', () => elements.importInput.click());
+    elements.importInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) handleImportFile(e.target.files[0]);
+    });
+    elements.importMapping.addEventListener('change', (e) => {
+        if (e.target.dataset.column !== undefined) setImportColumn(Number(e.target.dataset.column), e.target.value);
     });
+    elements.importPreview.addEventListener('change', updateImportButton);
+    elements.btnImportConfirm.addEventListener('click', confirmImport);
+    elements.btnImportCancel.addEventListener('click', closeImportDialog);
+
+    // Search input
+    elements.searchInput.addEventListener('input', loadContacts);
 
     // Event filter
-    elements.eventFilter.addEventListener('change', async (e) => {
-        await filterContacts(elements.searchInput.value, e.target.value);
+    elements.eventFilter.addEventListener('change', loadContacts);
+
+    // Sort order
+    elements.contactSort.addEventListener('change', async (e) => {
+        localStorage.setItem('contactSort', e.target.value);
+        await loadContacts();
     });
 
     // Clear all contacts button
@@ -186,6 +509,44 @@ function setupEventListeners() {
         await handleClearAllContacts();
     });
 
+    // Phone region selector
+    if (elements.phoneRegion) {
+        elements.phoneRegion.addEventListener('change', (e) => {
+            phoneParser.setDefaultRegion(e.target.value);
+            localStorage.setItem('phoneRegion', e.target.value);
+        });
+    }
+
+    // vCard version of downloads and shares
+    if (elements.vcardVersion) {
+        elements.vcardVersion.addEventListener('change', (e) => {
+            vCardHandler.setDefaultVersion(e.target.value);
+            localStorage.setItem('vcardVersion', e.target.value);
+        });
+    }
+
+    // Card image embedded in downloaded vCards
+    if (elements.vcardPhoto) {
+        elements.vcardPhoto.addEventListener('change', (e) => {
+            vCardHandler.setPhotoMode(e.target.value);
+            localStorage.setItem('vcardPhoto', e.target.value);
+        });
+    }
+
+    // OCR worker count for batch scans
+    if (elements.ocrWorkers) {
+        elements.ocrWorkers.addEventListener('change', async (e) => {
+            await ocrWorkerPool.setSize(parseInt(e.target.value) || null);
+        });
+    }
+
+    // OCR language checkboxes
+    if (elements.ocrLanguageList) {
+        elements.ocrLanguageList.addEventListener('change', async () => {
+            await handleOcrLanguageChange();
+        });
+    }
+
     // Theme toggle button
     const themeToggle = document.getElementById('themeToggle');
     if (themeToggle) {
@@ -261,8 +622,244 @@ async function ensureUnder2MB(file) {
     }
 }
 
+/**
+ * Find, flatten and straighten the business card in a photo
+ * Falls back to the whole photo if detection fails
+ * Turning the card upright is left to orientCard(), as only OCR needs it
+ * @param {File} file - Image file
+ * @returns {Promise<HTMLCanvasElement>} - Canvas with the flattened card
+ */
+async function flattenCard(file) {
+    try {
+        const result = await cardDetector.process(file, { detectOrientation: false });
+        console.log('Card detection:', {
+            found: result.found,
+            skew: result.skew
+        });
+        return result.canvas;
+    } catch (error) {
+        console.error('Card detection failed, using full photo:', error);
+        return imagePreprocessor.toCanvas(file, { minDimension: 0 });
+    }
+}
+
+/**
+ * Turn a sideways or upside-down card upright for OCR
+ * Costs up to 4 OCR passes on a small strip of the card (see cardDetector.orient)
+ * @param {HTMLCanvasElement} card - Flattened card
+ * @param {Object} ocrOptions - { scheduler } to score orientations on the worker pool (optional)
+ * @returns {Promise<HTMLCanvasElement>} - The upright card
+ */
+async function orientCard(card, ocrOptions = {}) {
+    try {
+        const result = await cardDetector.orient(card, {
+            scoreOrientation: (canvas) => ocrProcessor.getConfidence(canvas, ocrOptions)
+        });
+        console.log('Card orientation:', result.rotation);
+        return result.canvas;
+    } catch (error) {
+        console.error('Orientation detection failed, keeping the card as is:', error);
+        return card;
+    }
+}
+
+/**
+ * Set up the OCR word boxes on the single-scan preview
+ */
+function initWordOverlay() {
+    AppState.wordOverlay = new WordOverlay(elements.previewImg, {
+        getColor: (word) => {
+            const field = getPreviewWordField(word);
+            return field ? PREVIEW_FIELDS[field].color : null;
+        },
+        onWordSelect: (word, point) => {
+            AppState.previewSelection = { line: word.line };
+            AppState.wordOverlay.selectLine(word.line);
+            showPreviewFieldMenu(`“${getPreviewLineText(word.line)}”`, point, getPreviewWordField(word));
+        },
+        onRegionSelect: (region, point) => {
+            AppState.previewSelection = { region };
+            AppState.wordOverlay.selectLine(null);
+            showPreviewFieldMenu('Read the selected area into', point, null);
+        }
+    });
+
+    elements.previewLegend.innerHTML = Object.values(PREVIEW_FIELDS).map(({ label, color }) => `
+        <span class="inline-flex items-center gap-1">
+            <span class="inline-block w-3 h-3 rounded-sm border-2" style="border-color: ${color}"></span>${label}
+        </span>
+    `).join('');
+}
+
+/**
+ * Set up marking the vCard photo area on the front image in the detail view
+ */
+function initDetailPhotoOverlay() {
+    AppState.detailPhotoOverlay = new WordOverlay(elements.detailFrontImg, {
+        getColor: () => 'rgb(168, 85, 247)',
+        onRegionSelect: (region) => setDetailPhotoRegion(region)
+    });
+}
+
+/**
+ * Show the photo area of the open contact (saved with the other detail view fields)
+ * @param {Object|null} region - { x, y, width, height } as fractions of the front image, or null
+ */
+function setDetailPhotoRegion(region) {
+    AppState.detailPhotoRegion = region;
+    setDetailPhotoSelecting(false);
+    // The area is drawn as a single box
+    AppState.detailPhotoOverlay.setWords(region ? [{ text: 'vCard photo', line: 0, ...region }] : []);
+    elements.btnDetailPhotoClear.classList.toggle('hidden', !region);
+}
+
+/**
+ * Turn photo area marking on or off; with it on, drags on the front image mark the area
+ * @param {boolean} enabled - Marking mode
+ */
+function setDetailPhotoSelecting(enabled) {
+    AppState.detailPhotoOverlay.setSelectMode(enabled);
+    elements.btnDetailPhotoArea.classList.toggle('bg-blue-600', enabled);
+    elements.btnDetailPhotoArea.classList.toggle('text-white', enabled);
+    elements.btnDetailPhotoArea.classList.toggle('text-blue-600', !enabled);
+    elements.btnDetailPhotoArea.classList.toggle('dark:text-blue-400', !enabled);
+    elements.btnDetailPhotoArea.setAttribute('aria-pressed', String(enabled));
+}
+
+/**
+ * Show the word boxes of a new scan on the preview (an empty list removes them)
+ * @param {Array<Object>} words - From scanCardSide()
+ */
+function showPreviewWords(words) {
+    closePreviewFieldMenu();
+    AppState.wordOverlay.setWords(words);
+    elements.previewWordTools.classList.toggle('hidden', words.length === 0);
+}
+
+/**
+ * Text of one OCR line on the preview, cleaned like the lines of the stored OCR text
+ * @param {number} line - Line index of the word boxes
+ * @returns {string} - Line text
+ */
+function getPreviewLineText(line) {
+    const words = AppState.wordOverlay.words.filter(word => word.line === line);
+    return ocrProcessor.cleanText(words.map(word => word.text).join(' ')).trim();
+}
+
+/**
+ * Form field a word on the preview is part of: the field its whole line fills,
+ * otherwise any field containing the word
+ * @param {Object} word - Word box
+ * @returns {string} - Field name, or '' if the word isn't used
+ */
+function getPreviewWordField(word) {
+    const values = getContactFromForm();
+    return ocrProcessor.getLineField(getPreviewLineText(word.line), values) ||
+        ocrProcessor.getWordField(word.text, values);
+}
+
+/**
+ * Open the field picker next to a tapped word box or selected area
+ * @param {string} title - What is being assigned
+ * @param {Object} point - { x, y } in px within the preview
+ * @param {string|null} current - Field the words fill now (marked in the list)
+ */
+function showPreviewFieldMenu(title, point, current) {
+    const menu = elements.previewFieldMenu;
+    const isLine = !AppState.previewSelection.region;
+
+    menu.innerHTML = `
+        <div class="px-2 pb-1 text-xs text-gray-500 dark:text-gray-400 break-words">${escapeHtml(title)}</div>
+        ${Object.entries(PREVIEW_FIELDS).map(([field, { label, color }]) => `
+            <button type="button" data-field="${field}" class="flex items-center gap-2 w-full px-2 py-1 text-left rounded hover:bg-gray-100 dark:hover:bg-gray-700 ${field === current ? 'font-semibold' : ''}">
+                <span class="inline-block w-3 h-3 rounded-sm" style="background-color: ${color}"></span>${label}${field === current ? ' ✓' : ''}
+            </button>
+        `).join('')}
+        ${isLine ? `
+            <button type="button" data-field="" class="w-full px-2 py-1 text-left rounded hover:bg-gray-100 dark:hover:bg-gray-700">Not used</button>
+        ` : ''}
+        <button type="button" class="w-full px-2 py-1 text-left rounded text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700">Cancel</button>
+    `;
+
+    // Keep the menu inside the preview
+    menu.classList.remove('hidden');
+    const maxLeft = menu.parentElement.clientWidth - menu.offsetWidth;
+    menu.style.left = `${Math.max(0, Math.min(point.x, maxLeft))}px`;
+    menu.style.top = `${point.y + 4}px`;
+}
+
+/**
+ * Close the field picker and forget the picked line or area
+ */
+function closePreviewFieldMenu() {
+    AppState.previewSelection = null;
+    elements.previewFieldMenu.classList.add('hidden');
+    if (AppState.wordOverlay.selectedLine !== null) AppState.wordOverlay.selectLine(null);
+}
+
+/**
+ * Put the picked line or area into a field of the form
+ * A line moves from the field it filled (see ocrProcessor.assignLine()); an area is read
+ * again with OCR and replaces the field's value
+ * @param {string} field - Field name, or '' to leave a line unused
+ */
+async function applyPreviewSelection(field) {
+    const selection = AppState.previewSelection;
+    closePreviewFieldMenu();
+    if (!selection) return;
+
+    if (selection.region) {
+        await readPreviewRegion(selection.region, field);
+    } else {
+        const values = ocrProcessor.assignLine(getContactFromForm(), getPreviewLineText(selection.line), field);
+        applyOcrAssignment(values, field, (name) => elements[`${name}Input`]);
+    }
+    AppState.wordOverlay.render();
+}
+
+/**
+ * Run OCR on an area of the preview and put its text into a field
+ * @param {Object} region - { x, y, width, height } as fractions of the card image
+ * @param {string} field - Field name
+ */
+async function readPreviewRegion(region, field) {
+    try {
+        showLoading('Reading selected area...');
+        const text = await ocrProcessor.extractRegionText(elements.previewImg, region);
+        const lines = ocrProcessor.getLines(text).map(line => line.text);
+        if (lines.length === 0) {
+            showToast('No text found in the selected area');
+            return;
+        }
+
+        // An address keeps its lines apart with commas; other fields read the area as one line
+        const value = field === 'address' ? lines.join(', ') : ocrProcessor.getFieldValue(lines.join(' '), field);
+        applyOcrAssignment({ ...getContactFromForm(), [field]: value }, field, (name) => elements[`${name}Input`]);
+    } catch (error) {
+        console.error('Error reading selected area:', error);
+        showToast('Could not read the selected area');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Turn area selection on or off; with it on, touch drags on the preview select an area
+ * (mouse drags always do)
+ */
+function toggleSelectArea() {
+    const enabled = !AppState.wordOverlay.selectMode;
+    AppState.wordOverlay.setSelectMode(enabled);
+    elements.btnSelectArea.classList.toggle('bg-blue-600', enabled);
+    elements.btnSelectArea.classList.toggle('text-white', enabled);
+    elements.btnSelectArea.classList.toggle('text-blue-600', !enabled);
+    elements.btnSelectArea.classList.toggle('dark:text-blue-400', !enabled);
+    elements.btnSelectArea.setAttribute('aria-pressed', String(enabled));
+}
+
 /**
  * Handle file selection (single or batch)
+ * With two-sided capture on, consecutive files are read as front + back of one card
  * @param {Event} event - File input change event
  */
 async function handleFileSelect(event) {
@@ -270,15 +867,15 @@ async function handleFileSelect(event) {
     
     if (files.length === 0) return;
 
-    // Check if batch mode is enabled
-    const isBatchMode = elements.batchMode.checked || files.length > 1;
+    const twoSided = elements.twoSided.checked;
+    const cardCount = twoSided ? Math.ceil(files.length / 2) : files.length;
 
-    if (isBatchMode && files.length > 1) {
+    if (cardCount > 1) {
         // Batch processing
         await processBatch(files);
     } else {
-        // Single file processing
-        await processSingleFile(files[0]);
+        // Single card processing (front, plus back if both sides were selected)
+        await processSingleFile(files[0], twoSided ? files[1] || null : null);
     }
 
     // Reset file input
@@ -286,79 +883,172 @@ async function handleFileSelect(event) {
 }
 
 /**
- * Process a single image file
- * @param {File} file - Image file to process
+ * Run one side of a card through the scan pipeline
+ * Compress → find and flatten the card → enhance → QR code, falling back to
+ * turning the card upright and OCR
+ * @param {File} file - Image file
+ * @param {Function} onStatus - Called with a progress message before each step (optional)
+ * @param {Object} ocrOptions - { scheduler } to run OCR on the worker pool (optional)
+ * @returns {Promise<Object>} - { imageData, contact, words, wasCompressed, error }
+ *   error is set (and contact null) when OCR fails; imageData is still the flattened card;
+ *   words are the OCR word boxes from ocrProcessor.getWordBoxes() (empty for QR codes)
+ */
+async function scanCardSide(file, onStatus = () => {}, ocrOptions = {}) {
+    // Compress image if over 2MB for faster OCR processing
+    const originalSize = file.size;
+    const safeFile = await ensureUnder2MB(file);
+    const wasCompressed = safeFile.size < originalSize;
+
+    // Find the card and flatten it; the crop is what gets stored
+    onStatus('Detecting card...');
+    let card = await flattenCard(safeFile);
+    let imageData = card.toDataURL('image/jpeg', 0.85);
+
+    // Clean up the photo once; shared by the QR retry and OCR
+    onStatus('Enhancing image...');
+    let preprocessed = await imagePreprocessor.process(card);
+
+    // Try QR code detection first (faster and more accurate)
+    onStatus('Detecting QR code...');
+    let contact = null;
+    try {
+        contact = await qrDetector.detectAndParseVCard(card, { preprocessed });
+    } catch (error) {
+        console.log('QR detection failed, trying OCR');
+    }
+
+    if (contact && contact.name) {
+        console.log('Contact extracted from QR code');
+        return { imageData, contact, words: [], wasCompressed, error: null };
+    }
+
+    // Fall back to OCR if QR code not found
+    try {
+        // QR codes read in any orientation, but OCR needs the card upright
+        onStatus('Finding card orientation...');
+        const upright = await orientCard(card, ocrOptions);
+        if (upright !== card) {
+            card = upright;
+            imageData = card.toDataURL('image/jpeg', 0.85);
+            preprocessed = await imagePreprocessor.process(card);
+        }
+
+        onStatus('Extracting text with OCR...');
+        const { text, contact: parsed, words } = await ocrProcessor.processImageFull(preprocessed, { ...ocrOptions, preprocess: false });
+        // The raw text is saved with the contact so later parser versions can read it again
+        contact = { ...parsed, rawText: text, parserVersion: ocrProcessor.parserVersion };
+        console.log('Contact extracted from OCR');
+        // The preprocessed image is the card at another scale, so its boxes fit the stored image
+        const boxes = ocrProcessor.getWordBoxes(words, preprocessed.width, preprocessed.height);
+        return { imageData, contact, words: boxes, wasCompressed, error: null };
+    } catch (error) {
+        console.error('OCR error:', error);
+        return { imageData, contact: null, words: [], wasCompressed, error };
+    }
+}
+
+/**
+ * Describe front/back conflicts for a toast or review card
+ * @param {Array<Object>} conflicts - From contactManager.mergeContacts()
+ * @returns {string} - e.g. "phone (kept 555-1234, other side 555-9876)"
+ */
+function describeConflicts(conflicts) {
+    return conflicts
+        .map(c => `${c.field} (kept ${c.kept}, other side ${c.dropped})`)
+        .join('; ');
+}
+
+/**
+ * Show the scanned back side under the front preview and merge its fields
+ * into the contact in the form
+ * @param {Object} back - Result of scanCardSide() for the back
+ */
+function applyBackSide(back) {
+    AppState.currentBackImageData = back.imageData;
+    elements.previewBackImg.src = back.imageData;
+    elements.previewBackImg.classList.remove('hidden');
+    updateAddBackButton();
+
+    if (back.error) {
+        showToast('Could not read the back side - only its image will be saved');
+        return;
+    }
+
+    // The form may already hold edits to the front; those count as the front's values
+    const front = { ...(AppState.currentContact || {}), ...getContactFromForm() };
+    const merged = contactManager.mergeContacts(front, back.contact);
+    merged.eventTag = front.eventTag || merged.eventTag;
+
+    fillForm(merged);
+    AppState.currentContact = merged;
+
+    if (merged.conflicts.length > 0) {
+        console.log('Front/back conflicts:', merged.conflicts);
+        showToast(`Sides differ: ${describeConflicts(merged.conflicts)}`, 6000);
+    }
+}
+
+/**
+ * Show the "Add Back Side" button once a front has been scanned in two-sided mode
+ */
+function updateAddBackButton() {
+    const show = elements.twoSided.checked && !!AppState.currentImageData && !AppState.currentBackImageData;
+    elements.btnAddBack.classList.toggle('hidden', !show);
+}
+
+/**
+ * Process a single card
+ * @param {File} file - Image file to process (front side)
+ * @param {File|null} backFile - Image of the back side (optional)
  */
-async function processSingleFile(file) {
+async function processSingleFile(file, backFile = null) {
     try {
         showLoading('Processing image...');
-        
+
         // Hide compression badge initially (will show if compression occurs)
         hideCompressionBadge();
-        
-        // Compress image if over 2MB for faster OCR processing
-        const originalSize = file.size;
-        const safeFile = await ensureUnder2MB(file);
-        const wasCompressed = safeFile.size < originalSize;
+
+        // Nothing of the previous card (phones, emails, notes, uid, kept vCard properties)
+        // is saved with this one; an event tag the user set is kept
+        AppState.currentContact = null;
+        clearScannedFields();
+
+        // Forget the back of any previous card
+        AppState.currentBackImageData = null;
+        elements.previewBackImg.classList.add('hidden');
+
+        const front = await scanCardSide(file, showLoading);
         
         // Show compression badge if file was compressed
-        if (wasCompressed) {
+        if (front.wasCompressed) {
             showCompressionBadge();
         }
         
-        // Store current image (use compressed version)
-        AppState.currentImage = safeFile;
-        
-        // Create preview from compressed file
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            elements.previewImg.src = e.target.result;
-            elements.imagePreview.classList.remove('hidden');
-            AppState.currentImageData = e.target.result;
-        };
-        reader.readAsDataURL(safeFile);
-
-        // Wait for image to load
-        await new Promise(resolve => {
-            const img = new Image();
-            img.onload = resolve;
-            img.src = URL.createObjectURL(safeFile);
-        });
-
-        // Process image: Try QR code first, then OCR
-        let contact = null;
-
-        // Try QR code detection first (faster and more accurate)
-        showLoading('Detecting QR code...');
-        const qrContact = await qrDetector.detectAndParseVCard(safeFile);
-        
-        if (qrContact && qrContact.name) {
-            contact = qrContact;
-            console.log('Contact extracted from QR code');
-        } else {
-            // Fall back to OCR if QR code not found
-            showLoading('Extracting text with OCR...');
-            try {
-                contact = await ocrProcessor.processImage(safeFile);
-                console.log('Contact extracted from OCR');
-            } catch (error) {
-                console.error('OCR error:', error);
-                // Show user-friendly error message
-                hideLoading();
-                const errorMsg = error.message || 'Failed to process image with OCR';
-                alert(`OCR Error: ${errorMsg}\n\nPlease ensure:\n- Tesseract files are in /tesseract folder\n- Language data is in /tessdata folder\n- Files are accessible via web server`);
-                throw error;
-            }
+        // Store current image (the flattened card)
+        AppState.currentImage = file;
+        AppState.currentImageData = front.imageData;
+        elements.previewImg.src = AppState.currentImageData;
+        elements.imagePreview.classList.remove('hidden');
+        showPreviewWords(front.words);
+
+        if (front.error) {
+            throw front.error;
         }
 
         // Update form with extracted data
-        if (contact) {
-            fillForm(contact);
-            AppState.currentContact = contact;
+        if (front.contact) {
+            fillForm(front.contact);
+            AppState.currentContact = front.contact;
         } else {
             alert('Could not extract contact information. Please fill in manually.');
         }
 
+        if (backFile) {
+            const back = await scanCardSide(backFile, (message) => showLoading(`Back side: ${message}`));
+            applyBackSide(back);
+        }
+
+        updateAddBackButton();
     } catch (error) {
         console.error('Error processing file:', error);
         
@@ -370,7 +1060,7 @@ async function processSingleFile(file) {
             errorMessage = `OCR Error: ${errorMessage}\n\nPlease verify:\n` +
                           `1. ./tesseract/worker.min.js exists\n` +
                           `2. ./tesseract/tesseract-core.wasm.js exists\n` +
-                          `3. ./tessdata/en.traineddata exists\n\n` +
+                          `3. ./tessdata/ has a .traineddata file for each enabled OCR language\n\n` +
                           `Check the /tesseract and /tessdata folders.`;
         }
         
@@ -382,138 +1072,444 @@ async function processSingleFile(file) {
 }
 
 /**
- * Process multiple files in batch mode
- * Collects results for review before saving
- * @param {Array<File>} files - Array of image files
+ * Scan the back of the card currently in the form and merge it in
+ * @param {Event} event - Back side file input change event
  */
-async function processBatch(files) {
-    if (AppState.batchProcessing) {
-        alert('Batch processing already in progress');
-        return;
+async function handleBackSelect(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+        const back = await scanCardSide(file, (message) => showLoading(`Back side: ${message}`));
+        applyBackSide(back);
+    } catch (error) {
+        console.error('Error processing back side:', error);
+        alert('Error processing back side: ' + error.message);
+    } finally {
+        hideLoading();
+        elements.backInput.value = '';
     }
+}
 
-    AppState.batchProcessing = true;
-    AppState.batchQueue = files;
-    AppState.batchResults = []; // Reset batch results
-    AppState.batchIndex = 0;
+/**
+ * Group selected files into cards
+ * With two-sided capture, files pair up in order (front, back, front, back, ...);
+ * an odd file at the end is a front without a back
+ * @param {Array<File>} files - Selected image files
+ * @returns {Array<Object>} - [{ front: File, back: File|null }]
+ */
+function groupCardSides(files) {
+    if (!elements.twoSided.checked) {
+        return files.map(file => ({ front: file, back: null }));
+    }
 
-    // Hide contact form during batch processing
-    elements.contactForm.style.display = 'none';
-    elements.imagePreview.classList.add('hidden');
+    const cards = [];
+    for (let i = 0; i < files.length; i += 2) {
+        cards.push({ front: files[i], back: files[i + 1] || null });
+    }
+    return cards;
+}
 
-    // Show batch progress
-    elements.batchProgress.classList.remove('hidden');
-    elements.batchTotal.textContent = files.length;
+/**
+ * Scan one card of a batch (front, plus back if two-sided) and build its review entry
+ * @param {Object} card - { front: File, back: File|null } from groupCardSides()
+ * @param {number} index - Position of the card in the batch
+ * @param {Object} job - { scheduler, report } from ocrWorkerPool.run()
+ * @returns {Promise<Object>} - Entry for AppState.batchResults
+ */
+async function scanBatchCard(card, index, { scheduler, report }) {
+    const fileName = card.back ? `${card.front.name} + ${card.back.name}` : card.front.name;
+
+    const front = await scanCardSide(card.front, report, { scheduler });
+    const back = card.back
+        ? await scanCardSide(card.back, (message) => report(`Back side: ${message}`), { scheduler })
+        : null;
+
+    // Merge the back into the front; a side that failed OCR only contributes its image
+    let contact = front.contact;
+    let conflicts = [];
+    if (back && back.contact) {
+        contact = contactManager.mergeContacts(front.contact || {}, back.contact);
+        conflicts = contact.conflicts;
+    }
 
-    // Process files sequentially
-    for (let i = 0; i < files.length; i++) {
-        AppState.batchIndex = i;
-        elements.batchCurrent.textContent = i + 1;
-        elements.batchProgressBar.style.width = `${((i + 1) / files.length) * 100}%`;
+    const error = contact ? null : (front.error || (back && back.error));
+    if (error) {
+        console.error(`Error processing card ${index + 1}:`, error);
+    }
 
-        const file = files[i];
-        
-        try {
-            // Compress if needed
-            const originalSize = file.size;
-            const safeFile = await ensureUnder2MB(file);
-            const wasCompressed = safeFile.size < originalSize;
-
-            // Get image preview
-            const imageData = await new Promise((resolve) => {
-                const reader = new FileReader();
-                reader.onload = (e) => resolve(e.target.result);
-                reader.readAsDataURL(safeFile);
-            });
+    return {
+        index: index,
+        fileName: fileName,
+        files: card,
+        imageData: front.imageData,
+        backImageData: back ? back.imageData : null,
+        contact: contact || { name: '', phone: '', email: '', company: '', eventTag: '' },
+        conflicts: conflicts,
+        error: error ? error.message : null,
+        wasCompressed: front.wasCompressed || (!!back && back.wasCompressed)
+    };
+}
 
-            // Try QR code first
-            let contact = null;
-            try {
-                contact = await qrDetector.detectAndParseVCard(safeFile);
-            } catch (error) {
-                console.log('QR detection failed, trying OCR');
-            }
+/**
+ * Build the review entry for a card that could not be scanned
+ * The files are kept so the card can be retried
+ * @param {Object} card - { front, back } from groupCardSides()
+ * @param {number} index - Position of the card in the batch
+ * @param {Object} outcome - { error, cancelled } from ocrWorkerPool.run()
+ * @returns {Object} - Entry for AppState.batchResults
+ */
+function failedBatchResult(card, index, outcome) {
+    return {
+        index: index,
+        fileName: card.back ? `${card.front.name} + ${card.back.name}` : card.front.name,
+        files: card,
+        imageData: null,
+        backImageData: null,
+        contact: { name: '', phone: '', email: '', company: '', eventTag: '' },
+        conflicts: [],
+        error: outcome.cancelled ? 'Cancelled before scanning' : outcome.error.message,
+        wasCompressed: false
+    };
+}
 
-            // Fall back to OCR
-            if (!contact || !contact.name) {
-                try {
-                    contact = await ocrProcessor.processImage(safeFile);
-                } catch (error) {
-                    console.error(`Error processing file ${i + 1}:`, error);
-                    // Add error entry to results
-                    AppState.batchResults.push({
-                        index: i,
-                        fileName: file.name,
-                        imageData: imageData,
-                        contact: { name: '', phone: '', email: '', company: '', eventTag: '' },
-                        error: error.message,
-                        wasCompressed: wasCompressed
-                    });
-                    continue;
-                }
-            }
+/**
+ * Render one row per card in the batch progress list
+ * @param {Array<Object>} cards - From groupCardSides()
+ */
+function renderBatchFileList(cards) {
+    elements.batchFileList.innerHTML = cards.map((card, i) => `
+        <div id="batch-file-${i}" class="flex justify-between gap-2">
+            <span class="truncate">${escapeHtml(card.back ? `${card.front.name} + ${card.back.name}` : card.front.name)}</span>
+            <span id="batch-file-status-${i}" class="shrink-0 text-gray-400">Queued</span>
+        </div>
+    `).join('');
+}
 
-            // Add successful result
-            AppState.batchResults.push({
-                index: i,
-                fileName: file.name,
-                imageData: imageData,
-                contact: contact || { name: '', phone: '', email: '', company: '', eventTag: '' },
-                error: null,
-                wasCompressed: wasCompressed
-            });
+/**
+ * Update overall and per-card batch progress from an ocrWorkerPool event
+ * @param {Object} event - { index, status, message, completed, total }
+ */
+function updateBatchProgress(event) {
+    elements.batchCurrent.textContent = event.completed;
+    elements.batchProgressBar.style.width = `${(event.completed / event.total) * 100}%`;
+
+    const statusEl = document.getElementById(`batch-file-status-${event.index}`);
+    if (!statusEl) return;
+
+    const labels = {
+        queued: ['Queued', 'text-gray-400'],
+        processing: [event.message || 'Processing...', 'text-blue-600 dark:text-blue-400'],
+        done: ['✓ Done', 'text-green-600 dark:text-green-400'],
+        error: [`⚠ ${event.message || 'Failed'}`, 'text-red-600 dark:text-red-400'],
+        cancelled: ['Cancelled', 'text-gray-400']
+    };
+    const [label, colorClass] = labels[event.status];
+    statusEl.textContent = label;
+    statusEl.className = `shrink-0 ${colorClass}`;
+}
 
-            // Small delay between files
-            await new Promise(resolve => setTimeout(resolve, 300));
-        } catch (error) {
-            console.error(`Error processing file ${i + 1}:`, error);
-            // Add error entry
-            AppState.batchResults.push({
-                index: i,
-                fileName: files[i].name,
-                imageData: null,
-                contact: { name: '', phone: '', email: '', company: '', eventTag: '' },
-                error: error.message,
-                wasCompressed: false
-            });
-        }
+/**
+ * Process multiple files in batch mode
+ * Cards run in parallel on ocrWorkerPool; results keep the selection order
+ * Collects results for review before saving
+ * @param {Array<File>} files - Array of image files
+ */
+async function processBatch(files) {
+    if (AppState.batchProcessing) {
+        alert('Batch processing already in progress');
+        return;
+    }
+
+    const cards = groupCardSides(files);
+
+    AppState.batchProcessing = true;
+    AppState.batchQueue = files;
+    AppState.batchResults = []; // Reset batch results
+
+    // Hide contact form during batch processing
+    elements.contactForm.style.display = 'none';
+    elements.imagePreview.classList.add('hidden');
+
+    // Show batch progress
+    elements.batchProgress.classList.remove('hidden');
+    elements.batchTotal.textContent = cards.length;
+    elements.batchCurrent.textContent = 0;
+    elements.batchProgressBar.style.width = '0%';
+    renderBatchFileList(cards);
+    elements.btnCancelBatch.disabled = false;
+    updateBatchControls();
+
+    // Record the batch so a reload can resume it
+    try {
+        await batchSessionManager.start(cards);
+    } catch (error) {
+        console.error('Failed to start batch session:', error);
     }
 
-    // Hide batch progress
-    elements.batchProgress.classList.add('hidden');
-    AppState.batchProcessing = false;
-    AppState.batchQueue = [];
+    // Each card is stored as soon as it is scanned
+    const scanAndRecord = async (card, i, job) => {
+        const result = await scanBatchCard(card, i, job);
+        batchSessionManager.saveItem(i, result).catch(error => {
+            console.error('Failed to save batch session item:', error);
+        });
+        return result;
+    };
+
+    try {
+        const outcomes = await ocrWorkerPool.run(cards, scanAndRecord, {
+            onProgress: updateBatchProgress
+        });
+
+        AppState.batchResults = outcomes.map((outcome, i) => outcome.result || failedBatchResult(cards[i], i, outcome));
+        await batchSessionManager.saveResults(AppState.batchResults).catch(error => {
+            console.error('Failed to save batch session:', error);
+        });
+    } catch (error) {
+        // The pool itself failed to start (e.g. OCR files missing)
+        console.error('Batch processing failed:', error);
+        alert('Batch processing failed: ' + error.message);
+    } finally {
+        // Hide batch progress
+        elements.batchProgress.classList.add('hidden');
+        AppState.batchProcessing = false;
+        AppState.batchQueue = [];
+    }
 
     // Show batch review screen
     showBatchReview();
 }
 
+/**
+ * Sync the pause/resume button with the pool state
+ */
+function updateBatchControls() {
+    const paused = ocrWorkerPool.isPaused();
+    elements.btnPauseBatch.textContent = paused ? '▶ Resume' : '⏸ Pause';
+    elements.batchPausedNote.classList.toggle('hidden', !paused);
+}
+
+/**
+ * Pause or resume the running batch
+ * Cards already being scanned finish; no new card starts while paused
+ */
+function togglePauseBatch() {
+    if (!AppState.batchProcessing) return;
+
+    if (ocrWorkerPool.isPaused()) {
+        ocrWorkerPool.resume();
+    } else {
+        ocrWorkerPool.pause();
+    }
+    updateBatchControls();
+}
+
+/**
+ * Cancel the running batch
+ * Cards already scanned go to review; the rest are listed there as retryable
+ */
+function cancelBatch() {
+    if (!AppState.batchProcessing) return;
+    if (!confirm('Cancel the batch? Cards already scanned will still be available for review.')) return;
+
+    ocrWorkerPool.cancel();
+    updateBatchControls();
+    elements.btnCancelBatch.disabled = true;
+}
+
+/**
+ * Re-scan failed batch cards without touching the ones that succeeded
+ * Edits in other review cards are kept; only the retried cards are re-rendered
+ * @param {Array<number>} indices - Indices into AppState.batchResults
+ */
+async function retryBatchCards(indices) {
+    if (AppState.batchProcessing) {
+        alert('Batch processing already in progress');
+        return;
+    }
+
+    const retryable = indices.filter(i => {
+        const result = AppState.batchResults[i];
+        return result && result.error && result.files;
+    });
+    if (retryable.length === 0) return;
+
+    AppState.batchProcessing = true;
+    syncBatchEdits();
+    showLoading(`Retrying ${retryable.length} card(s)...`);
+
+    try {
+        const cards = retryable.map(i => AppState.batchResults[i].files);
+        const outcomes = await ocrWorkerPool.run(
+            cards,
+            (card, j, job) => scanBatchCard(card, retryable[j], job),
+            { onProgress: (event) => showLoading(`Retrying card(s)... ${event.completed}/${event.total} done`) }
+        );
+
+        outcomes.forEach((outcome, j) => {
+            const index = retryable[j];
+            AppState.batchResults[index] = outcome.result || failedBatchResult(cards[j], index, outcome);
+
+            const cardEl = document.getElementById(`batch-card-${index}`);
+            if (cardEl) {
+                cardEl.outerHTML = renderBatchReviewCard(AppState.batchResults[index], index);
+            }
+        });
+
+        const stillFailed = retryable.filter(i => AppState.batchResults[i].error).length;
+        showToast(stillFailed > 0
+            ? `${retryable.length - stillFailed} card(s) recovered, ${stillFailed} still failing`
+            : `✓ ${retryable.length} card(s) recovered`);
+    } catch (error) {
+        console.error('Retry failed:', error);
+        alert('Retry failed: ' + error.message);
+    } finally {
+        AppState.batchProcessing = false;
+        hideLoading();
+        updateRetryFailedButton();
+        updateSaveAllButton();
+        scheduleBatchSessionSave();
+    }
+}
+
+/**
+ * Retry one failed batch card
+ * @param {number} index - Index of the batch result
+ */
+async function retryBatchCard(index) {
+    await retryBatchCards([index]);
+}
+
+/**
+ * Retry every failed batch card
+ */
+async function retryFailedBatchCards() {
+    const failed = AppState.batchResults
+        .map((result, i) => (result.error ? i : -1))
+        .filter(i => i >= 0);
+    await retryBatchCards(failed);
+}
+
+/**
+ * Show the "Retry Failed" button with the number of failed cards
+ */
+function updateRetryFailedButton() {
+    if (!elements.btnRetryFailed) return;
+
+    const failed = AppState.batchResults.filter(result => result.error && result.files).length;
+    elements.btnRetryFailed.classList.toggle('hidden', failed === 0);
+    elements.btnRetryFailed.textContent = `↻ Retry Failed (${failed})`;
+}
+
 /**
  * Fill form with contact data
  * @param {Object} contact - Contact object
  */
 function fillForm(contact) {
     elements.nameInput.value = contact.name || '';
+    elements.titleInput.value = contact.title || '';
     elements.phoneInput.value = contact.phone || '';
+    elements.faxInput.value = contact.fax || '';
     elements.emailInput.value = contact.email || '';
     elements.companyInput.value = contact.company || '';
+    elements.websiteInput.value = contact.website || '';
+    elements.addressInput.value = contact.address || '';
     // Don't overwrite event tag if user already set it
     if (!elements.eventTagInput.value) {
         elements.eventTagInput.value = contact.eventTag || '';
     }
+    highlightLowConfidence(contact);
+    if (AppState.wordOverlay) AppState.wordOverlay.render();
+}
+
+/**
+ * Get confidence details for a field if it scored below the review threshold
+ * @param {Object} contact - Contact with optional fieldConfidence from OCR
+ * @param {string} field - Field name
+ * @returns {Object|null} - { score, ocr, classifier, source } or null if confident/unknown
+ */
+function getLowConfidence(contact, field) {
+    const info = contact && contact.fieldConfidence ? contact.fieldConfidence[field] : null;
+    if (!info || info.score >= ocrProcessor.lowConfidenceThreshold) {
+        return null;
+    }
+    return info;
+}
+
+/**
+ * Describe a field's confidence for tooltips
+ * @param {Object} info - Entry from contact.fieldConfidence
+ * @returns {string} - Human readable explanation
+ */
+function describeConfidence(info) {
+    return `Low confidence (${info.score}%) - read from “${info.source}” (OCR ${info.ocr}%, classifier ${info.classifier}/10)`;
+}
+
+/**
+ * Small badge shown next to a field label when the field needs checking
+ * @param {Object} contact - Contact with optional fieldConfidence
+ * @param {string} field - Field name
+ * @returns {string} - HTML string (empty if the field is confident)
+ */
+function confidenceBadge(contact, field) {
+    const info = getLowConfidence(contact, field);
+    if (!info) return '';
+    return `<span class="ml-1 text-yellow-600 dark:text-yellow-400" title="${escapeHtml(describeConfidence(info))}">⚠ ${info.score}%</span>`;
+}
+
+/**
+ * Outline single-scan form inputs whose extracted values are uncertain
+ * @param {Object|null} contact - Contact with optional fieldConfidence (null clears all)
+ */
+function highlightLowConfidence(contact) {
+    const inputs = {
+        name: elements.nameInput,
+        title: elements.titleInput,
+        phone: elements.phoneInput,
+        fax: elements.faxInput,
+        email: elements.emailInput,
+        company: elements.companyInput,
+        website: elements.websiteInput,
+        address: elements.addressInput
+    };
+
+    Object.entries(inputs).forEach(([field, input]) => {
+        const info = getLowConfidence(contact, field);
+        input.classList.toggle('ring-2', !!info);
+        input.classList.toggle('ring-yellow-400', !!info);
+        input.title = info ? describeConfidence(info) : '';
+    });
 }
 
 /**
  * Get contact data from form
+ * Extra phones/emails found on the card (not shown in the form) are carried over
+ * from the scanned contact; the form's phone, fax and email replace the primary entries
  * @returns {Object} - Contact object
  */
 function getContactFromForm() {
+    const scanned = AppState.currentContact || {};
     return {
         name: elements.nameInput.value.trim(),
+        title: elements.titleInput.value.trim(),
         phone: elements.phoneInput.value.trim(),
+        fax: elements.faxInput.value.trim(),
         email: elements.emailInput.value.trim(),
         company: elements.companyInput.value.trim(),
-        eventTag: elements.eventTagInput.value.trim()
+        website: elements.websiteInput.value.trim(),
+        address: elements.addressInput.value.trim(),
+        phones: scanned.phones || [],
+        emails: scanned.emails || [],
+        eventTag: elements.eventTagInput.value.trim(),
+        rawText: scanned.rawText || '',
+        backRawText: scanned.backRawText || '',
+        parserVersion: scanned.parserVersion || null,
+        // Read from a vCard QR code and not shown in the form
+        notes: scanned.notes || '',
+        uid: scanned.uid || '',
+        language: scanned.language || '',
+        extraProperties: scanned.extraProperties || [],
+        sourceProperties: scanned.sourceProperties || []
     };
 }
 
@@ -530,20 +1526,29 @@ async function saveCurrentContact() {
 
     try {
         showLoading('Saving contact...');
-        
-        // Save to IndexedDB
-        const contactId = await contactManager.saveContact(contact, AppState.currentImageData);
-        
-        console.log('Contact saved with ID:', contactId);
-        
+
+        // Save to IndexedDB, or merge into a saved contact for the same person
+        const existing = await contactManager.getAllContacts();
+        const outcome = await saveWithDuplicateCheck(
+            contact, AppState.currentImageData, AppState.currentBackImageData, existing
+        );
+        if (outcome === 'cancelled') {
+            hideLoading();
+            return;
+        }
+
         // Clear form
         clearForm();
         
         // Clear preview
         elements.imagePreview.classList.add('hidden');
+        elements.previewBackImg.classList.add('hidden');
+        showPreviewWords([]);
         AppState.currentImage = null;
         AppState.currentImageData = null;
+        AppState.currentBackImageData = null;
         AppState.currentContact = null;
+        updateAddBackButton();
 
         hideLoading();
 
@@ -551,7 +1556,7 @@ async function saveCurrentContact() {
         await loadContacts();
         await loadEventTags();
 
-        alert('Contact saved successfully!');
+        alert(outcome === 'merged' ? 'Contact merged into the saved contact!' : 'Contact saved successfully!');
     } catch (error) {
         console.error('Error saving contact:', error);
         hideLoading();
@@ -563,102 +1568,200 @@ async function saveCurrentContact() {
  * Clear the contact form
  */
 function clearForm() {
+    clearScannedFields();
+    elements.eventTagInput.value = '';
+    // Hide compression badge when clearing form
+    hideCompressionBadge();
+}
+
+/**
+ * Clear the fields filled from a scanned card (everything but the event tag)
+ */
+function clearScannedFields() {
     elements.nameInput.value = '';
+    elements.titleInput.value = '';
     elements.phoneInput.value = '';
+    elements.faxInput.value = '';
     elements.emailInput.value = '';
     elements.companyInput.value = '';
-    elements.eventTagInput.value = '';
-    // Hide compression badge when clearing form
-    hideCompressionBadge();
+    elements.websiteInput.value = '';
+    elements.addressInput.value = '';
+    highlightLowConfidence(null);
 }
 
 /**
- * Load and display saved contacts
+ * Current list query from the event filter and sort selector
+ * @returns {Object} - Options for contactManager.queryContacts()
+ */
+function getContactQuery() {
+    const [sortBy, direction] = elements.contactSort.value.split(':');
+    return {
+        sortBy,
+        direction,
+        eventTag: elements.eventFilter.value,
+        pageSize: CONTACTS_PAGE_SIZE
+    };
+}
+
+/**
+ * Load and display the first page of saved contacts for the current search, filter and sort
+ * Further pages are loaded by loadMoreContacts() as the list is scrolled.
+ * A search shows all matches at once, ranked by relevance instead of the sort order.
  */
 async function loadContacts() {
+    // Pages of an older query that arrive late are dropped
+    const queryId = ++AppState.contactsQueryId;
+    const query = elements.searchInput.value.trim();
+
     try {
-        const contacts = await contactManager.getAllContacts();
-        renderContacts(contacts);
+        if (query) {
+            const results = await contactManager.search(query, { eventTag: elements.eventFilter.value });
+            if (queryId !== AppState.contactsQueryId) return;
+
+            AppState.searchTerms = new Map(results.map(result => [result.contact.id, new Set(result.terms)]));
+            AppState.contactsNextToken = null;
+            renderContacts(results.map(result => result.contact));
+            return;
+        }
+
+        const page = await contactManager.queryContacts(getContactQuery());
+        if (queryId !== AppState.contactsQueryId) return;
+
+        AppState.searchTerms = new Map();
+        AppState.contactsNextToken = page.nextToken;
+        renderContacts(page.contacts);
     } catch (error) {
         console.error('Error loading contacts:', error);
     }
 }
 
 /**
- * Filter contacts by search query and event tag
- * @param {string} query - Search query
- * @param {string} eventTag - Event tag filter
+ * Append the next page of contacts (infinite scrolling)
  */
-async function filterContacts(query, eventTag) {
-    try {
-        let contacts;
+async function loadMoreContacts() {
+    if (!AppState.contactsNextToken || AppState.contactsLoading) return;
 
-        if (eventTag) {
-            contacts = await contactManager.filterByEvent(eventTag);
-        } else {
-            contacts = await contactManager.getAllContacts();
-        }
+    const queryId = AppState.contactsQueryId;
+    AppState.contactsLoading = true;
 
-        if (query) {
-            contacts = await contactManager.searchContacts(query);
-            // Apply event filter on search results
-            if (eventTag) {
-                contacts = contacts.filter(c => c.eventTag === eventTag);
-            }
-        }
+    try {
+        const page = await contactManager.queryContacts({
+            ...getContactQuery(),
+            after: AppState.contactsNextToken
+        });
+        if (queryId !== AppState.contactsQueryId) return;
 
-        renderContacts(contacts);
+        AppState.contactsNextToken = page.nextToken;
+        AppState.contactList.appendItems(page.contacts);
     } catch (error) {
-        console.error('Error filtering contacts:', error);
+        console.error('Error loading more contacts:', error);
+    } finally {
+        AppState.contactsLoading = false;
     }
 }
 
 /**
  * Render contacts list in UI
- * @param {Array<Object>} contacts - Array of contact objects
+ * Only the rows in view are in the DOM (see VirtualList)
+ * @param {Array<Object>} contacts - First page of contacts for the current query
  */
 function renderContacts(contacts) {
-    const listElement = elements.contactsList;
-
-    if (contacts.length === 0) {
-        listElement.innerHTML = '<div class="text-center text-gray-500 dark:text-gray-400 py-8">No contacts found</div>';
-        return;
+    AppState.thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+    AppState.thumbnailUrls.clear();
+
+    if (!AppState.contactList) {
+        AppState.contactList = new VirtualList(elements.contactsList, {
+            renderItem: renderContactCard,
+            estimatedHeight: 190,
+            onNearEnd: loadMoreContacts
+        });
     }
 
-    listElement.innerHTML = contacts.map(contact => {
-        const date = new Date(contact.createdAt).toLocaleDateString();
-        
-        return `
-            <div class="border border-gray-200 dark:border-gray-700 rounded-lg p-4 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors">
-                <div class="flex justify-between items-start mb-2">
-                    <div class="flex-1">
-                        <div class="font-semibold text-lg text-gray-800 dark:text-gray-100">${escapeHtml(contact.name || 'Unnamed')}</div>
-                        ${contact.company ? `<div class="text-sm text-gray-600 dark:text-gray-400">${escapeHtml(contact.company)}</div>` : ''}
-                    </div>
-                    <button onclick="deleteContact(${contact.id})" class="text-red-500 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300 text-sm font-medium">
-                        Delete
-                    </button>
-                </div>
-                <div class="space-y-1 text-sm text-gray-600 dark:text-gray-400 mb-3">
-                    ${contact.phone ? `<div>📞 ${escapeHtml(contact.phone)}</div>` : ''}
-                    ${contact.email ? `<div>📧 ${escapeHtml(contact.email)}</div>` : ''}
-                    ${contact.eventTag ? `<div>🏷️ ${escapeHtml(contact.eventTag)}</div>` : ''}
+    const filtered = elements.searchInput.value.trim() || elements.eventFilter.value;
+    AppState.contactList.emptyHtml = `<div class="text-center text-gray-500 dark:text-gray-400 py-8">${filtered ? 'No contacts found' : 'No contacts saved yet'}</div>`;
+    AppState.contactList.setItems(contacts);
+}
+
+/**
+ * Escape text and mark the words that matched the current search
+ * @param {string} text - Field value
+ * @param {Set<string>} terms - Matched index terms of the contact (optional)
+ * @returns {string} - HTML
+ */
+function highlightMatches(text, terms) {
+    if (!terms || terms.size === 0) return escapeHtml(text);
+
+    // Odd parts are words, compared the way the index normalizes them
+    return String(text).split(/([\p{L}\p{N}]+)/u).map((part, i) => {
+        const matched = i % 2 === 1 && terms.has(searchIndex.words(part)[0]);
+        return matched ? `<mark class="bg-yellow-200 dark:bg-yellow-700 dark:text-gray-100 rounded">${escapeHtml(part)}</mark>` : escapeHtml(part);
+    }).join('');
+}
+
+/**
+ * Escape a phone number and mark it if the current search matched its digits
+ * @param {Object} phone - Entry from contactManager.getPhones()
+ * @param {Set<string>} terms - Matched index terms of the contact (optional)
+ * @returns {string} - HTML
+ */
+function highlightPhone(phone, terms) {
+    const digits = [phone.number, phone.e164].map(number => String(number || '').replace(/\D/g, ''));
+    const matched = terms && [...terms].some(term => /^\d+$/.test(term) && digits.some(d => d.endsWith(term)));
+    return matched ? `<mark class="bg-yellow-200 dark:bg-yellow-700 dark:text-gray-100 rounded">${escapeHtml(phone.number)}</mark>` : escapeHtml(phone.number);
+}
+
+/**
+ * Render one saved contact for the list
+ * @param {Object} contact - Saved contact
+ * @returns {string} - HTML
+ */
+function renderContactCard(contact) {
+    const date = new Date(contact.createdAt).toLocaleDateString();
+    const terms = AppState.searchTerms.get(contact.id);
+    
+    return `
+        <div class="border border-gray-200 dark:border-gray-700 rounded-lg p-4 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors">
+            <div class="flex justify-between items-start mb-2">
+                ${contact.thumbnail ? `
+                    <img src="${thumbnailUrl(contact)}" alt="" onclick="openContactDetail(${contact.id})"
+                        class="w-20 h-12 object-cover rounded border border-gray-300 dark:border-gray-600 mr-3 cursor-pointer">
+                ` : ''}
+                <div class="flex-1">
+                    <div class="font-semibold text-lg text-gray-800 dark:text-gray-100">${contact.name ? highlightMatches(contact.name, terms) : 'Unnamed'}</div>
+                    ${contact.title ? `<div class="text-sm text-gray-600 dark:text-gray-400">${highlightMatches(contact.title, terms)}</div>` : ''}
+                    ${contact.company ? `<div class="text-sm text-gray-600 dark:text-gray-400">${highlightMatches(contact.company, terms)}</div>` : ''}
                 </div>
-                <div class="flex gap-2 flex-wrap">
-                    <button onclick="downloadContact(${contact.id})" class="px-3 py-1 bg-blue-500 text-white text-sm rounded hover:bg-blue-600">
-                        Download .vcf
+                <div class="flex gap-3">
+                    <button onclick="openContactDetail(${contact.id})" class="text-blue-500 hover:text-blue-700 dark:text-blue-400 dark:hover:text-blue-300 text-sm font-medium">
+                        ✏️ Edit
                     </button>
-                    <button onclick="shareContactWhatsApp(${contact.id})" class="px-3 py-1 bg-green-500 text-white text-sm rounded hover:bg-green-600">
-                        📱 WhatsApp
-                    </button>
-                    <button onclick="shareContactEmail(${contact.id})" class="px-3 py-1 bg-blue-400 text-white text-sm rounded hover:bg-blue-500">
-                        📧 Email
+                    <button onclick="deleteContact(${contact.id})" class="text-red-500 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300 text-sm font-medium">
+                        Delete
                     </button>
                 </div>
-                <div class="text-xs text-gray-400 dark:text-gray-500 mt-2">Saved: ${date}</div>
             </div>
-        `;
-    }).join('');
+            <div class="space-y-1 text-sm text-gray-600 dark:text-gray-400 mb-3">
+                ${contactManager.getPhones(contact).map(phone => `<div>${phone.type === 'fax' ? '📠' : '📞'} ${highlightPhone(phone, terms)}${phone.type !== 'other' ? ` <span class="text-xs text-gray-400 dark:text-gray-500">${phone.type}</span>` : ''}</div>`).join('')}
+                ${contactManager.getEmails(contact).map(email => `<div>📧 ${highlightMatches(email.address, terms)}</div>`).join('')}
+                ${contact.website ? `<div>🌐 ${highlightMatches(contact.website, terms)}</div>` : ''}
+                ${contact.address ? `<div>📍 ${highlightMatches(contact.address, terms)}</div>` : ''}
+                ${contact.eventTag ? `<div>🏷️ ${highlightMatches(contact.eventTag, terms)}</div>` : ''}
+                ${contact.notes ? `<div class="whitespace-pre-line">📝 ${highlightMatches(contact.notes, terms)}</div>` : ''}
+            </div>
+            <div class="flex gap-2 flex-wrap">
+                <button onclick="downloadContact(${contact.id})" class="px-3 py-1 bg-blue-500 text-white text-sm rounded hover:bg-blue-600">
+                    Download .vcf
+                </button>
+                <button onclick="shareContactWhatsApp(${contact.id})" class="px-3 py-1 bg-green-500 text-white text-sm rounded hover:bg-green-600">
+                    📱 WhatsApp
+                </button>
+                <button onclick="shareContactEmail(${contact.id})" class="px-3 py-1 bg-blue-400 text-white text-sm rounded hover:bg-blue-500">
+                    📧 Email
+                </button>
+            </div>
+            <div class="text-xs text-gray-400 dark:text-gray-500 mt-2">Saved: ${date}${contact.updatedAt ? ` · Edited: ${new Date(contact.updatedAt).toLocaleDateString()}` : ''}</div>
+        </div>
+    `;
 }
 
 /**
@@ -668,6 +1771,7 @@ async function loadEventTags() {
     try {
         const tags = await contactManager.getEventTags();
         const filterElement = elements.eventFilter;
+        const selected = filterElement.value;
         
         // Clear existing options except "All Events"
         filterElement.innerHTML = '<option value="">All Events</option>';
@@ -679,6 +1783,13 @@ async function loadEventTags() {
             option.textContent = tag;
             filterElement.appendChild(option);
         });
+
+        // Keep the current filter if its tag still exists
+        if (tags.includes(selected)) {
+            filterElement.value = selected;
+        } else if (selected) {
+            await loadContacts();
+        }
     } catch (error) {
         console.error('Error loading event tags:', error);
     }
@@ -703,6 +1814,142 @@ async function deleteContact(id) {
     }
 }
 
+/**
+ * Show or clear the validation message under a detail view field
+ * @param {string} field - Contact field name
+ * @param {string} message - Error message, or '' to clear
+ */
+function showDetailError(field, message) {
+    const form = elements.contactDetailForm;
+    const input = form.querySelector(`[data-field="${field}"]`);
+    const error = form.querySelector(`[data-error-for="${field}"]`);
+    if (!input || !error) return;
+
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+    input.classList.toggle('border-red-500', !!message);
+}
+
+/**
+ * Open the detail view for a saved contact: stored card images next to editable fields
+ * @param {number} id - Contact ID
+ */
+async function openContactDetail(id) {
+    try {
+        const contact = await contactManager.getContact(id);
+        if (!contact) {
+            showToast('Contact not found');
+            return;
+        }
+
+        AppState.editingContactId = id;
+
+        elements.contactDetailForm.querySelectorAll('[data-field]').forEach(input => {
+            input.value = contact[input.dataset.field] || '';
+            showDetailError(input.dataset.field, '');
+        });
+
+        [elements.detailFrontImg, elements.detailBackImg, elements.detailNoImage, elements.detailPhotoTools].forEach(element => {
+            element.classList.add('hidden');
+        });
+        setDetailPhotoRegion(contact.photoRegion || null);
+
+        const rawText = [contact.rawText, contact.backRawText].filter(Boolean).join('\n\n— Back —\n\n');
+        elements.detailRawText.textContent = rawText;
+        elements.detailRawTextBox.classList.toggle('hidden', !rawText);
+        elements.detailRawTextBox.open = false;
+
+        const saved = `Saved: ${new Date(contact.createdAt).toLocaleString()}`;
+        elements.detailTimestamps.textContent = contact.updatedAt
+            ? `${saved} · Last edited: ${new Date(contact.updatedAt).toLocaleString()}`
+            : saved;
+
+        elements.contactDetailModal.classList.remove('hidden');
+        elements.contactDetailForm.querySelector('[data-field="name"]').focus();
+
+        // Full images are only read from the images store when the detail view opens
+        const images = await contactManager.getImages(id);
+        if (AppState.editingContactId !== id) return;
+
+        [[elements.detailFrontImg, images.front], [elements.detailBackImg, images.back]].forEach(([img, blob]) => {
+            if (!blob) return;
+            const url = URL.createObjectURL(blob);
+            AppState.detailImageUrls.push(url);
+            img.src = url;
+            img.classList.remove('hidden');
+        });
+        elements.detailNoImage.classList.toggle('hidden', !!(images.front || images.back));
+        elements.detailPhotoTools.classList.toggle('hidden', !images.front);
+    } catch (error) {
+        console.error('Error opening contact:', error);
+        alert('Error opening contact: ' + error.message);
+    }
+}
+
+/**
+ * Close the detail view without saving
+ */
+function closeContactDetail() {
+    AppState.editingContactId = null;
+    elements.contactDetailModal.classList.add('hidden');
+    elements.detailFrontImg.removeAttribute('src');
+    elements.detailBackImg.removeAttribute('src');
+    setDetailPhotoRegion(null);
+    AppState.detailImageUrls.forEach(url => URL.revokeObjectURL(url));
+    AppState.detailImageUrls = [];
+}
+
+/**
+ * Get a displayable URL for a contact's list thumbnail
+ * Cached per contact, since virtualized rows are rendered again while scrolling
+ * @param {Object} contact - Saved contact
+ * @returns {string} - Object URL (revoked on the next renderContacts()), or '' without a thumbnail
+ */
+function thumbnailUrl(contact) {
+    if (!contact.thumbnail) return '';
+
+    if (!AppState.thumbnailUrls.has(contact.id)) {
+        AppState.thumbnailUrls.set(contact.id, URL.createObjectURL(contact.thumbnail));
+    }
+    return AppState.thumbnailUrls.get(contact.id);
+}
+
+/**
+ * Validate the detail view fields and save them with updateContact()
+ */
+async function saveContactDetail() {
+    const id = AppState.editingContactId;
+    if (id === null) return;
+
+    const updates = {};
+    elements.contactDetailForm.querySelectorAll('[data-field]').forEach(input => {
+        updates[input.dataset.field] = input.value.trim();
+    });
+
+    const errors = contactManager.validateContact(updates);
+    Object.keys(updates).forEach(field => showDetailError(field, errors[field] || ''));
+
+    const invalid = Object.keys(errors);
+    if (invalid.length > 0) {
+        elements.contactDetailForm.querySelector(`[data-field="${invalid[0]}"]`).focus();
+        return;
+    }
+
+    updates.photoRegion = AppState.detailPhotoRegion;
+
+    try {
+        // Typed phone/email lists are rebuilt from the edited fields
+        await contactManager.updateContact(id, updates);
+        closeContactDetail();
+        await loadContacts();
+        await loadEventTags();
+        showToast('Contact updated');
+    } catch (error) {
+        console.error('Error updating contact:', error);
+        alert('Error updating contact: ' + error.message);
+    }
+}
+
 /**
  * Download contact as vCard
  * @param {number} id - Contact ID
@@ -711,7 +1958,9 @@ async function downloadContact(id) {
     try {
         const contact = await contactManager.getContact(id);
         if (contact) {
-            vCardHandler.download(contact);
+            // Read from the stored card image, per the vCard Photo setting
+            const photo = await vCardHandler.getPhoto(contact);
+            vCardHandler.download(contact, null, { photo });
         }
     } catch (error) {
         console.error('Error downloading contact:', error);
@@ -855,68 +2104,211 @@ function renderBatchReviewCards() {
 
     if (AppState.batchResults.length === 0) {
         elements.batchReviewList.innerHTML = '<div class="text-center text-gray-500 dark:text-gray-400 py-8">No contacts to review</div>';
+        updateRetryFailedButton();
         return;
     }
 
-    elements.batchReviewList.innerHTML = AppState.batchResults.map((result, idx) => {
-        const contact = result.contact || {};
-        const hasError = !!result.error;
-        
-        return `
-            <div class="border border-gray-200 dark:border-gray-700 rounded-lg p-4 mb-4 ${hasError ? 'bg-red-50 dark:bg-red-900/20' : 'bg-white dark:bg-gray-800'}">
-                <div class="flex items-start gap-4 mb-4">
-                    ${result.imageData ? `
-                        <img src="${escapeHtml(result.imageData)}" alt="Card ${idx + 1}" class="w-24 h-24 object-cover rounded border border-gray-300 dark:border-gray-600">
-                    ` : '<div class="w-24 h-24 bg-gray-200 dark:bg-gray-700 rounded flex items-center justify-center text-gray-400">No Image</div>'}
-                    <div class="flex-1">
-                        <div class="text-sm text-gray-600 dark:text-gray-400 mb-1">Card ${idx + 1}: ${escapeHtml(result.fileName)}</div>
-                        ${result.wasCompressed ? '<div class="text-xs text-blue-600 dark:text-blue-400 mb-1">⚡ Compressed</div>' : ''}
-                        ${hasError ? `<div class="text-xs text-red-600 dark:text-red-400 mb-1">⚠ Error: ${escapeHtml(result.error)}</div>` : ''}
-                    </div>
-                    <button onclick="removeBatchCard(${idx})" class="text-red-500 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300 text-sm font-medium">
-                        ✕ Remove
+    elements.batchReviewList.innerHTML = AppState.batchResults.map(renderBatchReviewCard).join('');
+
+    // Update save all and retry button state
+    updateSaveAllButton();
+    updateRetryFailedButton();
+}
+
+/**
+ * Render one batch review card
+ * @param {Object} result - Entry from AppState.batchResults
+ * @param {number} idx - Index of the entry
+ * @returns {string} - HTML string
+ */
+function renderBatchReviewCard(result, idx) {
+    const contact = result.contact || {};
+    const hasError = !!result.error;
+    const lowFields = ['name', 'title', 'company', 'phone', 'fax', 'email', 'website', 'address'].filter(field => getLowConfidence(contact, field));
+    const flagClass = (field) => getLowConfidence(contact, field) ? 'ring-2 ring-yellow-400' : '';
+    const flagTitle = (field) => getLowConfidence(contact, field) ? escapeHtml(describeConfidence(getLowConfidence(contact, field))) : '';
+    
+    return `
+        <div id="batch-card-${idx}" class="border border-gray-200 dark:border-gray-700 rounded-lg p-4 mb-4 ${hasError ? 'bg-red-50 dark:bg-red-900/20' : 'bg-white dark:bg-gray-800'}">
+            <div class="flex items-start gap-4 mb-4">
+                ${result.imageData ? `
+                    <img src="${escapeHtml(result.imageData)}" alt="Card ${idx + 1}" class="w-24 h-24 object-cover rounded border border-gray-300 dark:border-gray-600">
+                ` : '<div class="w-24 h-24 bg-gray-200 dark:bg-gray-700 rounded flex items-center justify-center text-gray-400">No Image</div>'}
+                ${result.backImageData ? `
+                    <img src="${escapeHtml(result.backImageData)}" alt="Card ${idx + 1} back" class="w-24 h-24 object-cover rounded border border-gray-300 dark:border-gray-600">
+                ` : ''}
+                <div class="flex-1">
+                    <div class="text-sm text-gray-600 dark:text-gray-400 mb-1">Card ${idx + 1}: ${escapeHtml(result.fileName)}</div>
+                    ${result.wasCompressed ? '<div class="text-xs text-blue-600 dark:text-blue-400 mb-1">⚡ Compressed</div>' : ''}
+                    ${hasError ? `<div class="text-xs text-red-600 dark:text-red-400 mb-1">⚠ Error: ${escapeHtml(result.error)}</div>` : ''}
+                    ${lowFields.length > 0 ? `<div class="text-xs text-yellow-600 dark:text-yellow-400 mb-1">⚠ Check ${lowFields.length} field(s): ${lowFields.join(', ')}</div>` : ''}
+                    ${result.conflicts && result.conflicts.length > 0 ? `<div class="text-xs text-yellow-600 dark:text-yellow-400 mb-1">⚠ Sides differ: ${escapeHtml(describeConflicts(result.conflicts))}</div>` : ''}
+                </div>
+                ${hasError && result.files ? `
+                    <button onclick="retryBatchCard(${idx})" class="text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300 text-sm font-medium">
+                        ↻ Retry
                     </button>
+                ` : ''}
+                <button onclick="removeBatchCard(${idx})" class="text-red-500 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300 text-sm font-medium">
+                    ✕ Remove
+                </button>
+            </div>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <div>
+                    <label class="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Name *${confidenceBadge(contact, 'name')}</label>
+                    <input type="text" id="batch-name-${idx}" value="${escapeHtml(contact.name || '')}" 
+                        oninput="updateSaveAllButton()"
+                        class="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${flagClass('name')}"
+                        title="${flagTitle('name')}">
                 </div>
-                <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
-                    <div>
-                        <label class="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Name *</label>
-                        <input type="text" id="batch-name-${idx}" value="${escapeHtml(contact.name || '')}" 
-                            oninput="updateSaveAllButton()"
-                            class="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent">
-                    </div>
-                    <div>
-                        <label class="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Company</label>
-                        <div class="flex gap-1">
-                            <input type="text" id="batch-company-${idx}" value="${escapeHtml(contact.company || '')}" 
-                                class="flex-1 px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent">
-                            <button onclick="swapNameCompany(${idx})" class="px-2 py-2 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors" title="Swap Name ↔ Company">
-                                ⇄
-                            </button>
-                        </div>
-                    </div>
-                    <div>
-                        <label class="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Phone</label>
-                        <input type="tel" id="batch-phone-${idx}" value="${escapeHtml(contact.phone || '')}" 
-                            class="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent">
-                    </div>
-                    <div>
-                        <label class="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Email</label>
-                        <input type="email" id="batch-email-${idx}" value="${escapeHtml(contact.email || '')}" 
-                            class="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent">
-                    </div>
-                    <div class="md:col-span-2">
-                        <label class="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Event Tag</label>
-                        <input type="text" id="batch-tag-${idx}" value="${escapeHtml(contact.eventTag || '')}" 
-                            placeholder="e.g., Edu Summit 2025"
-                            class="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+                <div>
+                    <label class="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Company${confidenceBadge(contact, 'company')}</label>
+                    <div class="flex gap-1">
+                        <input type="text" id="batch-company-${idx}" value="${escapeHtml(contact.company || '')}" 
+                            class="flex-1 px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${flagClass('company')}"
+                            title="${flagTitle('company')}">
+                        <button onclick="swapNameCompany(${idx})" class="px-2 py-2 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors" title="Swap Name ↔ Company">
+                            ⇄
+                        </button>
                     </div>
                 </div>
+                <div>
+                    <label class="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Job Title${confidenceBadge(contact, 'title')}</label>
+                    <input type="text" id="batch-title-${idx}" value="${escapeHtml(contact.title || '')}" 
+                        class="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${flagClass('title')}"
+                        title="${flagTitle('title')}">
+                </div>
+                <div>
+                    <label class="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Phone${confidenceBadge(contact, 'phone')}</label>
+                    <input type="tel" id="batch-phone-${idx}" value="${escapeHtml(contact.phone || '')}" 
+                        class="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${flagClass('phone')}"
+                        title="${flagTitle('phone')}">
+                </div>
+                <div>
+                    <label class="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Fax${confidenceBadge(contact, 'fax')}</label>
+                    <input type="tel" id="batch-fax-${idx}" value="${escapeHtml(contact.fax || '')}" 
+                        class="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${flagClass('fax')}"
+                        title="${flagTitle('fax')}">
+                </div>
+                <div>
+                    <label class="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Email${confidenceBadge(contact, 'email')}</label>
+                    <input type="email" id="batch-email-${idx}" value="${escapeHtml(contact.email || '')}" 
+                        class="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${flagClass('email')}"
+                        title="${flagTitle('email')}">
+                </div>
+                <div>
+                    <label class="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Website${confidenceBadge(contact, 'website')}</label>
+                    <input type="url" id="batch-website-${idx}" value="${escapeHtml(contact.website || '')}" 
+                        class="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${flagClass('website')}"
+                        title="${flagTitle('website')}">
+                </div>
+                <div class="md:col-span-2">
+                    <label class="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Address${confidenceBadge(contact, 'address')}</label>
+                    <input type="text" id="batch-address-${idx}" value="${escapeHtml(contact.address || '')}" 
+                        class="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${flagClass('address')}"
+                        title="${flagTitle('address')}">
+                </div>
+                <div class="md:col-span-2">
+                    <label class="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Event Tag</label>
+                    <input type="text" id="batch-tag-${idx}" value="${escapeHtml(contact.eventTag || '')}" 
+                        placeholder="e.g., Edu Summit 2025"
+                        class="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+                </div>
             </div>
-        `;
-    }).join('');
+            ${renderOcrLines(result, idx)}
+        </div>
+    `;
+}
+
+/**
+ * OCR lines of a batch card, front then back
+ * @param {Object} result - Entry from AppState.batchResults
+ * @returns {Array<Object>} - [{ text, type, confidence }] from ocrProcessor.getLines()
+ */
+function getBatchCardLines(result) {
+    const contact = result.contact || {};
+    return [contact.rawText, contact.backRawText].flatMap(text => ocrProcessor.getLines(text));
+}
+
+/**
+ * Render the OCR lines of a batch card with their detected type and a field picker each
+ * @param {Object} result - Entry from AppState.batchResults
+ * @param {number} idx - Index of the entry
+ * @returns {string} - HTML string ('' for cards without OCR text, e.g. QR codes)
+ */
+function renderOcrLines(result, idx) {
+    const lines = getBatchCardLines(result);
+    if (lines.length === 0) return '';
+
+    const labels = {
+        name: 'Name', company: 'Company', title: 'Title', phone: 'Phone', fax: 'Fax',
+        email: 'Email', website: 'Website', address: 'Address'
+    };
+    const typeLabel = (type) => type === 'name_or_company' ? 'name/company' : type;
+
+    return `
+        <details class="mt-3">
+            <summary class="cursor-pointer text-sm font-medium text-gray-700 dark:text-gray-300">📝 Scanned lines (${lines.length}) - pick the field for any line the parser got wrong</summary>
+            <div class="mt-2 space-y-1">
+                ${lines.map((line, i) => `
+                    <div class="flex items-center gap-2 text-sm">
+                        <span class="w-24 shrink-0 px-1.5 py-0.5 text-xs text-center rounded bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400" title="Detected type">${typeLabel(line.type)}</span>
+                        <span class="flex-1 min-w-0 break-words text-gray-800 dark:text-gray-200">${escapeHtml(line.text)}</span>
+                        <select id="batch-line-${idx}-${i}" onchange="assignOcrLine(${idx}, ${i}, this.value)"
+                            class="px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 rounded">
+                            <option value="">Not used</option>
+                            ${ocrProcessor.assignableFields.map(field => `
+                                <option value="${field}" ${ocrProcessor.getLineField(line.text, result.contact) === field ? 'selected' : ''}>${labels[field]}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                `).join('')}
+            </div>
+        </details>
+    `;
+}
+
+/**
+ * Put an OCR line into a field of a batch card (see ocrProcessor.assignLine())
+ * @param {number} index - Index of the batch result
+ * @param {number} lineIndex - Index in getBatchCardLines()
+ * @param {string} field - Field to fill, or '' to leave the line unused
+ */
+function assignOcrLine(index, lineIndex, field) {
+    const result = AppState.batchResults[index];
+    const line = result && getBatchCardLines(result)[lineIndex];
+    if (!line) return;
+
+    const values = ocrProcessor.assignLine(readBatchCardContact(index), line.text, field);
+    applyOcrAssignment(values, field, (name) => document.getElementById(`batch-${name}-${index}`));
+
+    // Other lines may have lost their field
+    getBatchCardLines(result).forEach((other, i) => {
+        const select = document.getElementById(`batch-line-${index}-${i}`);
+        if (select) select.value = ocrProcessor.getLineField(other.text, values);
+    });
 
-    // Update save all button state
     updateSaveAllButton();
+    scheduleBatchSessionSave();
+}
+
+/**
+ * Write the fields changed by an OCR line or area assignment into form inputs
+ * @param {Object} values - Field values after the assignment
+ * @param {string} field - Field the user picked ('' if none)
+ * @param {Function} input - (field) => input element of that field
+ */
+function applyOcrAssignment(values, field, input) {
+    ocrProcessor.assignableFields.forEach(name => {
+        const element = input(name);
+        if (element && element.value.trim() !== values[name]) element.value = values[name] || '';
+    });
+
+    if (field) {
+        // The user picked this value, so it no longer needs a review
+        input(field).classList.remove('ring-2', 'ring-yellow-400');
+        input(field).title = '';
+    }
 }
 
 /**
@@ -935,6 +2327,7 @@ function swapNameCompany(index) {
         companyInput.value = temp;
         // Update save button state after swap
         updateSaveAllButton();
+        scheduleBatchSessionSave();
     }
 }
 
@@ -945,8 +2338,11 @@ function swapNameCompany(index) {
 function removeBatchCard(index) {
     if (index < 0 || index >= AppState.batchResults.length) return;
     
+    // Keep edits in the other cards across the re-render
+    syncBatchEdits();
     AppState.batchResults.splice(index, 1);
     renderBatchReviewCards();
+    scheduleBatchSessionSave();
 }
 
 /**
@@ -966,6 +2362,97 @@ function updateSaveAllButton() {
         : '💾 Save All Contacts (None selected)';
 }
 
+/**
+ * Read the (possibly edited) fields of a batch review card
+ * @param {number} index - Index of the batch result
+ * @returns {Object|null} - Contact object, or null if the card isn't rendered
+ */
+function readBatchCardContact(index) {
+    const result = AppState.batchResults[index];
+    const nameInput = document.getElementById(`batch-name-${index}`);
+    if (!result || !nameInput) return null;
+
+    const value = (field) => {
+        const input = document.getElementById(`batch-${field}-${index}`);
+        return input ? input.value.trim() : '';
+    };
+
+    return {
+        name: nameInput.value.trim(),
+        title: value('title'),
+        phone: value('phone'),
+        fax: value('fax'),
+        email: value('email'),
+        company: value('company'),
+        website: value('website'),
+        address: value('address'),
+        // Extra numbers/addresses from the card; edited primaries replace their entries
+        phones: (result.contact && result.contact.phones) || [],
+        emails: (result.contact && result.contact.emails) || [],
+        eventTag: value('tag'),
+        // OCR text of the card, kept for re-parsing
+        rawText: (result.contact && result.contact.rawText) || '',
+        backRawText: (result.contact && result.contact.backRawText) || '',
+        parserVersion: (result.contact && result.contact.parserVersion) || null,
+        // Read from a vCard QR code and not shown on the card
+        notes: (result.contact && result.contact.notes) || '',
+        uid: (result.contact && result.contact.uid) || '',
+        language: (result.contact && result.contact.language) || '',
+        extraProperties: (result.contact && result.contact.extraProperties) || [],
+        sourceProperties: (result.contact && result.contact.sourceProperties) || []
+    };
+}
+
+/**
+ * Copy review card edits into AppState.batchResults
+ * Keeps edits when cards are re-rendered and lets the session store them
+ */
+function syncBatchEdits() {
+    AppState.batchResults.forEach((result, i) => {
+        const edited = readBatchCardContact(i);
+        if (edited) {
+            result.contact = { ...result.contact, ...edited };
+        }
+    });
+}
+
+/**
+ * Save the batch session (results + review edits) shortly after the last change
+ */
+function scheduleBatchSessionSave() {
+    clearTimeout(AppState.sessionSaveTimer);
+    AppState.sessionSaveTimer = setTimeout(async () => {
+        syncBatchEdits();
+        try {
+            await batchSessionManager.saveResults(AppState.batchResults);
+        } catch (error) {
+            console.error('Failed to save batch session:', error);
+        }
+    }, 500);
+}
+
+/**
+ * Offer to resume an unfinished batch review from a previous visit
+ */
+async function offerBatchResume() {
+    try {
+        const session = await batchSessionManager.getUnfinished();
+        if (!session || session.items.length === 0) return;
+
+        const when = new Date(session.updatedAt).toLocaleString();
+        if (!confirm(`Resume the unfinished batch of ${session.items.length} card(s) from ${when}?`)) {
+            await batchSessionManager.discard();
+            return;
+        }
+
+        AppState.batchResults = batchSessionManager.resume(session);
+        await batchSessionManager.saveResults(AppState.batchResults);
+        showBatchReview();
+    } catch (error) {
+        console.error('Failed to restore batch session:', error);
+    }
+}
+
 /**
  * Save all batch contacts to IndexedDB
  */
@@ -975,25 +2462,16 @@ async function saveAllBatchContacts() {
     // Collect all valid contacts from review cards
     for (let i = 0; i < AppState.batchResults.length; i++) {
         const result = AppState.batchResults[i];
-        const nameInput = document.getElementById(`batch-name-${i}`);
-        const phoneInput = document.getElementById(`batch-phone-${i}`);
-        const emailInput = document.getElementById(`batch-email-${i}`);
-        const companyInput = document.getElementById(`batch-company-${i}`);
-        const tagInput = document.getElementById(`batch-tag-${i}`);
+        const contact = readBatchCardContact(i);
 
-        if (!nameInput || !nameInput.value.trim()) {
+        if (!contact || !contact.name) {
             continue; // Skip contacts without names
         }
 
         contactsToSave.push({
-            contact: {
-                name: nameInput.value.trim(),
-                phone: phoneInput ? phoneInput.value.trim() : '',
-                email: emailInput ? emailInput.value.trim() : '',
-                company: companyInput ? companyInput.value.trim() : '',
-                eventTag: tagInput ? tagInput.value.trim() : ''
-            },
-            imageData: result.imageData
+            contact: contact,
+            imageData: result.imageData,
+            backImageData: result.backImageData
         });
     }
 
@@ -1003,15 +2481,25 @@ async function saveAllBatchContacts() {
     }
 
     try {
-        showLoading(`Saving ${contactsToSave.length} contact(s)...`);
-
-        // Save all contacts
-        for (const item of contactsToSave) {
-            await contactManager.saveContact(item.contact, item.imageData);
+        // Each card is checked against the library and the cards saved before it
+        const existing = await contactManager.getAllContacts();
+        const counts = { saved: 0, merged: 0, cancelled: 0 };
+
+        for (let i = 0; i < contactsToSave.length; i++) {
+            const item = contactsToSave[i];
+            showLoading(`Saving contact ${i + 1} of ${contactsToSave.length}...`);
+            const outcome = await saveWithDuplicateCheck(item.contact, item.imageData, item.backImageData, existing, {
+                title: `Possible Duplicate (card ${i + 1} of ${contactsToSave.length})`,
+                cancelLabel: 'Skip Card'
+            });
+            counts[outcome]++;
         }
 
         hideLoading();
-        showToast(`✓ Saved ${contactsToSave.length} contact(s) successfully`);
+        const summary = [`✓ Saved ${counts.saved} contact(s)`];
+        if (counts.merged > 0) summary.push(`merged ${counts.merged}`);
+        if (counts.cancelled > 0) summary.push(`skipped ${counts.cancelled}`);
+        showToast(summary.join(', '));
 
         // Hide batch review and show main form
         hideBatchReview();
@@ -1022,6 +2510,7 @@ async function saveAllBatchContacts() {
 
         // Clear batch results
         AppState.batchResults = [];
+        await batchSessionManager.discard();
     } catch (error) {
         console.error('Error saving batch contacts:', error);
         hideLoading();
@@ -1029,6 +2518,23 @@ async function saveAllBatchContacts() {
     }
 }
 
+/**
+ * Close the batch review without saving and forget the stored session
+ */
+async function discardBatchReview() {
+    if (AppState.batchResults.length > 0 && !confirm(`Discard ${AppState.batchResults.length} scanned card(s)?`)) {
+        return;
+    }
+
+    AppState.batchResults = [];
+    hideBatchReview();
+    try {
+        await batchSessionManager.discard();
+    } catch (error) {
+        console.error('Failed to discard batch session:', error);
+    }
+}
+
 /**
  * Hide batch review screen
  */
@@ -1041,6 +2547,493 @@ function hideBatchReview() {
     }
 }
 
+/**
+ * Ask how to merge two contacts that may be the same person
+ * Only fields filled differently on both sides are offered; the rest are merged automatically
+ * @param {Object} existing - Saved contact that is kept
+ * @param {Object} incoming - New or duplicate contact
+ * @param {Object} match - { reasons } from duplicateFinder
+ * @param {Object} options - { title, incomingLabel, keepLabel, cancelLabel }
+ * @returns {Promise<Object>} - { action: 'merge'|'keep'|'cancel', choices: { field: 'existing'|'incoming' } }
+ */
+function showMergeDialog(existing, incoming, match, options = {}) {
+    const labels = {
+        name: 'Name', title: 'Job Title', company: 'Company', phone: 'Phone', fax: 'Fax',
+        email: 'Email', website: 'Website', address: 'Address', eventTag: 'Event Tag', image: 'Card Image'
+    };
+    const sides = { existing, incoming };
+    const sideLabels = { existing: 'Saved contact', incoming: options.incomingLabel || 'New scan' };
+
+    const renderChoice = (field, side, content) => `
+        <label class="flex items-start gap-2 p-2 border border-gray-200 dark:border-gray-700 rounded cursor-pointer text-sm text-gray-800 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700">
+            <input type="radio" name="merge-${field}" value="${side}" data-field="${field}" ${side === 'existing' ? 'checked' : ''} class="mt-1">
+            <span class="break-words min-w-0">${content}</span>
+        </label>
+    `;
+    const renderRow = (field, render) => `
+        <div>
+            <div class="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">${labels[field]}</div>
+            <div class="grid grid-cols-2 gap-2">
+                ${['existing', 'incoming'].map(side => renderChoice(field, side, render(sides[side]))).join('')}
+            </div>
+        </div>
+    `;
+
+    const rows = duplicateFinder.getConflictingFields(existing, incoming)
+        .map(field => renderRow(field, contact => escapeHtml(contact[field])));
+
+    // New scans carry their image as a data URL; saved contacts only a thumbnail
+    const imageUrl = (contact) => (typeof contact.imageData === 'string' && contact.imageData) || thumbnailUrl(contact);
+    const imageUrls = new Map([[existing, imageUrl(existing)], [incoming, imageUrl(incoming)]]);
+    if (imageUrls.get(existing) && imageUrls.get(incoming)) {
+        rows.push(renderRow('image', contact => `<img src="${imageUrls.get(contact)}" class="max-h-24 rounded" alt="Card">`));
+    }
+
+    elements.mergeTitle.textContent = options.title || 'Possible Duplicate';
+    const saved = new Date(existing.createdAt).toLocaleDateString();
+    elements.mergeReason.textContent = `${duplicateFinder.describeReasons(match.reasons)} as "${existing.name || 'Unnamed'}"` +
+        ` (saved ${saved}${existing.eventTag ? `, ${existing.eventTag}` : ''})`;
+    elements.mergeFields.innerHTML = rows.length > 0
+        ? `<div class="grid grid-cols-2 gap-2 text-xs font-semibold text-gray-500 dark:text-gray-400">
+               <div>${sideLabels.existing}</div><div>${escapeHtml(sideLabels.incoming)}</div>
+           </div>${rows.join('')}`
+        : '<div class="text-sm text-gray-600 dark:text-gray-400">No conflicting fields. Merging adds any new details, phone numbers and emails to the saved contact.</div>';
+
+    elements.btnMergeKeep.textContent = options.keepLabel || 'Save as New';
+    elements.btnMergeCancel.textContent = options.cancelLabel || 'Cancel';
+
+    hideLoading();
+    elements.mergeModal.classList.remove('hidden');
+
+    return new Promise(resolve => {
+        AppState.mergeResolve = resolve;
+    });
+}
+
+/**
+ * Close the merge dialog with the chosen action
+ * @param {string} action - 'merge', 'keep' or 'cancel'
+ */
+function closeMergeDialog(action) {
+    const choices = {};
+    elements.mergeFields.querySelectorAll('input[type="radio"]:checked').forEach(input => {
+        choices[input.dataset.field] = input.value;
+    });
+
+    elements.mergeModal.classList.add('hidden');
+    elements.mergeFields.innerHTML = '';
+
+    const resolve = AppState.mergeResolve;
+    AppState.mergeResolve = null;
+    if (resolve) resolve({ action, choices });
+}
+
+/**
+ * Save a contact, first offering to merge it into a saved contact for the same person
+ * @param {Object} contact - Contact to save
+ * @param {string} imageData - Front image (optional)
+ * @param {string} backImageData - Back image (optional)
+ * @param {Array<Object>} existing - Saved contacts to check; updated in place with the result
+ * @param {Object} options - Merge dialog options (see showMergeDialog)
+ * @returns {Promise<string>} - 'saved', 'merged' or 'cancelled'
+ */
+async function saveWithDuplicateCheck(contact, imageData, backImageData, existing, options = {}) {
+    const [match] = duplicateFinder.findMatches(contact, existing);
+
+    let action = 'keep';
+    let choices = {};
+    if (match) {
+        ({ action, choices } = await showMergeDialog(
+            match.contact, { ...contact, imageData, backImageData }, match, options
+        ));
+    }
+
+    if (action === 'cancel') return 'cancelled';
+
+    if (action === 'merge') {
+        const updates = duplicateFinder.merge(match.contact, { ...contact, imageData, backImageData }, choices);
+        await contactManager.updateContact(match.contact.id, updates);
+        existing[existing.indexOf(match.contact)] = await contactManager.getContact(match.contact.id);
+        return 'merged';
+    }
+
+    const id = await contactManager.saveContact(contact, imageData, backImageData);
+    existing.push(await contactManager.getContact(id));
+    return 'saved';
+}
+
+/**
+ * Library-wide duplicate check: walk through likely duplicate pairs and merge them
+ * The newer contact of a merged pair is deleted
+ */
+async function findDuplicateContacts() {
+    try {
+        const pairs = duplicateFinder.findAllDuplicates(await contactManager.getAllContacts());
+        if (pairs.length === 0) {
+            showToast('No duplicates found');
+            return;
+        }
+
+        const removed = new Set();
+        let merged = 0;
+
+        for (let i = 0; i < pairs.length; i++) {
+            const pair = pairs[i];
+            if (removed.has(pair.existing.id) || removed.has(pair.duplicate.id)) continue;
+
+            // Earlier merges may have changed either contact
+            const existing = await contactManager.getContact(pair.existing.id);
+            const duplicate = await contactManager.getContact(pair.duplicate.id);
+
+            const { action, choices } = await showMergeDialog(existing, duplicate, pair, {
+                title: `Duplicate ${i + 1} of ${pairs.length}`,
+                incomingLabel: `Contact saved ${new Date(duplicate.createdAt).toLocaleDateString()}`,
+                keepLabel: 'Keep Both',
+                cancelLabel: 'Stop'
+            });
+
+            if (action === 'cancel') break;
+            if (action === 'merge') {
+                // The duplicate's full images are only needed if they are kept
+                const images = await contactManager.getImages(duplicate.id);
+                const incoming = { ...duplicate, imageData: images.front, backImageData: images.back };
+                await contactManager.updateContact(existing.id, duplicateFinder.merge(existing, incoming, choices));
+                await contactManager.deleteContact(duplicate.id);
+                removed.add(duplicate.id);
+                merged++;
+            }
+        }
+
+        await loadContacts();
+        await loadEventTags();
+        showToast(merged > 0 ? `✓ Merged ${merged} duplicate(s)` : 'No contacts merged');
+    } catch (error) {
+        console.error('Error finding duplicates:', error);
+        alert('Error finding duplicates: ' + error.message);
+    }
+}
+
+/**
+ * Show the fields a re-parse would change and let the user pick which to apply
+ * @param {Object} contact - Saved contact
+ * @param {Array<Object>} changes - From ocrProcessor.getReparseChanges()
+ * @param {Object} options - { title, skipLabel, cancelLabel } (optional)
+ * @returns {Promise<Object>} - { action: 'apply'|'skip'|'cancel', fields: Array<string> }
+ */
+function showReparseDialog(contact, changes, options = {}) {
+    const labels = {
+        name: 'Name', title: 'Job Title', company: 'Company', phone: 'Phone', fax: 'Fax',
+        email: 'Email', website: 'Website', address: 'Address'
+    };
+
+    elements.reparseTitle.textContent = options.title || 'Re-parse Contact';
+    const version = contact.parserVersion ? `parser v${contact.parserVersion}` : 'an unknown parser version';
+    elements.reparseSummary.textContent = `"${contact.name || 'Unnamed'}" was read with ${version}; ` +
+        `parser v${ocrProcessor.parserVersion} reads ${changes.length} field(s) differently.`;
+
+    elements.reparseFields.innerHTML = changes.map(change => `
+        <label class="flex items-start gap-3 p-2 border border-gray-200 dark:border-gray-700 rounded cursor-pointer text-sm hover:bg-gray-50 dark:hover:bg-gray-700">
+            <input type="checkbox" data-field="${change.field}" checked class="mt-1">
+            <div class="min-w-0 flex-1">
+                <div class="font-medium text-gray-700 dark:text-gray-300">${labels[change.field]}</div>
+                <div class="text-red-700 dark:text-red-400 line-through break-words">${change.current ? escapeHtml(change.current) : '<span class="italic no-underline">empty</span>'}</div>
+                <div class="text-green-700 dark:text-green-400 break-words">${escapeHtml(change.parsed)}</div>
+            </div>
+        </label>
+    `).join('');
+
+    elements.btnReparseSkip.textContent = options.skipLabel || 'Skip';
+    elements.btnReparseSkip.classList.toggle('hidden', !options.skipLabel);
+    elements.btnReparseCancel.textContent = options.cancelLabel || 'Cancel';
+
+    hideLoading();
+    elements.reparseModal.classList.remove('hidden');
+
+    return new Promise(resolve => {
+        AppState.reparseResolve = resolve;
+    });
+}
+
+/**
+ * Close the re-parse dialog with the chosen action
+ * @param {string} action - 'apply', 'skip' or 'cancel'
+ */
+function closeReparseDialog(action) {
+    const fields = Array.from(elements.reparseFields.querySelectorAll('input[type="checkbox"]:checked'))
+        .map(input => input.dataset.field);
+
+    elements.reparseModal.classList.add('hidden');
+    elements.reparseFields.innerHTML = '';
+
+    const resolve = AppState.reparseResolve;
+    AppState.reparseResolve = null;
+    if (resolve) resolve({ action, fields });
+}
+
+/**
+ * Build the updates for the re-parsed fields the user picked
+ * @param {Object} contact - Saved contact
+ * @param {Object} parsed - From ocrProcessor.reparse()
+ * @param {Array<Object>} changes - From ocrProcessor.getReparseChanges()
+ * @param {Array<string>} fields - Fields chosen in the re-parse dialog
+ * @returns {Object} - Updates for contactManager.updateContact()
+ */
+function buildReparseUpdates(contact, parsed, changes, fields) {
+    const updates = { parserVersion: ocrProcessor.parserVersion };
+    changes
+        .filter(change => fields.includes(change.field))
+        .forEach(change => {
+            updates[change.field] = change.parsed;
+        });
+
+    // Numbers and addresses read from the card lead the lists; the replaced
+    // primaries are dropped, other saved entries (e.g. from merges) are kept
+    if ('phone' in updates || 'fax' in updates) {
+        updates.phones = [
+            ...parsed.phones,
+            ...contactManager.getPhones(contact).filter(phone => phone.number !== contact.phone && phone.number !== contact.fax)
+        ];
+    }
+    if ('email' in updates) {
+        updates.emails = [
+            ...parsed.emails,
+            ...contactManager.getEmails(contact).filter(email => email.address !== contact.email)
+        ];
+    }
+
+    return updates;
+}
+
+/**
+ * Re-parse the contact open in the detail view and show what would change
+ */
+async function reparseOpenContact() {
+    const id = AppState.editingContactId;
+    if (id === null) return;
+
+    try {
+        const contact = await contactManager.getContact(id);
+        const parsed = ocrProcessor.reparse(contact);
+        const changes = parsed ? ocrProcessor.getReparseChanges(contact, parsed) : [];
+        if (changes.length === 0) {
+            showToast('The current parser reads this card the same way');
+            return;
+        }
+
+        const { action, fields } = await showReparseDialog(contact, changes);
+        if (action !== 'apply' || fields.length === 0) return;
+
+        await contactManager.updateContact(id, buildReparseUpdates(contact, parsed, changes, fields));
+        // Show the new values (unsaved edits in the form are replaced)
+        await openContactDetail(id);
+        await loadContacts();
+        showToast(`✓ Updated ${fields.length} field(s)`);
+    } catch (error) {
+        console.error('Error re-parsing contact:', error);
+        alert('Error re-parsing contact: ' + error.message);
+    }
+}
+
+/**
+ * Re-parse every contact read by an older parser version and walk through the changes
+ * Contacts the current parser reads the same way are left untouched
+ */
+async function reparseAllContacts() {
+    try {
+        showLoading('Re-parsing saved contacts...');
+        const outdated = (await contactManager.getAllContacts()).filter(contact =>
+            (contact.rawText || contact.backRawText) && (contact.parserVersion || 0) < ocrProcessor.parserVersion
+        );
+
+        const pending = [];
+        outdated.forEach(contact => {
+            const parsed = ocrProcessor.reparse(contact);
+            const changes = parsed ? ocrProcessor.getReparseChanges(contact, parsed) : [];
+            if (changes.length > 0) pending.push({ contact, parsed, changes });
+        });
+        hideLoading();
+
+        if (pending.length === 0) {
+            showToast(outdated.length > 0 ? 'The current parser finds no changes' : 'All contacts were read by the current parser');
+            return;
+        }
+
+        let updated = 0;
+        for (let i = 0; i < pending.length; i++) {
+            const { contact, parsed, changes } = pending[i];
+            const { action, fields } = await showReparseDialog(contact, changes, {
+                title: `Re-parse ${i + 1} of ${pending.length}`,
+                skipLabel: 'Skip',
+                cancelLabel: 'Stop'
+            });
+
+            if (action === 'cancel') break;
+            if (action === 'apply' && fields.length > 0) {
+                await contactManager.updateContact(contact.id, buildReparseUpdates(contact, parsed, changes, fields));
+                updated++;
+            }
+        }
+
+        await loadContacts();
+        showToast(updated > 0 ? `✓ Updated ${updated} contact(s)` : 'No contacts updated');
+    } catch (error) {
+        console.error('Error re-parsing contacts:', error);
+        hideLoading();
+        alert('Error re-parsing contacts: ' + error.message);
+    }
+}
+
+/**
+ * Read a chosen .vcf or CSV file and show the import preview
+ * @param {File} file - File from the import input
+ */
+async function handleImportFile(file) {
+    try {
+        showLoading('Reading file...');
+        const data = await contactImporter.readFile(file);
+        if (data.format === 'vcard' && data.contacts.length === 0) {
+            hideLoading();
+            showToast('No contacts found in the file');
+            return;
+        }
+
+        AppState.importData = { ...data, fileName: file.name, existing: await contactManager.getAllContacts() };
+        renderImportMapping();
+        renderImportPreview();
+        hideLoading();
+        elements.importModal.classList.remove('hidden');
+    } catch (error) {
+        console.error('Error reading import file:', error);
+        hideLoading();
+        alert('Error reading import file: ' + error.message);
+    } finally {
+        // Choosing the same file again fires change again
+        elements.importInput.value = '';
+    }
+}
+
+/**
+ * Render a field selector per CSV column, with the first row's value as a sample
+ */
+function renderImportMapping() {
+    const data = AppState.importData;
+    const isCsv = data.format === 'csv';
+    elements.importMapping.classList.toggle('hidden', !isCsv);
+    if (!isCsv) {
+        elements.importMapping.innerHTML = '';
+        return;
+    }
+
+    const options = Object.entries(contactImporter.fields);
+    elements.importMapping.innerHTML = data.headers.map((header, column) => {
+        const sample = data.rows.length > 0 ? String(data.rows[0][column] || '') : '';
+        return `
+            <label class="flex items-center gap-2 text-sm">
+                <span class="min-w-0 flex-1">
+                    <span class="block font-medium text-gray-700 dark:text-gray-300 truncate">${escapeHtml(header || `Column ${column + 1}`)}</span>
+                    <span class="block text-xs text-gray-500 dark:text-gray-400 truncate">${escapeHtml(sample)}</span>
+                </span>
+                <select data-column="${column}" class="px-2 py-1 border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 rounded text-sm">
+                    ${options.map(([field, label]) => `<option value="${field}"${data.mapping[column] === field ? ' selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </label>
+        `;
+    }).join('');
+}
+
+/**
+ * Map a CSV column to another field and rebuild the preview
+ * @param {number} column - Column index
+ * @param {string} field - Contact field ('' to skip the column)
+ */
+function setImportColumn(column, field) {
+    const data = AppState.importData;
+    if (!data) return;
+    data.mapping[column] = field;
+    data.contacts = contactImporter.mapRows(data.rows, data.mapping, data.headers);
+    renderImportPreview();
+}
+
+/**
+ * Render the contacts to import with a checkbox each
+ * Likely duplicates of saved contacts (or of an earlier contact in the file) are flagged and unchecked
+ */
+function renderImportPreview() {
+    const data = AppState.importData;
+    data.entries = contactImporter.findDuplicates(data.contacts, data.existing);
+    const duplicates = data.entries.filter(entry => entry.duplicate).length;
+
+    elements.importSummary.textContent = `${data.entries.length} contact(s) in "${data.fileName}"` +
+        (duplicates > 0 ? `; ${duplicates} look like duplicates and are not selected.` : '.');
+
+    elements.importPreview.innerHTML = data.entries.length === 0
+        ? '<div class="text-center text-gray-500 dark:text-gray-400 py-4">No contacts with these columns. Map a column to a name, company, phone or email.</div>'
+        : data.entries.map(({ contact, duplicate, inFile, reasons }, index) => {
+            const details = [contact.title, contact.company, contact.phone, contact.email].filter(Boolean).map(escapeHtml).join(' • ');
+            const flag = duplicate
+                ? `<div class="text-yellow-700 dark:text-yellow-400">⚠ ${escapeHtml(duplicateFinder.describeReasons(reasons))} as ` +
+                    `"${escapeHtml(duplicate.name || duplicate.company || 'Unnamed')}"${inFile ? ' earlier in this file' : ''}</div>`
+                : '';
+            return `
+                <label class="flex items-start gap-3 p-2 border ${duplicate ? 'border-yellow-400' : 'border-gray-200 dark:border-gray-700'} rounded cursor-pointer text-sm hover:bg-gray-50 dark:hover:bg-gray-700">
+                    <input type="checkbox" data-index="${index}"${duplicate ? '' : ' checked'} class="mt-1">
+                    <div class="min-w-0 flex-1">
+                        <div class="font-medium text-gray-800 dark:text-gray-100">${escapeHtml(contact.name || contact.company || 'Unnamed')}</div>
+                        <div class="text-gray-600 dark:text-gray-400 break-words">${details}</div>
+                        ${flag}
+                    </div>
+                </label>
+            `;
+        }).join('');
+
+    updateImportButton();
+}
+
+/**
+ * Show how many contacts will be imported
+ */
+function updateImportButton() {
+    const count = elements.importPreview.querySelectorAll('input[type="checkbox"]:checked').length;
+    elements.btnImportConfirm.textContent = `📥 Import ${count} Contact(s)`;
+    elements.btnImportConfirm.disabled = count === 0;
+}
+
+/**
+ * Save the selected contacts together (all or none) and close the preview
+ */
+async function confirmImport() {
+    const data = AppState.importData;
+    if (!data) return;
+
+    const selected = Array.from(elements.importPreview.querySelectorAll('input[type="checkbox"]:checked'))
+        .map(input => data.entries[Number(input.dataset.index)].contact);
+    if (selected.length === 0) return;
+
+    try {
+        showLoading(`Importing ${selected.length} contact(s)...`);
+        const ids = await contactManager.saveContacts(selected);
+        closeImportDialog();
+        await loadContacts();
+        await loadEventTags();
+        hideLoading();
+        showToast(`✓ Imported ${ids.length} contact(s)`);
+    } catch (error) {
+        console.error('Error importing contacts:', error);
+        hideLoading();
+        alert('Error importing contacts (nothing was saved): ' + error.message);
+    }
+}
+
+/**
+ * Close the import preview without saving
+ */
+function closeImportDialog() {
+    elements.importModal.classList.add('hidden');
+    elements.importMapping.innerHTML = '';
+    elements.importPreview.innerHTML = '';
+    AppState.importData = null;
+}
+
 /**
  * Handle clear all contacts action
  */
@@ -1072,14 +3065,20 @@ async function handleClearAllContacts() {
 
 // Make functions available globally for onclick handlers
 window.deleteContact = deleteContact;
+window.openContactDetail = openContactDetail;
+window.closeContactDetail = closeContactDetail;
 window.downloadContact = downloadContact;
 window.shareContactWhatsApp = shareContactWhatsApp;
 window.shareContactEmail = shareContactEmail;
 window.swapNameCompany = swapNameCompany;
+window.assignOcrLine = assignOcrLine;
 window.removeBatchCard = removeBatchCard;
 window.saveAllBatchContacts = saveAllBatchContacts;
 window.hideBatchReview = hideBatchReview;
+window.discardBatchReview = discardBatchReview;
 window.updateSaveAllButton = updateSaveAllButton;
+window.retryBatchCard = retryBatchCard;
+window.retryFailedBatchCards = retryFailedBatchCards;
 
 // Initialize app when DOM is ready
 if (document.readyState === 'loading') {
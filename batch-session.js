@@ -0,0 +1,169 @@
+/**
+ * Batch Session Module
+ * Persists in-progress batch scans in IndexedDB (the batchSessions store next to contacts)
+ * so a reload or a locked phone doesn't lose scanned cards or review edits
+ * A session keeps each card's files, images, extracted fields and status
+ */
+
+class BatchSessionManager {
+    constructor() {
+        this.storeName = 'batchSessions';
+        // Session being recorded by this tab
+        this.sessionId = null;
+    }
+
+    /**
+     * Run a callback against the sessions store in one transaction
+     * Reads and writes made in the callback are atomic, so parallel batch
+     * workers saving different cards never overwrite each other
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - (store) => IDBRequest|undefined; its result resolves the promise
+     * @returns {Promise<any>} - Result of the request returned by the callback
+     */
+    async withStore(mode, callback) {
+        if (!contactManager.db) await contactManager.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = contactManager.db.transaction([this.storeName], mode);
+            const store = transaction.objectStore(this.storeName);
+            let result;
+
+            const request = callback(store);
+            if (request) {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            }
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Start recording a new batch; any older session is replaced
+     * @param {Array<Object>} cards - [{ front: File, back: File|null }] from groupCardSides()
+     * @returns {Promise<number>} - Session ID
+     */
+    async start(cards) {
+        await this.discard();
+
+        const now = new Date().toISOString();
+        const session = {
+            status: 'processing',
+            createdAt: now,
+            updatedAt: now,
+            items: cards.map((card, index) => ({
+                index,
+                status: 'pending',
+                fileName: card.back ? `${card.front.name} + ${card.back.name}` : card.front.name,
+                files: card
+            }))
+        };
+
+        this.sessionId = await this.withStore('readwrite', store => store.add(session));
+        return this.sessionId;
+    }
+
+    /**
+     * Convert a batch result to a stored item
+     * @param {Object} result - Entry from AppState.batchResults
+     * @returns {Object} - Item with a per-item status
+     */
+    toItem(result) {
+        return {
+            ...result,
+            status: result.error ? 'error' : 'done'
+        };
+    }
+
+    /**
+     * Save the result of one card as soon as it is scanned
+     * @param {number} index - Position of the card in the batch
+     * @param {Object} result - Entry for AppState.batchResults
+     */
+    async saveItem(index, result) {
+        if (this.sessionId === null) return;
+
+        await this.withStore('readwrite', store => {
+            const request = store.get(this.sessionId);
+            request.onsuccess = () => {
+                const session = request.result;
+                if (!session) return;
+
+                session.items[index] = this.toItem(result);
+                session.updatedAt = new Date().toISOString();
+                store.put(session);
+            };
+        });
+    }
+
+    /**
+     * Replace all items, e.g. when the batch finishes, a card is removed or edited
+     * @param {Array<Object>} results - AppState.batchResults (with review edits applied)
+     * @param {string} status - 'processing' or 'review'
+     */
+    async saveResults(results, status = 'review') {
+        if (this.sessionId === null) return;
+
+        await this.withStore('readwrite', store => {
+            const request = store.get(this.sessionId);
+            request.onsuccess = () => {
+                const session = request.result;
+                if (!session) return;
+
+                session.items = results.map(result => this.toItem(result));
+                session.status = status;
+                session.updatedAt = new Date().toISOString();
+                store.put(session);
+            };
+        });
+    }
+
+    /**
+     * Get the most recent unfinished session, if any
+     * @returns {Promise<Object|null>} - Session with items, or null
+     */
+    async getUnfinished() {
+        const sessions = await this.withStore('readonly', store => store.getAll());
+        if (!sessions || sessions.length === 0) return null;
+
+        return sessions.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))[0];
+    }
+
+    /**
+     * Continue recording into a restored session
+     * Cards that were still pending when the tab closed become retryable failures
+     * @param {Object} session - From getUnfinished()
+     * @returns {Array<Object>} - Entries for AppState.batchResults
+     */
+    resume(session) {
+        this.sessionId = session.id;
+
+        return session.items.map(item => {
+            const { status, ...result } = item;
+            if (status !== 'pending') return result;
+
+            return {
+                ...result,
+                imageData: null,
+                backImageData: null,
+                contact: { name: '', phone: '', email: '', company: '', eventTag: '' },
+                conflicts: [],
+                error: 'Interrupted before scanning',
+                wasCompressed: false
+            };
+        });
+    }
+
+    /**
+     * Delete all stored sessions (after saving or discarding the review)
+     */
+    async discard() {
+        this.sessionId = null;
+        await this.withStore('readwrite', store => store.clear());
+    }
+}
+
+// Export for use in other modules
+const batchSessionManager = new BatchSessionManager();
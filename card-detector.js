@@ -0,0 +1,723 @@
+/**
+ * Card Detection Module
+ * Finds the business card in a photo, flattens it with a perspective warp,
+ * removes residual skew and turns sideways/upside-down cards the right way up
+ * Pure canvas math - no network or extra libraries required
+ */
+
+class CardDetector {
+    constructor() {
+        this.options = {
+            // Longest side of the downscaled copy used for edge/skew analysis
+            workingSize: 512,
+            // Longest side of the flattened output image
+            maxOutputSize: 2000,
+            // Card must cover at least this fraction of the photo
+            minAreaRatio: 0.2,
+            // Detected region must fill at least this fraction of its quadrilateral
+            minFillRatio: 0.85,
+            // Skew search range and step in degrees (used when no card outline is found)
+            maxSkew: 15,
+            skewStep: 0.5,
+            // Try 0/90/180/270° rotations and keep the one OCR reads best.
+            // Every rotation tried costs an OCR pass (up to 4 per card), so only a
+            // strip of a downscaled copy is read, not the whole card
+            detectOrientation: true,
+            // Skip the other rotations if the upright guess already scores this high
+            orientationConfidence: 80,
+            // Longest side of the copy the rotations are scored on
+            orientationSampleSize: 1000,
+            // Height of the scored strip as a fraction of the rotated copy
+            orientationStripRatio: 0.2
+        };
+    }
+
+    /**
+     * Update default detection options
+     * @param {Object} options - Options to merge into the defaults
+     * @returns {Object} - Current options
+     */
+    configure(options = {}) {
+        this.options = { ...this.options, ...options };
+        return this.options;
+    }
+
+    /**
+     * Locate, flatten and straighten the card in an image
+     * @param {File|Blob|HTMLImageElement|HTMLCanvasElement|ImageData} source - Photo of the card
+     * @param {Object} options - Per-call overrides; scoreOrientation(canvas) => Promise<number>
+     *                           rates a candidate rotation (higher is better)
+     * @returns {Promise<Object>} - { canvas, found, quad, skew, rotation }
+     */
+    async process(source, options = {}) {
+        const opts = { ...this.options, ...options };
+
+        // Full-resolution copy, capped so the warp stays fast
+        let canvas = await imagePreprocessor.toCanvas(source, { maxDimension: opts.maxOutputSize, minDimension: 0 });
+
+        const work = this.getWorkingGray(canvas, opts.workingSize);
+        const quad = this.findQuad(work.gray, work.width, work.height, opts);
+
+        let skew = 0;
+        if (quad) {
+            const scaled = quad.map(p => ({ x: p.x / work.scale, y: p.y / work.scale }));
+            canvas = this.warpPerspective(canvas, scaled, opts.maxOutputSize);
+        } else {
+            skew = this.estimateSkew(work.gray, work.width, work.height, opts);
+            if (Math.abs(skew) >= opts.skewStep) {
+                canvas = this.rotateCanvas(canvas, -skew);
+            }
+        }
+
+        let rotation = 0;
+        if (opts.detectOrientation) {
+            ({ canvas, rotation } = await this.orient(canvas, opts));
+        }
+
+        return {
+            canvas: canvas,
+            found: !!quad,
+            quad: quad ? quad.map(p => ({ x: p.x / work.scale, y: p.y / work.scale })) : null,
+            skew: skew,
+            rotation: rotation
+        };
+    }
+
+    /**
+     * Downscale a canvas and return its luminance channel
+     * @param {HTMLCanvasElement} canvas - Source canvas
+     * @param {number} size - Longest side of the working copy
+     * @returns {Object} - { gray, width, height, scale }
+     */
+    getWorkingGray(canvas, size) {
+        const scale = Math.min(1, size / Math.max(canvas.width, canvas.height));
+        const width = Math.max(1, Math.round(canvas.width * scale));
+        const height = Math.max(1, Math.round(canvas.height * scale));
+
+        const small = document.createElement('canvas');
+        small.width = width;
+        small.height = height;
+        const ctx = small.getContext('2d');
+        ctx.drawImage(canvas, 0, 0, width, height);
+
+        const gray = imagePreprocessor.toGrayscale(ctx.getImageData(0, 0, width, height));
+        return { gray, width, height, scale };
+    }
+
+    /**
+     * Find the card outline as a quadrilateral
+     * Edges are detected with Sobel + Otsu, the background is flood-filled from the
+     * photo border, and the largest enclosed region is reduced to four corners
+     * @param {Uint8ClampedArray} gray - Grayscale pixels
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Object} opts - Detection options
+     * @returns {Array<Object>|null} - Corners [tl, tr, br, bl] or null if no card found
+     */
+    findQuad(gray, width, height, opts = this.options) {
+        const blurred = this.boxBlur(gray, width, height);
+        const edges = this.dilate(this.detectEdges(blurred, width, height), width, height);
+        const region = this.largestEnclosedRegion(edges, width, height);
+
+        if (!region || region.area < width * height * opts.minAreaRatio) {
+            return null;
+        }
+
+        const hull = this.convexHull(region.points);
+        if (hull.length < 4) return null;
+
+        const quad = this.reducePolygon(hull, 4);
+        const quadArea = Math.abs(this.polygonArea(quad));
+
+        if (quadArea < width * height * opts.minAreaRatio || region.area / quadArea < opts.minFillRatio) {
+            return null;
+        }
+
+        return this.orderCorners(quad);
+    }
+
+    /**
+     * 3x3 box blur to suppress texture before edge detection
+     */
+    boxBlur(gray, width, height) {
+        const out = new Uint8ClampedArray(gray);
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                let sum = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    const row = (y + dy) * width + x;
+                    sum += gray[row - 1] + gray[row] + gray[row + 1];
+                }
+                out[y * width + x] = sum / 9;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Sobel gradient magnitude thresholded with Otsu's method
+     * @returns {Uint8Array} - 1 for edge pixels, 0 otherwise
+     */
+    detectEdges(gray, width, height) {
+        const magnitude = new Float32Array(width * height);
+        let max = 0;
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const gx = -gray[i - width - 1] - 2 * gray[i - 1] - gray[i + width - 1]
+                    + gray[i - width + 1] + 2 * gray[i + 1] + gray[i + width + 1];
+                const gy = -gray[i - width - 1] - 2 * gray[i - width] - gray[i - width + 1]
+                    + gray[i + width - 1] + 2 * gray[i + width] + gray[i + width + 1];
+                const m = Math.sqrt(gx * gx + gy * gy);
+                magnitude[i] = m;
+                if (m > max) max = m;
+            }
+        }
+
+        const edges = new Uint8Array(width * height);
+        if (max === 0) return edges;
+
+        const levels = new Uint8ClampedArray(width * height);
+        for (let i = 0; i < magnitude.length; i++) {
+            levels[i] = (magnitude[i] / max) * 255;
+        }
+
+        const threshold = this.otsuThreshold(levels);
+        for (let i = 0; i < levels.length; i++) {
+            edges[i] = levels[i] > threshold ? 1 : 0;
+        }
+
+        return edges;
+    }
+
+    /**
+     * Otsu's threshold: the level that best separates the histogram into two classes
+     * @param {Uint8ClampedArray} values - 0-255 values
+     * @returns {number} - Threshold level
+     */
+    otsuThreshold(values) {
+        const histogram = new Uint32Array(256);
+        for (let i = 0; i < values.length; i++) {
+            histogram[values[i]]++;
+        }
+
+        let total = 0;
+        for (let i = 0; i < 256; i++) total += i * histogram[i];
+
+        let sumBackground = 0;
+        let weightBackground = 0;
+        let bestVariance = 0;
+        let threshold = 0;
+
+        for (let t = 0; t < 256; t++) {
+            weightBackground += histogram[t];
+            if (weightBackground === 0) continue;
+
+            const weightForeground = values.length - weightBackground;
+            if (weightForeground === 0) break;
+
+            sumBackground += t * histogram[t];
+            const meanBackground = sumBackground / weightBackground;
+            const meanForeground = (total - sumBackground) / weightForeground;
+            const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+            if (variance > bestVariance) {
+                bestVariance = variance;
+                threshold = t;
+            }
+        }
+
+        return threshold;
+    }
+
+    /**
+     * 3x3 dilation to close small gaps in the card outline
+     */
+    dilate(mask, width, height) {
+        const out = new Uint8Array(mask);
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                if (mask[i]) continue;
+                if (mask[i - 1] || mask[i + 1] || mask[i - width] || mask[i + width] ||
+                    mask[i - width - 1] || mask[i - width + 1] || mask[i + width - 1] || mask[i + width + 1]) {
+                    out[i] = 1;
+                }
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Flood-fill the background from the border, then return the largest
+     * connected region that the fill could not reach
+     * @returns {Object|null} - { area, points } where points are row extremes
+     */
+    largestEnclosedRegion(edges, width, height) {
+        const size = width * height;
+        // 0 = unvisited, 1 = background, 2+ = region label
+        const labels = new Int32Array(size);
+        const queue = new Int32Array(size);
+
+        const fill = (seeds, label, passable) => {
+            let head = 0;
+            let tail = 0;
+            for (const s of seeds) {
+                if (labels[s] === 0 && passable(s)) {
+                    labels[s] = label;
+                    queue[tail++] = s;
+                }
+            }
+            while (head < tail) {
+                const i = queue[head++];
+                const x = i % width;
+                const neighbours = [
+                    x > 0 ? i - 1 : -1,
+                    x < width - 1 ? i + 1 : -1,
+                    i - width,
+                    i + width
+                ];
+                for (const n of neighbours) {
+                    if (n >= 0 && n < size && labels[n] === 0 && passable(n)) {
+                        labels[n] = label;
+                        queue[tail++] = n;
+                    }
+                }
+            }
+            return tail;
+        };
+
+        // Background: everything reachable from the border without crossing an edge
+        const borderSeeds = [];
+        for (let x = 0; x < width; x++) {
+            borderSeeds.push(x, (height - 1) * width + x);
+        }
+        for (let y = 0; y < height; y++) {
+            borderSeeds.push(y * width, y * width + width - 1);
+        }
+        fill(borderSeeds, 1, i => !edges[i]);
+
+        // Label remaining regions and keep the biggest
+        let best = null;
+        let label = 2;
+        for (let i = 0; i < size; i++) {
+            if (labels[i] !== 0) continue;
+            const area = fill([i], label, () => true);
+            if (!best || area > best.area) {
+                best = { label, area };
+            }
+            label++;
+        }
+
+        if (!best) return null;
+
+        // Leftmost and rightmost pixel per row are enough to build the convex hull
+        const points = [];
+        for (let y = 0; y < height; y++) {
+            let left = -1;
+            let right = -1;
+            for (let x = 0; x < width; x++) {
+                if (labels[y * width + x] === best.label) {
+                    if (left === -1) left = x;
+                    right = x;
+                }
+            }
+            if (left !== -1) {
+                points.push({ x: left, y }, { x: right, y });
+            }
+        }
+
+        return { area: best.area, points };
+    }
+
+    /**
+     * Andrew's monotone chain convex hull
+     * @param {Array<Object>} points - {x, y} points
+     * @returns {Array<Object>} - Hull vertices in counter-clockwise order
+     */
+    convexHull(points) {
+        const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+        if (sorted.length < 3) return sorted;
+
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+        const lower = [];
+        for (const p of sorted) {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) {
+                lower.pop();
+            }
+            lower.push(p);
+        }
+
+        const upper = [];
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            const p = sorted[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) {
+                upper.pop();
+            }
+            upper.push(p);
+        }
+
+        upper.pop();
+        lower.pop();
+        return lower.concat(upper);
+    }
+
+    /**
+     * Repeatedly drop the polygon vertex whose removal loses the least area
+     * until only `count` vertices remain
+     * @param {Array<Object>} polygon - Convex polygon vertices
+     * @param {number} count - Number of vertices to keep
+     * @returns {Array<Object>} - Reduced polygon
+     */
+    reducePolygon(polygon, count) {
+        const poly = [...polygon];
+        while (poly.length > count) {
+            let bestIndex = 0;
+            let bestLoss = Infinity;
+            for (let i = 0; i < poly.length; i++) {
+                const prev = poly[(i - 1 + poly.length) % poly.length];
+                const curr = poly[i];
+                const next = poly[(i + 1) % poly.length];
+                const loss = Math.abs((curr.x - prev.x) * (next.y - prev.y) - (curr.y - prev.y) * (next.x - prev.x));
+                if (loss < bestLoss) {
+                    bestLoss = loss;
+                    bestIndex = i;
+                }
+            }
+            poly.splice(bestIndex, 1);
+        }
+        return poly;
+    }
+
+    /**
+     * Signed polygon area (shoelace formula)
+     */
+    polygonArea(polygon) {
+        let area = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            area += a.x * b.y - b.x * a.y;
+        }
+        return area / 2;
+    }
+
+    /**
+     * Order four corners as top-left, top-right, bottom-right, bottom-left
+     * @param {Array<Object>} quad - Four {x, y} corners in any order
+     * @returns {Array<Object>} - Ordered corners
+     */
+    orderCorners(quad) {
+        const cx = quad.reduce((s, p) => s + p.x, 0) / 4;
+        const cy = quad.reduce((s, p) => s + p.y, 0) / 4;
+
+        // Clockwise in screen coordinates (y grows downward)
+        const sorted = [...quad].sort((a, b) => Math.atan2(a.y - cy, a.x - cx) - Math.atan2(b.y - cy, b.x - cx));
+
+        let start = 0;
+        for (let i = 1; i < 4; i++) {
+            if (sorted[i].x + sorted[i].y < sorted[start].x + sorted[start].y) {
+                start = i;
+            }
+        }
+
+        return [0, 1, 2, 3].map(k => sorted[(start + k) % 4]);
+    }
+
+    /**
+     * Solve the homography mapping the output rectangle onto the source quad
+     * @param {Array<Object>} from - Four destination corners
+     * @param {Array<Object>} to - Four source corners
+     * @returns {Array<number>} - 3x3 matrix in row-major order
+     */
+    computeHomography(from, to) {
+        const a = [];
+        const b = [];
+        for (let i = 0; i < 4; i++) {
+            const { x, y } = from[i];
+            const { x: u, y: v } = to[i];
+            a.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+            b.push(u);
+            a.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+            b.push(v);
+        }
+
+        // Gaussian elimination with partial pivoting
+        const n = 8;
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+            }
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+            [b[col], b[pivot]] = [b[pivot], b[col]];
+
+            if (Math.abs(a[col][col]) < 1e-12) {
+                throw new Error('Degenerate card outline');
+            }
+
+            for (let row = col + 1; row < n; row++) {
+                const factor = a[row][col] / a[col][col];
+                for (let k = col; k < n; k++) a[row][k] -= factor * a[col][k];
+                b[row] -= factor * b[col];
+            }
+        }
+
+        const h = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = b[row];
+            for (let k = row + 1; k < n; k++) sum -= a[row][k] * h[k];
+            h[row] = sum / a[row][row];
+        }
+
+        return [...h, 1];
+    }
+
+    /**
+     * Warp the quadrilateral region of a canvas into a flat rectangle
+     * @param {HTMLCanvasElement} canvas - Source image
+     * @param {Array<Object>} quad - Corners [tl, tr, br, bl] in source pixels
+     * @param {number} maxSize - Longest side of the output
+     * @returns {HTMLCanvasElement} - Flattened card
+     */
+    warpPerspective(canvas, quad, maxSize = this.options.maxOutputSize) {
+        const [tl, tr, br, bl] = quad;
+        const dist = (p, q) => Math.hypot(p.x - q.x, p.y - q.y);
+
+        let outWidth = Math.max(dist(tl, tr), dist(bl, br));
+        let outHeight = Math.max(dist(tl, bl), dist(tr, br));
+        const scale = Math.min(1, maxSize / Math.max(outWidth, outHeight));
+        outWidth = Math.max(1, Math.round(outWidth * scale));
+        outHeight = Math.max(1, Math.round(outHeight * scale));
+
+        const h = this.computeHomography(
+            [{ x: 0, y: 0 }, { x: outWidth, y: 0 }, { x: outWidth, y: outHeight }, { x: 0, y: outHeight }],
+            quad
+        );
+
+        const src = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        const out = document.createElement('canvas');
+        out.width = outWidth;
+        out.height = outHeight;
+        const outCtx = out.getContext('2d');
+        const dst = outCtx.createImageData(outWidth, outHeight);
+
+        const sw = src.width;
+        const sh = src.height;
+        const s = src.data;
+        const d = dst.data;
+
+        for (let y = 0; y < outHeight; y++) {
+            for (let x = 0; x < outWidth; x++) {
+                const px = x + 0.5;
+                const py = y + 0.5;
+                const w = h[6] * px + h[7] * py + h[8];
+                const sx = Math.min(sw - 1, Math.max(0, (h[0] * px + h[1] * py + h[2]) / w - 0.5));
+                const sy = Math.min(sh - 1, Math.max(0, (h[3] * px + h[4] * py + h[5]) / w - 0.5));
+
+                // Bilinear sample
+                const x0 = Math.floor(sx);
+                const y0 = Math.floor(sy);
+                const x1 = Math.min(sw - 1, x0 + 1);
+                const y1 = Math.min(sh - 1, y0 + 1);
+                const fx = sx - x0;
+                const fy = sy - y0;
+
+                const i00 = (y0 * sw + x0) * 4;
+                const i10 = (y0 * sw + x1) * 4;
+                const i01 = (y1 * sw + x0) * 4;
+                const i11 = (y1 * sw + x1) * 4;
+                const o = (y * outWidth + x) * 4;
+
+                for (let c = 0; c < 3; c++) {
+                    const top = s[i00 + c] + (s[i10 + c] - s[i00 + c]) * fx;
+                    const bottom = s[i01 + c] + (s[i11 + c] - s[i01 + c]) * fx;
+                    d[o + c] = top + (bottom - top) * fy;
+                }
+                d[o + 3] = 255;
+            }
+        }
+
+        outCtx.putImageData(dst, 0, 0);
+        return out;
+    }
+
+    /**
+     * Estimate text skew with a projection profile: text lines produce the
+     * sharpest row histogram when the image is rotated back to level
+     * @returns {number} - Skew angle in degrees (positive = clockwise)
+     */
+    estimateSkew(gray, width, height, opts = this.options) {
+        const binary = imagePreprocessor.adaptiveThreshold(gray, width, height);
+
+        const ink = [];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (binary[y * width + x] === 0) ink.push(x, y);
+            }
+        }
+        if (ink.length === 0) return 0;
+
+        const cx = width / 2;
+        const cy = height / 2;
+        const diag = Math.ceil(Math.hypot(width, height));
+        const rows = new Uint32Array(diag * 2);
+
+        let bestAngle = 0;
+        let bestScore = -1;
+
+        for (let angle = -opts.maxSkew; angle <= opts.maxSkew; angle += opts.skewStep) {
+            const rad = (angle * Math.PI) / 180;
+            const sin = Math.sin(rad);
+            const cos = Math.cos(rad);
+            rows.fill(0);
+
+            for (let i = 0; i < ink.length; i += 2) {
+                // Row of the pixel after rotating by -angle around the centre
+                const row = Math.round(-(ink[i] - cx) * sin + (ink[i + 1] - cy) * cos) + diag;
+                rows[row]++;
+            }
+
+            let score = 0;
+            for (let r = 0; r < rows.length; r++) score += rows[r] * rows[r];
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestAngle = angle;
+            }
+        }
+
+        return bestAngle;
+    }
+
+    /**
+     * Rotate a canvas by any angle, growing it to fit and filling corners with white
+     * @param {HTMLCanvasElement} canvas - Source canvas
+     * @param {number} degrees - Clockwise rotation
+     * @returns {HTMLCanvasElement} - Rotated canvas
+     */
+    rotateCanvas(canvas, degrees) {
+        const rad = (degrees * Math.PI) / 180;
+        const sin = Math.abs(Math.sin(rad));
+        const cos = Math.abs(Math.cos(rad));
+
+        const out = document.createElement('canvas');
+        out.width = Math.round(canvas.width * cos + canvas.height * sin);
+        out.height = Math.round(canvas.width * sin + canvas.height * cos);
+
+        const ctx = out.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, out.width, out.height);
+        ctx.translate(out.width / 2, out.height / 2);
+        ctx.rotate(rad);
+        ctx.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+
+        return out;
+    }
+
+    /**
+     * Turn a flattened card upright
+     * Runs up to 4 OCR passes on a small strip of the card, so callers that can read
+     * the card without OCR (QR codes) should skip it
+     * @param {HTMLCanvasElement} canvas - Flattened card
+     * @param {Object} options - Per-call overrides; scoreOrientation(canvas) => Promise<number>
+     *                           rates a candidate rotation (higher is better)
+     * @returns {Promise<Object>} - { canvas, rotation }
+     */
+    async orient(canvas, options = {}) {
+        const opts = { ...this.options, ...options };
+        if (typeof opts.scoreOrientation !== 'function') {
+            return { canvas, rotation: 0 };
+        }
+
+        const rotation = await this.findOrientation(canvas, opts);
+        return {
+            canvas: rotation ? this.rotateCanvas(canvas, rotation) : canvas,
+            rotation: rotation
+        };
+    }
+
+    /**
+     * Pick the quarter-turn rotation that OCR reads with the highest confidence
+     * Cards are usually landscape, so that orientation is tried first
+     * @param {HTMLCanvasElement} canvas - Flattened card
+     * @param {Object} opts - Options with scoreOrientation callback
+     * @returns {Promise<number>} - Clockwise rotation to apply (0, 90, 180 or 270)
+     */
+    async findOrientation(canvas, opts) {
+        const landscape = canvas.width >= canvas.height;
+        const candidates = landscape ? [0, 180, 90, 270] : [90, 270, 0, 180];
+
+        const sample = await imagePreprocessor.toCanvas(canvas, { maxDimension: opts.orientationSampleSize, minDimension: 0 });
+
+        let best = { rotation: 0, score: -Infinity };
+        for (const rotation of candidates) {
+            const candidate = this.getTextStrip(rotation ? this.rotateCanvas(sample, rotation) : sample, opts.orientationStripRatio);
+            let score;
+            try {
+                score = await opts.scoreOrientation(candidate);
+            } catch (error) {
+                console.warn('Orientation scoring failed:', error);
+                return 0;
+            }
+
+            if (score > best.score) {
+                best = { rotation, score };
+            }
+            if (rotation === candidates[0] && score >= opts.orientationConfidence) {
+                break;
+            }
+        }
+
+        return best.rotation;
+    }
+
+    /**
+     * Cut the horizontal strip with the most text out of a canvas
+     * Rows through upright text have the most left-to-right contrast; on a sideways
+     * card the strip cuts across the text lines and OCR reads it poorly, as it should
+     * @param {HTMLCanvasElement} canvas - Source canvas
+     * @param {number} ratio - Strip height as a fraction of the canvas height
+     * @returns {HTMLCanvasElement} - The strip (or the canvas itself if the strip would cover it)
+     */
+    getTextStrip(canvas, ratio) {
+        const { width, height } = canvas;
+        const stripHeight = Math.max(1, Math.round(height * ratio));
+        if (stripHeight >= height) {
+            return canvas;
+        }
+
+        const gray = imagePreprocessor.toGrayscale(canvas.getContext('2d').getImageData(0, 0, width, height));
+        const rowContrast = new Float64Array(height);
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 1; x < width; x++) {
+                rowContrast[y] += Math.abs(gray[row + x] - gray[row + x - 1]);
+            }
+        }
+
+        // Sliding window over the rows
+        let sum = 0;
+        for (let y = 0; y < stripHeight; y++) {
+            sum += rowContrast[y];
+        }
+        let best = { top: 0, sum };
+        for (let y = stripHeight; y < height; y++) {
+            sum += rowContrast[y] - rowContrast[y - stripHeight];
+            if (sum > best.sum) {
+                best = { top: y - stripHeight + 1, sum };
+            }
+        }
+
+        const strip = document.createElement('canvas');
+        strip.width = width;
+        strip.height = stripHeight;
+        strip.getContext('2d').drawImage(canvas, 0, best.top, width, stripHeight, 0, 0, width, stripHeight);
+        return strip;
+    }
+}
+
+// Export for use in other modules
+const cardDetector = new CardDetector();
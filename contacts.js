@@ -6,72 +6,594 @@
 class ContactManager {
     constructor() {
         this.dbName = 'BusinessCardScanner';
-        this.dbVersion = 1;
         this.storeName = 'contacts';
+        // Unfinished batch scans (see batchSessionManager)
+        this.sessionStoreName = 'batchSessions';
+        // Full card images as Blobs, keyed by contact ID: { front, back }
+        this.imageStoreName = 'images';
+        // Inverted full-text index: { term, contactId, weight } (see searchIndex)
+        this.searchStoreName = 'searchTerms';
         this.db = null;
+
+        // Longest side of the list thumbnail kept on each contact record
+        this.thumbnailSize = 160;
+
+        // Sort fields for queryContacts(): index used on its own and with an event filter
+        this.sortIndexes = {
+            createdAt: { index: 'createdAt', eventIndex: 'eventTag_createdAt' },
+            name: { index: 'name', eventIndex: 'eventTag_name' },
+            familyName: { index: 'familyName', eventIndex: 'eventTag_familyName' }
+        };
+
+        // Name words that are not part of the given/family name
+        this.namePrefixes = ['mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'sir', 'er', 'adv'];
+        this.nameSuffixes = ['jr', 'sr', 'ii', 'iii', 'iv', 'phd', 'md', 'esq', 'cpa', 'mba'];
+
+        // Schema history, oldest first. Existing installs run every step newer than
+        // their version. Append new steps; never change one that has been released.
+        this.migrations = this.getMigrations();
+        this.dbVersion = this.migrations[this.migrations.length - 1].version;
+    }
+
+    /**
+     * Ordered database upgrade steps
+     * upgrade(db, transaction) runs inside the versionchange transaction and may return
+     * a Promise (e.g. from updateRecords()); the next step starts when it resolves
+     * @returns {Array<Object>} - [{ version, description, upgrade }]
+     */
+    getMigrations() {
+        return [
+            {
+                version: 1,
+                description: 'Contacts store with search indexes',
+                upgrade: (db) => {
+                    const objectStore = db.createObjectStore(this.storeName, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+                    objectStore.createIndex('name', 'name', { unique: false });
+                    objectStore.createIndex('email', 'email', { unique: false });
+                    objectStore.createIndex('eventTag', 'eventTag', { unique: false });
+                    objectStore.createIndex('createdAt', 'createdAt', { unique: false });
+                }
+            },
+            {
+                version: 2,
+                description: 'Batch sessions store',
+                upgrade: (db) => {
+                    db.createObjectStore(this.sessionStoreName, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+                }
+            },
+            {
+                version: 3,
+                description: 'Split names into parts, index family names',
+                upgrade: (db, transaction) => {
+                    const store = transaction.objectStore(this.storeName);
+                    store.createIndex('familyName', 'nameParts.family', { unique: false });
+                    return this.updateRecords(store, contact => ({
+                        ...contact,
+                        nameParts: this.splitName(contact.name)
+                    }));
+                }
+            },
+            {
+                version: 4,
+                description: 'Move card images to Blobs in the images store',
+                upgrade: (db, transaction) => {
+                    db.createObjectStore(this.imageStoreName);
+                    const images = transaction.objectStore(this.imageStoreName);
+
+                    // Thumbnails need an async image decode, which can't run inside the
+                    // upgrade transaction; generateMissingThumbnails() creates them afterwards
+                    return this.updateRecords(transaction.objectStore(this.storeName), contact => {
+                        const { imageData, backImageData, ...rest } = contact;
+                        const front = this.toBlob(imageData);
+                        const back = this.toBlob(backImageData);
+
+                        if (front || back) {
+                            images.put({ front, back }, contact.id);
+                        }
+                        return { ...rest, thumbnail: null, thumbnailPending: !!front };
+                    });
+                }
+            },
+            {
+                version: 5,
+                description: 'Event tag + sort field indexes for paged queries',
+                upgrade: (db, transaction) => {
+                    const store = transaction.objectStore(this.storeName);
+                    store.createIndex('eventTag_createdAt', ['eventTag', 'createdAt'], { unique: false });
+                    store.createIndex('eventTag_name', ['eventTag', 'name'], { unique: false });
+                    store.createIndex('eventTag_familyName', ['eventTag', 'nameParts.family'], { unique: false });
+                }
+            },
+            {
+                version: 6,
+                description: 'Full-text search index',
+                upgrade: (db, transaction) => {
+                    const terms = db.createObjectStore(this.searchStoreName, { keyPath: ['term', 'contactId'] });
+                    terms.createIndex('contactId', 'contactId', { unique: false });
+
+                    // Index the contacts saved so far; the records themselves are unchanged
+                    return this.updateRecords(transaction.objectStore(this.storeName), contact => {
+                        searchIndex.addEntries(terms, contact);
+                        return null;
+                    });
+                }
+            },
+            {
+                version: 7,
+                description: 'Stable UIDs for vCard export',
+                upgrade: (db, transaction) => {
+                    return this.updateRecords(transaction.objectStore(this.storeName), contact => (
+                        contact.uid ? null : { ...contact, uid: this.createUid() }
+                    ));
+                }
+            }
+        ];
     }
 
     /**
      * Initialize IndexedDB database
-     * Creates object store if it doesn't exist
+     * Runs pending migrations when the stored version is older than dbVersion
      */
     async init() {
         return new Promise((resolve, reject) => {
             const request = indexedDB.open(this.dbName, this.dbVersion);
+            let migrationError = null;
 
-            request.onerror = () => reject(request.error);
+            request.onerror = () => reject(migrationError || request.error);
             request.onsuccess = () => {
                 this.db = request.result;
+                // Let another tab with a newer version upgrade instead of being blocked
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
                 resolve();
             };
+            request.onblocked = () => {
+                console.warn('Database upgrade is waiting for other tabs of the app to close');
+            };
 
             request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                
-                // Create object store if it doesn't exist
-                if (!db.objectStoreNames.contains(this.storeName)) {
-                    const objectStore = db.createObjectStore(this.storeName, {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
-                    
-                    // Create indexes for searching
-                    objectStore.createIndex('name', 'name', { unique: false });
-                    objectStore.createIndex('email', 'email', { unique: false });
-                    objectStore.createIndex('eventTag', 'eventTag', { unique: false });
-                    objectStore.createIndex('createdAt', 'createdAt', { unique: false });
+                const transaction = event.target.transaction;
+
+                this.runMigrations(event.target.result, transaction, event.oldVersion).catch(error => {
+                    // Aborting rolls back every step, so the next start retries from oldVersion
+                    console.error('Database migration failed:', error);
+                    migrationError = error;
+                    transaction.abort();
+                });
+            };
+        });
+    }
+
+    /**
+     * Run the migrations newer than oldVersion, in order
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {IDBTransaction} transaction - The versionchange transaction
+     * @param {number} oldVersion - Version before the upgrade (0 for a new database)
+     */
+    async runMigrations(db, transaction, oldVersion) {
+        for (const migration of this.migrations) {
+            if (migration.version <= oldVersion) continue;
+
+            console.log(`Migrating database to v${migration.version}: ${migration.description}`);
+            await migration.upgrade(db, transaction);
+        }
+    }
+
+    /**
+     * Rewrite every record of a store with a cursor (for use inside migrations)
+     * @param {IDBObjectStore} store - Store from the versionchange transaction
+     * @param {Function} transform - (record) => updated record, or null to leave it unchanged
+     * @returns {Promise<number>} - Number of records updated
+     */
+    updateRecords(store, transform) {
+        return new Promise((resolve, reject) => {
+            const request = store.openCursor();
+            let updated = 0;
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(updated);
+                    return;
+                }
+
+                try {
+                    const record = transform(cursor.value);
+                    if (record) {
+                        cursor.update(record);
+                        updated++;
+                    }
+                    cursor.continue();
+                } catch (error) {
+                    reject(error);
                 }
             };
         });
     }
 
+    /**
+     * Split a full name into vCard-style parts
+     * Handles "Family, Given" order and common prefixes/suffixes ("Dr.", "Jr.", "PhD")
+     * @param {string} name - Full name
+     * @returns {Object} - { prefix, given, middle, family, suffix }
+     */
+    splitName(name) {
+        const parts = { prefix: '', given: '', middle: '', family: '', suffix: '' };
+        let text = String(name || '').trim();
+        if (!text) return parts;
+
+        const bare = (word) => word.toLowerCase().replace(/[.,]/g, '');
+
+        // "Doe, Jane" (but not "Jane Doe, PhD")
+        const comma = text.match(/^([^,]+),\s*(.+)$/);
+        if (comma && !this.nameSuffixes.includes(bare(comma[2]))) {
+            parts.family = comma[1].trim();
+            text = comma[2];
+        }
+
+        const words = text.split(/\s+/).filter(Boolean);
+        const prefixes = [];
+        const suffixes = [];
+        while (words.length > 1 && this.namePrefixes.includes(bare(words[0]))) {
+            prefixes.push(words.shift());
+        }
+        while (words.length > 1 && this.nameSuffixes.includes(bare(words[words.length - 1]))) {
+            suffixes.unshift(words.pop().replace(/^,|,$/g, ''));
+        }
+        parts.prefix = prefixes.join(' ');
+        parts.suffix = suffixes.join(' ');
+
+        // A lone word after a prefix ("Mr. Smith") is the family name
+        if (!parts.family && (words.length > 1 || prefixes.length > 0)) {
+            parts.family = words.pop().replace(/,$/, '');
+        }
+        parts.given = (words.shift() || '').replace(/,$/, '');
+        parts.middle = words.join(' ');
+
+        return parts;
+    }
+
+    /**
+     * Create a UID for a new contact (an RFC 4122 version 4 UUID)
+     * Exported vCards carry it so address books recognize a contact exported again
+     * @returns {string} - e.g. "3b241101-e2bb-4255-8caf-4136c566a962"
+     */
+    createUid() {
+        if (crypto.randomUUID) return crypto.randomUUID();
+
+        // randomUUID() needs a secure context; getRandomValues() doesn't
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    /**
+     * Convert a stored or captured image to a Blob
+     * @param {string|Blob|null} image - Data URL, Blob, or empty
+     * @returns {Blob|null} - Blob, or null if there is no image
+     */
+    toBlob(image) {
+        if (!image) return null;
+        if (image instanceof Blob) return image;
+
+        const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(image);
+        if (!match) return null;
+
+        const data = match[2] ? atob(match[3]) : decodeURIComponent(match[3]);
+        const bytes = new Uint8Array(data.length);
+        for (let i = 0; i < data.length; i++) {
+            bytes[i] = data.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: match[1] || 'image/jpeg' });
+    }
+
+    /**
+     * Create the small JPEG shown in the contacts list
+     * @param {Blob} image - Full card image
+     * @returns {Promise<Blob|null>} - Thumbnail, or null if the image can't be decoded
+     */
+    async createThumbnail(image) {
+        try {
+            const bitmap = await createImageBitmap(image);
+            const scale = Math.min(1, this.thumbnailSize / Math.max(bitmap.width, bitmap.height));
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(bitmap.width * scale);
+            canvas.height = Math.round(bitmap.height * scale);
+            canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            bitmap.close();
+
+            return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.7));
+        } catch (error) {
+            console.warn('Could not create thumbnail:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the full card images of a contact (loaded only when needed, e.g. the detail view)
+     * @param {number} id - Contact ID
+     * @returns {Promise<Object>} - { front: Blob|null, back: Blob|null }
+     */
+    async getImages(id) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.imageStoreName], 'readonly');
+            const request = transaction.objectStore(this.imageStoreName).get(id);
+
+            request.onsuccess = () => resolve({ front: null, back: null, ...request.result });
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Create thumbnails for contacts whose images were moved by the v4 migration
+     * @returns {Promise<number>} - Number of thumbnails created
+     */
+    async generateMissingThumbnails() {
+        const pending = (await this.getAllContacts()).filter(contact => contact.thumbnailPending);
+
+        for (const contact of pending) {
+            const { front } = await this.getImages(contact.id);
+            const { thumbnailPending, ...rest } = contact;
+            const updated = { ...rest, thumbnail: front ? await this.createThumbnail(front) : null };
+
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.storeName], 'readwrite');
+                transaction.objectStore(this.storeName).put(updated);
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        }
+
+        return pending.length;
+    }
+
     /**
      * Save a contact to IndexedDB
-     * @param {Object} contact - Contact object with name, phone, email, company, eventTag
-     * @param {string} imageData - Base64 encoded image data (optional)
+     * @param {Object} contact - Contact object with name, title, company, phone, fax, email,
+     *   website, address, phones ([{ type, number }]), emails ([{ type, address }]), eventTag, notes,
+     *   rawText/backRawText (OCR text of the front/back), parserVersion and uid (kept if given)
+     * @param {string|Blob} imageData - Card image as a data URL or Blob (optional);
+     *   stored as a Blob in the images store, with a thumbnail on the contact
+     * @param {string|Blob} backImageData - Image of the card's back side (optional)
      * @returns {Promise<number>} - ID of saved contact
      */
-    async saveContact(contact, imageData = null) {
+    async saveContact(contact, imageData = null, backImageData = null) {
+        if (!this.db) await this.init();
+
+        const front = this.toBlob(imageData);
+        const back = this.toBlob(backImageData);
+        const contactData = await this.createRecord(contact, front);
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName, this.imageStoreName, this.searchStoreName], 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            const request = store.add(contactData);
+
+            // The contact, its images and its search entries are saved together or not at all
+            request.onsuccess = () => {
+                if (front || back) {
+                    transaction.objectStore(this.imageStoreName).put({ front, back }, request.result);
+                }
+                searchIndex.addEntries(transaction.objectStore(this.searchStoreName), { ...contactData, id: request.result });
+            };
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Save several contacts without images (an import) in one transaction,
+     * so either all of them are saved or none
+     * @param {Array<Object>} contacts - Contact objects as for saveContact()
+     * @returns {Promise<Array<number>>} - IDs of the saved contacts, in order
+     */
+    async saveContacts(contacts) {
         if (!this.db) await this.init();
 
-        const contactData = {
+        const records = await Promise.all(contacts.map(contact => this.createRecord(contact, null)));
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName, this.searchStoreName], 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            const terms = transaction.objectStore(this.searchStoreName);
+            const ids = [];
+
+            records.forEach((record, index) => {
+                const request = store.add(record);
+                request.onsuccess = () => {
+                    ids[index] = request.result;
+                    searchIndex.addEntries(terms, { ...record, id: request.result });
+                };
+            });
+            transaction.oncomplete = () => resolve(ids);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Build the stored record of a new contact
+     * @param {Object} contact - Contact object as for saveContact()
+     * @param {Blob|null} front - Front image, for the thumbnail
+     * @returns {Promise<Object>} - Record without id
+     */
+    async createRecord(contact, front) {
+        return {
+            uid: contact.uid || this.createUid(),
             name: contact.name || '',
-            phone: contact.phone || '',
-            email: contact.email || '',
+            nameParts: this.splitName(contact.name),
+            title: contact.title || '',
             company: contact.company || '',
+            phone: phoneParser.format(contact.phone),
+            fax: phoneParser.format(contact.fax),
+            email: contact.email || '',
+            website: contact.website || '',
+            address: contact.address || '',
+            phones: this.getPhones(contact),
+            emails: this.getEmails(contact),
             eventTag: contact.eventTag || '',
-            imageData: imageData || '',
+            notes: contact.notes || '',
+            // From a vCard: its language, the properties no field holds and those the fields
+            // were read from, written back on export
+            language: contact.language || '',
+            extraProperties: contact.extraProperties || [],
+            sourceProperties: contact.sourceProperties || [],
+            // OCR text of each side and the parser that read it, for re-parsing later
+            rawText: contact.rawText || '',
+            backRawText: contact.backRawText || '',
+            parserVersion: contact.parserVersion || null,
+            thumbnail: front ? await this.createThumbnail(front) : null,
             createdAt: new Date().toISOString()
         };
+    }
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.add(contactData);
+    /**
+     * Get every phone number of a contact as a typed list
+     * The phone and fax fields stand in for the first non-fax and first fax
+     * entries of the list, so editing or clearing them replaces those numbers.
+     * Contacts saved before typed phones get a single mobile entry.
+     * Numbers are normalized with phoneParser (display format + E.164).
+     * @param {Object} contact - Contact object
+     * @returns {Array<Object>} - [{ type: 'mobile'|'office'|'fax'|'other', number, e164, extension }]
+     */
+    getPhones(contact) {
+        const listed = Array.isArray(contact.phones) ? contact.phones : [];
+        const primary = listed.find(p => p.type !== 'fax');
+        const fax = listed.find(p => p.type === 'fax');
+
+        const phones = [];
+        const seen = new Set();
+        const add = (type, number) => {
+            const parsed = phoneParser.parse(number);
+            if (!parsed) return;
+
+            // Numbers that don't match the metadata are kept as typed, without E.164
+            const entry = parsed.valid
+                ? { type, number: parsed.display, e164: parsed.e164, extension: parsed.extension }
+                : { type, number: String(number).trim(), e164: '', extension: '' };
+            const key = entry.e164 ? entry.e164 + entry.extension : String(number).replace(/\D/g, '');
+            if (seen.has(key)) return;
+            seen.add(key);
+            phones.push(entry);
+        };
 
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
+        add(primary ? primary.type : 'mobile', contact.phone);
+        add('fax', contact.fax);
+        listed
+            .filter(p => p !== primary && p !== fax)
+            .forEach(p => add(p.type || 'other', p.number));
+
+        return phones;
+    }
+
+    /**
+     * Get every email address of a contact as a typed list
+     * The email field stands in for the first entry of the list
+     * @param {Object} contact - Contact object
+     * @returns {Array<Object>} - [{ type, address }]
+     */
+    getEmails(contact) {
+        const emails = [];
+        const seen = new Set();
+        const add = (type, address) => {
+            const value = String(address || '').trim();
+            if (!value || seen.has(value.toLowerCase())) return;
+            seen.add(value.toLowerCase());
+            emails.push({ type, address: value });
+        };
+
+        const listed = Array.isArray(contact.emails) ? contact.emails : [];
+
+        add(listed.length > 0 ? listed[0].type : 'work', contact.email);
+        listed.slice(1).forEach(e => add(e.type || 'other', e.address));
+
+        return emails;
+    }
+
+    /**
+     * Merge the contacts read from the front and back of one card
+     * A field found on one side only is copied. When both sides disagree, the side
+     * with the higher field confidence wins (QR/vCard values have none and count as
+     * certain) and the front wins ties. Phone and email lists are combined.
+     * @param {Object} front - Contact from the front side
+     * @param {Object} back - Contact from the back side
+     * @returns {Object} - Merged contact with conflicts: [{ field, kept, dropped }]
+     */
+    mergeContacts(front, back) {
+        const fields = ['name', 'title', 'company', 'phone', 'fax', 'email', 'website', 'address', 'eventTag'];
+        const score = (contact, field) => {
+            const info = contact.fieldConfidence && contact.fieldConfidence[field];
+            return info ? info.score : 100;
+        };
+        // Same number written differently (national vs. international) is not a conflict
+        const key = (field, value) => {
+            if (field !== 'phone' && field !== 'fax') return value.toLowerCase();
+            const parsed = phoneParser.parse(value);
+            return parsed && parsed.valid ? parsed.e164 + parsed.extension : value.replace(/\D/g, '');
+        };
+
+        const merged = { fieldConfidence: {}, conflicts: [] };
+        const winners = {};
+
+        fields.forEach(field => {
+            const frontValue = String(front[field] || '').trim();
+            const backValue = String(back[field] || '').trim();
+
+            let winner = frontValue ? front : back;
+            if (frontValue && backValue && key(field, frontValue) !== key(field, backValue)) {
+                winner = score(back, field) > score(front, field) ? back : front;
+                merged.conflicts.push({
+                    field,
+                    kept: winner === front ? frontValue : backValue,
+                    dropped: winner === front ? backValue : frontValue
+                });
+            }
+
+            winners[field] = winner;
+            merged[field] = String(winner[field] || '').trim();
+            if (winner.fieldConfidence && winner.fieldConfidence[field]) {
+                merged.fieldConfidence[field] = winner.fieldConfidence[field];
+            }
         });
+
+        // The winning side's list goes first so its entry is the one the primary field replaces
+        const ordered = (field) => winners[field] === back ? [back, front] : [front, back];
+        merged.phones = this.getPhones({
+            phone: merged.phone,
+            fax: merged.fax,
+            phones: ordered('phone').flatMap(side => this.getPhones(side))
+        });
+        merged.emails = this.getEmails({
+            email: merged.email,
+            emails: ordered('email').flatMap(side => this.getEmails(side))
+        });
+
+        // Each side's OCR text is kept so the card can be re-parsed side by side
+        merged.rawText = front.rawText || '';
+        merged.backRawText = back.rawText || '';
+        merged.parserVersion = front.parserVersion || back.parserVersion || null;
+
+        // Fields only a vCard QR code fills (the form doesn't show them)
+        merged.notes = [front.notes, back.notes].filter(Boolean).join('\n');
+        merged.uid = front.uid || back.uid || '';
+        merged.language = front.language || back.language || '';
+        merged.extraProperties = [...new Set([...(front.extraProperties || []), ...(back.extraProperties || [])])];
+        merged.sourceProperties = [...new Set([...(front.sourceProperties || []), ...(back.sourceProperties || [])])];
+
+        return merged;
     }
 
     /**
@@ -116,7 +638,7 @@ class ContactManager {
     }
 
     /**
-     * Delete a contact by ID
+     * Delete a contact, its images and its search entries by ID
      * @param {number} id - Contact ID
      * @returns {Promise<void>}
      */
@@ -124,32 +646,135 @@ class ContactManager {
         if (!this.db) await this.init();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.delete(id);
+            const transaction = this.db.transaction([this.storeName, this.imageStoreName, this.searchStoreName], 'readwrite');
+            transaction.objectStore(this.storeName).delete(id);
+            transaction.objectStore(this.imageStoreName).delete(id);
+            searchIndex.removeEntries(transaction.objectStore(this.searchStoreName), id);
 
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
         });
     }
 
     /**
-     * Search contacts by name or email
+     * Full-text search with the search index (see searchIndex)
+     * Covers every field, notes and the OCR text; tolerates typos and matches
+     * phone numbers by their digits
      * @param {string} query - Search query
-     * @returns {Promise<Array>} - Array of matching contacts
+     * @param {Object} options - { eventTag } to search one event only (optional)
+     * @returns {Promise<Array<Object>>} - [{ contact, score, terms }] best match first;
+     *   terms are the matched index terms, for highlighting
+     */
+    async search(query, options = {}) {
+        if (!this.db) await this.init();
+
+        const matches = await searchIndex.search(this.db, query);
+        const contacts = await Promise.all(matches.map(match => this.getContact(match.id)));
+
+        return matches
+            .map((match, i) => ({ contact: contacts[i], score: match.score, terms: match.terms }))
+            .filter(result => result.contact && (!options.eventTag || result.contact.eventTag === options.eventTag))
+            // Equal scores: newest first
+            .sort((a, b) => b.score - a.score || new Date(b.contact.createdAt) - new Date(a.contact.createdAt));
+    }
+
+    /**
+     * Search contacts
+     * @param {string} query - Search query, see search()
+     * @returns {Promise<Array>} - Array of matching contacts, best match first
      */
     async searchContacts(query) {
         if (!query.trim()) return this.getAllContacts();
 
-        const contacts = await this.getAllContacts();
-        const lowerQuery = query.toLowerCase();
+        return (await this.search(query)).map(result => result.contact);
+    }
 
-        return contacts.filter(contact =>
-            contact.name.toLowerCase().includes(lowerQuery) ||
-            contact.email.toLowerCase().includes(lowerQuery) ||
-            contact.company.toLowerCase().includes(lowerQuery) ||
-            contact.phone.includes(query)
-        );
+    /**
+     * Read one page of contacts with an IndexedDB cursor on the sort field's index
+     * Only the records of the requested page are read (text queries use search() instead)
+     * @param {Object} options - Query options
+     * @param {string} options.sortBy - 'createdAt', 'name' or 'familyName'
+     * @param {string} options.direction - 'asc' or 'desc'
+     * @param {string} options.eventTag - Only contacts with this event tag (optional)
+     * @param {number} options.pageSize - Contacts per page
+     * @param {string|null} options.after - nextToken of the previous page, null for the first page
+     * @returns {Promise<Object>} - { contacts, nextToken }; nextToken is null after the last page
+     */
+    async queryContacts(options = {}) {
+        if (!this.db) await this.init();
+
+        const {
+            sortBy = 'createdAt',
+            direction = 'desc',
+            eventTag = '',
+            pageSize = 50,
+            after = null
+        } = options;
+
+        const sort = this.sortIndexes[sortBy];
+        if (!sort) throw new Error(`Cannot sort contacts by ${sortBy}`);
+
+        const cursorDirection = direction === 'desc' ? 'prev' : 'next';
+        // Token: the index key and ID of the last contact on the previous page
+        const token = after ? JSON.parse(decodeURIComponent(after)) : null;
+
+        // Compound event keys sort by tag first, so one tag is the range [tag] .. [tag, []]
+        // ([] sorts after every string and date); a token narrows it to where the last page ended
+        let lower = eventTag ? [eventTag] : undefined;
+        let upper = eventTag ? [eventTag, []] : undefined;
+        if (token) {
+            if (cursorDirection === 'next') lower = token.key;
+            else upper = token.key;
+        }
+        let range = null;
+        if (lower !== undefined && upper !== undefined) range = IDBKeyRange.bound(lower, upper);
+        else if (lower !== undefined) range = IDBKeyRange.lowerBound(lower);
+        else if (upper !== undefined) range = IDBKeyRange.upperBound(upper);
+
+        // True once the cursor is past the last contact of the previous page
+        const isAfterToken = (cursor) => {
+            const order = indexedDB.cmp(cursor.key, token.key) || indexedDB.cmp(cursor.primaryKey, token.id);
+            return cursorDirection === 'next' ? order > 0 : order < 0;
+        };
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const index = transaction.objectStore(this.storeName).index(eventTag ? sort.eventIndex : sort.index);
+            const request = index.openCursor(range, cursorDirection);
+
+            const contacts = [];
+            let passedToken = !token;
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve({ contacts, nextToken: null });
+                    return;
+                }
+
+                if (!passedToken) {
+                    if (isAfterToken(cursor)) {
+                        passedToken = true;
+                    } else if (indexedDB.cmp(cursor.key, token.key) === 0 && indexedDB.cmp(cursor.primaryKey, token.id) !== 0) {
+                        // Many contacts can share a key (same name): jump to the last one returned
+                        cursor.continuePrimaryKey(token.key, token.id);
+                        return;
+                    } else {
+                        cursor.continue();
+                        return;
+                    }
+                }
+
+                contacts.push(cursor.value);
+                if (contacts.length >= pageSize) {
+                    const nextToken = encodeURIComponent(JSON.stringify({ key: cursor.key, id: cursor.primaryKey }));
+                    resolve({ contacts, nextToken });
+                    return;
+                }
+                cursor.continue();
+            };
+        });
     }
 
     /**
@@ -159,9 +784,17 @@ class ContactManager {
      */
     async filterByEvent(eventTag) {
         if (!eventTag) return this.getAllContacts();
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).index('eventTag').getAll(eventTag);
 
-        const contacts = await this.getAllContacts();
-        return contacts.filter(contact => contact.eventTag === eventTag);
+            request.onsuccess = () => {
+                resolve(request.result.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)));
+            };
+            request.onerror = () => reject(request.error);
+        });
     }
 
     /**
@@ -169,15 +802,65 @@ class ContactManager {
      * @returns {Promise<Array>} - Array of unique event tags
      */
     async getEventTags() {
-        const contacts = await this.getAllContacts();
-        const tags = [...new Set(contacts.map(c => c.eventTag).filter(t => t))];
-        return tags.sort();
+        if (!this.db) await this.init();
+
+        // Walk the distinct keys of the eventTag index without reading any records
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).index('eventTag').openKeyCursor(null, 'nextunique');
+            const tags = [];
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(tags);
+                    return;
+                }
+                if (cursor.key) tags.push(cursor.key);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Check edited contact fields before saving
+     * Phone numbers only need enough digits; numbers outside phoneParser's
+     * metadata are still accepted as typed
+     * @param {Object} contact - Contact fields
+     * @returns {Object} - { field: message } for each invalid field (empty if valid)
+     */
+    validateContact(contact) {
+        const errors = {};
+        const value = (field) => String(contact[field] || '').trim();
+
+        if (!value('name')) {
+            errors.name = 'Name is required';
+        }
+
+        ['phone', 'fax'].forEach(field => {
+            if (value(field) && value(field).replace(/\D/g, '').length < 6) {
+                errors[field] = 'Number looks incomplete';
+            }
+        });
+
+        if (value('email') && !/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value('email'))) {
+            errors.email = 'Enter a valid email address';
+        }
+
+        if (value('website') && !/^(https?:\/\/)?[^\s.\/]+(\.[^\s.\/]+)+(\/\S*)?$/i.test(value('website'))) {
+            errors.website = 'Enter a valid website, e.g. example.com';
+        }
+
+        return errors;
     }
 
     /**
      * Update a contact
+     * Sets updatedAt and keeps the typed phone/email lists in step with edited fields
      * @param {number} id - Contact ID
-     * @param {Object} updates - Object with fields to update
+     * @param {Object} updates - Object with fields to update; imageData/backImageData
+     *   (data URL or Blob) replace the stored card images and thumbnail
      * @returns {Promise<void>}
      */
     async updateContact(id, updates) {
@@ -186,15 +869,50 @@ class ContactManager {
         const contact = await this.getContact(id);
         if (!contact) throw new Error('Contact not found');
 
-        const updatedContact = { ...contact, ...updates };
+        const { imageData, backImageData, ...fields } = updates;
+        const replaceImages = imageData !== undefined || backImageData !== undefined;
+        const front = this.toBlob(imageData);
+        const back = this.toBlob(backImageData);
+
+        const updatedContact = {
+            ...contact,
+            ...fields,
+            id: contact.id,
+            updatedAt: new Date().toISOString()
+        };
+
+        if ('name' in updates) {
+            updatedContact.nameParts = this.splitName(updatedContact.name);
+        }
+        if (['phone', 'fax', 'phones'].some(field => field in updates)) {
+            updatedContact.phone = phoneParser.format(updatedContact.phone);
+            updatedContact.fax = phoneParser.format(updatedContact.fax);
+            updatedContact.phones = this.getPhones(updatedContact);
+        }
+        if (['email', 'emails'].some(field => field in updates)) {
+            updatedContact.emails = this.getEmails(updatedContact);
+        }
+        if (replaceImages) {
+            updatedContact.thumbnail = front ? await this.createThumbnail(front) : null;
+            delete updatedContact.thumbnailPending;
+        }
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.put(updatedContact);
+            const transaction = this.db.transaction([this.storeName, this.imageStoreName, this.searchStoreName], 'readwrite');
+            transaction.objectStore(this.storeName).put(updatedContact);
+            searchIndex.updateEntries(transaction.objectStore(this.searchStoreName), updatedContact);
+
+            if (replaceImages) {
+                const images = transaction.objectStore(this.imageStoreName);
+                if (front || back) {
+                    images.put({ front, back }, id);
+                } else {
+                    images.delete(id);
+                }
+            }
 
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
         });
     }
 
@@ -206,12 +924,14 @@ class ContactManager {
         if (!this.db) await this.init();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.clear();
-
-            request.onsuccess = () => resolve(true);
-            request.onerror = () => reject(request.error);
+            const transaction = this.db.transaction([this.storeName, this.imageStoreName, this.searchStoreName], 'readwrite');
+            transaction.objectStore(this.storeName).clear();
+            transaction.objectStore(this.imageStoreName).clear();
+            transaction.objectStore(this.searchStoreName).clear();
+            searchIndex.vocabulary = null;
+
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
         });
     }
 }
@@ -0,0 +1,281 @@
+/**
+ * Duplicate Detection Module
+ * Finds saved contacts that describe the same person: same email (normalized),
+ * same phone number (E.164) or a similar name at a similar company
+ * Also builds the merged contact from the field-by-field choices of the merge dialog
+ */
+
+class DuplicateFinder {
+    constructor() {
+        // Fields the merge dialog offers a choice for
+        this.fields = ['name', 'title', 'company', 'phone', 'fax', 'email', 'website', 'address', 'eventTag'];
+
+        // Dice similarity (0-1) needed for a fuzzy name + company match
+        this.nameThreshold = 0.75;
+        this.companyThreshold = 0.75;
+        // Without a company on both sides the names alone must be nearly identical
+        this.nameOnlyThreshold = 0.95;
+
+        // Words that don't tell people or companies apart
+        this.honorifics = ['mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'sir', 'er'];
+        this.companySuffixes = ['inc', 'incorporated', 'ltd', 'limited', 'llc', 'llp', 'plc', 'gmbh', 'ag',
+            'sa', 'bv', 'co', 'corp', 'corporation', 'company', 'pvt', 'pty', 'group'];
+    }
+
+    /**
+     * Lowercase, strip accents and punctuation, split into words
+     * @param {string} text - Text to normalize
+     * @returns {Array<string>} - Words
+     */
+    words(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+            .split(/\s+/)
+            .filter(Boolean);
+    }
+
+    /**
+     * Normalize a person's name; word order is ignored ("Doe John" = "John Doe")
+     * @param {string} name - Name
+     * @returns {string} - Normalized name
+     */
+    normalizeName(name) {
+        return this.words(name)
+            .filter(word => !this.honorifics.includes(word))
+            .sort()
+            .join(' ');
+    }
+
+    /**
+     * Normalize a company name without legal suffixes ("Acme Inc." = "ACME")
+     * @param {string} company - Company name
+     * @returns {string} - Normalized company
+     */
+    normalizeCompany(company) {
+        return this.words(company)
+            .filter(word => !this.companySuffixes.includes(word))
+            .join(' ');
+    }
+
+    /**
+     * Normalize an email address for comparison
+     * @param {string} email - Email address
+     * @returns {string} - Trimmed, lowercase address
+     */
+    normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    /**
+     * Dice coefficient over character bigrams
+     * @param {string} a - First normalized string
+     * @param {string} b - Second normalized string
+     * @returns {number} - Similarity from 0 (nothing shared) to 1 (identical)
+     */
+    similarity(a, b) {
+        if (!a || !b) return 0;
+        if (a === b) return 1;
+        if (a.length < 2 || b.length < 2) return 0;
+
+        const bigrams = new Map();
+        for (let i = 0; i < a.length - 1; i++) {
+            const bigram = a.substr(i, 2);
+            bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+        }
+
+        let shared = 0;
+        for (let i = 0; i < b.length - 1; i++) {
+            const bigram = b.substr(i, 2);
+            const count = bigrams.get(bigram) || 0;
+            if (count > 0) {
+                bigrams.set(bigram, count - 1);
+                shared++;
+            }
+        }
+
+        return (2 * shared) / (a.length + b.length - 2);
+    }
+
+    /**
+     * Comparison keys of a contact, computed once per contact
+     * @param {Object} contact - Contact object
+     * @returns {Object} - { emails: Set, phones: Set, name, company }
+     */
+    getKeys(contact) {
+        const phones = new Set();
+        contactManager.getPhones(contact).forEach(phone => {
+            // Numbers outside the metadata are compared by digits if long enough to be meaningful
+            const digits = phone.number.replace(/\D/g, '');
+            if (phone.e164) {
+                phones.add(phone.e164 + phone.extension);
+            } else if (digits.length >= 7) {
+                phones.add(digits);
+            }
+        });
+
+        return {
+            emails: new Set(contactManager.getEmails(contact).map(e => this.normalizeEmail(e.address))),
+            phones,
+            name: this.normalizeName(contact.name),
+            company: this.normalizeCompany(contact.company)
+        };
+    }
+
+    /**
+     * Compare the keys of two contacts
+     * @param {Object} a - Keys from getKeys()
+     * @param {Object} b - Keys from getKeys()
+     * @returns {Object|null} - { score, reasons: ['email'|'phone'|'name'] }, or null if not duplicates
+     */
+    compareKeys(a, b) {
+        const reasons = [];
+        let score = 0;
+
+        if ([...a.emails].some(email => b.emails.has(email))) {
+            reasons.push('email');
+            score = 1;
+        }
+        if ([...a.phones].some(phone => b.phones.has(phone))) {
+            reasons.push('phone');
+            score = 1;
+        }
+
+        const nameScore = this.similarity(a.name, b.name);
+        if (a.company && b.company) {
+            const companyScore = this.similarity(a.company, b.company);
+            if (nameScore >= this.nameThreshold && companyScore >= this.companyThreshold) {
+                reasons.push('name');
+                score = Math.max(score, (nameScore + companyScore) / 2);
+            }
+        } else if (nameScore >= this.nameOnlyThreshold) {
+            reasons.push('name');
+            score = Math.max(score, nameScore);
+        }
+
+        return reasons.length > 0 ? { score, reasons } : null;
+    }
+
+    /**
+     * Find saved contacts that may be the same person as a new contact
+     * @param {Object} contact - Contact about to be saved
+     * @param {Array<Object>} existing - Saved contacts
+     * @returns {Array<Object>} - [{ contact, score, reasons }], best match first
+     */
+    findMatches(contact, existing) {
+        const keys = this.getKeys(contact);
+
+        return existing
+            .filter(other => other.id !== contact.id)
+            .map(other => ({ contact: other, ...this.compareKeys(keys, this.getKeys(other)) }))
+            .filter(match => match.reasons)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Find all likely duplicate pairs in the library
+     * @param {Array<Object>} contacts - All saved contacts
+     * @returns {Array<Object>} - [{ existing, duplicate, score, reasons }] where existing is
+     *   the older contact of the pair, best matches first
+     */
+    findAllDuplicates(contacts) {
+        const sorted = [...contacts].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        const keys = sorted.map(contact => this.getKeys(contact));
+        const pairs = [];
+
+        for (let i = 0; i < sorted.length; i++) {
+            for (let j = i + 1; j < sorted.length; j++) {
+                const match = this.compareKeys(keys[i], keys[j]);
+                if (match) {
+                    pairs.push({ existing: sorted[i], duplicate: sorted[j], ...match });
+                }
+            }
+        }
+
+        return pairs.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Describe why two contacts were matched
+     * @param {Array<string>} reasons - From compareKeys()
+     * @returns {string} - e.g. "Same email, same phone"
+     */
+    describeReasons(reasons) {
+        const labels = {
+            email: 'same email',
+            phone: 'same phone number',
+            name: 'similar name and company'
+        };
+        const text = reasons.map(reason => labels[reason]).join(', ');
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    /**
+     * Fields whose values differ between two contacts (the merge dialog asks about these)
+     * A field filled on one side only is taken from that side without asking
+     * @param {Object} existing - Saved contact
+     * @param {Object} incoming - Other contact
+     * @returns {Array<string>} - Field names
+     */
+    getConflictingFields(existing, incoming) {
+        return this.fields.filter(field => {
+            const a = String(existing[field] || '').trim();
+            const b = String(incoming[field] || '').trim();
+            return a && b && a.toLowerCase() !== b.toLowerCase();
+        });
+    }
+
+    /**
+     * Build the merged contact from field-by-field choices
+     * Fields without a choice keep the existing value, or the incoming one if the existing is empty.
+     * Phone and email lists of both contacts are combined.
+     * @param {Object} existing - Saved contact that is kept
+     * @param {Object} incoming - Contact merged into it; imageData/backImageData (data URL or Blob)
+     *   are its card images
+     * @param {Object} choices - { field: 'existing'|'incoming' }; 'image' picks the card images
+     * @returns {Object} - Updates for contactManager.updateContact(existing.id, ...)
+     */
+    merge(existing, incoming, choices = {}) {
+        const side = (field) => (choices[field] === 'incoming' ? [incoming, existing] : [existing, incoming]);
+        const merged = {};
+
+        this.fields.forEach(field => {
+            const [chosen, other] = side(field);
+            merged[field] = String(chosen[field] || '').trim() || String(other[field] || '').trim();
+        });
+
+        // The chosen side's list goes first so its entry is the one the primary field replaces
+        merged.phones = side('phone').flatMap(contact => contactManager.getPhones(contact));
+        merged.emails = side('email').flatMap(contact => contactManager.getEmails(contact));
+
+        // Notes and the stored vCard properties are combined; export only writes the
+        // source properties that still match the merged fields
+        merged.notes = [...new Set([existing.notes, incoming.notes].filter(Boolean))].join('\n');
+        merged.extraProperties = [...new Set([...(existing.extraProperties || []), ...(incoming.extraProperties || [])])];
+        merged.sourceProperties = [...new Set([...(existing.sourceProperties || []), ...(incoming.sourceProperties || [])])];
+
+        // Stored images are only replaced (front and back together) when the incoming
+        // ones are chosen or the saved contact has none; their OCR text goes with them,
+        // so re-parsing and search read the text of the card that is kept
+        const existingHasImage = !!(existing.thumbnail || existing.thumbnailPending);
+        if (incoming.imageData && (choices.image === 'incoming' || !existingHasImage)) {
+            merged.imageData = incoming.imageData;
+            merged.backImageData = incoming.backImageData || null;
+            merged.rawText = incoming.rawText || '';
+            merged.backRawText = incoming.backRawText || '';
+            merged.parserVersion = incoming.parserVersion || null;
+        }
+
+        // The merged contact dates from the first time the person was saved
+        if (incoming.createdAt && new Date(incoming.createdAt) < new Date(existing.createdAt)) {
+            merged.createdAt = incoming.createdAt;
+        }
+
+        return merged;
+    }
+}
+
+// Export for use in other modules
+const duplicateFinder = new DuplicateFinder();
@@ -0,0 +1,227 @@
+/**
+ * Contact Import Module
+ * Reads contacts from .vcf files (one or several cards) and CSV files
+ * CSV columns are mapped to contact fields, guessed from the header row
+ * (Google Contacts, Outlook and plain "Name,Email,Phone" exports) and adjustable in the preview
+ * Each imported contact is flagged when it looks like a saved contact or an earlier one in the file
+ */
+
+class ContactImporter {
+    constructor() {
+        // Fields a CSV column can be mapped to; several columns may share one
+        // (phones and emails are listed, address and notes parts are joined)
+        this.fields = {
+            '': 'Skip',
+            name: 'Full Name',
+            givenName: 'First Name',
+            middleName: 'Middle Name',
+            familyName: 'Last Name',
+            title: 'Job Title',
+            company: 'Company',
+            mobilePhone: 'Mobile Phone',
+            officePhone: 'Work Phone',
+            otherPhone: 'Other Phone',
+            fax: 'Fax',
+            email: 'Email',
+            website: 'Website',
+            address: 'Address',
+            eventTag: 'Event Tag',
+            notes: 'Notes'
+        };
+
+        // Header patterns tried in order; the first match picks the field
+        this.headerPatterns = [
+            // Type/label columns next to values ("Phone 1 - Type") and address parts
+            // that Google also exports formatted ("Address 1 - Formatted")
+            { pattern: /\b(type|label)\b/, field: '' },
+            { pattern: /^address \d+ - (?!formatted)/, field: '' },
+            { pattern: /fax/, field: 'fax' },
+            { pattern: /mobile|cell/, field: 'mobilePhone' },
+            { pattern: /(business|work|office|company).*(phone|tel)|(phone|tel).*(business|work|office)/, field: 'officePhone' },
+            { pattern: /phone|tel\b|telephone/, field: 'otherPhone' },
+            { pattern: /e-?mail/, field: 'email' },
+            { pattern: /^(first|given)( name)?$/, field: 'givenName' },
+            { pattern: /^(middle|additional)( name)?$/, field: 'middleName' },
+            { pattern: /^(last|family|sur)( ?name)?$/, field: 'familyName' },
+            { pattern: /title|job|position|role/, field: 'title' },
+            { pattern: /company|organi[sz]ation|^org$|employer/, field: 'company' },
+            { pattern: /^(full |display )?name$|^fn$|^contact$/, field: 'name' },
+            { pattern: /web|url|homepage|site/, field: 'website' },
+            { pattern: /address|street|city|state|region|postal|zip|country/, field: 'address' },
+            { pattern: /event|tag/, field: 'eventTag' },
+            { pattern: /note|comment/, field: 'notes' }
+        ];
+    }
+
+    /**
+     * Read an import file
+     * @param {File} file - .vcf or .csv file
+     * @returns {Promise<Object>} - { format: 'vcard', contacts } or
+     *   { format: 'csv', headers, rows, mapping, contacts }
+     */
+    async readFile(file) {
+        const text = (await file.text()).replace(/^\uFEFF/, '');
+
+        if (/\.vcf$/i.test(file.name) || /^\s*BEGIN:VCARD/i.test(text)) {
+            return { format: 'vcard', contacts: vCardHandler.parseAll(text) };
+        }
+
+        const [headers = [], ...rows] = this.parseCsv(text);
+        const mapping = this.guessMapping(headers);
+        return { format: 'csv', headers, rows, mapping, contacts: this.mapRows(rows, mapping, headers) };
+    }
+
+    /**
+     * Split CSV text into rows of cells (RFC 4180: quoted cells may hold
+     * delimiters, line breaks and doubled quotes)
+     * The delimiter (comma, semicolon or tab) is detected from the first line
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} - Rows, without empty lines
+     */
+    parseCsv(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+        const delimiter = [',', ';', '\t']
+            .map(char => ({ char, count: firstLine.split(char).length }))
+            .sort((a, b) => b.count - a.count)[0].char;
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+
+        return rows.filter(cells => cells.some(value => value.trim()));
+    }
+
+    /**
+     * Guess the field of each CSV column from its header
+     * @param {Array<string>} headers - Header row
+     * @returns {Array<string>} - Field per column ('' to skip)
+     */
+    guessMapping(headers) {
+        return headers.map(header => {
+            const text = header.trim().toLowerCase().replace(/[_.]+/g, ' ');
+            const match = this.headerPatterns.find(({ pattern }) => pattern.test(text));
+            return match ? match.field : '';
+        });
+    }
+
+    /**
+     * Build contacts from CSV rows
+     * Rows without a name, company, phone or email are dropped
+     * @param {Array<Array<string>>} rows - Data rows
+     * @param {Array<string>} mapping - Field per column
+     * @param {Array<string>} headers - Header row (optional); a "Phone 1 - Type" column
+     *   sets the type of the numbers in "Phone 1 - Value" mapped to Other Phone
+     * @returns {Array<Object>} - Contact objects
+     */
+    mapRows(rows, mapping, headers = []) {
+        const phoneTypes = { mobilePhone: 'mobile', officePhone: 'office', otherPhone: 'other', fax: 'fax' };
+        const typeColumns = headers.map(header => {
+            const match = header.match(/^(.*) - value$/i);
+            return match ? headers.findIndex(other => other.toLowerCase() === `${match[1]} - type`.toLowerCase()) : -1;
+        });
+
+        return rows.map(cells => {
+            const values = {};
+            mapping.forEach((field, column) => {
+                const value = String(cells[column] || '').trim();
+                if (!field || !value) return;
+                const typeColumn = typeColumns[column];
+                if (field === 'otherPhone' && typeColumn >= 0 && cells[typeColumn]) {
+                    const type = vCardHandler.getPhoneType(cells[typeColumn]);
+                    field = Object.keys(phoneTypes).find(key => phoneTypes[key] === type);
+                }
+                (values[field] = values[field] || []).push(value);
+            });
+            const first = (field) => (values[field] || [])[0] || '';
+            const joined = (field, separator) => (values[field] || []).join(separator);
+
+            const phones = Object.entries(phoneTypes).flatMap(([field, type]) =>
+                (values[field] || []).map(number => ({ type, number })));
+            // Some exports put several emails in one cell (" ::: " in Google's)
+            const emails = (values.email || [])
+                .flatMap(value => value.split(/\s*(?::::|;)\s*/))
+                .filter(Boolean)
+                .map(address => ({ type: 'work', address }));
+
+            return {
+                name: first('name') || [first('givenName'), first('middleName'), first('familyName')].filter(Boolean).join(' '),
+                title: first('title'),
+                company: first('company'),
+                phone: (phones.find(phone => phone.type !== 'fax') || {}).number || '',
+                fax: (phones.find(phone => phone.type === 'fax') || {}).number || '',
+                email: emails.length > 0 ? emails[0].address : '',
+                phones,
+                emails,
+                website: first('website'),
+                address: joined('address', ', ').replace(/\s*\n\s*/g, ', '),
+                eventTag: first('eventTag'),
+                notes: joined('notes', '\n')
+            };
+        }).filter(contact => contact.name || contact.company || contact.phone || contact.email);
+    }
+
+    /**
+     * Flag imported contacts that look like saved ones or repeat an earlier one in the file
+     * @param {Array<Object>} contacts - Imported contacts
+     * @param {Array<Object>} existing - Saved contacts
+     * @returns {Array<Object>} - [{ contact, duplicate, inFile, reasons }] in import order;
+     *   duplicate is the matching saved or imported contact (null if none), inFile tells which
+     */
+    findDuplicates(contacts, existing) {
+        const savedKeys = existing.map(contact => ({ contact, keys: duplicateFinder.getKeys(contact) }));
+        const importedKeys = [];
+
+        return contacts.map(contact => {
+            const keys = duplicateFinder.getKeys(contact);
+            const find = (candidates) => candidates
+                .map(candidate => ({ candidate, match: duplicateFinder.compareKeys(keys, candidate.keys) }))
+                .filter(({ match }) => match)
+                .sort((a, b) => b.match.score - a.match.score)[0];
+
+            const saved = find(savedKeys);
+            const repeated = saved ? null : find(importedKeys);
+            importedKeys.push({ contact, keys });
+
+            const found = saved || repeated;
+            return {
+                contact,
+                duplicate: found ? found.candidate.contact : null,
+                inFile: !!repeated,
+                reasons: found ? found.match.reasons : []
+            };
+        });
+    }
+}
+
+// Export for use in other modules
+const contactImporter = new ContactImporter();
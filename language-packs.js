@@ -0,0 +1,179 @@
+/**
+ * OCR Language Pack Module
+ * Tracks which Tesseract traineddata files are installed in tessdata/,
+ * which languages the user has enabled, and builds the combined
+ * language string (e.g. "eng+deu") the OCR worker is initialized with
+ * Works offline: installed packs are detected from tessdata/ or the service worker cache
+ */
+
+class LanguagePackManager {
+    constructor() {
+        this.langPath = './tessdata';
+        this.storageKey = 'ocrLanguages';
+
+        // Languages we know how to install, keyed by Tesseract language code
+        // files: traineddata names accepted in tessdata/, first one preferred
+        // (en.traineddata is the name older setups used for English)
+        this.catalog = {
+            eng: { name: 'English', files: ['eng.traineddata', 'en.traineddata'] },
+            deu: { name: 'German', files: ['deu.traineddata'] },
+            fra: { name: 'French', files: ['fra.traineddata'] },
+            spa: { name: 'Spanish', files: ['spa.traineddata'] },
+            ita: { name: 'Italian', files: ['ita.traineddata'] },
+            por: { name: 'Portuguese', files: ['por.traineddata'] },
+            nld: { name: 'Dutch', files: ['nld.traineddata'] },
+            rus: { name: 'Russian', files: ['rus.traineddata'] },
+            hin: { name: 'Hindi', files: ['hin.traineddata'] },
+            nep: { name: 'Nepali', files: ['nep.traineddata'] },
+            ara: { name: 'Arabic', files: ['ara.traineddata'] },
+            jpn: { name: 'Japanese', files: ['jpn.traineddata'] },
+            chi_sim: { name: 'Chinese (Simplified)', files: ['chi_sim.traineddata'] },
+            chi_tra: { name: 'Chinese (Traditional)', files: ['chi_tra.traineddata'] },
+            kor: { name: 'Korean', files: ['kor.traineddata'] }
+        };
+
+        // Files smaller than this are placeholders, not real language data
+        this.minPackSize = 100000;
+
+        // Download source for missing packs (gzipped, Tesseract 4 compatible)
+        this.downloadBaseUrl = 'https://tessdata.projectnaptha.com/4.0.0';
+
+        // Cached result of detectInstalled()
+        this.installed = null;
+    }
+
+    /**
+     * Check one traineddata file in tessdata/
+     * Falls back to the service worker cache when the network is unavailable
+     * @param {string} file - File name, e.g. "deu.traineddata"
+     * @returns {Promise<boolean>} - True if a real (non-placeholder) file is available
+     */
+    async hasFile(file) {
+        const url = `${this.langPath}/${file}`;
+
+        try {
+            const response = await fetch(url, { method: 'HEAD' });
+            if (!response.ok) return false;
+
+            const contentLength = response.headers.get('content-length');
+            return !contentLength || parseInt(contentLength) >= this.minPackSize;
+        } catch (error) {
+            // Offline: HEAD requests bypass the service worker, so look in its cache
+            if (typeof caches === 'undefined') return false;
+            const cached = await caches.match(url);
+            return !!cached;
+        }
+    }
+
+    /**
+     * Detect which catalog languages have a traineddata file in tessdata/
+     * @param {boolean} refresh - Re-check files instead of using the cached result
+     * @returns {Promise<Object>} - { code: tesseractCode } for every installed language;
+     *   tesseractCode differs from code for legacy file names (en.traineddata → "en")
+     */
+    async detectInstalled(refresh = false) {
+        if (this.installed && !refresh) return this.installed;
+
+        const installed = {};
+        for (const [code, language] of Object.entries(this.catalog)) {
+            for (const file of language.files) {
+                if (await this.hasFile(file)) {
+                    installed[code] = file.replace(/\.traineddata$/, '');
+                    break;
+                }
+            }
+        }
+
+        this.installed = installed;
+        return installed;
+    }
+
+    /**
+     * List all catalog languages with their installed/enabled state for the settings UI
+     * @returns {Promise<Array<Object>>} - [{ code, name, installed, enabled }]
+     */
+    async listLanguages() {
+        const installed = await this.detectInstalled();
+        const enabled = this.getEnabled();
+
+        return Object.entries(this.catalog).map(([code, language]) => ({
+            code,
+            name: language.name,
+            installed: !!installed[code],
+            enabled: enabled.includes(code)
+        }));
+    }
+
+    /**
+     * Get the languages the user has enabled
+     * @returns {Array<string>} - Language codes, English by default
+     */
+    getEnabled() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            const valid = Array.isArray(saved) ? saved.filter(code => this.catalog[code]) : [];
+            return valid.length > 0 ? valid : ['eng'];
+        } catch (error) {
+            return ['eng'];
+        }
+    }
+
+    /**
+     * Save the enabled languages
+     * ocrProcessor.setLanguages() calls this and re-initializes the worker
+     * @param {Array<string>} codes - Language codes to enable (at least one)
+     * @returns {Array<string>} - Enabled codes after validation
+     */
+    setEnabled(codes) {
+        const valid = [...new Set(codes)].filter(code => this.catalog[code]);
+        if (valid.length === 0) {
+            throw new Error('At least one OCR language must be enabled');
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify(valid));
+        return valid;
+    }
+
+    /**
+     * Build the combined Tesseract language string for the enabled languages
+     * With local packs, only installed languages are included so OCR never needs the network;
+     * without any local packs (CDN fallback) the enabled codes are used as-is
+     * @param {boolean} localOnly - Restrict to languages installed in tessdata/
+     * @returns {Promise<string>} - e.g. "eng+deu"
+     */
+    async getLanguageString(localOnly = true) {
+        const enabled = this.getEnabled();
+        if (!localOnly) return enabled.join('+');
+
+        const installed = await this.detectInstalled();
+        const available = enabled.filter(code => installed[code]).map(code => installed[code]);
+
+        if (available.length === 0) {
+            // Nothing enabled is installed: fall back to whatever is
+            const anyInstalled = Object.values(installed);
+            return anyInstalled.length > 0 ? anyInstalled[0] : '';
+        }
+
+        return available.join('+');
+    }
+
+    /**
+     * Enabled languages that have no traineddata file in tessdata/
+     * @returns {Promise<Array<Object>>} - [{ code, name, file, url }] with download details
+     */
+    async getMissingPacks() {
+        const installed = await this.detectInstalled();
+
+        return this.getEnabled()
+            .filter(code => !installed[code])
+            .map(code => ({
+                code,
+                name: this.catalog[code].name,
+                file: this.catalog[code].files[0],
+                url: `${this.downloadBaseUrl}/${code}.traineddata.gz`
+            }));
+    }
+}
+
+// Export for use in other modules
+const languagePackManager = new LanguagePackManager();
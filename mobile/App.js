@@ -13,6 +13,7 @@ import HomeScreen from './src/screens/HomeScreen';
 import CameraScreen from './src/screens/CameraScreen';
 import BatchReviewScreen from './src/screens/BatchReviewScreen';
 import ContactsScreen from './src/screens/ContactsScreen';
+import ImportScreen from './src/screens/ImportScreen';
 
 const Stack = createNativeStackNavigator();
 
@@ -68,6 +69,13 @@ export default function App() {
               title: 'My Contacts',
             }}
           />
+          <Stack.Screen
+            name="Import"
+            component={ImportScreen}
+            options={{
+              title: 'Import Contacts',
+            }}
+          />
         </Stack.Navigator>
       </NavigationContainer>
     </ThemeProvider>
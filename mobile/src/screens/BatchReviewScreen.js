@@ -17,8 +17,28 @@ import {
 import { useTheme } from '../context/ThemeContext';
 import { useNavigation, useRoute } from '@react-navigation/native';
 import { localStorage } from '../utils/LocalStorage';
+import { contactParser } from '../utils/ContactParser';
 import * as Contacts from 'expo-contacts';
 
+// Contact phone types mapped to phone address book labels
+const PHONE_LABELS = { mobile: 'mobile', office: 'work', fax: 'work fax', other: 'other' };
+
+// Fields an OCR line can be assigned to
+const ASSIGN_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'company', label: 'Company' },
+  { key: 'title', label: 'Title' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'fax', label: 'Fax' },
+  { key: 'email', label: 'Email' },
+  { key: 'website', label: 'Website' },
+  { key: 'address', label: 'Address' },
+];
+
+// OCR lines of a card, front then back
+const getCardLines = (contact) =>
+  [contact.rawText, contact.backRawText].flatMap(text => contactParser.getLines(text));
+
 export default function BatchReviewScreen() {
   const { colors } = useTheme();
   const navigation = useNavigation();
@@ -26,6 +46,9 @@ export default function BatchReviewScreen() {
   const initialResults = route.params?.results || [];
 
   const [results, setResults] = useState(initialResults);
+  // Cards with their OCR line list open, and the line picked for assignment
+  const [openLines, setOpenLines] = useState({});
+  const [selectedLine, setSelectedLine] = useState(null);
 
   const styles = createStyles(colors);
 
@@ -44,6 +67,8 @@ export default function BatchReviewScreen() {
         onPress: () => {
           const updated = results.filter((_, i) => i !== index);
           setResults(updated);
+          setOpenLines({});
+          setSelectedLine(null);
         },
       },
     ]);
@@ -57,6 +82,21 @@ export default function BatchReviewScreen() {
     setResults(updated);
   };
 
+  /**
+   * Put an OCR line into a field (see contactParser.assignLine)
+   * Tapping the line's current field clears it
+   */
+  const assignLine = (index, line, field) => {
+    const updated = [...results];
+    const current = updated[index].contact;
+    const target = contactParser.getLineField(line.text, current) === field ? '' : field;
+    const contact = contactParser.assignLine(current, line.text, target);
+
+    updated[index] = { ...updated[index], contact };
+    setResults(updated);
+    setSelectedLine(null);
+  };
+
   const handleSaveAll = async () => {
     const validContacts = results.filter(r => r.contact && r.contact.name);
     
@@ -68,7 +108,7 @@ export default function BatchReviewScreen() {
     try {
       // Save to local storage
       for (const result of validContacts) {
-        await localStorage.saveContact(result.contact, result.imageUri);
+        await localStorage.saveContact(result.contact, result.imageUri, result.backImageUri);
       }
 
       // Ask if user wants to save to phone contacts
@@ -89,8 +129,11 @@ export default function BatchReviewScreen() {
                       firstName: contact.name.split(' ')[0] || contact.name,
                       lastName: contact.name.split(' ').slice(1).join(' ') || '',
                       company: contact.company || '',
-                      emails: contact.email ? [{ label: 'work', email: contact.email }] : [],
-                      phoneNumbers: contact.phone ? [{ label: 'mobile', number: contact.phone }] : [],
+                      jobTitle: contact.title || '',
+                      emails: contactParser.getEmails(contact).map(e => ({ label: e.type, email: e.address })),
+                      phoneNumbers: contactParser.getPhones(contact).map(p => ({ label: PHONE_LABELS[p.type] || 'other', number: p.number })),
+                      urlAddresses: contact.website ? [{ label: 'work', url: contact.website }] : [],
+                      addresses: contact.address ? [{ label: 'work', street: contact.address }] : [],
                     };
                     await Contacts.addContactAsync(newContact);
                   }
@@ -151,89 +194,181 @@ export default function BatchReviewScreen() {
           </TouchableOpacity>
         </View>
 
-        {results.map((result, index) => (
-          <View key={index} style={[styles.card, { backgroundColor: colors.card, borderColor: colors.border }]}>
-            <View style={styles.cardHeader}>
-              {result.imageUri && (
-                <Image source={{ uri: result.imageUri }} style={styles.cardImage} />
-              )}
-              <View style={styles.cardHeaderText}>
-                <Text style={[styles.cardNumber, { color: colors.textSecondary }]}>
-                  Card {index + 1}
-                </Text>
-                <TouchableOpacity
-                  style={styles.removeButton}
-                  onPress={() => removeContact(index)}
-                >
-                  <Text style={[styles.removeButtonText, { color: colors.danger }]}>✕ Remove</Text>
-                </TouchableOpacity>
+        {results.map((result, index) => {
+          const lines = getCardLines(result.contact);
+          return (
+            <View key={index} style={[styles.card, { backgroundColor: colors.card, borderColor: colors.border }]}>
+              <View style={styles.cardHeader}>
+                {result.imageUri && (
+                  <Image source={{ uri: result.imageUri }} style={styles.cardImage} />
+                )}
+                {result.backImageUri && (
+                  <Image source={{ uri: result.backImageUri }} style={styles.cardImage} />
+                )}
+                <View style={styles.cardHeaderText}>
+                  <Text style={[styles.cardNumber, { color: colors.textSecondary }]}>
+                    Card {index + 1}
+                  </Text>
+                  <TouchableOpacity
+                    style={styles.removeButton}
+                    onPress={() => removeContact(index)}
+                  >
+                    <Text style={[styles.removeButtonText, { color: colors.danger }]}>✕ Remove</Text>
+                  </TouchableOpacity>
+                </View>
               </View>
-            </View>
 
-            <View style={styles.form}>
-              <View style={styles.fieldRow}>
+              <View style={styles.form}>
+                <View style={styles.fieldRow}>
+                  <View style={styles.field}>
+                    <Text style={[styles.label, { color: colors.text }]}>Name *</Text>
+                    <TextInput
+                      style={[styles.input, { backgroundColor: colors.input, color: colors.text, borderColor: colors.border }]}
+                      value={result.contact.name || ''}
+                      onChangeText={(text) => updateContact(index, 'name', text)}
+                      placeholder="Enter name"
+                    />
+                  </View>
+                  <TouchableOpacity
+                    style={[styles.swapButton, { borderColor: colors.border }]}
+                    onPress={() => swapNameCompany(index)}
+                  >
+                    <Text style={[styles.swapButtonText, { color: colors.textSecondary }]}>⇄</Text>
+                  </TouchableOpacity>
+                </View>
+
                 <View style={styles.field}>
-                  <Text style={[styles.label, { color: colors.text }]}>Name *</Text>
+                  <Text style={[styles.label, { color: colors.text }]}>Company</Text>
                   <TextInput
                     style={[styles.input, { backgroundColor: colors.input, color: colors.text, borderColor: colors.border }]}
-                    value={result.contact.name || ''}
-                    onChangeText={(text) => updateContact(index, 'name', text)}
-                    placeholder="Enter name"
+                    value={result.contact.company || ''}
+                    onChangeText={(text) => updateContact(index, 'company', text)}
+                    placeholder="Enter company"
                   />
                 </View>
-                <TouchableOpacity
-                  style={[styles.swapButton, { borderColor: colors.border }]}
-                  onPress={() => swapNameCompany(index)}
-                >
-                  <Text style={[styles.swapButtonText, { color: colors.textSecondary }]}>⇄</Text>
-                </TouchableOpacity>
-              </View>
 
-              <View style={styles.field}>
-                <Text style={[styles.label, { color: colors.text }]}>Company</Text>
-                <TextInput
-                  style={[styles.input, { backgroundColor: colors.input, color: colors.text, borderColor: colors.border }]}
-                  value={result.contact.company || ''}
-                  onChangeText={(text) => updateContact(index, 'company', text)}
-                  placeholder="Enter company"
-                />
-              </View>
+                <View style={styles.field}>
+                  <Text style={[styles.label, { color: colors.text }]}>Job Title</Text>
+                  <TextInput
+                    style={[styles.input, { backgroundColor: colors.input, color: colors.text, borderColor: colors.border }]}
+                    value={result.contact.title || ''}
+                    onChangeText={(text) => updateContact(index, 'title', text)}
+                    placeholder="Enter job title"
+                  />
+                </View>
 
-              <View style={styles.field}>
-                <Text style={[styles.label, { color: colors.text }]}>Phone</Text>
-                <TextInput
-                  style={[styles.input, { backgroundColor: colors.input, color: colors.text, borderColor: colors.border }]}
-                  value={result.contact.phone || ''}
-                  onChangeText={(text) => updateContact(index, 'phone', text)}
-                  placeholder="Enter phone"
-                  keyboardType="phone-pad"
-                />
-              </View>
+                <View style={styles.field}>
+                  <Text style={[styles.label, { color: colors.text }]}>Phone</Text>
+                  <TextInput
+                    style={[styles.input, { backgroundColor: colors.input, color: colors.text, borderColor: colors.border }]}
+                    value={result.contact.phone || ''}
+                    onChangeText={(text) => updateContact(index, 'phone', text)}
+                    placeholder="Enter phone"
+                    keyboardType="phone-pad"
+                  />
+                </View>
 
-              <View style={styles.field}>
-                <Text style={[styles.label, { color: colors.text }]}>Email</Text>
-                <TextInput
-                  style={[styles.input, { backgroundColor: colors.input, color: colors.text, borderColor: colors.border }]}
-                  value={result.contact.email || ''}
-                  onChangeText={(text) => updateContact(index, 'email', text)}
-                  placeholder="Enter email"
-                  keyboardType="email-address"
-                  autoCapitalize="none"
-                />
-              </View>
+                <View style={styles.field}>
+                  <Text style={[styles.label, { color: colors.text }]}>Fax</Text>
+                  <TextInput
+                    style={[styles.input, { backgroundColor: colors.input, color: colors.text, borderColor: colors.border }]}
+                    value={result.contact.fax || ''}
+                    onChangeText={(text) => updateContact(index, 'fax', text)}
+                    placeholder="Enter fax"
+                    keyboardType="phone-pad"
+                  />
+                </View>
 
-              <View style={styles.field}>
-                <Text style={[styles.label, { color: colors.text }]}>Event Tag</Text>
-                <TextInput
-                  style={[styles.input, { backgroundColor: colors.input, color: colors.text, borderColor: colors.border }]}
-                  value={result.contact.eventTag || ''}
-                  onChangeText={(text) => updateContact(index, 'eventTag', text)}
-                  placeholder="e.g., Edu Summit 2025"
-                />
+                <View style={styles.field}>
+                  <Text style={[styles.label, { color: colors.text }]}>Email</Text>
+                  <TextInput
+                    style={[styles.input, { backgroundColor: colors.input, color: colors.text, borderColor: colors.border }]}
+                    value={result.contact.email || ''}
+                    onChangeText={(text) => updateContact(index, 'email', text)}
+                    placeholder="Enter email"
+                    keyboardType="email-address"
+                    autoCapitalize="none"
+                  />
+                </View>
+
+                <View style={styles.field}>
+                  <Text style={[styles.label, { color: colors.text }]}>Website</Text>
+                  <TextInput
+                    style={[styles.input, { backgroundColor: colors.input, color: colors.text, borderColor: colors.border }]}
+                    value={result.contact.website || ''}
+                    onChangeText={(text) => updateContact(index, 'website', text)}
+                    placeholder="Enter website"
+                    keyboardType="url"
+                    autoCapitalize="none"
+                  />
+                </View>
+
+                <View style={styles.field}>
+                  <Text style={[styles.label, { color: colors.text }]}>Address</Text>
+                  <TextInput
+                    style={[styles.input, { backgroundColor: colors.input, color: colors.text, borderColor: colors.border }]}
+                    value={result.contact.address || ''}
+                    onChangeText={(text) => updateContact(index, 'address', text)}
+                    placeholder="Enter address"
+                    multiline
+                  />
+                </View>
+
+                <View style={styles.field}>
+                  <Text style={[styles.label, { color: colors.text }]}>Event Tag</Text>
+                  <TextInput
+                    style={[styles.input, { backgroundColor: colors.input, color: colors.text, borderColor: colors.border }]}
+                    value={result.contact.eventTag || ''}
+                    onChangeText={(text) => updateContact(index, 'eventTag', text)}
+                    placeholder="e.g., Edu Summit 2025"
+                  />
+                </View>
               </View>
+
+              {lines.length > 0 && (
+                <View style={styles.linesSection}>
+                  <TouchableOpacity onPress={() => setOpenLines({ ...openLines, [index]: !openLines[index] })}>
+                    <Text style={[styles.linesToggle, { color: colors.primary }]}>
+                      {openLines[index] ? '▾' : '▸'} Scanned lines ({lines.length}) - tap a line to assign it
+                    </Text>
+                  </TouchableOpacity>
+                  {openLines[index] && lines.map((line, lineIndex) => {
+                    const selected = !!selectedLine && selectedLine.index === index && selectedLine.lineIndex === lineIndex;
+                    const field = contactParser.getLineField(line.text, result.contact);
+                    const fieldLabel = field ? ASSIGN_FIELDS.find(({ key }) => key === field).label : '';
+                    return (
+                      <View key={lineIndex}>
+                        <TouchableOpacity
+                          style={[styles.lineRow, { borderColor: selected ? colors.primary : colors.border }]}
+                          onPress={() => setSelectedLine(selected ? null : { index, lineIndex })}
+                        >
+                          <Text style={[styles.lineType, { color: colors.textSecondary, borderColor: colors.border }]}>
+                            {line.type === 'name_or_company' ? 'name/company' : line.type}
+                          </Text>
+                          <Text style={[styles.lineText, { color: colors.text }]}>{line.text}</Text>
+                          {field ? <Text style={[styles.lineField, { color: colors.primary }]}>→ {fieldLabel}</Text> : null}
+                        </TouchableOpacity>
+                        {selected && (
+                          <View style={styles.fieldChips}>
+                            {ASSIGN_FIELDS.map(({ key, label }) => (
+                              <TouchableOpacity
+                                key={key}
+                                style={[styles.fieldChip, { borderColor: colors.primary, backgroundColor: field === key ? colors.primary : 'transparent' }]}
+                                onPress={() => assignLine(index, line, key)}
+                              >
+                                <Text style={[styles.fieldChipText, { color: field === key ? '#FFFFFF' : colors.primary }]}>{label}</Text>
+                              </TouchableOpacity>
+                            ))}
+                          </View>
+                        )}
+                      </View>
+                    );
+                  })}
+                </View>
+              )}
             </View>
-          </View>
-        ))}
+          );
+        })}
 
         <TouchableOpacity
           style={[styles.saveAllButton, { backgroundColor: colors.primary }]}
@@ -369,5 +504,54 @@ const createStyles = (colors) =>
       fontSize: 14,
       fontWeight: '600',
     },
+    linesSection: {
+      marginTop: 16,
+      gap: 6,
+    },
+    linesToggle: {
+      fontSize: 14,
+      fontWeight: '600',
+    },
+    lineRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 8,
+      borderWidth: 1,
+      borderRadius: 8,
+      padding: 8,
+    },
+    lineType: {
+      fontSize: 10,
+      borderWidth: 1,
+      borderRadius: 4,
+      paddingHorizontal: 4,
+      paddingVertical: 2,
+      minWidth: 64,
+      textAlign: 'center',
+    },
+    lineText: {
+      flex: 1,
+      fontSize: 14,
+    },
+    lineField: {
+      fontSize: 12,
+      fontWeight: '600',
+    },
+    fieldChips: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      gap: 6,
+      paddingVertical: 6,
+    },
+    fieldChip: {
+      borderWidth: 1,
+      borderRadius: 14,
+      paddingHorizontal: 10,
+      paddingVertical: 4,
+    },
+    fieldChipText: {
+      fontSize: 12,
+      fontWeight: '600',
+    },
   });
 
@@ -3,7 +3,7 @@
  * Handles photo capture and image import using expo-camera
  */
 
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import {
   View,
   Text,
@@ -14,6 +14,7 @@ import {
   ActivityIndicator,
   ScrollView,
   TextInput,
+  PanResponder,
 } from 'react-native';
 import { CameraView, useCameraPermissions } from 'expo-camera';
 import * as ImagePicker from 'expo-image-picker';
@@ -25,6 +26,24 @@ import { localStorage } from '../utils/LocalStorage';
 import { ocrProcessor } from '../utils/OCRProcessor';
 import * as Contacts from 'expo-contacts';
 
+// Contact phone types mapped to phone address book labels
+const PHONE_LABELS = { mobile: 'mobile', office: 'work', fax: 'work fax', other: 'other' };
+
+// Fields a word line or area on the preview can be assigned to, with their box colors
+const PREVIEW_FIELDS = [
+  { key: 'name', label: 'Name', color: '#2563EB' },
+  { key: 'company', label: 'Company', color: '#9333EA' },
+  { key: 'title', label: 'Title', color: '#DB2777' },
+  { key: 'phone', label: 'Phone', color: '#16A34A' },
+  { key: 'fax', label: 'Fax', color: '#0D9488' },
+  { key: 'email', label: 'Email', color: '#EA580C' },
+  { key: 'website', label: 'Website', color: '#0891B2' },
+  { key: 'address', label: 'Address', color: '#CA8A04' },
+];
+
+// Finger movement in points that turns a tap on the preview into a drag
+const MIN_DRAG = 8;
+
 export default function CameraScreen() {
   const { colors } = useTheme();
   const navigation = useNavigation();
@@ -41,11 +60,125 @@ export default function CameraScreen() {
   const [eventTag, setEventTag] = useState('');
   const [batchResults, setBatchResults] = useState([]);
   const [scanned, setScanned] = useState(false); // Track if QR code was scanned
+  const [backImageUri, setBackImageUri] = useState(null); // Back side of a two-sided card
+  const [capturingBack, setCapturingBack] = useState(false);
+  // OCR word boxes of the front, and what the user picked on the preview
+  const [words, setWords] = useState([]);
+  const [selection, setSelection] = useState(null); // { line } or { region }
+  const [selectArea, setSelectArea] = useState(false); // Drags select an area instead of scrolling
+  const [dragRect, setDragRect] = useState(null);
+  const [previewSize, setPreviewSize] = useState(null);
+  const [imageSize, setImageSize] = useState(null);
 
   const cameraRef = useRef(null);
 
   const styles = createStyles(colors);
 
+  useEffect(() => {
+    setImageSize(null);
+    if (!imageUri) return;
+    Image.getSize(imageUri, (width, height) => setImageSize({ width, height }), () => {});
+  }, [imageUri]);
+
+  // Where the image is drawn inside the preview (it is letterboxed to keep the whole card visible)
+  const imageRect = useMemo(() => {
+    if (!previewSize || !imageSize) return null;
+    const scale = Math.min(previewSize.width / imageSize.width, previewSize.height / imageSize.height);
+    const width = imageSize.width * scale;
+    const height = imageSize.height * scale;
+    return { x: (previewSize.width - width) / 2, y: (previewSize.height - height) / 2, width, height };
+  }, [previewSize, imageSize]);
+
+  // Text of one OCR line on the preview, cleaned like the lines of the OCR text
+  const getLineText = (line) =>
+    contactParser.cleanText(words.filter(word => word.line === line).map(word => word.text).join(' ')).trim();
+
+  // Field a word is part of: the field its whole line fills, otherwise any field containing it
+  const getWordField = (word) =>
+    contactParser.getLineField(getLineText(word.line), contact) || contactParser.getWordField(word.text, contact);
+
+  // Preview point (in points) as a fraction of the image
+  const toImagePoint = (x, y) => ({
+    x: (x - imageRect.x) / imageRect.width,
+    y: (y - imageRect.y) / imageRect.height,
+  });
+
+  const previewResponder = useMemo(() => PanResponder.create({
+    onStartShouldSetPanResponder: () => words.length > 0 && !!imageRect,
+    onMoveShouldSetPanResponder: () => selectArea && words.length > 0 && !!imageRect,
+    // Outside select mode the ScrollView may take the gesture over
+    onPanResponderTerminationRequest: () => !selectArea,
+    onPanResponderMove: (evt, gesture) => {
+      if (!selectArea) return;
+      const { locationX, locationY } = evt.nativeEvent;
+      const startX = locationX - gesture.dx;
+      const startY = locationY - gesture.dy;
+      setDragRect({
+        left: Math.min(startX, locationX),
+        top: Math.min(startY, locationY),
+        width: Math.abs(gesture.dx),
+        height: Math.abs(gesture.dy),
+      });
+    },
+    onPanResponderRelease: (evt, gesture) => {
+      setDragRect(null);
+      const { locationX, locationY } = evt.nativeEvent;
+
+      if (Math.abs(gesture.dx) < MIN_DRAG && Math.abs(gesture.dy) < MIN_DRAG) {
+        const point = toImagePoint(locationX, locationY);
+        const word = words.find(w =>
+          point.x >= w.x && point.x <= w.x + w.width && point.y >= w.y && point.y <= w.y + w.height);
+        setSelection(word ? { line: word.line } : null);
+        return;
+      }
+
+      if (selectArea) {
+        const start = toImagePoint(locationX - gesture.dx, locationY - gesture.dy);
+        const end = toImagePoint(locationX, locationY);
+        const clamp = (value) => Math.min(Math.max(value, 0), 1);
+        const x = clamp(Math.min(start.x, end.x));
+        const y = clamp(Math.min(start.y, end.y));
+        const width = clamp(Math.max(start.x, end.x)) - x;
+        const height = clamp(Math.max(start.y, end.y)) - y;
+        if (width > 0 && height > 0) setSelection({ region: { x, y, width, height } });
+      }
+    },
+    onPanResponderTerminate: () => setDragRect(null),
+  }), [words, imageRect, selectArea]);
+
+  /**
+   * Put the picked line or area into a field
+   * A line moves from the field it filled (see contactParser.assignLine); an area is read
+   * again with OCR and replaces the field's value
+   */
+  const assignSelection = async (field) => {
+    const picked = selection;
+    setSelection(null);
+
+    if (!picked.region) {
+      setContact(contactParser.assignLine(contact, getLineText(picked.line), field));
+      return;
+    }
+
+    setProcessing(true);
+    try {
+      const text = await ocrProcessor.extractRegionText(imageUri, picked.region);
+      const lines = contactParser.getLines(text).map(line => line.text);
+      if (lines.length === 0) {
+        Alert.alert('No Text Found', 'No text was found in the selected area');
+        return;
+      }
+      // An address keeps its lines apart with commas; other fields read the area as one line
+      const value = field === 'address' ? lines.join(', ') : contactParser.getFieldValue(lines.join(' '), field);
+      setContact(current => ({ ...current, [field]: value }));
+    } catch (error) {
+      console.error('Area OCR error:', error);
+      Alert.alert('Error', 'Could not read the selected area');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
   useEffect(() => {
     // Request permissions on mount
     if (!permission) {
@@ -66,6 +199,11 @@ export default function CameraScreen() {
       
       // Use the real file path from photo.uri
       const imageUri = photo.uri;
+
+      if (capturingBack) {
+        await processBackImage(imageUri);
+        return;
+      }
       
       setPreviewUri(imageUri);
       setImageUri(imageUri);
@@ -89,6 +227,10 @@ export default function CameraScreen() {
 
       if (!result.canceled && result.assets[0]) {
         const imageUri = result.assets[0].uri;
+        if (capturingBack) {
+          await processBackImage(imageUri);
+          return;
+        }
         setImageUri(imageUri);
         // Automatically process image after selection
         await processImage(imageUri);
@@ -101,10 +243,12 @@ export default function CameraScreen() {
   const processImage = async (uri) => {
     setProcessing(true);
     try {
-      // Extract text using OCR
-      const extractedContact = await ocrProcessor.processImage(uri);
+      // Extract text (and word boxes for the preview) using OCR
+      const { contact: extractedContact, words: wordBoxes } = await ocrProcessor.processImageFull(uri);
       
       setContact(extractedContact);
+      setWords(wordBoxes);
+      setSelection(null);
       
       // If no text was extracted, show a helpful message
       if (!extractedContact.name && !extractedContact.email && !extractedContact.phone) {
@@ -127,10 +271,46 @@ export default function CameraScreen() {
     }
   };
 
+  /**
+   * Read the back of the card and merge it into the contact from the front
+   * A vCard QR code on the back is exact, so its values win conflicts
+   */
+  const processBackImage = async (uri, qrContact = null) => {
+    setProcessing(true);
+    try {
+      const backContact = qrContact || await ocrProcessor.processImage(uri);
+      const merged = contactParser.mergeContacts(contact, backContact, !!qrContact);
+      setContact(merged);
+
+      if (merged.conflicts.length > 0) {
+        Alert.alert(
+          'Sides Differ',
+          merged.conflicts.map(c => `${c.field}: kept "${c.kept}", other side "${c.dropped}"`).join('\n')
+        );
+      }
+    } catch (error) {
+      console.error('Back side processing error:', error);
+      Alert.alert('Error', 'Could not read the back side - only its image will be saved');
+    } finally {
+      if (uri) setBackImageUri(uri);
+      setCapturingBack(false);
+      setProcessing(false);
+    }
+  };
+
+  const handleAddBack = () => {
+    setScanned(false); // Allow a QR code on the back to be scanned
+    setCapturingBack(true);
+  };
+
   const handleRetake = () => {
     setPreviewUri(null);
     setImageUri(null);
     setContact(null);
+    setBackImageUri(null);
+    setWords([]);
+    setSelection(null);
+    setCapturingBack(false);
     setScanned(false); // Reset QR scan state
   };
 
@@ -148,6 +328,10 @@ export default function CameraScreen() {
       if (data && data.trim().startsWith('BEGIN:VCARD')) {
         // Parse vCard directly
         const parsedContact = vCardHandler.parse(data);
+        if (capturingBack) {
+          processBackImage(null, parsedContact);
+          return;
+        }
         setContact(parsedContact);
         Alert.alert('Success', 'vCard detected and parsed!', [
           {
@@ -193,19 +377,21 @@ export default function CameraScreen() {
     }
 
     try {
+      // Front/back conflicts were already shown to the user; they aren't stored
+      const { conflicts, ...scannedContact } = contact;
       const contactToSave = {
-        ...contact,
+        ...scannedContact,
         eventTag: eventTag.trim(),
       };
 
       if (mode === 'batch') {
-        setBatchResults([...batchResults, { contact: contactToSave, imageUri }]);
+        setBatchResults([...batchResults, { contact: contactToSave, imageUri, backImageUri }]);
         Alert.alert('Success', 'Contact added to batch. Continue scanning or review batch.');
         // Reset for next scan
         handleRetake();
       } else {
         // Save to local storage first
-        await localStorage.saveContact(contactToSave, imageUri);
+        await localStorage.saveContact(contactToSave, imageUri, backImageUri);
         
         // Ask if user wants to save to phone contacts
         Alert.alert(
@@ -234,8 +420,11 @@ export default function CameraScreen() {
                       firstName: contactToSave.name.split(' ')[0] || contactToSave.name,
                       lastName: contactToSave.name.split(' ').slice(1).join(' ') || '',
                       company: contactToSave.company || '',
-                      emails: contactToSave.email ? [{ label: 'work', email: contactToSave.email }] : [],
-                      phoneNumbers: contactToSave.phone ? [{ label: 'mobile', number: contactToSave.phone }] : [],
+                      jobTitle: contactToSave.title || '',
+                      emails: contactParser.getEmails(contactToSave).map(e => ({ label: e.type, email: e.address })),
+                      phoneNumbers: contactParser.getPhones(contactToSave).map(p => ({ label: PHONE_LABELS[p.type] || 'other', number: p.number })),
+                      urlAddresses: contactToSave.website ? [{ label: 'work', url: contactToSave.website }] : [],
+                      addresses: contactToSave.address ? [{ label: 'work', street: contactToSave.address }] : [],
                     };
                     await Contacts.addContactAsync(newContact);
                     Alert.alert('Success', 'Contact saved to phone!', [
@@ -326,10 +515,106 @@ export default function CameraScreen() {
   }
 
   // Show contact form when image is captured and contact is extracted
-  if (imageUri && contact) {
+  if (imageUri && contact && !capturingBack) {
     return (
       <ScrollView style={styles.container} contentContainerStyle={styles.content}>
-        <Image source={{ uri: imageUri }} style={styles.previewImage} />
+        <View
+          style={[styles.previewImage, styles.previewBox]}
+          onLayout={(e) => setPreviewSize(e.nativeEvent.layout)}
+          {...previewResponder.panHandlers}
+        >
+          <Image source={{ uri: imageUri }} style={styles.previewFill} resizeMode="contain" />
+          {imageRect && words.map((word, index) => {
+            const field = PREVIEW_FIELDS.find(({ key }) => key === getWordField(word));
+            // Words that fill no field are gray
+            const color = field ? field.color : '#9CA3AF';
+            const selected = !!selection && selection.line === word.line;
+            return (
+              <View
+                key={index}
+                pointerEvents="none"
+                style={[styles.wordBox, {
+                  left: imageRect.x + word.x * imageRect.width,
+                  top: imageRect.y + word.y * imageRect.height,
+                  width: word.width * imageRect.width,
+                  height: word.height * imageRect.height,
+                  borderColor: color,
+                  backgroundColor: selected ? `${color}80` : 'transparent',
+                }]}
+              />
+            );
+          })}
+          {dragRect && <View pointerEvents="none" style={[styles.dragRect, dragRect]} />}
+        </View>
+
+        {words.length > 0 && (
+          <View style={styles.wordTools}>
+            <View style={styles.wordToolsRow}>
+              <Text style={[styles.wordHint, { color: colors.textSecondary }]}>
+                Tap a word box to move its line to another field{selectArea ? ', or drag over an area to read it again' : ''}
+              </Text>
+              <TouchableOpacity
+                style={[styles.selectAreaButton, { borderColor: colors.primary, backgroundColor: selectArea ? colors.primary : 'transparent' }]}
+                onPress={() => setSelectArea(!selectArea)}
+              >
+                <Text style={[styles.selectAreaText, { color: selectArea ? '#FFFFFF' : colors.primary }]}>⬚ Select area</Text>
+              </TouchableOpacity>
+            </View>
+            <View style={styles.legend}>
+              {PREVIEW_FIELDS.map(({ key, label, color }) => (
+                <View key={key} style={styles.legendItem}>
+                  <View style={[styles.legendSwatch, { borderColor: color }]} />
+                  <Text style={[styles.legendText, { color: colors.textSecondary }]}>{label}</Text>
+                </View>
+              ))}
+            </View>
+
+            {selection && (
+              <View style={[styles.assignPanel, { backgroundColor: colors.card, borderColor: colors.border }]}>
+                <Text style={[styles.assignTitle, { color: colors.text }]}>
+                  {selection.region ? 'Read the selected area into:' : `“${getLineText(selection.line)}” is the:`}
+                </Text>
+                <View style={styles.fieldChips}>
+                  {PREVIEW_FIELDS.map(({ key, label, color }) => (
+                    <TouchableOpacity
+                      key={key}
+                      style={[styles.fieldChip, { borderColor: color }]}
+                      onPress={() => assignSelection(key)}
+                    >
+                      <Text style={[styles.fieldChipText, { color }]}>{label}</Text>
+                    </TouchableOpacity>
+                  ))}
+                  {!selection.region && (
+                    <TouchableOpacity
+                      style={[styles.fieldChip, { borderColor: colors.border }]}
+                      onPress={() => assignSelection('')}
+                    >
+                      <Text style={[styles.fieldChipText, { color: colors.textSecondary }]}>Not used</Text>
+                    </TouchableOpacity>
+                  )}
+                  <TouchableOpacity
+                    style={[styles.fieldChip, { borderColor: colors.border }]}
+                    onPress={() => setSelection(null)}
+                  >
+                    <Text style={[styles.fieldChipText, { color: colors.textSecondary }]}>Cancel</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            )}
+          </View>
+        )}
+
+        {backImageUri ? (
+          <Image source={{ uri: backImageUri }} style={styles.previewImage} />
+        ) : (
+          <TouchableOpacity
+            style={[styles.reviewButton, { borderColor: colors.primary, marginTop: 0, marginBottom: 20 }]}
+            onPress={handleAddBack}
+            disabled={processing}
+          >
+            <Text style={[styles.reviewButtonText, { color: colors.primary }]}>🔄 Add Back Side</Text>
+          </TouchableOpacity>
+        )}
         
         <View style={styles.form}>
           <Text style={[styles.label, { color: colors.text }]}>Name *</Text>
@@ -340,6 +625,14 @@ export default function CameraScreen() {
             placeholder="Enter name"
           />
 
+          <Text style={[styles.label, { color: colors.text }]}>Job Title</Text>
+          <TextInput
+            style={[styles.input, { backgroundColor: colors.input, color: colors.text, borderColor: colors.border }]}
+            value={contact.title}
+            onChangeText={(text) => setContact({ ...contact, title: text })}
+            placeholder="Enter job title"
+          />
+
           <Text style={[styles.label, { color: colors.text }]}>Company</Text>
           <TextInput
             style={[styles.input, { backgroundColor: colors.input, color: colors.text, borderColor: colors.border }]}
@@ -357,6 +650,15 @@ export default function CameraScreen() {
             keyboardType="phone-pad"
           />
 
+          <Text style={[styles.label, { color: colors.text }]}>Fax</Text>
+          <TextInput
+            style={[styles.input, { backgroundColor: colors.input, color: colors.text, borderColor: colors.border }]}
+            value={contact.fax}
+            onChangeText={(text) => setContact({ ...contact, fax: text })}
+            placeholder="Enter fax"
+            keyboardType="phone-pad"
+          />
+
           <Text style={[styles.label, { color: colors.text }]}>Email</Text>
           <TextInput
             style={[styles.input, { backgroundColor: colors.input, color: colors.text, borderColor: colors.border }]}
@@ -367,6 +669,25 @@ export default function CameraScreen() {
             autoCapitalize="none"
           />
 
+          <Text style={[styles.label, { color: colors.text }]}>Website</Text>
+          <TextInput
+            style={[styles.input, { backgroundColor: colors.input, color: colors.text, borderColor: colors.border }]}
+            value={contact.website}
+            onChangeText={(text) => setContact({ ...contact, website: text })}
+            placeholder="Enter website"
+            keyboardType="url"
+            autoCapitalize="none"
+          />
+
+          <Text style={[styles.label, { color: colors.text }]}>Address</Text>
+          <TextInput
+            style={[styles.input, { backgroundColor: colors.input, color: colors.text, borderColor: colors.border }]}
+            value={contact.address}
+            onChangeText={(text) => setContact({ ...contact, address: text })}
+            placeholder="Enter address"
+            multiline
+          />
+
           <Text style={[styles.label, { color: colors.text }]}>Event Tag</Text>
           <TextInput
             style={[styles.input, { backgroundColor: colors.input, color: colors.text, borderColor: colors.border }]}
@@ -437,6 +758,23 @@ export default function CameraScreen() {
         </View>
       )}
 
+      {/* Capturing the back of the card in the form */}
+      {capturingBack && (
+        <View style={styles.backBanner}>
+          <Text style={styles.batchCounter}>Scan the back of the card</Text>
+          {processing ? (
+            <ActivityIndicator color="#FFFFFF" />
+          ) : (
+            <TouchableOpacity
+              style={[styles.smallButton, { backgroundColor: colors.card }]}
+              onPress={() => setCapturingBack(false)}
+            >
+              <Text style={[styles.smallButtonText, { color: colors.text }]}>Cancel</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
       <CameraView
         ref={cameraRef}
         style={styles.camera}
@@ -568,6 +906,96 @@ const createStyles = (colors) =>
       borderRadius: 12,
       marginBottom: 20,
     },
+    previewBox: {
+      overflow: 'hidden',
+    },
+    previewFill: {
+      position: 'absolute',
+      top: 0,
+      left: 0,
+      width: '100%',
+      height: '100%',
+    },
+    wordBox: {
+      position: 'absolute',
+      borderWidth: 2,
+      borderRadius: 2,
+    },
+    dragRect: {
+      position: 'absolute',
+      borderWidth: 2,
+      borderStyle: 'dashed',
+      borderColor: '#3B82F6',
+      backgroundColor: 'rgba(59,130,246,0.1)',
+    },
+    wordTools: {
+      marginTop: -12,
+      marginBottom: 20,
+      gap: 8,
+    },
+    wordToolsRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 8,
+    },
+    wordHint: {
+      flex: 1,
+      fontSize: 12,
+    },
+    selectAreaButton: {
+      borderWidth: 1,
+      borderRadius: 8,
+      paddingHorizontal: 10,
+      paddingVertical: 6,
+    },
+    selectAreaText: {
+      fontSize: 12,
+      fontWeight: '600',
+    },
+    legend: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      gap: 10,
+    },
+    legendItem: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 4,
+    },
+    legendSwatch: {
+      width: 12,
+      height: 12,
+      borderWidth: 2,
+      borderRadius: 2,
+    },
+    legendText: {
+      fontSize: 11,
+    },
+    assignPanel: {
+      borderWidth: 1,
+      borderRadius: 12,
+      padding: 12,
+      gap: 8,
+    },
+    assignTitle: {
+      fontSize: 14,
+      fontWeight: '600',
+    },
+    fieldChips: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      gap: 6,
+    },
+    fieldChip: {
+      borderWidth: 1,
+      borderRadius: 14,
+      paddingHorizontal: 10,
+      paddingVertical: 4,
+    },
+    fieldChipText: {
+      fontSize: 12,
+      fontWeight: '600',
+    },
     form: {
       gap: 16,
     },
@@ -624,6 +1052,19 @@ const createStyles = (colors) =>
       padding: 12,
       zIndex: 10,
     },
+    backBanner: {
+      position: 'absolute',
+      bottom: 150,
+      left: 20,
+      right: 20,
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      backgroundColor: 'rgba(0,0,0,0.8)',
+      borderRadius: 12,
+      padding: 12,
+      zIndex: 10,
+    },
     batchInfo: {
       marginBottom: 8,
     },
@@ -14,21 +14,41 @@ import {
   Image,
   Alert,
   RefreshControl,
+  Modal,
+  ScrollView,
 } from 'react-native';
 import { useTheme } from '../context/ThemeContext';
 import { useNavigation, useFocusEffect } from '@react-navigation/native';
 import { localStorage } from '../utils/LocalStorage';
+import { contactParser } from '../utils/ContactParser';
 import * as Sharing from 'expo-sharing';
 // Use legacy API import to avoid deprecation warnings until full migration
 import * as FileSystem from 'expo-file-system/legacy';
 import { vCardHandler } from '../utils/VCardHandler';
 
+// Editable fields in the detail view, in display order
+const EDIT_FIELDS = [
+  { field: 'name', label: 'Name *' },
+  { field: 'title', label: 'Job Title' },
+  { field: 'company', label: 'Company' },
+  { field: 'phone', label: 'Phone', keyboardType: 'phone-pad' },
+  { field: 'fax', label: 'Fax', keyboardType: 'phone-pad' },
+  { field: 'email', label: 'Email', keyboardType: 'email-address' },
+  { field: 'website', label: 'Website', keyboardType: 'url' },
+  { field: 'address', label: 'Address', multiline: true },
+  { field: 'eventTag', label: 'Event Tag' },
+];
+
 export default function ContactsScreen() {
   const { colors } = useTheme();
   const navigation = useNavigation();
   const [contacts, setContacts] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [refreshing, setRefreshing] = useState(false);
+  // Contact open in the detail view, its edited fields and validation errors
+  const [editingContact, setEditingContact] = useState(null);
+  const [editFields, setEditFields] = useState({});
+  const [editErrors, setEditErrors] = useState({});
 
   const styles = createStyles(colors);
 
@@ -87,7 +107,9 @@ export default function ContactsScreen() {
 
   const handleShare = async (contact) => {
     try {
-      const vcardString = vCardHandler.generate(contact);
+      // Embeds the card image when the vCard Photo setting is on
+      const photo = await vCardHandler.getPhoto(contact);
+      const vcardString = vCardHandler.generate(contact, { photo });
       const fileName = `${contact.name || 'contact'}.vcf`;
       const fileUri = FileSystem.documentDirectory + fileName;
       
@@ -104,6 +126,53 @@ export default function ContactsScreen() {
     }
   };
 
+  const handleEdit = (contact) => {
+    const fields = {};
+    EDIT_FIELDS.forEach(({ field }) => {
+      fields[field] = contact[field] || '';
+    });
+    setEditFields(fields);
+    setEditErrors({});
+    setEditingContact(contact);
+  };
+
+  const handleEditChange = (field, text) => {
+    setEditFields({ ...editFields, [field]: text });
+    if (editErrors[field]) {
+      const { [field]: cleared, ...rest } = editErrors;
+      setEditErrors(rest);
+    }
+  };
+
+  const handleSaveEdit = async () => {
+    const updates = {};
+    Object.entries(editFields).forEach(([field, value]) => {
+      updates[field] = value.trim();
+    });
+
+    const errors = contactParser.validateContact(updates);
+    setEditErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    try {
+      // Typed phone/email lists follow the edited phone, fax and email fields
+      const edited = { ...editingContact, ...updates };
+      await localStorage.updateContact(editingContact.id, {
+        ...updates,
+        phones: contactParser.getPhones(edited),
+        emails: contactParser.getEmails(edited),
+      });
+      setEditingContact(null);
+      if (searchQuery.trim()) {
+        await handleSearch(searchQuery);
+      } else {
+        await loadContacts();
+      }
+    } catch (error) {
+      Alert.alert('Error', 'Failed to update contact: ' + error.message);
+    }
+  };
+
   const handleClearAll = () => {
     Alert.alert(
       'Clear All Contacts',
@@ -141,6 +210,11 @@ export default function ContactsScreen() {
         )}
         <View style={styles.contactInfo}>
           <Text style={[styles.contactName, { color: colors.text }]}>{item.name || 'Unnamed'}</Text>
+          {item.title ? (
+            <Text style={[styles.contactCompany, { color: colors.textSecondary }]}>
+              {item.title}
+            </Text>
+          ) : null}
           {item.company && (
             <Text style={[styles.contactCompany, { color: colors.textSecondary }]}>
               {item.company}
@@ -165,9 +239,30 @@ export default function ContactsScreen() {
             ✉️ {item.email}
           </Text>
         )}
+        {item.fax ? (
+          <Text style={[styles.contactDetail, { color: colors.text }]}>
+            📠 {item.fax}
+          </Text>
+        ) : null}
+        {item.website ? (
+          <Text style={[styles.contactDetail, { color: colors.text }]}>
+            🌐 {item.website}
+          </Text>
+        ) : null}
+        {item.address ? (
+          <Text style={[styles.contactDetail, { color: colors.text }]}>
+            📍 {item.address}
+          </Text>
+        ) : null}
       </View>
 
       <View style={styles.contactActions}>
+        <TouchableOpacity
+          style={[styles.actionButton, { borderColor: colors.primary }]}
+          onPress={() => handleEdit(item)}
+        >
+          <Text style={[styles.actionButtonText, { color: colors.primary }]}>Edit</Text>
+        </TouchableOpacity>
         <TouchableOpacity
           style={[styles.actionButton, { borderColor: colors.primary }]}
           onPress={() => handleShare(item)}
@@ -194,6 +289,12 @@ export default function ContactsScreen() {
           value={searchQuery}
           onChangeText={handleSearch}
         />
+        <TouchableOpacity
+          style={[styles.clearButton, { borderColor: colors.primary }]}
+          onPress={() => navigation.navigate('Import')}
+        >
+          <Text style={[styles.clearButtonText, { color: colors.primary }]}>Import</Text>
+        </TouchableOpacity>
         {contacts.length > 0 && (
           <TouchableOpacity
             style={[styles.clearButton, { borderColor: colors.danger }]}
@@ -223,6 +324,65 @@ export default function ContactsScreen() {
           </View>
         }
       />
+
+      <Modal
+        visible={!!editingContact}
+        animationType="slide"
+        onRequestClose={() => setEditingContact(null)}
+      >
+        {editingContact ? (
+          <ScrollView style={styles.container} contentContainerStyle={styles.editContent}>
+            <Text style={[styles.editTitle, { color: colors.text }]}>Edit Contact</Text>
+
+            {editingContact.imageUri ? (
+              <Image source={{ uri: editingContact.imageUri }} style={styles.editImage} resizeMode="contain" />
+            ) : null}
+            {editingContact.backImageUri ? (
+              <Image source={{ uri: editingContact.backImageUri }} style={styles.editImage} resizeMode="contain" />
+            ) : null}
+
+            {EDIT_FIELDS.map(({ field, label, keyboardType, multiline }) => (
+              <View key={field}>
+                <Text style={[styles.editLabel, { color: colors.text }]}>{label}</Text>
+                <TextInput
+                  style={[
+                    styles.editInput,
+                    { backgroundColor: colors.input, color: colors.text, borderColor: editErrors[field] ? colors.danger : colors.border },
+                  ]}
+                  value={editFields[field]}
+                  onChangeText={(text) => handleEditChange(field, text)}
+                  keyboardType={keyboardType || 'default'}
+                  autoCapitalize={keyboardType ? 'none' : 'sentences'}
+                  multiline={!!multiline}
+                />
+                {editErrors[field] ? (
+                  <Text style={[styles.editError, { color: colors.danger }]}>{editErrors[field]}</Text>
+                ) : null}
+              </View>
+            ))}
+
+            <Text style={[styles.editMeta, { color: colors.textSecondary }]}>
+              Saved: {new Date(editingContact.createdAt).toLocaleString()}
+              {editingContact.updatedAt ? ` · Last edited: ${new Date(editingContact.updatedAt).toLocaleString()}` : ''}
+            </Text>
+
+            <View style={styles.contactActions}>
+              <TouchableOpacity
+                style={[styles.actionButton, { borderColor: colors.border }]}
+                onPress={() => setEditingContact(null)}
+              >
+                <Text style={[styles.actionButtonText, { color: colors.text }]}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.actionButton, { borderColor: colors.primary, backgroundColor: colors.primary }]}
+                onPress={handleSaveEdit}
+              >
+                <Text style={[styles.actionButtonText, { color: '#FFFFFF' }]}>Save Changes</Text>
+              </TouchableOpacity>
+            </View>
+          </ScrollView>
+        ) : null}
+      </Modal>
     </View>
   );
 }
@@ -341,5 +501,40 @@ const createStyles = (colors) =>
     emptySubtext: {
       fontSize: 14,
     },
+    editContent: {
+      padding: 20,
+      paddingTop: 48,
+      gap: 8,
+    },
+    editTitle: {
+      fontSize: 22,
+      fontWeight: 'bold',
+      marginBottom: 8,
+    },
+    editImage: {
+      width: '100%',
+      height: 200,
+      borderRadius: 8,
+      marginBottom: 8,
+    },
+    editLabel: {
+      fontSize: 14,
+      fontWeight: '600',
+      marginBottom: 4,
+    },
+    editInput: {
+      borderWidth: 1,
+      borderRadius: 8,
+      padding: 12,
+      fontSize: 16,
+    },
+    editError: {
+      fontSize: 12,
+      marginTop: 4,
+    },
+    editMeta: {
+      fontSize: 12,
+      marginTop: 8,
+    },
   });
 
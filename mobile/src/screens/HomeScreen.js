@@ -3,7 +3,7 @@
  * Main entry point with scan options
  */
 
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -11,16 +11,102 @@ import {
   TouchableOpacity,
   ScrollView,
   Alert,
+  Modal,
+  FlatList,
 } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useTheme } from '../context/ThemeContext';
 import { useNavigation } from '@react-navigation/native';
+import { phoneParser } from '../utils/PhoneNumberParser';
+import { vCardHandler, VCARD_VERSIONS, PHOTO_MODES } from '../utils/VCardHandler';
+
+const PHONE_REGION_STORAGE_KEY = '@CardSnaply:phoneRegion';
+const VCARD_VERSION_STORAGE_KEY = '@CardSnaply:vcardVersion';
+const VCARD_PHOTO_STORAGE_KEY = '@CardSnaply:vcardPhoto';
 
 export default function HomeScreen() {
   const { colors, theme, toggleTheme } = useTheme();
   const navigation = useNavigation();
 
+  const [phoneRegion, setPhoneRegion] = useState(phoneParser.defaultRegion);
+  const [showRegionPicker, setShowRegionPicker] = useState(false);
+  const [vcardVersion, setVcardVersion] = useState(vCardHandler.defaultVersion);
+  const [vcardPhoto, setVcardPhoto] = useState(vCardHandler.photoMode);
+
   const styles = createStyles(colors);
 
+  useEffect(() => {
+    loadPhoneRegion();
+    loadVCardVersion();
+    loadVCardPhoto();
+  }, []);
+
+  // Region for phone numbers printed without a country code
+  const loadPhoneRegion = async () => {
+    try {
+      const savedRegion = await AsyncStorage.getItem(PHONE_REGION_STORAGE_KEY);
+      if (savedRegion) {
+        setPhoneRegion(phoneParser.setDefaultRegion(savedRegion));
+      }
+    } catch (error) {
+      console.error('Error loading phone region:', error);
+    }
+  };
+
+  const handleSelectRegion = async (code) => {
+    setPhoneRegion(phoneParser.setDefaultRegion(code));
+    setShowRegionPicker(false);
+    try {
+      await AsyncStorage.setItem(PHONE_REGION_STORAGE_KEY, code);
+    } catch (error) {
+      console.error('Error saving phone region:', error);
+    }
+  };
+
+  // vCard version of shared contacts
+  const loadVCardVersion = async () => {
+    try {
+      const savedVersion = await AsyncStorage.getItem(VCARD_VERSION_STORAGE_KEY);
+      if (savedVersion) {
+        setVcardVersion(vCardHandler.setDefaultVersion(savedVersion));
+      }
+    } catch (error) {
+      console.error('Error loading vCard version:', error);
+    }
+  };
+
+  const handleToggleVCardVersion = async () => {
+    const next = VCARD_VERSIONS[(VCARD_VERSIONS.indexOf(vcardVersion) + 1) % VCARD_VERSIONS.length];
+    setVcardVersion(vCardHandler.setDefaultVersion(next));
+    try {
+      await AsyncStorage.setItem(VCARD_VERSION_STORAGE_KEY, next);
+    } catch (error) {
+      console.error('Error saving vCard version:', error);
+    }
+  };
+
+  // Whether shared vCards embed the card image
+  const loadVCardPhoto = async () => {
+    try {
+      const savedMode = await AsyncStorage.getItem(VCARD_PHOTO_STORAGE_KEY);
+      if (savedMode) {
+        setVcardPhoto(vCardHandler.setPhotoMode(savedMode));
+      }
+    } catch (error) {
+      console.error('Error loading vCard photo setting:', error);
+    }
+  };
+
+  const handleToggleVCardPhoto = async () => {
+    const next = PHOTO_MODES[(PHOTO_MODES.indexOf(vcardPhoto) + 1) % PHOTO_MODES.length];
+    setVcardPhoto(vCardHandler.setPhotoMode(next));
+    try {
+      await AsyncStorage.setItem(VCARD_PHOTO_STORAGE_KEY, next);
+    } catch (error) {
+      console.error('Error saving vCard photo setting:', error);
+    }
+  };
+
   const handleSingleScan = () => {
     navigation.navigate('Camera', { mode: 'single' });
   };
@@ -84,6 +170,63 @@ export default function HomeScreen() {
         </Text>
       </TouchableOpacity>
 
+      {/* Phone Region */}
+      <TouchableOpacity
+        style={[styles.themeToggle, { borderColor: colors.border }]}
+        onPress={() => setShowRegionPicker(true)}
+      >
+        <Text style={[styles.themeToggleText, { color: colors.text }]}>
+          📞 Phone Region: {phoneRegion} (+{phoneParser.regions[phoneRegion].callingCode})
+        </Text>
+      </TouchableOpacity>
+
+      {/* vCard Version */}
+      <TouchableOpacity
+        style={[styles.themeToggle, { borderColor: colors.border }]}
+        onPress={handleToggleVCardVersion}
+      >
+        <Text style={[styles.themeToggleText, { color: colors.text }]}>
+          📇 vCard Version: {vcardVersion}{vcardVersion === '3.0' ? ' (most compatible)' : ''}
+        </Text>
+      </TouchableOpacity>
+
+      {/* vCard Photo */}
+      <TouchableOpacity
+        style={[styles.themeToggle, { borderColor: colors.border }]}
+        onPress={handleToggleVCardPhoto}
+      >
+        <Text style={[styles.themeToggleText, { color: colors.text }]}>
+          🖼️ vCard Photo: {vcardPhoto === 'card' ? 'Card image' : 'None'}
+        </Text>
+      </TouchableOpacity>
+
+      <Modal
+        visible={showRegionPicker}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setShowRegionPicker(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.modalContent, { backgroundColor: colors.background }]}>
+            <Text style={[styles.modalTitle, { color: colors.text }]}>Default Phone Region</Text>
+            <FlatList
+              data={phoneParser.getRegions()}
+              keyExtractor={(item) => item.code}
+              renderItem={({ item }) => (
+                <TouchableOpacity
+                  style={[styles.regionItem, { borderColor: colors.border }]}
+                  onPress={() => handleSelectRegion(item.code)}
+                >
+                  <Text style={[styles.regionItemText, { color: item.code === phoneRegion ? colors.primary : colors.text }]}>
+                    {item.name} (+{item.callingCode})
+                  </Text>
+                </TouchableOpacity>
+              )}
+            />
+          </View>
+        </View>
+      </Modal>
+
       {/* Footer Info */}
       <View style={styles.footer}>
         <Text style={[styles.footerText, { color: colors.textSecondary }]}>
@@ -175,6 +318,29 @@ const createStyles = (colors) =>
       fontSize: 14,
       fontWeight: '500',
     },
+    modalOverlay: {
+      flex: 1,
+      justifyContent: 'flex-end',
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    },
+    modalContent: {
+      maxHeight: '70%',
+      borderTopLeftRadius: 16,
+      borderTopRightRadius: 16,
+      padding: 20,
+    },
+    modalTitle: {
+      fontSize: 18,
+      fontWeight: 'bold',
+      marginBottom: 12,
+    },
+    regionItem: {
+      paddingVertical: 12,
+      borderBottomWidth: 1,
+    },
+    regionItemText: {
+      fontSize: 16,
+    },
     footer: {
       alignItems: 'center',
       marginTop: 'auto',
@@ -0,0 +1,393 @@
+/**
+ * Import Screen
+ * Imports contacts from a .vcf (one or many cards) or CSV file:
+ * CSV columns are mapped to fields, likely duplicates are flagged and left unselected
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  Modal,
+  ActivityIndicator,
+} from 'react-native';
+import { useTheme } from '../context/ThemeContext';
+import { useNavigation } from '@react-navigation/native';
+import * as DocumentPicker from 'expo-document-picker';
+// Use legacy API import to avoid deprecation warnings until full migration
+import * as FileSystem from 'expo-file-system/legacy';
+import { localStorage } from '../utils/LocalStorage';
+import { contactImporter, IMPORT_FIELDS } from '../utils/ContactImporter';
+
+const REASON_LABELS = { email: 'same email', phone: 'same phone number', name: 'same name' };
+
+export default function ImportScreen() {
+  const { colors } = useTheme();
+  const navigation = useNavigation();
+  // { format, fileName, contacts } plus headers, rows and mapping for CSV
+  const [data, setData] = useState(null);
+  const [existing, setExisting] = useState([]);
+  // Rows the user checked or unchecked; the others follow their duplicate flag, so
+  // saved contacts loading late or a CSV remap don't undo the user's choices
+  const [toggled, setToggled] = useState(new Set());
+  // CSV column whose field picker is open
+  const [pickerColumn, setPickerColumn] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const styles = createStyles(colors);
+
+  useEffect(() => {
+    localStorage.getAllContacts().then(setExisting);
+    pickFile();
+  }, []);
+
+  const entries = useMemo(
+    () => (data ? contactImporter.findDuplicates(data.contacts, existing) : []),
+    [data, existing]
+  );
+
+  // Duplicates start unselected
+  const selected = useMemo(
+    () => new Set(entries.map((entry, index) => index).filter(index => !entries[index].duplicate !== toggled.has(index))),
+    [entries, toggled]
+  );
+
+  const pickFile = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['text/vcard', 'text/x-vcard', 'text/csv', 'text/comma-separated-values', '*/*'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled || !result.assets?.length) {
+        if (!data) navigation.goBack();
+        return;
+      }
+
+      const [file] = result.assets;
+      setBusy(true);
+      const text = await FileSystem.readAsStringAsync(file.uri);
+      const read = contactImporter.readText(text, file.name);
+      if (read.format === 'vcard' && read.contacts.length === 0) {
+        Alert.alert('Nothing to Import', 'No contacts found in the file.');
+        return;
+      }
+      setData({ ...read, fileName: file.name });
+      setToggled(new Set());
+    } catch (error) {
+      Alert.alert('Error', 'Failed to read file: ' + error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const setColumnField = (column, field) => {
+    const mapping = data.mapping.map((current, index) => (index === column ? field : current));
+    setData({ ...data, mapping, contacts: contactImporter.mapRows(data.rows, mapping, data.headers) });
+    setPickerColumn(null);
+  };
+
+  const toggleEntry = (index) => {
+    const next = new Set(toggled);
+    if (next.has(index)) {
+      next.delete(index);
+    } else {
+      next.add(index);
+    }
+    setToggled(next);
+  };
+
+  const handleImport = async () => {
+    const contacts = entries.filter((entry, index) => selected.has(index)).map(entry => entry.contact);
+    if (contacts.length === 0) return;
+
+    try {
+      setBusy(true);
+      await localStorage.saveContacts(contacts);
+      Alert.alert('Imported', `${contacts.length} contact(s) imported.`, [
+        { text: 'OK', onPress: () => navigation.goBack() },
+      ]);
+    } catch (error) {
+      Alert.alert('Error', 'Import failed, nothing was saved: ' + error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const fieldLabel = (field) => (IMPORT_FIELDS.find(option => option.field === field) || IMPORT_FIELDS[0]).label;
+  const duplicates = entries.filter(entry => entry.duplicate).length;
+
+  const renderHeader = () => (
+    <View>
+      <Text style={[styles.summary, { color: colors.textSecondary }]}>
+        {entries.length} contact(s) in "{data.fileName}"
+        {duplicates > 0 ? `; ${duplicates} look like duplicates and are not selected.` : '.'}
+      </Text>
+
+      {data.format === 'csv' && (
+        <View style={[styles.section, { backgroundColor: colors.card, borderColor: colors.border }]}>
+          <Text style={[styles.sectionTitle, { color: colors.text }]}>Columns</Text>
+          {data.headers.map((header, column) => (
+            <View key={column} style={styles.columnRow}>
+              <View style={styles.columnInfo}>
+                <Text style={[styles.columnHeader, { color: colors.text }]} numberOfLines={1}>
+                  {header || `Column ${column + 1}`}
+                </Text>
+                <Text style={[styles.columnSample, { color: colors.textSecondary }]} numberOfLines={1}>
+                  {data.rows[0]?.[column] || ''}
+                </Text>
+              </View>
+              <TouchableOpacity
+                style={[styles.fieldChip, { borderColor: colors.primary, backgroundColor: data.mapping[column] ? colors.primary : 'transparent' }]}
+                onPress={() => setPickerColumn(column)}
+              >
+                <Text style={[styles.fieldChipText, { color: data.mapping[column] ? '#FFFFFF' : colors.primary }]}>
+                  {fieldLabel(data.mapping[column])}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+
+  const renderEntry = ({ item, index }) => {
+    const { contact, duplicate, inFile, reasons } = item;
+    const checked = selected.has(index);
+    return (
+      <TouchableOpacity
+        style={[styles.entry, { backgroundColor: colors.card, borderColor: duplicate ? '#EAB308' : colors.border }]}
+        onPress={() => toggleEntry(index)}
+      >
+        <Text style={[styles.checkbox, { color: checked ? colors.primary : colors.textSecondary }]}>
+          {checked ? '☑' : '☐'}
+        </Text>
+        <View style={styles.entryInfo}>
+          <Text style={[styles.entryName, { color: colors.text }]}>{contact.name || contact.company || 'Unnamed'}</Text>
+          <Text style={[styles.entryDetails, { color: colors.textSecondary }]}>
+            {[contact.title, contact.company, contact.phone, contact.email].filter(Boolean).join(' • ')}
+          </Text>
+          {duplicate && (
+            <Text style={styles.duplicateText}>
+              ⚠ {reasons.map(reason => REASON_LABELS[reason]).join(', ')} as "{duplicate.name || duplicate.company || 'Unnamed'}"
+              {inFile ? ' earlier in this file' : ''}
+            </Text>
+          )}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  if (!data) {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        {busy ? (
+          <ActivityIndicator size="large" color={colors.primary} />
+        ) : (
+          <TouchableOpacity style={[styles.importButton, { backgroundColor: colors.primary }]} onPress={pickFile}>
+            <Text style={styles.importButtonText}>📂 Choose .vcf or CSV File</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={entries}
+        renderItem={renderEntry}
+        keyExtractor={(item, index) => String(index)}
+        contentContainerStyle={styles.listContent}
+        ListHeaderComponent={renderHeader}
+        ListEmptyComponent={
+          <Text style={[styles.emptyText, { color: colors.textSecondary }]}>
+            No contacts with these columns. Map a column to a name, company, phone or email.
+          </Text>
+        }
+      />
+
+      <View style={[styles.footer, { backgroundColor: colors.card, borderColor: colors.border }]}>
+        <TouchableOpacity
+          style={[styles.importButton, { backgroundColor: selected.size > 0 && !busy ? colors.primary : colors.border }]}
+          onPress={handleImport}
+          disabled={selected.size === 0 || busy}
+        >
+          <Text style={styles.importButtonText}>📥 Import {selected.size} Contact(s)</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.cancelButton, { borderColor: colors.border }]} onPress={pickFile}>
+          <Text style={[styles.cancelButtonText, { color: colors.text }]}>Choose Another File</Text>
+        </TouchableOpacity>
+      </View>
+
+      <Modal
+        visible={pickerColumn !== null}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setPickerColumn(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.modalContent, { backgroundColor: colors.background }]}>
+            <Text style={[styles.modalTitle, { color: colors.text }]}>
+              {pickerColumn !== null ? data.headers[pickerColumn] || `Column ${pickerColumn + 1}` : ''}
+            </Text>
+            <FlatList
+              data={IMPORT_FIELDS}
+              keyExtractor={(item) => item.field || 'skip'}
+              renderItem={({ item }) => (
+                <TouchableOpacity
+                  style={[styles.fieldItem, { borderColor: colors.border }]}
+                  onPress={() => setColumnField(pickerColumn, item.field)}
+                >
+                  <Text style={[styles.fieldItemText, { color: pickerColumn !== null && data.mapping[pickerColumn] === item.field ? colors.primary : colors.text }]}>
+                    {item.label}
+                  </Text>
+                </TouchableOpacity>
+              )}
+            />
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background,
+    },
+    centered: {
+      justifyContent: 'center',
+      padding: 16,
+    },
+    listContent: {
+      padding: 16,
+    },
+    summary: {
+      fontSize: 14,
+      marginBottom: 12,
+    },
+    section: {
+      borderRadius: 12,
+      borderWidth: 1,
+      padding: 12,
+      marginBottom: 12,
+    },
+    sectionTitle: {
+      fontSize: 16,
+      fontWeight: 'bold',
+      marginBottom: 8,
+    },
+    columnRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: 6,
+      gap: 8,
+    },
+    columnInfo: {
+      flex: 1,
+    },
+    columnHeader: {
+      fontSize: 14,
+      fontWeight: '600',
+    },
+    columnSample: {
+      fontSize: 12,
+    },
+    fieldChip: {
+      borderWidth: 1,
+      borderRadius: 14,
+      paddingHorizontal: 10,
+      paddingVertical: 4,
+    },
+    fieldChipText: {
+      fontSize: 12,
+      fontWeight: '600',
+    },
+    entry: {
+      flexDirection: 'row',
+      borderRadius: 12,
+      borderWidth: 1,
+      padding: 12,
+      marginBottom: 8,
+      gap: 10,
+    },
+    checkbox: {
+      fontSize: 22,
+    },
+    entryInfo: {
+      flex: 1,
+    },
+    entryName: {
+      fontSize: 16,
+      fontWeight: 'bold',
+    },
+    entryDetails: {
+      fontSize: 13,
+      marginTop: 2,
+    },
+    duplicateText: {
+      fontSize: 13,
+      marginTop: 4,
+      color: '#CA8A04',
+    },
+    emptyText: {
+      textAlign: 'center',
+      fontSize: 14,
+      padding: 16,
+    },
+    footer: {
+      padding: 16,
+      borderTopWidth: 1,
+      gap: 8,
+    },
+    importButton: {
+      padding: 16,
+      borderRadius: 12,
+      alignItems: 'center',
+    },
+    importButtonText: {
+      color: '#FFFFFF',
+      fontSize: 16,
+      fontWeight: 'bold',
+    },
+    cancelButton: {
+      padding: 14,
+      borderRadius: 12,
+      borderWidth: 1,
+      alignItems: 'center',
+    },
+    cancelButtonText: {
+      fontSize: 16,
+      fontWeight: '600',
+    },
+    modalOverlay: {
+      flex: 1,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      justifyContent: 'flex-end',
+    },
+    modalContent: {
+      maxHeight: '70%',
+      borderTopLeftRadius: 16,
+      borderTopRightRadius: 16,
+      padding: 16,
+    },
+    modalTitle: {
+      fontSize: 18,
+      fontWeight: 'bold',
+      marginBottom: 12,
+    },
+    fieldItem: {
+      paddingVertical: 14,
+      borderBottomWidth: 1,
+    },
+    fieldItemText: {
+      fontSize: 16,
+    },
+  });
@@ -0,0 +1,243 @@
+/**
+ * Contact Importer
+ * Ported from web version - reads contacts from .vcf and CSV files,
+ * maps CSV columns to fields and flags likely duplicates
+ */
+
+import { vCardHandler } from './VCardHandler';
+import { contactParser } from './ContactParser';
+
+// Fields a CSV column can be mapped to; several columns may share one
+export const IMPORT_FIELDS = [
+  { field: '', label: 'Skip' },
+  { field: 'name', label: 'Full Name' },
+  { field: 'givenName', label: 'First Name' },
+  { field: 'middleName', label: 'Middle Name' },
+  { field: 'familyName', label: 'Last Name' },
+  { field: 'title', label: 'Job Title' },
+  { field: 'company', label: 'Company' },
+  { field: 'mobilePhone', label: 'Mobile Phone' },
+  { field: 'officePhone', label: 'Work Phone' },
+  { field: 'otherPhone', label: 'Other Phone' },
+  { field: 'fax', label: 'Fax' },
+  { field: 'email', label: 'Email' },
+  { field: 'website', label: 'Website' },
+  { field: 'address', label: 'Address' },
+  { field: 'eventTag', label: 'Event Tag' },
+  { field: 'notes', label: 'Notes' },
+];
+
+const PHONE_FIELD_TYPES = {
+  mobilePhone: 'mobile',
+  officePhone: 'office',
+  otherPhone: 'other',
+  fax: 'fax',
+};
+
+// Header patterns tried in order; the first match picks the field
+const HEADER_PATTERNS = [
+  // Type/label columns ("Phone 1 - Type") and address parts Google also exports formatted
+  { pattern: /\b(type|label)\b/, field: '' },
+  { pattern: /^address \d+ - (?!formatted)/, field: '' },
+  { pattern: /fax/, field: 'fax' },
+  { pattern: /mobile|cell/, field: 'mobilePhone' },
+  { pattern: /(business|work|office|company).*(phone|tel)|(phone|tel).*(business|work|office)/, field: 'officePhone' },
+  { pattern: /phone|tel\b|telephone/, field: 'otherPhone' },
+  { pattern: /e-?mail/, field: 'email' },
+  { pattern: /^(first|given)( name)?$/, field: 'givenName' },
+  { pattern: /^(middle|additional)( name)?$/, field: 'middleName' },
+  { pattern: /^(last|family|sur)( ?name)?$/, field: 'familyName' },
+  { pattern: /title|job|position|role/, field: 'title' },
+  { pattern: /company|organi[sz]ation|^org$|employer/, field: 'company' },
+  { pattern: /^(full |display )?name$|^fn$|^contact$/, field: 'name' },
+  { pattern: /web|url|homepage|site/, field: 'website' },
+  { pattern: /address|street|city|state|region|postal|zip|country/, field: 'address' },
+  { pattern: /event|tag/, field: 'eventTag' },
+  { pattern: /note|comment/, field: 'notes' },
+];
+
+export class ContactImporter {
+  /**
+   * { format: 'vcard', contacts } or { format: 'csv', headers, rows, mapping, contacts }
+   */
+  readText(text, fileName = '') {
+    const content = String(text || '').replace(/^\uFEFF/, '');
+
+    if (/\.vcf$/i.test(fileName) || /^\s*BEGIN:VCARD/i.test(content)) {
+      return { format: 'vcard', contacts: vCardHandler.parseAll(content) };
+    }
+
+    const [headers = [], ...rows] = this.parseCsv(content);
+    const mapping = this.guessMapping(headers);
+    return { format: 'csv', headers, rows, mapping, contacts: this.mapRows(rows, mapping, headers) };
+  }
+
+  /**
+   * Rows of cells (RFC 4180 quoting); the delimiter (comma, semicolon or tab)
+   * is detected from the first line
+   */
+  parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const delimiter = [',', ';', '\t']
+      .map(char => ({ char, count: firstLine.split(char).length }))
+      .sort((a, b) => b.count - a.count)[0].char;
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(value => value.trim()));
+  }
+
+  guessMapping(headers) {
+    return headers.map(header => {
+      const text = header.trim().toLowerCase().replace(/[_.]+/g, ' ');
+      const match = HEADER_PATTERNS.find(({ pattern }) => pattern.test(text));
+      return match ? match.field : '';
+    });
+  }
+
+  /**
+   * Contacts from CSV rows; rows without a name, company, phone or email are dropped.
+   * A "Phone 1 - Type" column sets the type of "Phone 1 - Value" numbers mapped to Other Phone
+   */
+  mapRows(rows, mapping, headers = []) {
+    const typeColumns = headers.map(header => {
+      const match = header.match(/^(.*) - value$/i);
+      return match ? headers.findIndex(other => other.toLowerCase() === `${match[1]} - type`.toLowerCase()) : -1;
+    });
+
+    return rows.map(cells => {
+      const values = {};
+      mapping.forEach((field, column) => {
+        const value = String(cells[column] || '').trim();
+        if (!field || !value) return;
+        const typeColumn = typeColumns[column];
+        if (field === 'otherPhone' && typeColumn >= 0 && cells[typeColumn]) {
+          const type = vCardHandler.getPhoneType(cells[typeColumn]);
+          field = Object.keys(PHONE_FIELD_TYPES).find(key => PHONE_FIELD_TYPES[key] === type);
+        }
+        (values[field] = values[field] || []).push(value);
+      });
+      const first = (field) => (values[field] || [])[0] || '';
+      const joined = (field, separator) => (values[field] || []).join(separator);
+
+      const phones = Object.entries(PHONE_FIELD_TYPES).flatMap(([field, type]) =>
+        (values[field] || []).map(number => ({ type, number })));
+      // Several emails in one cell (" ::: " in Google's export)
+      const emails = (values.email || [])
+        .flatMap(value => value.split(/\s*(?::::|;)\s*/))
+        .filter(Boolean)
+        .map(address => ({ type: 'work', address }));
+
+      return {
+        name: first('name') || [first('givenName'), first('middleName'), first('familyName')].filter(Boolean).join(' '),
+        title: first('title'),
+        company: first('company'),
+        phone: (phones.find(phone => phone.type !== 'fax') || {}).number || '',
+        fax: (phones.find(phone => phone.type === 'fax') || {}).number || '',
+        email: emails.length > 0 ? emails[0].address : '',
+        phones,
+        emails,
+        website: first('website'),
+        address: joined('address', ', ').replace(/\s*\n\s*/g, ', '),
+        eventTag: first('eventTag'),
+        notes: joined('notes', '\n'),
+      };
+    }).filter(contact => contact.name || contact.company || contact.phone || contact.email);
+  }
+
+  // Emails, phone numbers (E.164, or 7+ digits) and word-order-free name + company
+  getKeys(contact) {
+    const phones = new Set();
+    contactParser.getPhones(contact).forEach(phone => {
+      const digits = phone.number.replace(/\D/g, '');
+      if (phone.e164) {
+        phones.add(phone.e164 + phone.extension);
+      } else if (digits.length >= 7) {
+        phones.add(digits);
+      }
+    });
+    const words = (text) => String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean).sort().join(' ');
+
+    return {
+      emails: new Set(contactParser.getEmails(contact).map(email => email.address.toLowerCase())),
+      phones,
+      name: words(contact.name),
+      company: words(contact.company),
+    };
+  }
+
+  // Reasons two contacts look like the same person ('email', 'phone', 'name'); empty if not
+  compareKeys(a, b) {
+    const reasons = [];
+    if ([...a.emails].some(email => b.emails.has(email))) reasons.push('email');
+    if ([...a.phones].some(phone => b.phones.has(phone))) reasons.push('phone');
+    if (a.name && a.name === b.name && (!a.company || !b.company || a.company === b.company)) reasons.push('name');
+    return reasons;
+  }
+
+  /**
+   * [{ contact, duplicate, inFile, reasons }] in import order; duplicate is the matching
+   * saved contact, or an earlier contact in the file (inFile)
+   */
+  findDuplicates(contacts, existing) {
+    const savedKeys = existing.map(contact => ({ contact, keys: this.getKeys(contact) }));
+    const importedKeys = [];
+
+    return contacts.map(contact => {
+      const keys = this.getKeys(contact);
+      const find = (candidates) => {
+        for (const candidate of candidates) {
+          const reasons = this.compareKeys(keys, candidate.keys);
+          if (reasons.length > 0) return { duplicate: candidate.contact, reasons };
+        }
+        return null;
+      };
+
+      const saved = find(savedKeys);
+      const repeated = saved ? null : find(importedKeys);
+      importedKeys.push({ contact, keys });
+
+      const found = saved || repeated;
+      return {
+        contact,
+        duplicate: found ? found.duplicate : null,
+        inFile: !!repeated,
+        reasons: found ? found.reasons : [],
+      };
+    });
+  }
+}
+
+export const contactImporter = new ContactImporter();
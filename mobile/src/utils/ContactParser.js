@@ -4,6 +4,8 @@
  * Works offline, no dependencies on web APIs
  */
 
+import { phoneParser } from './PhoneNumberParser';
+
 export class ContactParser {
   constructor() {
     // Regex patterns for extracting contact information
@@ -12,26 +14,41 @@ export class ContactParser {
       phone: /(\+?\d{1,3}[\s\-\.]?)?\(?\d{3}\)?[\s\-\.]?\d{3}[\s\-\.]?\d{4}/g,
       phoneAlt: /(\+?\d{1,4}[\s\-\.]?)?\(?\d{2,4}\)?[\s\-\.]?\d{2,4}[\s\-\.]?\d{2,4}[\s\-\.]?\d{0,4}/g,
       url: /https?:\/\/[^\s]+/g,
+      // Scripts that write names without spaces between given and family name
+      compactScript: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u,
     };
+
+    // Fields an OCR line can be assigned to by hand
+    this.assignableFields = ['name', 'company', 'title', 'phone', 'fax', 'email', 'website', 'address'];
   }
 
   /**
    * Clean OCR text by removing stray punctuation and garbage characters
+   * Keeps letters and marks from every script and keeps line breaks
    */
   cleanText(text) {
     if (!text) return '';
     return text
-      .replace(/[\u2010-\u2015\u2013\u2014]/g, '-') // Normalize various dash types
-      .replace(/^[^a-zA-Z0-9@.\+\s\-,]+|[^a-zA-Z0-9@.\+\s\-,]+$/g, '') // Remove leading/trailing junk
-      .replace(/[{}>\])(_+=•|\\/~]+/g, ' ') // Replace common garbage punctuation with spaces
+      .normalize('NFC') // Compose accents (e + combining acute → é)
+      .replace(/[\u2010-\u2015\u2212]/g, '-') // Normalize various dash types
+      .replace(/[\u2018\u2019\u02BC]/g, "'") // Normalize curly apostrophes
+      .replace(/^[^\p{L}\p{M}\p{N}@.+\s\-,]+|[^\p{L}\p{M}\p{N}@.+\s\-,]+$/gu, '') // Remove leading/trailing junk
+      .replace(/[{}>\])(_=•|\\/~]+/g, ' ') // Replace common garbage punctuation with spaces (keep + for country codes)
       .replace(/[-_]{2,}/g, ' ') // Replace multiple dashes/underscores
-      .replace(/\s{2,}/g, ' ') // Normalize multiple spaces
-      .replace(/[^\x00-\x7F]+/g, ' ') // Remove non-ASCII characters
-      .replace(/[^\w\s@.+,\-]/g, ' ') // Keep only: word chars, spaces, @, ., +, commas, hyphens
-      .replace(/\s{2,}/g, ' ') // Normalize whitespace again
+      .replace(/[^\p{L}\p{M}\p{N}\s@.+,\-'&\u200C\u200D]/gu, ' ') // Keep letters/marks of any script, digits, @ . + , - ' &
+      .replace(/[^\S\n]{2,}/g, ' ') // Collapse spaces but keep line breaks
+      .replace(/[^\S\n]*\n\s*/g, '\n') // Drop blank lines
       .trim();
   }
 
+  /**
+   * Whether a word starts like a proper noun; caseless scripts (Devanagari, CJK, Arabic) always count
+   */
+  startsCapitalized(word) {
+    const first = Array.from(word)[0] || '';
+    return /[\p{Lu}\p{Lt}\p{Lo}]/u.test(first);
+  }
+
   /**
    * Classify a line by its content clues
    */
@@ -45,7 +62,8 @@ export class ContactParser {
       return classification;
     }
 
-    if (line.includes('+') || /\d{7,}/.test(line) || this.patterns.phone.test(line) || this.patterns.phoneAlt.test(line)) {
+    if (line.includes('+') || /\d{7,}/.test(line) || phoneParser.findNumbers(line).length > 0 ||
+      this.patterns.phone.test(line) || this.patterns.phoneAlt.test(line)) {
       classification.type = 'phone';
       classification.confidence = 10;
       return classification;
@@ -63,7 +81,8 @@ export class ContactParser {
       return classification;
     }
 
-    const companyPatterns = ['inc', 'ltd', 'llc', 'corp', 'pvt', 'limited', 'incorporated', 'company', 'co.', 'group', 'solutions', 'systems', 'services', 'agency'];
+    const companyPatterns = ['inc', 'ltd', 'llc', 'corp', 'pvt', 'limited', 'incorporated', 'company', 'co.', 'group', 'solutions', 'systems', 'services', 'agency',
+      'gmbh', 's.a.', 'sarl', 'ооо', 'зао', 'компания', '公司', '株式会社', '有限会社', '주식회사', 'प्रा', 'कंपनी', 'कम्पनी'];
     const hasStrongCompanyKeyword = companyPatterns.some(pattern => lowerLine.includes(pattern));
     if (hasStrongCompanyKeyword) {
       classification.type = 'company';
@@ -72,7 +91,9 @@ export class ContactParser {
     }
 
     const titleKeywords = ['agent', 'manager', 'director', 'executive', 'president', 'ceo', 'cfo', 'cto', 'vp', 'vice president', 'specialist', 'consultant', 'advisor', 'representative', 'assistant', 'coordinator'];
-    const hasTitleKeyword = titleKeywords.some(keyword => lowerLine.includes(keyword));
+    // Matched whole: "head" but not "headquarters", "partner" but not a "... & Partners" firm
+    const titleWords = /\b(engineer|developer|designer|architect|analyst|officer|founder|partner|head|lead|sales)\b/;
+    const hasTitleKeyword = titleKeywords.some(keyword => lowerLine.includes(keyword)) || titleWords.test(lowerLine);
     if (hasTitleKeyword) {
       classification.type = 'title';
       classification.confidence = 7;
@@ -85,9 +106,10 @@ export class ContactParser {
 
     const words = line.split(/\s+/).filter(w => w.length > 0);
     const hasTwoWords = words.length === 2;
-    const allWordsCapitalized = words.every(w => w.length > 0 && w[0] === w[0].toUpperCase() && /^[A-Z]/.test(w));
-    const noNumbers = !/\d/.test(line);
-    const reasonableLength = line.length >= 3 && line.length <= 40;
+    const allWordsCapitalized = words.every(w => this.startsCapitalized(w));
+    const noNumbers = !/\p{N}/u.test(line);
+    const length = Array.from(line).length;
+    const reasonableLength = length >= 3 && length <= 40;
 
     if (hasTwoWords && allWordsCapitalized && noNumbers && reasonableLength) {
       classification.type = 'name';
@@ -95,6 +117,13 @@ export class ContactParser {
       return classification;
     }
 
+    // CJK/Hangul names are usually 2-4 characters without a space
+    if (words.length === 1 && this.patterns.compactScript.test(line) && noNumbers && length >= 2 && length <= 4) {
+      classification.type = 'name';
+      classification.confidence = 9;
+      return classification;
+    }
+
     if (words.length >= 2 && allWordsCapitalized && noNumbers && reasonableLength) {
       classification.type = 'name_or_company';
       classification.confidence = 6;
@@ -105,43 +134,349 @@ export class ContactParser {
   }
 
   /**
-   * Normalize fields using classified lines
+   * OCR text as lines with their classifyLine() type: [{ text, type, confidence }]
+   * Used to assign lines to fields by hand in the batch review
+   */
+  getLines(text) {
+    return this.cleanText(text || '').split(/\r?\n/)
+      .map(line => this.cleanText(line.trim()))
+      .filter(line => line.length > 0)
+      .map(line => {
+        const { type, confidence } = this.classifyLine(line);
+        return { text: line, type, confidence };
+      });
+  }
+
+  /**
+   * Value an OCR line gives a field it is assigned to
+   * Phone, email and website keep only the matching part ("Tel: 555 0100" → "555 0100")
+   */
+  getFieldValue(line, field) {
+    if (field === 'email') {
+      const emails = line.match(this.patterns.email);
+      return emails ? emails[0] : line.trim();
+    }
+    if (field === 'phone' || field === 'fax') {
+      const numbers = phoneParser.findNumbers(line);
+      return numbers.length > 0 ? numbers[0].display : line.trim();
+    }
+    if (field === 'website') {
+      return this.extractWebsite(line) || line.trim();
+    }
+    return line.trim();
+  }
+
+  /**
+   * Field an OCR line currently fills, or '' if the line isn't used
+   */
+  getLineField(line, values) {
+    return this.assignableFields.find((field) => {
+      const value = String(values[field] || '').trim();
+      if (!value) return false;
+      return value === this.getFieldValue(line, field) || (field === 'address' && value.includes(line));
+    }) || '';
+  }
+
+  /**
+   * Field a single OCR word is part of, or '' if no field contains it
+   * Phone-like words match by digits, so "(555)" is found in "+1 555-0100"
+   */
+  getWordField(word, values) {
+    const text = word.trim().toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+    // Single characters are in almost every field
+    if (text.length < 2) return '';
+    // Short numbers ("5" in "5 Main St") would match too many phone numbers
+    const digits = /^[\d\s()+.\/-]+$/.test(text) && text.replace(/\D/g, '').length >= 3
+      ? text.replace(/\D/g, '')
+      : '';
+
+    return this.assignableFields.find((field) => {
+      const value = String(values[field] || '').toLowerCase();
+      if (digits) return value.replace(/\D/g, '').includes(digits);
+      return value.includes(text);
+    }) || '';
+  }
+
+  /**
+   * Put an OCR line into a field and return the updated values
+   * A line fills one field, so it moves from the field that had it; '' leaves it unused.
+   * Address lines are appended, as addresses usually span several lines
+   */
+  assignLine(values, line, field) {
+    const updated = { ...values };
+    const previous = this.getLineField(line, values);
+    if (previous === field) return updated;
+
+    if (previous) {
+      const value = this.getFieldValue(line, previous);
+      updated[previous] = previous === 'address'
+        ? String(values.address).replace(line, '').replace(/,\s*,/g, ',').replace(/^[,\s]+|[,\s]+$/g, '')
+        : String(values[previous]).replace(value, '').trim();
+    }
+
+    if (field) {
+      const value = this.getFieldValue(line, field);
+      const current = String(values[field] || '').trim();
+      updated[field] = field === 'address' && current ? `${current}, ${value}` : value;
+    }
+
+    return updated;
+  }
+
+  /**
+   * Normalize fields: pick primary phone/fax/email from the typed lists
    */
   normalizeFields(contact, classifiedLines) {
-    if (!contact.company || contact.company.trim() === '') {
-      const titleLine = classifiedLines.find(cl => cl.type === 'title' || (cl.type === 'company' && cl.confidence >= 7));
-      if (titleLine) {
-        contact.company = this.cleanText(titleLine.original);
-      }
+    const primaryPhone = contact.phones.find(p => p.type !== 'fax');
+    const faxPhone = contact.phones.find(p => p.type === 'fax');
+    contact.phone = primaryPhone ? primaryPhone.number : '';
+    contact.fax = faxPhone ? faxPhone.number : '';
+    contact.email = contact.emails.length > 0 ? contact.emails[0].address : '';
+
+    // A line used as the company shouldn't also be the job title
+    if (contact.title && contact.title === contact.company) {
+      const otherTitle = classifiedLines.find(cl => cl.type === 'title' && this.cleanText(cl.original) !== contact.company);
+      contact.title = otherTitle ? this.cleanText(otherTitle.original) : '';
     }
     return contact;
   }
 
+  /**
+   * Find every phone number on phone lines, typed by the label in front of it
+   * Numbers are returned as written; normalizePhone() converts them afterwards
+   */
+  extractPhones(classifiedLines, region = phoneParser.defaultRegion) {
+    const phones = [];
+    const seen = new Set();
+
+    classifiedLines.filter(cl => cl.type === 'phone').forEach(cl => {
+      const line = cl.original;
+
+      phoneParser.findNumbers(line, region).forEach(found => {
+        const key = found.e164 + found.extension;
+        if (seen.has(key)) return;
+        seen.add(key);
+        phones.push({ type: this.getPhoneType(line.substring(0, found.index)), number: found.raw });
+      });
+    });
+
+    return phones;
+  }
+
+  /**
+   * Phone type from the label closest before the number
+   */
+  getPhoneType(label) {
+    const labels = label.toLowerCase().match(/\b(fax|f|mobile|mob|cell|m|c|tel|telephone|phone|ph|office|off|direct|work|t|o|d|w)\b/g);
+    if (!labels) return 'other';
+
+    const closest = labels[labels.length - 1];
+    if (['fax', 'f'].includes(closest)) return 'fax';
+    if (['mobile', 'mob', 'cell', 'm', 'c'].includes(closest)) return 'mobile';
+    return 'office';
+  }
+
+  /**
+   * Pull the URL out of a website line, ignoring any email address on it
+   */
+  extractWebsite(line) {
+    const withoutEmails = line.replace(this.patterns.email, ' ');
+    const match = withoutEmails.match(/\b(https?:\/\/)?(www\.)?[a-z0-9][a-z0-9-]*(\.[a-z0-9-]+)+(\/\S*)?/i);
+    return match ? match[0].replace(/[.,]+$/, '') : '';
+  }
+
+  /**
+   * Every phone number of a contact as a typed list
+   * The phone and fax fields stand in for the first non-fax and first fax
+   * entries, so editing them replaces those numbers. Older contacts get one mobile entry.
+   */
+  getPhones(contact) {
+    const listed = Array.isArray(contact.phones) ? contact.phones : [];
+    const primary = listed.find(p => p.type !== 'fax');
+    const fax = listed.find(p => p.type === 'fax');
+
+    const phones = [];
+    const seen = new Set();
+    const add = (type, number) => {
+      const parsed = phoneParser.parse(number);
+      if (!parsed) return;
+
+      // Numbers that don't match the metadata are kept as typed, without E.164
+      const entry = parsed.valid
+        ? { type, number: parsed.display, e164: parsed.e164, extension: parsed.extension }
+        : { type, number: String(number).trim(), e164: '', extension: '' };
+      const key = entry.e164 ? entry.e164 + entry.extension : String(number).replace(/\D/g, '');
+      if (seen.has(key)) return;
+      seen.add(key);
+      phones.push(entry);
+    };
+
+    add(primary ? primary.type : 'mobile', contact.phone);
+    add('fax', contact.fax);
+    listed
+      .filter(p => p !== primary && p !== fax)
+      .forEach(p => add(p.type || 'other', p.number));
+
+    return phones;
+  }
+
+  /**
+   * Every email address of a contact as a typed list; the email field stands in for the first entry
+   */
+  getEmails(contact) {
+    const listed = Array.isArray(contact.emails) ? contact.emails : [];
+    const emails = [];
+    const seen = new Set();
+    const add = (type, address) => {
+      const value = String(address || '').trim();
+      if (!value || seen.has(value.toLowerCase())) return;
+      seen.add(value.toLowerCase());
+      emails.push({ type, address: value });
+    };
+
+    add(listed.length > 0 ? listed[0].type : 'work', contact.email);
+    listed.slice(1).forEach(e => add(e.type || 'other', e.address));
+
+    return emails;
+  }
+
+  /**
+   * Check edited contact fields before saving
+   * Returns { field: message } for each invalid field (empty if valid); phone numbers
+   * only need enough digits, since numbers outside the metadata are kept as typed
+   */
+  validateContact(contact) {
+    const errors = {};
+    const value = (field) => String(contact[field] || '').trim();
+
+    if (!value('name')) {
+      errors.name = 'Name is required';
+    }
+
+    ['phone', 'fax'].forEach(field => {
+      if (value(field) && value(field).replace(/\D/g, '').length < 6) {
+        errors[field] = 'Number looks incomplete';
+      }
+    });
+
+    if (value('email') && !/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value('email'))) {
+      errors.email = 'Enter a valid email address';
+    }
+
+    if (value('website') && !/^(https?:\/\/)?[^\s.\/]+(\.[^\s.\/]+)+(\/\S*)?$/i.test(value('website'))) {
+      errors.website = 'Enter a valid website, e.g. example.com';
+    }
+
+    return errors;
+  }
+
+  /**
+   * Merge the contacts read from the front and back of one card
+   * Fields found on one side only are copied. When both sides disagree the front wins,
+   * unless preferBack is set (e.g. the back was a vCard QR code). Phone and email lists are combined.
+   * Returns the merged contact with conflicts: [{ field, kept, dropped }]
+   */
+  mergeContacts(front, back, preferBack = false) {
+    const fields = ['name', 'title', 'company', 'phone', 'fax', 'email', 'website', 'address', 'eventTag'];
+    // Same number written differently (national vs. international) is not a conflict
+    const key = (field, value) => {
+      if (field !== 'phone' && field !== 'fax') return value.toLowerCase();
+      const parsed = phoneParser.parse(value);
+      return parsed && parsed.valid ? parsed.e164 + parsed.extension : value.replace(/\D/g, '');
+    };
+
+    const merged = { conflicts: [] };
+    const winners = {};
+
+    fields.forEach(field => {
+      const frontValue = String(front[field] || '').trim();
+      const backValue = String(back[field] || '').trim();
+
+      let winner = frontValue ? front : back;
+      if (frontValue && backValue && key(field, frontValue) !== key(field, backValue)) {
+        winner = preferBack ? back : front;
+        merged.conflicts.push({
+          field,
+          kept: winner === front ? frontValue : backValue,
+          dropped: winner === front ? backValue : frontValue,
+        });
+      }
+
+      winners[field] = winner;
+      merged[field] = String(winner[field] || '').trim();
+    });
+
+    // The winning side's list goes first so its entry is the one the primary field replaces
+    const ordered = (field) => (winners[field] === back ? [back, front] : [front, back]);
+    merged.phones = this.getPhones({
+      phone: merged.phone,
+      fax: merged.fax,
+      phones: ordered('phone').flatMap(side => this.getPhones(side)),
+    });
+    merged.emails = this.getEmails({
+      email: merged.email,
+      emails: ordered('email').flatMap(side => this.getEmails(side)),
+    });
+
+    // OCR text of each side, for assigning lines in the batch review
+    merged.rawText = front.rawText || '';
+    merged.backRawText = back.rawText || '';
+
+    // Fields only a vCard QR code fills
+    merged.notes = [front.notes, back.notes].filter(Boolean).join('\n');
+    merged.uid = front.uid || back.uid || '';
+    merged.language = front.language || back.language || '';
+    merged.extraProperties = [...new Set([...(front.extraProperties || []), ...(back.extraProperties || [])])];
+    merged.sourceProperties = [...new Set([...(front.sourceProperties || []), ...(back.sourceProperties || [])])];
+
+    return merged;
+  }
+
+  /**
+   * Normalize a phone entry for storage: display format + E.164, or as read if it doesn't parse
+   */
+  normalizePhone(phone, region = phoneParser.defaultRegion) {
+    const parsed = phoneParser.parse(phone.number, region);
+    if (!parsed || !parsed.valid) {
+      return { type: phone.type, number: phone.number.trim(), e164: '', extension: '' };
+    }
+    return { type: phone.type, number: parsed.display, e164: parsed.e164, extension: parsed.extension };
+  }
+
   /**
    * Extract structured contact information from OCR text
    */
   extractContactInfo(text) {
     let contact = {
       name: '',
+      title: '',
+      company: '',
       phone: '',
+      fax: '',
       email: '',
-      company: '',
+      website: '',
+      address: '',
+      phones: [],
+      emails: [],
     };
 
     if (!text) return contact;
 
     const cleanedText = this.cleanText(text);
 
-    // Extract email and phone using regex
+    // Extract emails using regex
     const emailMatch = cleanedText.match(this.patterns.email);
     if (emailMatch && emailMatch.length > 0) {
-      contact.email = emailMatch[0].trim().toLowerCase();
+      const addresses = [...new Set(emailMatch.map(e => e.trim().toLowerCase()))];
+      contact.emails = addresses.map(address => ({ type: 'work', address }));
     }
 
-    const phoneMatch = cleanedText.match(this.patterns.phone) || cleanedText.match(this.patterns.phoneAlt);
-    if (phoneMatch && phoneMatch.length > 0) {
-      contact.phone = phoneMatch[0].trim();
-    }
+    // National numbers are read in the country of the card's first international number,
+    // so the fax in "Tel +44 20 7946 0958 Fax 020 7946 0959" is found under any default region
+    const phoneRegion = phoneParser.findTextRegion(cleanedText) || phoneParser.defaultRegion;
+
+    // Whole-text phone match, used if no phone line can be isolated
+    const phoneMatch = phoneParser.findNumbers(cleanedText, phoneRegion);
 
     // Split text into lines for layout-aware analysis
     let lines = cleanedText.split(/\r?\n/)
@@ -211,16 +546,11 @@ export class ContactParser {
       }
     }
 
-    // Find company: line with company keywords or title
-    const companyLines = classifiedLines.filter(cl => 
-      (cl.type === 'company' && cl.confidence >= 8) || 
-      (cl.type === 'title' && cl.confidence >= 7)
-    );
+    // Find company: line with company keywords
+    const companyLines = classifiedLines.filter(cl => cl.type === 'company' && cl.confidence >= 8);
     
     if (companyLines.length > 0) {
-      // Prefer company type over title type
-      const companyLine = companyLines.find(cl => cl.type === 'company') || companyLines[0];
-      contact.company = this.cleanText(companyLine.original);
+      contact.company = this.cleanText(companyLines[0].original);
       console.log('Extracted company:', contact.company);
     } else {
       // Fallback: look for remaining name_or_company lines
@@ -235,6 +565,31 @@ export class ContactParser {
       }
     }
 
+    // Find job title: line with role keywords
+    const titleLine = classifiedLines.find(cl => cl.type === 'title' && cl.confidence >= 7);
+    if (titleLine) {
+      contact.title = this.cleanText(titleLine.original);
+    }
+
+    // Website: first URL-looking line (may share a line with the email)
+    const websiteLine = classifiedLines.find(cl => cl.type === 'website') ||
+      classifiedLines.find(cl => /www\.|https?:\/\//i.test(cl.original));
+    if (websiteLine) {
+      contact.website = this.extractWebsite(websiteLine.original);
+    }
+
+    // Address: join address lines (street, city/postcode)
+    contact.address = classifiedLines
+      .filter(cl => cl.type === 'address')
+      .map(cl => this.cleanText(cl.original))
+      .join(', ');
+
+    // Phones: every number on phone lines, typed by its label
+    contact.phones = this.extractPhones(classifiedLines, phoneRegion);
+    if (contact.phones.length === 0 && phoneMatch.length > 0) {
+      contact.phones.push({ type: 'other', number: phoneMatch[0].raw });
+    }
+
     // Normalize fields
     contact = this.normalizeFields(contact, classifiedLines);
 
@@ -244,7 +599,9 @@ export class ContactParser {
     
     contact.name = this.cleanText(contact.name);
     contact.company = this.cleanText(contact.company);
-    contact.phone = contact.phone ? contact.phone.replace(/[\s\-\.]/g, '').replace(/^\+?1/, '') : ''; // Normalize phone (remove +1 prefix)
+    contact.phone = phoneParser.format(contact.phone, phoneRegion);
+    contact.fax = phoneParser.format(contact.fax, phoneRegion);
+    contact.phones = contact.phones.map(p => this.normalizePhone(p, phoneRegion));
     contact.email = contact.email ? contact.email.trim().toLowerCase() : '';
 
     // Debug: Log suspicious OCR results
@@ -10,14 +10,18 @@ const STORAGE_KEY = '@CardSnaply:contacts';
 export class LocalStorage {
   /**
    * Save a contact
+   * backImageUri is the back side of a two-sided card
    */
-  async saveContact(contact, imageUri = null) {
+  async saveContact(contact, imageUri = null, backImageUri = null) {
     try {
       const contacts = await this.getAllContacts();
       const newContact = {
         id: Date.now().toString(),
         ...contact,
+        // Parsed vCards without a UID carry an empty one
+        uid: contact.uid || this.createUid(),
         imageUri,
+        backImageUri,
         createdAt: new Date().toISOString(),
       };
       contacts.push(newContact);
@@ -29,6 +33,42 @@ export class LocalStorage {
     }
   }
 
+  /**
+   * Save several contacts (an import) with a single write, so either all are saved or none
+   */
+  async saveContacts(contacts) {
+    try {
+      const existing = await this.getAllContacts();
+      const now = new Date().toISOString();
+      const base = Date.now();
+      const added = contacts.map((contact, index) => ({
+        id: `${base}-${index}`,
+        ...contact,
+        uid: contact.uid || this.createUid(),
+        imageUri: null,
+        backImageUri: null,
+        createdAt: now,
+      }));
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify([...existing, ...added]));
+      return added.map(contact => contact.id);
+    } catch (error) {
+      console.error('Error saving contacts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Random version 4 UUID; exported vCards carry it so address books
+   * recognize a contact exported again
+   */
+  createUid() {
+    const hex = Array.from({ length: 32 }, () => Math.floor(Math.random() * 16));
+    hex[12] = 4;
+    hex[16] = (hex[16] & 0x3) | 0x8;
+    const text = hex.map(digit => digit.toString(16)).join('');
+    return `${text.slice(0, 8)}-${text.slice(8, 12)}-${text.slice(12, 16)}-${text.slice(16, 20)}-${text.slice(20)}`;
+  }
+
   /**
    * Get all contacts
    */
@@ -53,14 +93,19 @@ export class LocalStorage {
   }
 
   /**
-   * Update a contact
+   * Update a contact; stamps updatedAt
    */
   async updateContact(id, updates) {
     try {
       const contacts = await this.getAllContacts();
       const index = contacts.findIndex(c => c.id === id);
       if (index === -1) throw new Error('Contact not found');
-      contacts[index] = { ...contacts[index], ...updates };
+      contacts[index] = {
+        ...contacts[index],
+        ...updates,
+        id,
+        updatedAt: new Date().toISOString(),
+      };
       await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(contacts));
       return contacts[index];
     } catch (error) {
@@ -86,6 +86,7 @@ class OCRProcessor {
 
   /**
    * Prepare image for OCR processing
+   * Returns { uri, width, height } of the prepared image (width/height null if it couldn't be prepared)
    */
   async prepareImage(uri) {
     try {
@@ -100,10 +101,10 @@ class OCRProcessor {
           format: ImageManipulator.SaveFormat.JPEG,
         }
       );
-      return manipulatedImage.uri;
+      return manipulatedImage;
     } catch (error) {
       console.error('Error preparing image:', error);
-      return uri; // Return original if manipulation fails
+      return { uri, width: null, height: null }; // Use original if manipulation fails
     }
   }
 
@@ -130,28 +131,10 @@ class OCRProcessor {
 
   /**
    * Clean and sanitize OCR text by removing garbage characters
-   * Matches web version's cleanText method
+   * Uses ContactParser's Unicode-aware cleaning so both stay in sync
    */
   cleanText(text) {
-    if (!text) return '';
-
-    return text
-      // Normalize various dash types to standard hyphen
-      .replace(/[\u2010-\u2015\u2013\u2014]/g, '-')
-      // Remove leading/trailing punctuation and garbage characters (but keep commas, periods)
-      .replace(/^[^a-zA-Z0-9@.\+\s\-,]+|[^a-zA-Z0-9@.\+\s\-,]+$/g, '')
-      // Replace common garbage punctuation with spaces (but keep commas, periods)
-      .replace(/[{}>\])(_+=•|\\/~]+/g, ' ')
-      // Replace multiple dashes/underscores with single space
-      .replace(/[-_]{2,}/g, ' ')
-      // Replace multiple spaces with single space
-      .replace(/\s{2,}/g, ' ')
-      // Remove non-ASCII symbols (keep letters, digits, @, ., +, spaces, commas, hyphens)
-      .replace(/[^\x00-\x7F]+/g, ' ') // Remove non-ASCII characters
-      .replace(/[^\w\s@.+,\-]/g, ' ') // Keep only: word chars, spaces, @, ., +, commas, hyphens
-      // Normalize whitespace again after character removal
-      .replace(/\s{2,}/g, ' ')
-      .trim();
+    return contactParser.cleanText(text);
   }
 
   /**
@@ -160,17 +143,30 @@ class OCRProcessor {
    * @returns {Promise<string>} - Extracted text
    */
   async extractText(uri) {
+    const { text } = await this.recognize(uri);
+    return text;
+  }
+
+  /**
+   * Run OCR and keep the recognized words with their boxes
+   * Boxes are fractions (0-1) of the image size so they can be drawn over the image at any size
+   * @param {string} uri - Image URI to process
+   * @returns {Promise<Object>} - { text, words } where words are { text, line, x, y, width, height }
+   */
+  async recognize(uri) {
     try {
       await this.init();
 
       // Prepare image first
-      const preparedUri = await this.prepareImage(uri);
+      const prepared = await this.prepareImage(uri);
 
       // Convert image URI to data URL for Tesseract.js
-      const imageDataURL = await this.imageUriToDataURL(preparedUri);
+      const imageDataURL = await this.imageUriToDataURL(prepared.uri);
 
       // Perform OCR
-      const { data: { text } } = await this.worker.recognize(imageDataURL);
+      const { data } = await this.worker.recognize(imageDataURL);
+      const text = data.text || '';
+      const words = prepared.width ? this.getWordBoxes(data, prepared.width, prepared.height) : [];
 
       // Clean the raw OCR text before returning (matching web version)
       const cleanedText = this.cleanText(text);
@@ -186,10 +182,10 @@ class OCRProcessor {
 
       if (cleanedText.trim().length > 0) {
         console.log('OCR extracted text:', cleanedText.substring(0, 100) + '...');
-        return cleanedText;
+        return { text: cleanedText, words };
       } else {
         console.log('OCR returned empty text');
-        return '';
+        return { text: '', words: [] };
       }
     } catch (error) {
       console.error('OCR extraction error:', error);
@@ -197,6 +193,53 @@ class OCRProcessor {
     }
   }
 
+  /**
+   * Word boxes of a Tesseract result as fractions of the image size
+   * line indexes Tesseract's text lines, so a tapped word can stand for its whole line
+   */
+  getWordBoxes(data, width, height) {
+    const lineOf = new Map();
+    (data.lines || []).forEach((line, index) => {
+      (line.words || []).forEach(word => lineOf.set(word, index));
+    });
+
+    return (data.words || [])
+      .map((word, index) => ({ word, line: lineOf.has(word) ? lineOf.get(word) : -1 - index }))
+      .filter(({ word }) => word.bbox && word.text.trim())
+      .map(({ word, line }) => ({
+        text: word.text.trim(),
+        line,
+        x: word.bbox.x0 / width,
+        y: word.bbox.y0 / height,
+        width: (word.bbox.x1 - word.bbox.x0) / width,
+        height: (word.bbox.y1 - word.bbox.y0) / height,
+      }));
+  }
+
+  /**
+   * Run OCR on part of an image, e.g. an area selected on the card preview
+   * @param {string} uri - Image URI
+   * @param {Object} region - { x, y, width, height } as fractions (0-1) of the image size
+   * @returns {Promise<string>} - Text of the area
+   */
+  async extractRegionText(uri, region) {
+    // An empty action list just reads the image size
+    const { width, height } = await ImageManipulator.manipulateAsync(uri, []);
+    const crop = {
+      originX: Math.round(region.x * width),
+      originY: Math.round(region.y * height),
+      width: Math.max(1, Math.round(region.width * width)),
+      height: Math.max(1, Math.round(region.height * height)),
+    };
+    const cropped = await ImageManipulator.manipulateAsync(uri, [{ crop }], {
+      compress: 1,
+      format: ImageManipulator.SaveFormat.JPEG,
+    });
+
+    // prepareImage() scales the small crop up, which Tesseract reads better
+    return this.extractText(cropped.uri);
+  }
+
   /**
    * Terminate Tesseract worker (cleanup)
    */
@@ -220,19 +263,32 @@ class OCRProcessor {
    * @returns {Promise<Object>} - Contact object with extracted fields
    */
   async processImage(uri) {
+    const { contact } = await this.processImageFull(uri);
+    return contact;
+  }
+
+  /**
+   * Process image and return the contact together with the OCR word boxes
+   * @param {string} uri - Image URI to process
+   * @returns {Promise<Object>} - { contact, words } (words from recognize(), empty on failure)
+   */
+  async processImageFull(uri) {
     try {
       // Extract text using OCR
-      const text = await this.extractText(uri);
+      const { text, words } = await this.recognize(uri);
 
       if (!text || text.trim().length === 0) {
         // No text extracted - return empty contact for manual entry
         return {
-          name: '',
-          phone: '',
-          email: '',
-          company: '',
-          address: '',
-          notes: '',
+          contact: {
+            name: '',
+            phone: '',
+            email: '',
+            company: '',
+            address: '',
+            notes: '',
+          },
+          words: [],
         };
       }
 
@@ -242,19 +298,24 @@ class OCRProcessor {
       // Add address and notes fields
       contact.address = contact.address || '';
       contact.notes = '';
+      // Keep the OCR text so lines can be reassigned in the batch review
+      contact.rawText = text;
 
       console.log('Extracted contact:', contact);
-      return contact;
+      return { contact, words };
     } catch (error) {
       console.error('OCR processing error:', error);
       // Return empty contact so user can enter manually
       return {
-        name: '',
-        phone: '',
-        email: '',
-        company: '',
-        address: '',
-        notes: '',
+        contact: {
+          name: '',
+          phone: '',
+          email: '',
+          company: '',
+          address: '',
+          notes: '',
+        },
+        words: [],
       };
     }
   }
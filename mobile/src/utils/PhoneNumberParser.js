@@ -0,0 +1,391 @@
+/**
+ * Phone Number Parser
+ * Ported from web version - parses international and national numbers into
+ * E.164 and a display format using a built-in metadata table (works offline)
+ */
+
+export class PhoneNumberParser {
+  constructor() {
+    // Per-region metadata
+    // callingCode: country calling code
+    // nationalPrefix: trunk prefix dialled before national numbers ('' if none)
+    // lengths: valid lengths of the national significant number (without trunk prefix)
+    // formats: grouping rules for the national significant number, first match wins
+    this.regions = {
+      US: { name: 'United States', callingCode: '1', nationalPrefix: '1', lengths: [10],
+        formats: [{ pattern: /^(\d{3})(\d{3})(\d{4})$/, format: '$1 $2 $3' }] },
+      CA: { name: 'Canada', callingCode: '1', nationalPrefix: '1', lengths: [10],
+        formats: [{ pattern: /^(\d{3})(\d{3})(\d{4})$/, format: '$1 $2 $3' }] },
+      GB: { name: 'United Kingdom', callingCode: '44', nationalPrefix: '0', lengths: [9, 10],
+        formats: [
+          { pattern: /^(2\d)(\d{4})(\d{4})$/, format: '$1 $2 $3' },
+          { pattern: /^(7\d{3})(\d{6})$/, format: '$1 $2' },
+          { pattern: /^(1\d1)(\d{3})(\d{4})$/, format: '$1 $2 $3' },
+          { pattern: /^(11\d)(\d{3})(\d{4})$/, format: '$1 $2 $3' },
+          { pattern: /^(1\d{3})(\d{5,6})$/, format: '$1 $2' },
+          { pattern: /^([389]\d{2})(\d{3})(\d{4})$/, format: '$1 $2 $3' }
+        ] },
+      IE: { name: 'Ireland', callingCode: '353', nationalPrefix: '0', lengths: [7, 8, 9],
+        formats: [
+          { pattern: /^(8\d)(\d{3})(\d{4})$/, format: '$1 $2 $3' },
+          { pattern: /^(1)(\d{3})(\d{4})$/, format: '$1 $2 $3' },
+          { pattern: /^(\d{2})(\d{3})(\d{3,4})$/, format: '$1 $2 $3' }
+        ] },
+      IN: { name: 'India', callingCode: '91', nationalPrefix: '0', lengths: [10],
+        formats: [
+          { pattern: /^([6-9]\d{4})(\d{5})$/, format: '$1 $2' },
+          { pattern: /^([1-5]\d)(\d{4})(\d{4})$/, format: '$1 $2 $3' }
+        ] },
+      NP: { name: 'Nepal', callingCode: '977', nationalPrefix: '0', lengths: [8, 10],
+        formats: [
+          { pattern: /^(9[678]\d)(\d{7})$/, format: '$1-$2' },
+          { pattern: /^(1)(\d{7})$/, format: '$1-$2' },
+          { pattern: /^(\d{2})(\d{6})$/, format: '$1-$2' }
+        ] },
+      PK: { name: 'Pakistan', callingCode: '92', nationalPrefix: '0', lengths: [9, 10],
+        formats: [
+          { pattern: /^(3\d{2})(\d{7})$/, format: '$1 $2' },
+          { pattern: /^(\d{2})(\d{7,8})$/, format: '$1 $2' }
+        ] },
+      BD: { name: 'Bangladesh', callingCode: '880', nationalPrefix: '0', lengths: [8, 9, 10],
+        formats: [
+          { pattern: /^(1\d{3})(\d{6})$/, format: '$1-$2' },
+          { pattern: /^(2)(\d{7,8})$/, format: '$1-$2' }
+        ] },
+      LK: { name: 'Sri Lanka', callingCode: '94', nationalPrefix: '0', lengths: [9],
+        formats: [{ pattern: /^(\d{2})(\d{3})(\d{4})$/, format: '$1 $2 $3' }] },
+      AU: { name: 'Australia', callingCode: '61', nationalPrefix: '0', lengths: [9],
+        formats: [
+          { pattern: /^(4\d{2})(\d{3})(\d{3})$/, format: '$1 $2 $3' },
+          { pattern: /^([2378])(\d{4})(\d{4})$/, format: '$1 $2 $3' }
+        ] },
+      NZ: { name: 'New Zealand', callingCode: '64', nationalPrefix: '0', lengths: [8, 9, 10],
+        formats: [
+          { pattern: /^(2\d)(\d{3})(\d{3,5})$/, format: '$1 $2 $3' },
+          { pattern: /^(\d)(\d{3})(\d{4})$/, format: '$1 $2 $3' }
+        ] },
+      SG: { name: 'Singapore', callingCode: '65', nationalPrefix: '', lengths: [8],
+        formats: [{ pattern: /^(\d{4})(\d{4})$/, format: '$1 $2' }] },
+      HK: { name: 'Hong Kong', callingCode: '852', nationalPrefix: '', lengths: [8],
+        formats: [{ pattern: /^(\d{4})(\d{4})$/, format: '$1 $2' }] },
+      MY: { name: 'Malaysia', callingCode: '60', nationalPrefix: '0', lengths: [8, 9, 10],
+        formats: [
+          { pattern: /^(1\d)(\d{3,4})(\d{4})$/, format: '$1-$2 $3' },
+          { pattern: /^(\d)(\d{3,4})(\d{4})$/, format: '$1-$2 $3' }
+        ] },
+      PH: { name: 'Philippines', callingCode: '63', nationalPrefix: '0', lengths: [8, 9, 10],
+        formats: [
+          { pattern: /^(9\d{2})(\d{3})(\d{4})$/, format: '$1 $2 $3' },
+          { pattern: /^(2)(\d{3,4})(\d{4})$/, format: '$1 $2 $3' }
+        ] },
+      CN: { name: 'China', callingCode: '86', nationalPrefix: '0', lengths: [9, 10, 11],
+        formats: [
+          { pattern: /^(1[3-9]\d)(\d{4})(\d{4})$/, format: '$1 $2 $3' },
+          { pattern: /^([12]\d)(\d{4})(\d{4})$/, format: '$1 $2 $3' },
+          { pattern: /^(\d{3})(\d{3,4})(\d{4})$/, format: '$1 $2 $3' }
+        ] },
+      JP: { name: 'Japan', callingCode: '81', nationalPrefix: '0', lengths: [9, 10],
+        formats: [
+          { pattern: /^([789]0)(\d{4})(\d{4})$/, format: '$1 $2 $3' },
+          { pattern: /^(\d)(\d{4})(\d{4})$/, format: '$1 $2 $3' }
+        ] },
+      AE: { name: 'United Arab Emirates', callingCode: '971', nationalPrefix: '0', lengths: [8, 9],
+        formats: [
+          { pattern: /^(5\d)(\d{3})(\d{4})$/, format: '$1 $2 $3' },
+          { pattern: /^(\d)(\d{3})(\d{4})$/, format: '$1 $2 $3' }
+        ] },
+      SA: { name: 'Saudi Arabia', callingCode: '966', nationalPrefix: '0', lengths: [8, 9],
+        formats: [
+          { pattern: /^(5\d)(\d{3})(\d{4})$/, format: '$1 $2 $3' },
+          { pattern: /^(\d{2})(\d{3})(\d{4})$/, format: '$1 $2 $3' }
+        ] },
+      ZA: { name: 'South Africa', callingCode: '27', nationalPrefix: '0', lengths: [9],
+        formats: [{ pattern: /^(\d{2})(\d{3})(\d{4})$/, format: '$1 $2 $3' }] },
+      DE: { name: 'Germany', callingCode: '49', nationalPrefix: '0', lengths: [6, 7, 8, 9, 10, 11, 12, 13],
+        formats: [
+          { pattern: /^(1[5-7]\d)(\d{7,8})$/, format: '$1 $2' },
+          { pattern: /^([2-9]0|[3-9]\d)(\d{6,8})$/, format: '$1 $2' },
+          { pattern: /^(\d{3,4})(\d{4,8})$/, format: '$1 $2' }
+        ] },
+      FR: { name: 'France', callingCode: '33', nationalPrefix: '0', lengths: [9],
+        formats: [{ pattern: /^(\d)(\d{2})(\d{2})(\d{2})(\d{2})$/, format: '$1 $2 $3 $4 $5' }] },
+      ES: { name: 'Spain', callingCode: '34', nationalPrefix: '', lengths: [9],
+        formats: [{ pattern: /^(\d{3})(\d{3})(\d{3})$/, format: '$1 $2 $3' }] },
+      IT: { name: 'Italy', callingCode: '39', nationalPrefix: '', lengths: [6, 7, 8, 9, 10, 11],
+        formats: [
+          { pattern: /^(3\d{2})(\d{3})(\d{3,4})$/, format: '$1 $2 $3' },
+          { pattern: /^(0\d)(\d{4})(\d{2,5})$/, format: '$1 $2 $3' }
+        ] },
+      NL: { name: 'Netherlands', callingCode: '31', nationalPrefix: '0', lengths: [9],
+        formats: [
+          { pattern: /^(6)(\d{8})$/, format: '$1 $2' },
+          { pattern: /^(\d{2})(\d{7})$/, format: '$1 $2' }
+        ] },
+      BR: { name: 'Brazil', callingCode: '55', nationalPrefix: '0', lengths: [10, 11],
+        formats: [
+          { pattern: /^(\d{2})(\d{5})(\d{4})$/, format: '$1 $2-$3' },
+          { pattern: /^(\d{2})(\d{4})(\d{4})$/, format: '$1 $2-$3' }
+        ] },
+      MX: { name: 'Mexico', callingCode: '52', nationalPrefix: '', lengths: [10],
+        formats: [{ pattern: /^(\d{2})(\d{4})(\d{4})$/, format: '$1 $2 $3' }] }
+    };
+
+    // Region used for numbers written without a country code
+    this.defaultRegion = this.detectRegion();
+
+    // Candidate numbers in free text: optional + or 00, digits with separators,
+    // optional "(0)" trunk marker and an optional extension
+    this.candidatePattern = /(?:\+|\b00)?\(?\d[\d\s().\-\/]{4,}\d(?:\s*(?:ext\.?|extn\.?|extension|x|#)\s*\d{1,6})?/gi;
+  }
+
+  /**
+   * Guess the default region from the device locale (e.g. "en-GB" → GB)
+   */
+  detectRegion() {
+    let locale = '';
+    try {
+      locale = Intl.DateTimeFormat().resolvedOptions().locale || '';
+    } catch (error) {
+      // Intl not available - fall back to US
+    }
+    const region = locale.split('-').find(part => /^[A-Z]{2}$/.test(part));
+    return region && this.regions[region] ? region : 'US';
+  }
+
+  /**
+   * Set the region used for numbers without a country code
+   * @param {string} region - Region code (e.g. 'GB', 'IN', 'NP')
+   * @returns {string} - The region now in effect
+   */
+  setDefaultRegion(region) {
+    const code = String(region || '').toUpperCase();
+    if (!this.regions[code]) {
+      throw new Error(`Unknown phone region: ${region}`);
+    }
+    this.defaultRegion = code;
+    return code;
+  }
+
+  /**
+   * List supported regions for settings menus
+   * @returns {Array<Object>} - [{ code, name, callingCode }] sorted by name
+   */
+  getRegions() {
+    return Object.entries(this.regions)
+      .map(([code, meta]) => ({ code, name: meta.name, callingCode: meta.callingCode }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Parse a phone number
+   * @param {string} text - Number as written, e.g. "+44 (0)20 7946 0958 ext. 204" or "098-4123456"
+   * @param {string} region - Region for numbers without a country code (defaults to defaultRegion)
+   * @returns {Object|null} - { e164, display, national, region, callingCode, extension, valid },
+   *   or null if the text holds no digits
+   */
+  parse(text, region = this.defaultRegion) {
+    if (!text) return null;
+
+    let number = String(text).trim();
+    let extension = '';
+
+    // Extension: "ext. 204", "x204", "#204"
+    const extMatch = number.match(/\s*(?:ext\.?|extn\.?|extension|x|#)\s*(\d{1,6})\s*$/i);
+    if (extMatch) {
+      extension = extMatch[1];
+      number = number.slice(0, extMatch.index);
+    }
+
+    const international = /^\s*(\+|00|011)/.test(number);
+    // "+44 (0)20 ..." - the (0) trunk prefix is not dialled from abroad
+    number = number.replace(/\(0\)/g, '');
+    let digits = number.replace(/\D/g, '');
+    if (!digits) return null;
+
+    let regionCode = this.regions[region] ? region : this.defaultRegion;
+    let callingCode;
+    let nsn;
+
+    if (international) {
+      if (!number.trim().startsWith('+')) {
+        digits = digits.replace(/^(00|011)/, '');
+      }
+      callingCode = this.findCallingCode(digits);
+      if (!callingCode) {
+        // Unknown country: keep the digits as they are
+        return this.build(digits, '', '', digits, extension, digits.length >= 8 && digits.length <= 15);
+      }
+      nsn = digits.slice(callingCode.length);
+      regionCode = this.findRegion(callingCode, regionCode);
+      const meta = this.regions[regionCode];
+      // Some cards write the trunk prefix after the country code (+977 098...)
+      if (meta.nationalPrefix && nsn.startsWith(meta.nationalPrefix) &&
+        !meta.lengths.includes(nsn.length) && meta.lengths.includes(nsn.length - meta.nationalPrefix.length)) {
+        nsn = nsn.slice(meta.nationalPrefix.length);
+      }
+    } else {
+      const meta = this.regions[regionCode];
+      callingCode = meta.callingCode;
+      nsn = digits;
+
+      if (meta.nationalPrefix && nsn.startsWith(meta.nationalPrefix) &&
+        meta.lengths.includes(nsn.length - meta.nationalPrefix.length)) {
+        // Trunk prefix: 020 7946 0958 → 20 7946 0958
+        nsn = nsn.slice(meta.nationalPrefix.length);
+      } else if (!meta.lengths.includes(nsn.length) && nsn.startsWith(callingCode) &&
+        meta.lengths.includes(nsn.length - callingCode.length)) {
+        // Country code written without "+": 977 9841234567
+        nsn = nsn.slice(callingCode.length);
+      }
+    }
+
+    const valid = this.regions[regionCode].lengths.includes(nsn.length);
+    return this.build(nsn, callingCode, regionCode, this.formatNational(nsn, regionCode), extension, valid);
+  }
+
+  /**
+   * Assemble the parse result
+   * @param {string} nsn - National significant number
+   * @param {string} callingCode - Country calling code ('' if unknown)
+   * @param {string} region - Region code ('' if unknown)
+   * @param {string} national - Grouped national number
+   * @param {string} extension - Extension digits ('' if none)
+   * @param {boolean} valid - Whether the length matches the region's metadata
+   * @returns {Object} - Parse result
+   */
+  build(nsn, callingCode, region, national, extension, valid) {
+    const e164 = `+${callingCode}${nsn}`;
+    const international = callingCode ? `+${callingCode} ${national}` : `+${national}`;
+    return {
+      e164,
+      display: extension ? `${international} ext. ${extension}` : international,
+      national,
+      region,
+      callingCode,
+      extension,
+      valid
+    };
+  }
+
+  /**
+   * Find the calling code at the start of an international number
+   * Calling codes are prefix-free, so at most one of the 1-3 digit prefixes is known
+   * @param {string} digits - Digits after the + / 00
+   * @returns {string|null} - Calling code or null
+   */
+  findCallingCode(digits) {
+    const known = new Set(Object.values(this.regions).map(meta => meta.callingCode));
+    for (let length = 1; length <= 3; length++) {
+      const prefix = digits.slice(0, length);
+      if (known.has(prefix)) return prefix;
+    }
+    return null;
+  }
+
+  /**
+   * Pick the region for a calling code shared by several regions (e.g. +1 US/CA)
+   * @param {string} callingCode - Country calling code
+   * @param {string} preferred - Region to prefer when it shares the calling code
+   * @returns {string} - Region code
+   */
+  findRegion(callingCode, preferred) {
+    if (this.regions[preferred] && this.regions[preferred].callingCode === callingCode) {
+      return preferred;
+    }
+    return Object.keys(this.regions).find(code => this.regions[code].callingCode === callingCode);
+  }
+
+  /**
+   * Group a national significant number using the region's formats
+   * @param {string} nsn - National significant number
+   * @param {string} region - Region code
+   * @returns {string} - Grouped digits, e.g. "20 7946 0958"
+   */
+  formatNational(nsn, region) {
+    const meta = this.regions[region];
+    const rule = meta && meta.formats.find(f => f.pattern.test(nsn));
+    if (rule) return nsn.replace(rule.pattern, rule.format);
+
+    // No rule: groups of three with a final group of up to four
+    return nsn.replace(/(\d{3})(?=\d{4})/g, '$1 ');
+  }
+
+  /**
+   * Display format of a number, or the trimmed input when it can't be parsed
+   * @param {string} text - Number as written
+   * @param {string} region - Region for numbers without a country code
+   * @returns {string} - Display format
+   */
+  format(text, region = this.defaultRegion) {
+    const parsed = this.parse(text, region);
+    return parsed && parsed.valid ? parsed.display : String(text || '').trim();
+  }
+
+  /**
+   * Find phone numbers in free text
+   * @param {string} text - Text such as an OCR line ("Tel +977 1-4412345 Fax ...")
+   * @param {string} region - Region for numbers without a country code
+   * @returns {Array<Object>} - Parse results plus { raw, index } of each valid number
+   */
+  findNumbers(text, region = this.defaultRegion) {
+    const numbers = [];
+    if (!text) return numbers;
+
+    for (const match of String(text).matchAll(this.candidatePattern)) {
+      numbers.push(...this.splitCandidate(match[0], match.index, region));
+    }
+
+    return numbers;
+  }
+
+  /**
+   * Valid numbers in a candidate run; one that doesn't parse as a whole may hold several
+   * ("(212) 555-0100 / (212) 555-0101"), so the longest valid run of its parts is taken
+   * and the rest searched again
+   */
+  splitCandidate(candidate, index, region) {
+    const numbers = [];
+    const separator = /[\s\/]+/g;
+    let start = 0;
+
+    while (start < candidate.length) {
+      const rest = candidate.slice(start);
+      // Ends of the runs of parts, longest first
+      const ends = [rest.length, ...[...rest.matchAll(separator)].map(match => match.index).reverse()];
+      let found = null;
+      for (const end of ends) {
+        const parsed = end > 0 ? this.parse(rest.slice(0, end), region) : null;
+        if (parsed && parsed.valid) {
+          found = { ...parsed, raw: rest.slice(0, end).trim(), index: index + start, end };
+          break;
+        }
+      }
+
+      if (found) {
+        const { end, ...number } = found;
+        numbers.push(number);
+        start += end;
+      } else {
+        // No number starts with this part: go on from the next one
+        const next = rest.search(separator);
+        if (next < 0) break;
+        start += next;
+      }
+      while (start < candidate.length && /[\s\/]/.test(candidate[start])) start++;
+    }
+
+    return numbers;
+  }
+
+  /**
+   * Region of the first international number in a text, or null; national numbers
+   * printed next to it are in the same country ("Tel +44 20 7946 0958 Fax 020 7946 0959")
+   */
+  findTextRegion(text) {
+    const international = this.findNumbers(text, this.defaultRegion)
+      .find(found => /^(\+|00|011)/.test(found.raw) && found.region);
+    return international ? international.region : null;
+  }
+}
+
+export const phoneParser = new PhoneNumberParser();
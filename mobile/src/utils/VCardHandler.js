@@ -1,9 +1,104 @@
 /**
  * vCard Handler
  * Ported from web version - handles vCard parsing and generation
+ * Generates vCard 3.0 or 4.0 (RFC 6350), optionally with the card image as PHOTO
  */
 
+import * as ImageManipulator from 'expo-image-manipulator';
+import { contactParser } from './ContactParser';
+import { localStorage } from './LocalStorage';
+import { phoneParser } from './PhoneNumberParser';
+
+export const VCARD_VERSIONS = ['3.0', '4.0'];
+// Photo embedded by getPhoto(): none or the front of the card
+export const PHOTO_MODES = ['none', 'card'];
+
+// Address books shrink or reject large photos; base64 adds a third to the size
+const PHOTO_MAX_SIZE = 480;
+const PHOTO_MAX_BYTES = 48 * 1024;
+// Content lines are folded at this many octets
+const MAX_LINE_OCTETS = 75;
+
+// Contact phone types mapped to vCard TEL TYPE parameters
+const PHONE_TYPES = {
+  mobile: 'CELL',
+  office: 'WORK,VOICE',
+  fax: 'WORK,FAX',
+  other: 'VOICE',
+};
+
+// vCard 4.0 type values are lowercase
+const PHONE_TYPES_V4 = {
+  mobile: 'cell',
+  office: 'work,voice',
+  fax: 'work,fax',
+  other: 'voice',
+};
+
+const EMAIL_TYPES_V4 = {
+  work: 'work',
+  home: 'home',
+  personal: 'home',
+};
+
+// Scripts that identify the language of a card, for the 4.0 LANG property
+const SCRIPT_LANGUAGES = [
+  { pattern: /[\u3040-\u30ff]/, lang: 'ja' },
+  { pattern: /[\uac00-\ud7af\u1100-\u11ff]/, lang: 'ko' },
+  { pattern: /[\u4e00-\u9fff]/, lang: 'zh' },
+  { pattern: /[\u0e00-\u0e7f]/, lang: 'th' },
+  { pattern: /[\u0370-\u03ff]/, lang: 'el' },
+  { pattern: /[\u0590-\u05ff]/, lang: 'he' },
+  { pattern: /[\u10a0-\u10ff]/, lang: 'ka' },
+  { pattern: /[\u0530-\u058f]/, lang: 'hy' },
+];
+
+// Properties generate() always writes anew, so parsed ones aren't kept as extras
+const REGENERATED_PROPERTIES = ['VERSION', 'FN', 'N', 'KIND', 'REV'];
+// Properties read into fields that generate() writes in its own way (ORG without departments,
+// ADR as one street line, fixed TEL/EMAIL types); their lines are kept in sourceProperties
+const SOURCE_PROPERTIES = ['ORG', 'ADR', 'TEL', 'EMAIL'];
+
+// Parameters each version defines; stored properties lose any others (X- ones are kept)
+const VERSION_PARAMETERS = {
+  '3.0': ['TYPE', 'VALUE', 'ENCODING', 'LANGUAGE'],
+  '4.0': ['TYPE', 'VALUE', 'PREF', 'LANGUAGE', 'ALTID', 'PID', 'MEDIATYPE', 'CALSCALE', 'SORT-AS', 'GEO', 'TZ', 'LABEL'],
+};
+// Properties only one version has; stored ones are dropped when writing the other
+const VERSION_PROPERTIES = {
+  '3.0': ['AGENT', 'CLASS', 'LABEL', 'MAILER', 'NAME', 'PROFILE', 'SORT-STRING'],
+  '4.0': ['ANNIVERSARY', 'CLIENTPIDMAP', 'GENDER', 'MEMBER', 'RELATED', 'XML'],
+};
+// Top-level media type of inline binary values (3.0 TYPE=JPEG <-> 4.0 data:image/jpeg)
+const MEDIA_TYPES = { PHOTO: 'image', LOGO: 'image', SOUND: 'audio', KEY: 'application' };
+
 export class VCardHandler {
+  constructor() {
+    this.defaultVersion = '3.0';
+    this.photoMode = 'none';
+  }
+
+  /**
+   * Version written when generate() gets none
+   */
+  setDefaultVersion(version) {
+    if (!VCARD_VERSIONS.includes(version)) {
+      throw new Error(`Unsupported vCard version: ${version}`);
+    }
+    this.defaultVersion = version;
+    return version;
+  }
+
+  /**
+   * Photo getPhoto() embeds when no mode is passed
+   */
+  setPhotoMode(mode) {
+    if (!PHOTO_MODES.includes(mode)) {
+      throw new Error(`Unsupported photo mode: ${mode}`);
+    }
+    this.photoMode = mode;
+    return mode;
+  }
   escape(value) {
     if (!value) return '';
     return String(value)
@@ -14,17 +109,32 @@ export class VCardHandler {
       .replace(/\r/g, '');
   }
 
+  // One pass, so an escaped backslash before "n" stays a backslash
   unescape(value) {
     if (!value) return '';
-    return String(value)
-      .replace(/\\n/g, '\n')
-      .replace(/\\,/g, ',')
-      .replace(/\\;/g, ';')
-      .replace(/\\\\/g, '\\');
+    return String(value).replace(/\\(.)/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+  }
+
+  /**
+   * options.version is '3.0' or '4.0' (defaults to defaultVersion); options.photo is
+   * { type: 'JPEG', data } from getPhoto(). Lines are folded at 75 octets
+   */
+  generate(contact, options = {}) {
+    const version = options.version || this.defaultVersion;
+    if (!VCARD_VERSIONS.includes(version)) {
+      throw new Error(`Unsupported vCard version: ${version}`);
+    }
+    const lines = version === '4.0' ? this.generateV4(contact, options) : this.generateV3(contact, options);
+    return lines.map(line => this.fold(line)).join('\r\n');
   }
 
-  generate(contact) {
+  generateBatch(contacts, options = {}) {
+    return contacts.map(contact => this.generate(contact, options)).join('\r\n\r\n');
+  }
+
+  generateV3(contact, options = {}) {
     const lines = ['BEGIN:VCARD', 'VERSION:3.0'];
+    const stored = this.getStoredProperties(contact, '3.0', options);
 
     if (contact.name) {
       lines.push(`FN:${this.escape(contact.name)}`);
@@ -36,87 +146,711 @@ export class VCardHandler {
       }
     }
 
-    if (contact.phone) {
-      const cleanPhone = contact.phone.replace(/[\s\-\(\)]/g, '');
-      lines.push(`TEL;TYPE=CELL:${this.escape(cleanPhone)}`);
+    if (contact.title) {
+      lines.push(`TITLE:${this.escape(contact.title)}`);
+    }
+
+    if (contact.company && !stored.company) {
+      lines.push(`ORG:${this.escape(contact.company)}`);
+    }
+
+    contactParser.getPhones(contact).filter(phone => !stored.phones.has(this.getPhoneKey(phone))).forEach(phone => {
+      // E.164 when the number parsed, otherwise the number without spaces/dashes
+      let value = phone.e164 || phone.number.replace(/[\s\-\(\)]/g, '');
+      if (phone.e164 && phone.extension) {
+        value += ` ext. ${phone.extension}`;
+      }
+      lines.push(`TEL;TYPE=${PHONE_TYPES[phone.type] || PHONE_TYPES.other}:${this.escape(value)}`);
+    });
+
+    contactParser.getEmails(contact).filter(email => !stored.emails.has(this.getEmailKey(email))).forEach(email => {
+      lines.push(`EMAIL;TYPE=INTERNET:${this.escape(email.address)}`);
+    });
+
+    if (contact.website) {
+      lines.push(`URL:${this.escape(contact.website)}`);
+    }
+
+    if (contact.address && !stored.address) {
+      lines.push(`ADR;TYPE=WORK:;;${this.escape(contact.address)};;;;`);
+    }
+
+    if (contact.eventTag) {
+      lines.push(`X-EVENT-TAG:${this.escape(contact.eventTag)}`);
+    }
+
+    if (contact.notes) {
+      lines.push(`NOTE:${this.escape(contact.notes)}`);
+    }
+
+    if (options.photo) {
+      lines.push(`PHOTO;ENCODING=b;TYPE=${options.photo.type}:${options.photo.data}`);
+    }
+
+    // Properties of an imported card that no field holds or the fields can't reproduce
+    lines.push(...stored.lines);
+
+    lines.push('END:VCARD');
+    return lines;
+  }
+
+  /**
+   * vCard 4.0: KIND, tel: URIs, PREF on the primary phone and email, LANG, REV and UID
+   */
+  generateV4(contact, options = {}) {
+    const lines = ['BEGIN:VCARD', 'VERSION:4.0'];
+    const stored = this.getStoredProperties(contact, '4.0', options);
+
+    lines.push(`KIND:${contact.name ? 'individual' : 'org'}`);
+    lines.push(`FN:${this.escape(contact.name || contact.company)}`);
+
+    if (contact.name) {
+      const nameParts = contact.name.trim().split(/\s+/);
+      if (nameParts.length > 1) {
+        lines.push(`N:${this.escape(nameParts[nameParts.length - 1])};${this.escape(nameParts.slice(0, -1).join(' '))};;;`);
+      } else {
+        lines.push(`N:${this.escape(contact.name)};;;;`);
+      }
     }
 
-    if (contact.email) {
-      lines.push(`EMAIL;TYPE=INTERNET:${this.escape(contact.email)}`);
+    if (contact.title) {
+      lines.push(`TITLE:${this.escape(contact.title)}`);
     }
 
-    if (contact.company) {
+    if (contact.company && !stored.company) {
       lines.push(`ORG:${this.escape(contact.company)}`);
     }
 
+    const phones = contactParser.getPhones(contact);
+    const preferred = phones.find(phone => phone.type !== 'fax') || phones[0];
+    phones.filter(phone => !stored.phones.has(this.getPhoneKey(phone))).forEach(phone => {
+      const params = [`TYPE=${PHONE_TYPES_V4[phone.type] || PHONE_TYPES_V4.other}`];
+      if (phone === preferred) params.push('PREF=1');
+
+      if (phone.e164) {
+        const uri = `tel:${phone.e164}${phone.extension ? `;ext=${phone.extension}` : ''}`;
+        lines.push(`TEL;VALUE=uri;${params.join(';')}:${uri}`);
+      } else {
+        lines.push(`TEL;${params.join(';')}:${this.escape(phone.number)}`);
+      }
+    });
+
+    contactParser.getEmails(contact).forEach((email, index) => {
+      if (stored.emails.has(this.getEmailKey(email))) return;
+      const params = [];
+      if (EMAIL_TYPES_V4[email.type]) params.push(`TYPE=${EMAIL_TYPES_V4[email.type]}`);
+      if (index === 0) params.push('PREF=1');
+      lines.push(`EMAIL${params.map(param => `;${param}`).join('')}:${this.escape(email.address)}`);
+    });
+
+    if (contact.website) {
+      const url = /^[a-z][a-z\d+.-]*:/i.test(contact.website) ? contact.website : `https://${contact.website}`;
+      lines.push(`URL:${url}`);
+    }
+
+    if (contact.address && !stored.address) {
+      lines.push(`ADR;TYPE=work:;;${this.escape(contact.address)};;;;`);
+    }
+
+    const lang = contact.language || this.detectLanguage(contact);
+    if (lang) {
+      lines.push(`LANG:${lang}`);
+    }
+
     if (contact.eventTag) {
       lines.push(`X-EVENT-TAG:${this.escape(contact.eventTag)}`);
     }
 
+    if (contact.notes) {
+      lines.push(`NOTE:${this.escape(contact.notes)}`);
+    }
+
+    // 4.0 photos are data: URIs
+    if (options.photo) {
+      lines.push(`PHOTO:data:image/${options.photo.type.toLowerCase()};base64,${options.photo.data}`);
+    }
+
+    lines.push(...stored.lines);
+
+    // REV is a UTC timestamp in basic format, e.g. 20250301T093000Z
+    const rev = new Date(contact.updatedAt || contact.createdAt || Date.now()).toISOString();
+    lines.push(`REV:${rev.replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+    // Contacts saved before UIDs get a new one on every export
+    lines.push(`UID:urn:uuid:${contact.uid || localStorage.createUid()}`);
+
     lines.push('END:VCARD');
-    return lines.join('\r\n');
+    return lines;
+  }
+
+  /**
+   * Stored properties of an imported card, converted for the version. A source property
+   * is written in place of its field's line while the field still has the value read from
+   * it, and dropped (with its group's label) once edited; an embedded photo replaces the
+   * card's own PHOTO. Also returns the fields the lines already write
+   */
+  getStoredProperties(contact, version, options = {}) {
+    const parse = (lines) => (lines || []).map(line => this.parseProperty(line)).filter(Boolean);
+    const source = parse(contact.sourceProperties);
+    const labels = this.getLabels(source);
+    const stored = { lines: [], company: false, address: false, phones: new Set(), emails: new Set() };
+
+    const phones = new Set(contactParser.getPhones(contact).map(phone => this.getPhoneKey(phone)));
+    const emails = new Set(contactParser.getEmails(contact).map(email => this.getEmailKey(email)));
+    const written = source.filter(property => {
+      if (property.name === 'ORG' && !stored.company) {
+        stored.company = this.readCompany(property) === String(contact.company || '').trim();
+        return stored.company;
+      }
+      if (property.name === 'ADR' && !stored.address) {
+        stored.address = this.readAddress(property) === String(contact.address || '').trim();
+        return stored.address;
+      }
+      // Each phone and email is written by one property at most
+      if (property.name === 'TEL' || property.name === 'EMAIL') {
+        const [keys, covered] = property.name === 'TEL' ? [phones, stored.phones] : [emails, stored.emails];
+        const key = property.name === 'TEL'
+          ? this.getPhoneKey(this.readPhone(property, labels))
+          : this.getEmailKey(this.readEmail(property, labels));
+        if (!keys.has(key) || covered.has(key)) return false;
+        covered.add(key);
+        return true;
+      }
+      return false;
+    });
+    const groups = new Set(written.map(property => property.group).filter(Boolean));
+
+    stored.lines = [
+      ...source.filter(property => written.includes(property) || (property.name === 'X-ABLABEL' && groups.has(property.group))),
+      ...parse(contact.extraProperties).filter(property => !(options.photo && property.name === 'PHOTO')),
+    ]
+      .map(property => this.convertProperty(property, version))
+      .filter(Boolean)
+      .map(property => this.writeProperty(property));
+
+    return stored;
+  }
+
+  // Type and E.164 (or digits), so a stored TEL matches its number however it is formatted
+  getPhoneKey(phone) {
+    const parsed = phoneParser.parse(phone.number);
+    const number = parsed && parsed.valid ? parsed.e164 + parsed.extension : String(phone.number).replace(/\D/g, '');
+    return `${phone.type}:${number}`;
+  }
+
+  getEmailKey(email) {
+    return `${email.type}:${email.address.trim().toLowerCase()}`;
+  }
+
+  /**
+   * Copy of a parsed property without what 3.0/4.0 don't have: quoted-printable (already
+   * decoded by parseProperty()) and CHARSET go, 2.1 BASE64 and VALUE=URL get their 3.0 names
+   */
+  normalizeProperty(property) {
+    const params = { ...property.params };
+    let value = property.value;
+    delete params.CHARSET;
+
+    const encoding = (params.ENCODING || [])[0];
+    if (['QUOTED-PRINTABLE', '8BIT', '7BIT'].includes(encoding)) {
+      delete params.ENCODING;
+      value = value.replace(/\r?\n/g, '\\n');
+    } else if (encoding === 'BASE64' || encoding === 'B') {
+      params.ENCODING = ['b'];
+      value = value.replace(/\s+/g, '');
+    }
+    if ((params.VALUE || [])[0] === 'URL') {
+      params.VALUE = ['URI'];
+    }
+
+    return { ...property, params, value };
+  }
+
+  /**
+   * A stored property for the version written, or null if the version has no such property:
+   * inline binary values are ENCODING=b in 3.0 and data: URIs in 4.0, tel: URIs become numbers
+   * in 3.0, PREF=1 and TYPE=PREF swap, and parameters the version doesn't define go
+   */
+  convertProperty(property, version) {
+    const other = version === '4.0' ? '3.0' : '4.0';
+    if (VERSION_PROPERTIES[other].includes(property.name)) {
+      return null;
+    }
+
+    const converted = this.normalizeProperty(property);
+    const { params } = converted;
+    const types = params.TYPE || [];
+
+    if (version === '4.0') {
+      if (params.ENCODING) {
+        const subtype = (types[0] || 'octet-stream').toLowerCase();
+        converted.value = `data:${MEDIA_TYPES[property.name] || 'application'}/${subtype};base64,${converted.value}`;
+        delete params.ENCODING;
+        delete params.TYPE;
+        delete params.VALUE;
+      } else if (types.includes('PREF')) {
+        params.TYPE = types.filter(type => type !== 'PREF');
+        params.PREF = params.PREF || ['1'];
+      }
+    } else {
+      const data = converted.value.match(/^data:[^/;,]+\/([^;,]+)[^,]*;base64,(.*)$/i);
+      if (data) {
+        params.ENCODING = ['b'];
+        params.TYPE = [data[1].toUpperCase()];
+        delete params.VALUE;
+        converted.value = data[2];
+      } else if (property.name === 'TEL' && ((params.VALUE || []).includes('URI') || /^tel:/i.test(converted.value))) {
+        converted.value = this.telUriToNumber(converted.value.trim());
+        delete params.VALUE;
+      }
+      if ((params.PREF || [])[0] === '1' && !types.includes('PREF')) {
+        params.TYPE = [...types, 'PREF'];
+      }
+    }
+
+    Object.keys(params).forEach(name => {
+      if (!name.startsWith('X-') && !VERSION_PARAMETERS[version].includes(name)) {
+        delete params[name];
+      }
+    });
+
+    return converted;
+  }
+
+  /**
+   * Content line of a property; the line it was read from is kept when the two only
+   * differ in case, as parseProperty() uppercases names and parameters
+   */
+  writeProperty(property) {
+    // Quoted when needed, with RFC 6868 ^-escapes
+    const param = (value) => {
+      const escaped = String(value).replace(/\^/g, '^^').replace(/\n/g, '^n').replace(/"/g, "^'");
+      return /[;:,]/.test(escaped) ? `"${escaped}"` : escaped;
+    };
+    const params = Object.entries(property.params)
+      .filter(([, values]) => values.length > 0)
+      .map(([name, values]) => `;${name}=${values.map(param).join(',')}`)
+      .join('');
+    const line = `${property.group ? `${property.group}.` : ''}${property.name}${params}:${property.value}`;
+
+    return property.line && property.line.toLowerCase() === line.toLowerCase() ? property.line : line;
+  }
+
+  /**
+   * Fold a content line at 75 octets; continuation lines start with a space
+   * (counted in their length) and UTF-8 characters are never split
+   */
+  fold(line) {
+    const parts = [''];
+    let octets = 0;
+
+    for (const char of line) {
+      const codePoint = char.codePointAt(0);
+      const size = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+      if (octets + size > MAX_LINE_OCTETS) {
+        parts.push(' ');
+        octets = 1;
+      }
+      parts[parts.length - 1] += char;
+      octets += size;
+    }
+
+    return parts.join('\r\n');
+  }
+
+  /**
+   * { type: 'JPEG', data } for generate() from the stored card image, or null
+   */
+  async getPhoto(contact, mode = this.photoMode) {
+    if (mode === 'none' || !contact.imageUri) return null;
+    return this.createPhoto(contact.imageUri);
+  }
+
+  /**
+   * Base64 JPEG of an image small enough for address books:
+   * the quality is lowered first, then the size, until it fits
+   */
+  async createPhoto(uri) {
+    try {
+      // An empty action list just reads the image size
+      const { width, height } = await ImageManipulator.manipulateAsync(uri, []);
+      const encode = (scale, compress) => ImageManipulator.manipulateAsync(
+        uri,
+        [{ resize: { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) } }],
+        { compress, format: ImageManipulator.SaveFormat.JPEG, base64: true }
+      );
+      // Decoded size of base64 text
+      const bytes = (result) => Math.floor(result.base64.length * 3 / 4);
+
+      let scale = Math.min(1, PHOTO_MAX_SIZE / Math.max(width, height));
+      let result = await encode(scale, 0.85);
+      if (bytes(result) > PHOTO_MAX_BYTES) {
+        result = await encode(scale, 0.6);
+      }
+      while (bytes(result) > PHOTO_MAX_BYTES && Math.max(result.width, result.height) > 64) {
+        scale *= 0.75;
+        result = await encode(scale, 0.6);
+      }
+
+      return { type: 'JPEG', data: result.base64 };
+    } catch (error) {
+      console.warn('Could not create vCard photo:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Language tag from the script of the name and company, or '' if it doesn't tell
+   */
+  detectLanguage(contact) {
+    const text = `${contact.name || ''} ${contact.company || ''}`;
+    const match = SCRIPT_LANGUAGES.find(({ pattern }) => pattern.test(text));
+    return match ? match.lang : '';
   }
 
+  getPhoneType(fieldPart) {
+    const params = fieldPart.toUpperCase();
+    if (params.includes('FAX')) return 'fax';
+    if (params.includes('CELL') || params.includes('MOBILE') || params.includes('IPHONE')) return 'mobile';
+    if (params.includes('WORK')) return 'office';
+    return 'other';
+  }
+
+  /**
+   * First card of a vCard string (see parseAll())
+   */
   parse(vcardString) {
-    const contact = {
+    return this.parseAll(vcardString)[0] || this.createContact();
+  }
+
+  /**
+   * Every card of a .vcf file (vCard 2.1, 3.0 or 4.0); nested cards (2.1 AGENT) are skipped
+   */
+  parseAll(vcardString) {
+    const cards = [];
+    let properties = null;
+    let depth = 0;
+
+    for (const line of this.unfold(vcardString)) {
+      const property = this.parseProperty(line);
+      if (!property) continue;
+
+      const isCardBoundary = property.value.trim().toUpperCase() === 'VCARD';
+      if (property.name === 'BEGIN' && isCardBoundary) {
+        depth++;
+        if (depth === 1) properties = [];
+      } else if (property.name === 'END' && isCardBoundary) {
+        depth = Math.max(depth - 1, 0);
+        if (depth === 0 && properties) {
+          cards.push(this.toContact(properties));
+          properties = null;
+        }
+      } else if (depth === 1) {
+        properties.push(property);
+      }
+    }
+
+    return cards;
+  }
+
+  createContact() {
+    return {
       name: '',
+      title: '',
+      company: '',
       phone: '',
+      fax: '',
       email: '',
-      company: '',
+      website: '',
+      address: '',
+      phones: [],
+      emails: [],
       eventTag: '',
+      notes: '',
+      uid: '',
+      language: '',
+      // Unfolded lines of the properties no field holds
+      extraProperties: [],
+      // Unfolded lines of the ORG/ADR/TEL/EMAIL properties the fields were read from
+      sourceProperties: [],
+    };
+  }
+
+  /**
+   * One line per property: 3.0/4.0 folds drop the leading space (2.1 keeps it),
+   * quoted-printable values continue after a trailing "="
+   */
+  unfold(text) {
+    const lines = [];
+    let version = '';
+
+    String(text || '').split(/\r\n|\r|\n/).forEach(raw => {
+      const last = lines.length - 1;
+      if (last >= 0 && lines[last].endsWith('=') && this.isQuotedPrintable(lines[last])) {
+        lines[last] = lines[last].slice(0, -1) + raw;
+      } else if (last >= 0 && /^[ \t]/.test(raw)) {
+        lines[last] += version === '2.1' ? raw : raw.slice(1);
+      } else if (raw.trim()) {
+        const match = raw.match(/^VERSION:(.*)$/i);
+        if (match) version = match[1].trim();
+        lines.push(raw);
+      }
+    });
+
+    return lines;
+  }
+
+  isQuotedPrintable(line) {
+    const colon = line.indexOf(':');
+    return colon >= 0 && /QUOTED-PRINTABLE/i.test(line.slice(0, colon));
+  }
+
+  // Split on a separator outside double quotes, at most limit times
+  splitUnquoted(text, separator, limit = Infinity) {
+    const parts = [''];
+    let quoted = false;
+
+    for (const char of text) {
+      if (char === '"') quoted = !quoted;
+      if (char === separator && !quoted && parts.length <= limit) {
+        parts.push('');
+      } else {
+        parts[parts.length - 1] += char;
+      }
+    }
+
+    return parts;
+  }
+
+  /**
+   * { group, name, params, value, line } of one unfolded line; 2.1 parameters without
+   * a name ("TEL;WORK;FAX") are types, or the encoding
+   */
+  parseProperty(line) {
+    const [head, value] = this.splitUnquoted(line, ':', 1);
+    if (value === undefined) return null;
+
+    const [fullName, ...rawParams] = this.splitUnquoted(head, ';');
+    const dot = fullName.lastIndexOf('.');
+    const property = {
+      group: dot >= 0 ? fullName.slice(0, dot) : '',
+      name: fullName.slice(dot + 1).trim().toUpperCase(),
+      params: {},
+      value,
+      line,
     };
 
-    if (!vcardString) return contact;
-
-    const lines = vcardString.split(/[\r\n]+/);
-
-    for (const line of lines) {
-      if (!line.trim() || line.startsWith('BEGIN') || line.startsWith('END')) {
-        continue;
-      }
-
-      const match = line.match(/^([^:]+):(.+)$/);
-      if (!match) continue;
-
-      const [, fieldPart, value] = match;
-      const field = fieldPart.split(';')[0].toUpperCase();
-      const unescapedValue = this.unescape(value);
-
-      switch (field) {
-        case 'FN':
-          contact.name = unescapedValue;
-          break;
-        case 'N':
-          const nameParts = value.split(';');
-          if (nameParts.length >= 2) {
-            const first = this.unescape(nameParts[1]);
-            const last = this.unescape(nameParts[0]);
-            contact.name = `${first} ${last}`.trim();
-          } else if (nameParts[0]) {
-            contact.name = this.unescape(nameParts[0]);
-          }
-          break;
-        case 'TEL':
-          if (!contact.phone) {
-            contact.phone = unescapedValue;
-          }
-          break;
-        case 'EMAIL':
-          if (!contact.email) {
-            contact.email = unescapedValue;
-          }
-          break;
-        case 'ORG':
-          contact.company = unescapedValue;
-          break;
-        case 'X-EVENT-TAG':
-          contact.eventTag = unescapedValue;
-          break;
+    rawParams.forEach(rawParam => {
+      const [key, rawValue] = this.splitUnquoted(rawParam, '=', 1);
+      let name = key.trim().toUpperCase();
+      let values;
+      if (rawValue === undefined) {
+        values = [name];
+        name = ['QUOTED-PRINTABLE', 'BASE64', '8BIT', '7BIT'].includes(name) ? 'ENCODING' : 'TYPE';
+      } else {
+        // Quoted values and ^-escapes (RFC 6868)
+        values = this.splitUnquoted(rawValue, ',').map(part => part.trim()
+          .replace(/^"|"$/g, '')
+          .replace(/\^(.)/g, (match, char) => ({ n: '\n', "'": '"', '^': '^' })[char] || match));
+      }
+      if (['TYPE', 'ENCODING', 'VALUE'].includes(name)) {
+        values = values.map(part => part.toUpperCase());
+      }
+      property.params[name] = [...(property.params[name] || []), ...values];
+    });
+
+    if ((property.params.ENCODING || []).includes('QUOTED-PRINTABLE')) {
+      property.value = this.decodeQuotedPrintable(value, (property.params.CHARSET || [])[0]);
+    }
+
+    return property;
+  }
+
+  /**
+   * Quoted-printable (vCard 2.1) in UTF-8, or a single-byte charset such as ISO-8859-1
+   */
+  decodeQuotedPrintable(value, charset = 'utf-8') {
+    let decoded;
+    if (/^utf-?8$/i.test(charset || 'utf-8')) {
+      try {
+        decoded = decodeURIComponent(value.replace(/%/g, '%25').replace(/=([0-9A-F]{2})/gi, '%$1'));
+      } catch (error) {
+        // Not valid UTF-8; read the bytes as Latin-1 below
+      }
+    }
+    if (decoded === undefined) {
+      decoded = value.replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+    return decoded.replace(/\r\n?/g, '\n');
+  }
+
+  // Split a structured value (N, ADR, ORG) on unescaped separators; parts stay escaped
+  splitValue(value, separator = ';') {
+    const parts = [''];
+
+    for (let i = 0; i < value.length; i++) {
+      if (value[i] === '\\' && i + 1 < value.length) {
+        parts[parts.length - 1] += value[i] + value[i + 1];
+        i++;
+      } else if (value[i] === separator) {
+        parts.push('');
+      } else {
+        parts[parts.length - 1] += value[i];
       }
     }
 
+    return parts;
+  }
+
+  // "tel:+1-555-123-4567;ext=12" -> "+1-555-123-4567 ext. 12"
+  telUriToNumber(value) {
+    const [number, ...params] = value.replace(/^tel:/i, '').split(';');
+    const ext = params.find(param => /^ext=/i.test(param));
+    return ext ? `${number} ext. ${ext.slice(4)}` : number;
+  }
+
+  /**
+   * Contact from the properties of one card: every TEL/EMAIL is kept, most
+   * preferred first; grouped X-ABLabel properties set the type of their group.
+   * Properties no field holds are kept in extraProperties, and the ORG/ADR/TEL/EMAIL
+   * ones read into fields (with their group labels) in sourceProperties, for generate()
+   * to write back; 2.1 lines are stored without quoted-printable and CHARSET
+   */
+  toContact(properties) {
+    const contact = this.createContact();
+
+    const labels = this.getLabels(properties);
+    const prefOf = (property) => {
+      if (property.params.PREF) return parseInt(property.params.PREF[0]) || 100;
+      return this.getTypes(property, labels).includes('PREF') ? 1 : 101;
+    };
+    // Properties a field was read from
+    const used = new Set();
+    const byPref = (name) => properties
+      .filter(property => property.name === name && property.value.trim())
+      .map((property, index) => ({ property, index, pref: prefOf(property) }))
+      .sort((a, b) => a.pref - b.pref || a.index - b.index)
+      .map(({ property }) => property);
+    const first = (name) => {
+      const [property] = byPref(name);
+      if (property) used.add(property);
+      return property;
+    };
+    const text = (name) => {
+      const property = first(name);
+      return property ? this.unescape(property.value).trim() : '';
+    };
+
+    let name = text('FN');
+    const n = first('N');
+    if (!name && n) {
+      // Family;Given;Additional;Prefixes;Suffixes
+      const [family, given, middle, prefix, suffix] = this.splitValue(n.value)
+        .map(part => this.splitValue(part, ',').map(item => this.unescape(item).trim()).filter(Boolean).join(' '));
+      name = [prefix, given, middle, family, suffix].filter(Boolean).join(' ');
+    }
+    contact.name = name;
+
+    contact.title = text('TITLE');
+    const org = first('ORG');
+    if (org) {
+      contact.company = this.readCompany(org);
+    }
+
+    byPref('TEL').forEach(property => {
+      used.add(property);
+      const { type, number } = this.readPhone(property, labels);
+      contact.phones.push({ type, number });
+      if (type === 'fax') {
+        if (!contact.fax) contact.fax = number;
+      } else if (!contact.phone) {
+        contact.phone = number;
+      }
+    });
+
+    byPref('EMAIL').forEach(property => {
+      used.add(property);
+      contact.emails.push(this.readEmail(property, labels));
+    });
+    contact.email = contact.emails.length > 0 ? contact.emails[0].address : '';
+
+    contact.website = text('URL');
+
+    const adr = first('ADR');
+    if (adr) {
+      contact.address = this.readAddress(adr);
+    }
+
+    contact.eventTag = text('X-EVENT-TAG');
+    contact.notes = text('NOTE');
+    contact.uid = text('UID').replace(/^urn:uuid:/i, '');
+    contact.language = text('LANG');
+
+    // A label whose property became a field goes with it
+    const usedGroups = new Set([...used].map(property => property.group).filter(Boolean));
+    const source = [...used].filter(property => SOURCE_PROPERTIES.includes(property.name));
+    const sourceGroups = new Set(source.map(property => property.group).filter(Boolean));
+    const store = (property) => this.writeProperty(this.normalizeProperty(property));
+
+    contact.extraProperties = properties
+      .filter(property => !used.has(property) && property.value.trim())
+      .filter(property => !REGENERATED_PROPERTIES.includes(property.name))
+      .filter(property => !(property.name === 'X-ABLABEL' && usedGroups.has(property.group)))
+      .map(store);
+    contact.sourceProperties = properties
+      .filter(property => source.includes(property) || (property.name === 'X-ABLABEL' && sourceGroups.has(property.group)))
+      .map(store);
+
     return contact;
   }
+
+  // Uppercase label by group name ("item1.X-ABLabel:_$!<Home>!$_" gives item1 -> HOME)
+  getLabels(properties) {
+    const labels = {};
+    properties
+      .filter(property => property.name === 'X-ABLABEL' && property.group)
+      .forEach(property => {
+        labels[property.group] = this.unescape(property.value).replace(/^_\$!<|>!\$_$/g, '').toUpperCase();
+      });
+    return labels;
+  }
+
+  // TYPE parameters of a property plus the label of its group
+  getTypes(property, labels) {
+    return [
+      ...(property.params.TYPE || []),
+      ...(property.group && labels[property.group] ? [labels[property.group]] : []),
+    ];
+  }
+
+  // ORG is Company;Department...
+  readCompany(property) {
+    return this.unescape(this.splitValue(property.value)[0]).trim();
+  }
+
+  // ADR is PO Box;Extended;Street;City;Region;Postcode;Country, read as one line
+  readAddress(property) {
+    return this.splitValue(property.value)
+      .map(part => this.unescape(part).replace(/\s*\n\s*/g, ', ').trim())
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  // { type, number } of a TEL with a text or tel: URI value
+  readPhone(property, labels) {
+    const isUri = (property.params.VALUE || []).includes('URI') || /^tel:/i.test(property.value);
+    return {
+      type: this.getPhoneType(this.getTypes(property, labels).join(',')),
+      number: isUri ? this.telUriToNumber(property.value.trim()) : this.unescape(property.value).trim(),
+    };
+  }
+
+  // { type: 'home'|'work', address } of an EMAIL
+  readEmail(property, labels) {
+    return {
+      type: this.getTypes(property, labels).includes('HOME') ? 'home' : 'work',
+      address: this.unescape(property.value).replace(/^mailto:/i, '').trim(),
+    };
+  }
 }
 
 export const vCardHandler = new VCardHandler();
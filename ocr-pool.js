@@ -0,0 +1,237 @@
+/**
+ * OCR Worker Pool Module
+ * Runs batch scans in parallel on a Tesseract.js scheduler with several workers
+ * Jobs are queued, report per-item progress, and resolve in their original order
+ * A running queue can be paused, resumed or cancelled between items
+ * Workers use the same local files and languages as ocrProcessor (works offline)
+ */
+
+class OCRWorkerPool {
+    constructor() {
+        this.storageKey = 'ocrWorkers';
+
+        // Each worker holds its own copy of the language data (tens of MB),
+        // so the automatic size is capped even on many-core machines
+        this.maxAutoWorkers = 4;
+
+        this.scheduler = null;
+        // Number of workers in the current scheduler
+        this.size = 0;
+        // Language string the workers were initialized with; a change rebuilds the pool
+        this.languages = null;
+        // In-flight scheduler creation, shared by concurrent callers
+        this.starting = null;
+
+        // Queue controls: while pauseGate is set, runners wait for it before taking the next item
+        this.pauseGate = null;
+        this.releasePause = null;
+        this.cancelled = false;
+    }
+
+    /**
+     * Whether the running queue is paused
+     * @returns {boolean}
+     */
+    isPaused() {
+        return !!this.pauseGate;
+    }
+
+    /**
+     * Stop starting new items; items already being scanned finish first
+     */
+    pause() {
+        if (this.pauseGate) return;
+        this.pauseGate = new Promise(resolve => {
+            this.releasePause = resolve;
+        });
+    }
+
+    /**
+     * Continue a paused queue
+     */
+    resume() {
+        if (!this.pauseGate) return;
+        this.releasePause();
+        this.pauseGate = null;
+        this.releasePause = null;
+    }
+
+    /**
+     * Cancel the running queue; items already being scanned finish,
+     * the rest are reported as 'cancelled'
+     */
+    cancel() {
+        this.cancelled = true;
+        this.resume();
+    }
+
+    /**
+     * Largest pool the device can sensibly run
+     * @returns {number} - navigator.hardwareConcurrency, or 2 if unknown
+     */
+    getMaxSize() {
+        return Math.max(1, navigator.hardwareConcurrency || 2);
+    }
+
+    /**
+     * Automatic pool size: one core left for the UI, capped at maxAutoWorkers
+     * @returns {number} - Worker count
+     */
+    getAutoSize() {
+        return Math.max(1, Math.min(this.maxAutoWorkers, this.getMaxSize() - 1));
+    }
+
+    /**
+     * Configured pool size
+     * @returns {number} - Saved size (clamped to the device), or the automatic size
+     */
+    getSize() {
+        const saved = parseInt(localStorage.getItem(this.storageKey));
+        if (!saved || saved < 1) return this.getAutoSize();
+        return Math.min(saved, this.getMaxSize());
+    }
+
+    /**
+     * Set the pool size; the pool is rebuilt before the next batch
+     * @param {number|null} size - Worker count, or null for automatic
+     */
+    async setSize(size) {
+        if (size) {
+            localStorage.setItem(this.storageKey, String(size));
+        } else {
+            localStorage.removeItem(this.storageKey);
+        }
+
+        if (this.scheduler && this.size !== this.getSize()) {
+            await this.terminate();
+        }
+    }
+
+    /**
+     * Get the scheduler, creating its workers on first use
+     * Rebuilt if the size or OCR languages changed since it was created
+     * @returns {Promise<Object>} - Tesseract scheduler
+     */
+    async getScheduler() {
+        if (this.starting) return this.starting;
+
+        // ocrProcessor.init() checks the local files and settles the language string
+        await ocrProcessor.init();
+
+        if (this.scheduler && (this.size !== this.getSize() || this.languages !== ocrProcessor.languages)) {
+            await this.terminate();
+        }
+        if (this.scheduler) return this.scheduler;
+
+        this.starting = (async () => {
+            const size = this.getSize();
+            const scheduler = Tesseract.createScheduler();
+
+            try {
+                // Workers load in parallel; each one reads the language data itself
+                const workers = await Promise.all(
+                    Array.from({ length: size }, () => ocrProcessor.createWorker())
+                );
+                workers.forEach(worker => scheduler.addWorker(worker));
+            } catch (error) {
+                await scheduler.terminate();
+                throw error;
+            }
+
+            this.scheduler = scheduler;
+            this.size = size;
+            this.languages = ocrProcessor.languages;
+            console.log(`OCR worker pool ready with ${size} worker(s)`);
+
+            return scheduler;
+        })();
+
+        try {
+            return await this.starting;
+        } finally {
+            this.starting = null;
+        }
+    }
+
+    /**
+     * Run a task for every item with as many items in flight as there are workers
+     * The task's OCR calls should pass { scheduler } so they share the pool
+     * @param {Array} items - Items to process (e.g. files)
+     * @param {Function} task - async (item, index, { scheduler, report }) => result;
+     *   call report(message) to publish progress for the item
+     * @param {Object} options - { onProgress } called with
+     *   { index, status: 'queued'|'processing'|'done'|'error'|'cancelled', message, completed, total }
+     * @returns {Promise<Array<Object>>} - [{ result, error, cancelled }] in the same order as items
+     */
+    async run(items, task, options = {}) {
+        const onProgress = options.onProgress || (() => {});
+        const total = items.length;
+        const results = new Array(total);
+        let completed = 0;
+        let next = 0;
+
+        const emit = (index, status, message = '') => {
+            onProgress({ index, status, message, completed, total });
+        };
+
+        this.cancelled = false;
+        this.resume();
+
+        items.forEach((item, index) => emit(index, 'queued'));
+        if (total === 0) return results;
+
+        const scheduler = await this.getScheduler();
+
+        // Each runner takes the next queued item until the queue is empty
+        const runner = async () => {
+            while (next < total) {
+                if (this.pauseGate) await this.pauseGate;
+                if (this.cancelled) break;
+
+                const index = next++;
+                emit(index, 'processing');
+
+                try {
+                    const result = await task(items[index], index, {
+                        scheduler,
+                        report: (message) => emit(index, 'processing', message)
+                    });
+                    results[index] = { result, error: null, cancelled: false };
+                    completed++;
+                    emit(index, 'done');
+                } catch (error) {
+                    console.error(`OCR pool job ${index + 1} failed:`, error);
+                    results[index] = { result: null, error, cancelled: false };
+                    completed++;
+                    emit(index, 'error', error.message);
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.size, total) }, runner));
+
+        // Items never started because the queue was cancelled
+        for (let index = next; index < total; index++) {
+            results[index] = { result: null, error: null, cancelled: true };
+            emit(index, 'cancelled');
+        }
+        this.cancelled = false;
+
+        return results;
+    }
+
+    /**
+     * Terminate all pool workers to free memory
+     */
+    async terminate() {
+        if (this.scheduler) {
+            await this.scheduler.terminate();
+            this.scheduler = null;
+            this.size = 0;
+            this.languages = null;
+        }
+    }
+}
+
+// Export for use in other modules
+const ocrWorkerPool = new OCRWorkerPool();
@@ -1,7 +1,7 @@
 /**
  * OCR Processing Module
  * Uses Tesseract.js v4 to extract text from business card images
- * Includes regex patterns to extract structured data (name, phone, email, company)
+ * Includes regex patterns to extract structured data (name, title, company, phones, emails, website, address)
  * Uses local worker/core/lang files for 100% offline operation
  */
 
@@ -17,19 +17,43 @@ class OCRProcessor {
             phoneAlt: /(\+?\d{1,4}[\s\-\.]?)?\(?\d{2,4}\)?[\s\-\.]?\d{2,4}[\s\-\.]?\d{2,4}[\s\-\.]?\d{0,4}/g,
             
             // URL pattern (for websites)
-            url: /https?:\/\/[^\s]+/g
+            url: /https?:\/\/[^\s]+/g,
+
+            // Scripts that write names without spaces between given and family name
+            compactScript: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u
         };
         
         // Initialize Tesseract worker
         this.worker = null;
         this.initAttempts = 0;
         this.maxInitAttempts = 2;
+
+        // Combined Tesseract language string the worker was initialized with (e.g. "eng+deu")
+        this.languages = null;
+
+        // Worker/core/lang paths that worked for this.worker; reused by createWorker()
+        this.workerConfig = null;
+
+        // Fields scoring below this (0-100) are flagged for review in the UI
+        this.lowConfidenceThreshold = 60;
+
+        // Version of extractContactInfo(), stored with each scanned contact.
+        // Bump it when the parser improves so saved contacts are offered a re-parse.
+        this.parserVersion = 1;
+        // Fields a re-parse may replace
+        this.reparseFields = ['name', 'title', 'company', 'phone', 'fax', 'email', 'website', 'address'];
+        // Fields an OCR line can be assigned to by hand in the review
+        this.assignableFields = ['name', 'company', 'title', 'phone', 'fax', 'email', 'website', 'address'];
+
+        // Run images through imagePreprocessor before recognition
+        // Set to false (or pass { preprocess: false }) to OCR the raw image
+        this.preprocess = true;
     }
 
     /**
      * Initialize Tesseract.js worker with local files
      * Uses explicit paths for worker, core, and language data
-     * Loads OCR model from local files (no network required)
+     * Loads the languages enabled in languagePackManager from local files (no network required)
      * Includes retry logic and better error messages
      * Falls back to CDN if local files not available (with warning)
      */
@@ -48,6 +72,9 @@ class OCRProcessor {
             this.showMissingFilesMessage();
         }
 
+        // Local packs: only installed languages, so OCR never reaches for the network
+        const languages = await languagePackManager.getLanguageString(hasLocalFiles);
+
         // Retry initialization if it fails
         for (let attempt = 1; attempt <= this.maxInitAttempts; attempt++) {
             try {
@@ -71,7 +98,9 @@ class OCRProcessor {
                     } catch (e) {
                         // Ignore - Tesseract.js will handle it
                     }
-                    workerConfig.langPath = './tessdata';
+                    workerConfig.langPath = languagePackManager.langPath;
+                    // Local packs are stored uncompressed (*.traineddata, not *.traineddata.gz)
+                    workerConfig.gzip = false;
                 } else {
                     // Use default CDN paths (Tesseract.js will fetch from CDN)
                     // Don't specify paths - let Tesseract.js use defaults
@@ -88,12 +117,13 @@ class OCRProcessor {
                     }
                 });
 
-                // Load and initialize English language
-                // Note: Tesseract.js uses 'eng' as the language code, not 'en'
-                await this.worker.loadLanguage('eng');
-                await this.worker.initialize('eng');
+                // Load and initialize the enabled languages together (e.g. "eng+deu")
+                await this.worker.loadLanguage(languages);
+                await this.worker.initialize(languages);
+                this.languages = languages;
+                this.workerConfig = workerConfig;
                 
-                console.log('OCR initialized successfully' + (hasLocalFiles ? ' with local files' : ' using CDN (requires internet)'));
+                console.log(`OCR initialized successfully with ${languages}` + (hasLocalFiles ? ' from local files' : ' using CDN (requires internet)'));
                 this.initAttempts = 0; // Reset attempts on success
                 return this.worker;
             } catch (error) {
@@ -148,27 +178,52 @@ class OCRProcessor {
         }
     }
 
+    /**
+     * Create an extra worker with the same files and languages as this.worker
+     * Used by ocrWorkerPool to fill its scheduler for batch processing
+     * @param {Function} logger - Tesseract progress logger (optional)
+     * @returns {Promise<Object>} - Initialized Tesseract worker
+     */
+    async createWorker(logger = null) {
+        await this.init();
+
+        const worker = await Tesseract.createWorker({
+            ...this.workerConfig,
+            ...(logger ? { logger } : {})
+        });
+        await worker.loadLanguage(this.languages);
+        await worker.initialize(this.languages);
+
+        return worker;
+    }
+
+    /**
+     * Re-initialize the worker with a new language selection
+     * Called when the user enables or disables OCR languages in settings
+     * @param {Array<string>} codes - Language codes to enable (optional, defaults to saved selection)
+     * @returns {Promise<Object>} - New Tesseract worker
+     */
+    async setLanguages(codes = null) {
+        if (codes) {
+            languagePackManager.setEnabled(codes);
+        }
+
+        await this.terminate();
+        return this.init();
+    }
+
     /**
      * Check if local Tesseract files exist
      * Note: corePath might not be required in v4 - Tesseract.js may handle it automatically
-     * @returns {Promise<boolean>} - True if ALL local files are available
+     * @returns {Promise<boolean>} - True if the worker and at least one language pack are available
      */
     async checkLocalFiles() {
         try {
             // Check worker and language data (core file may not be needed)
+            // Placeholder traineddata files are too small and count as missing
             const checks = await Promise.all([
                 fetch('./tesseract/worker.min.js', { method: 'HEAD' }).then(r => r.ok).catch(() => false),
-                fetch('./tessdata/en.traineddata', { method: 'HEAD' }).then(r => {
-                    // Also check file size - placeholder files are too small
-                    if (r.ok) {
-                        const contentLength = r.headers.get('content-length');
-                        if (contentLength && parseInt(contentLength) < 1000000) {
-                            // File is less than 1MB, likely a placeholder
-                            return false;
-                        }
-                    }
-                    return r.ok;
-                }).catch(() => false)
+                languagePackManager.detectInstalled(true).then(installed => Object.keys(installed).length > 0)
             ]);
 
             const allExist = checks.every(check => check === true);
@@ -192,9 +247,10 @@ class OCRProcessor {
      * @returns {Promise<Array<string>>} - Array of file paths that returned 404
      */
     async checkWhichFilesFailed() {
+        const packs = await languagePackManager.getMissingPacks();
         const filePaths = [
             './tesseract/worker.min.js',
-            './tessdata/en.traineddata'
+            ...packs.map(pack => `${languagePackManager.langPath}/${pack.file}`)
         ];
         
         // Only check core file if it's actually needed
@@ -218,10 +274,10 @@ class OCRProcessor {
                         console.warn(`⚠ File check failed (${response.status}): ${filePath}`);
                     }
                 } else {
-                    // For en.traineddata, also check size
-                    if (filePath.includes('en.traineddata')) {
+                    // For language packs, also check size
+                    if (filePath.endsWith('.traineddata')) {
                         const contentLength = response.headers.get('content-length');
-                        if (contentLength && parseInt(contentLength) < 1000000) {
+                        if (contentLength && parseInt(contentLength) < languagePackManager.minPackSize) {
                             missingFiles.push(filePath + ' (file too small, likely placeholder)');
                             console.error(`❌ File too small (placeholder): ${filePath}`);
                         }
@@ -245,7 +301,7 @@ class OCRProcessor {
         console.warn('Missing Tesseract files detected. For offline operation, please download:');
         console.warn('1. ./tesseract/worker.min.js from https://cdn.jsdelivr.net/npm/tesseract.js@4/dist/worker.min.js');
         console.warn('2. ./tesseract/tesseract-core.wasm.js from https://cdn.jsdelivr.net/npm/tesseract.js@4/dist/tesseract-core.wasm.js');
-        console.warn('3. ./tessdata/en.traineddata from https://tessdata.projectnaptha.com/4.0.0/eng.traineddata.gz (extract and rename to en.traineddata)');
+        console.warn('3. ./tessdata/<lang>.traineddata for each enabled OCR language, e.g. https://tessdata.projectnaptha.com/4.0.0/eng.traineddata.gz (extract to eng.traineddata)');
         console.warn('\nNote: The app will attempt to use CDN fallback, but this requires internet connection.');
         console.warn('For 100% offline operation, download the files above.');
     }
@@ -276,9 +332,9 @@ class OCRProcessor {
                 found: missingFiles.some(f => f.includes('tesseract-core.wasm.js')),
                 suggestion: '❌ Missing: ./tesseract/tesseract-core.wasm.js\n   Download: https://cdn.jsdelivr.net/npm/tesseract.js@4/dist/tesseract-core.wasm.js\n   Place in: tesseract/tesseract-core.wasm.js\n'
             },
-            './tessdata/en.traineddata': {
-                found: missingFiles.some(f => f.includes('en.traineddata')),
-                suggestion: '❌ Missing or invalid: ./tessdata/en.traineddata\n   Download: https://tessdata.projectnaptha.com/4.0.0/eng.traineddata.gz\n   Extract the .gz file and rename to: tessdata/en.traineddata (should be ~4-5MB)\n   Note: CDN fallback may work if you have internet, but files are required for offline operation.\n'
+            './tessdata': {
+                found: missingFiles.some(f => f.includes('.traineddata')),
+                suggestion: '❌ Missing or invalid language packs in ./tessdata/ for: ' + languagePackManager.getEnabled().join(', ') + '\n   Download: https://tessdata.projectnaptha.com/4.0.0/<lang>.traineddata.gz (e.g. eng, deu, hin, jpn)\n   Extract the .gz file into: tessdata/<lang>.traineddata (several MB each)\n   Note: CDN fallback may work if you have internet, but files are required for offline operation.\n'
             }
         };
         
@@ -299,8 +355,8 @@ class OCRProcessor {
                 message += fileChecks['./tesseract/worker.min.js'].suggestion + '\n';
             } else if (errorMessageLower.includes('tesseract-core') || errorMessageLower.includes('core') || errorStr.includes('core')) {
                 message += fileChecks['./tesseract/tesseract-core.wasm.js'].suggestion + '\n';
-            } else if (errorMessageLower.includes('en.traineddata') || errorMessageLower.includes('traineddata') || errorMessageLower.includes('lang') || errorStr.includes('traineddata') || errorStr.includes('lang')) {
-                message += fileChecks['./tessdata/en.traineddata'].suggestion + '\n';
+            } else if (errorMessageLower.includes('traineddata') || errorMessageLower.includes('lang') || errorStr.includes('traineddata') || errorStr.includes('lang')) {
+                message += fileChecks['./tessdata'].suggestion + '\n';
             }
         }
         
@@ -309,7 +365,7 @@ class OCRProcessor {
         message += '1. Ensure files are placed in the correct folders (tesseract/ and tessdata/)\n';
         message += '2. Make sure you\'re running the app via a web server (not file://)\n';
         message += '3. Check browser console for detailed error messages\n';
-        message += '4. Verify file sizes (en.traineddata should be ~4-5MB, not a placeholder)\n\n';
+        message += '4. Verify file sizes (traineddata files should be several MB, not placeholders)\n\n';
         
         // Add original error details
         const errorDetails = error?.message || error?.toString() || 'Unknown error';
@@ -329,17 +385,42 @@ class OCRProcessor {
         if (this.worker) {
             await this.worker.terminate();
             this.worker = null;
+            this.languages = null;
         }
     }
 
     /**
      * Extract text from image using OCR
      * @param {File|HTMLImageElement|HTMLCanvasElement} imageSource - Image to process
+     * @param {Object} options - { preprocess: boolean|Object } overrides this.preprocess;
+     *                           an object is passed to imagePreprocessor as per-call options;
+     *                           { scheduler } runs recognition on a Tesseract scheduler instead of this.worker
      * @returns {Promise<string>} - Extracted text
      */
-    async extractText(imageSource) {
+    async extractText(imageSource, options = {}) {
+        const { text } = await this.recognize(imageSource, options);
+        return text;
+    }
+
+    /**
+     * Run OCR and keep Tesseract's per-word confidences alongside the text
+     * @param {File|HTMLImageElement|HTMLCanvasElement} imageSource - Image to process
+     * @param {Object} options - Same as extractText()
+     * @returns {Promise<Object>} - { text, words } where words are { text, confidence, bbox, line };
+     *   bbox is in pixels of the image Tesseract read and line indexes Tesseract's text lines
+     */
+    async recognize(imageSource, options = {}) {
         try {
-            await this.init();
+            if (!options.scheduler) {
+                await this.init();
+            }
+
+            // Clean up the image (grayscale, contrast, denoise, threshold) before OCR
+            const preprocess = options.preprocess !== undefined ? options.preprocess : this.preprocess;
+            if (preprocess) {
+                const preprocessOptions = typeof preprocess === 'object' ? preprocess : {};
+                imageSource = await imagePreprocessor.process(imageSource, preprocessOptions);
+            }
             
             // Convert image source to something Tesseract can process
             let imageUrl;
@@ -353,8 +434,22 @@ class OCRProcessor {
                 throw new Error('Unsupported image source type');
             }
 
-            // Perform OCR
-            const { data: { text } } = await this.worker.recognize(imageUrl);
+            // Perform OCR (a scheduler hands the job to its next idle worker)
+            const { data } = options.scheduler
+                ? await options.scheduler.addJob('recognize', imageUrl)
+                : await this.worker.recognize(imageUrl);
+            const text = data.text || '';
+            const lineOf = new Map();
+            (data.lines || []).forEach((line, index) => {
+                (line.words || []).forEach(word => lineOf.set(word, index));
+            });
+            const words = (data.words || []).map((word, index) => ({
+                text: word.text,
+                confidence: word.confidence,
+                bbox: word.bbox,
+                // Words outside any line are a line of their own
+                line: lineOf.has(word) ? lineOf.get(word) : -1 - index
+            }));
             
             // Clean up object URL if we created one
             if (imageSource instanceof File) {
@@ -373,16 +468,82 @@ class OCRProcessor {
                 });
             }
 
-            return cleanedText;
+            return { text: cleanedText, words };
         } catch (error) {
             console.error('OCR extraction error:', error);
             throw error;
         }
     }
 
+    /**
+     * Run OCR on part of an image, e.g. an area selected on the card preview
+     * @param {HTMLImageElement|HTMLCanvasElement} imageSource - Whole image
+     * @param {Object} region - { x, y, width, height } as fractions (0-1) of the image size
+     * @returns {Promise<string>} - Text of the area
+     */
+    async extractRegionText(imageSource, region) {
+        const sourceWidth = imageSource.naturalWidth || imageSource.width;
+        const sourceHeight = imageSource.naturalHeight || imageSource.height;
+        const sx = Math.round(region.x * sourceWidth);
+        const sy = Math.round(region.y * sourceHeight);
+        const width = Math.max(1, Math.round(region.width * sourceWidth));
+        const height = Math.max(1, Math.round(region.height * sourceHeight));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(imageSource, sx, sy, width, height, 0, 0, width, height);
+
+        // Preprocessing scales small areas up to a size Tesseract reads well
+        return this.extractText(canvas);
+    }
+
+    /**
+     * Word boxes as fractions of the image size, so they can be drawn over the image at any scale
+     * @param {Array<Object>} words - From recognize()
+     * @param {number} width - Width of the image Tesseract read
+     * @param {number} height - Height of the image Tesseract read
+     * @returns {Array<Object>} - [{ text, line, x, y, width, height }] for the non-blank words
+     */
+    getWordBoxes(words, width, height) {
+        return words
+            .filter(word => word.bbox && word.text.trim())
+            .map(({ text, line, bbox }) => ({
+                text: text.trim(),
+                line,
+                x: bbox.x0 / width,
+                y: bbox.y0 / height,
+                width: (bbox.x1 - bbox.x0) / width,
+                height: (bbox.y1 - bbox.y0) / height
+            }));
+    }
+
+    /**
+     * Rate how well Tesseract can read an image
+     * Used by cardDetector to pick the upright orientation of a card
+     * @param {File|HTMLImageElement|HTMLCanvasElement} imageSource - Image to rate
+     * @param {Object} options - { scheduler } to run on a Tesseract scheduler instead of this.worker
+     * @returns {Promise<number>} - Mean recognition confidence (0-100)
+     */
+    async getConfidence(imageSource, options = {}) {
+        const canvas = await imagePreprocessor.process(imageSource);
+
+        let data;
+        if (options.scheduler) {
+            ({ data } = await options.scheduler.addJob('recognize', canvas.toDataURL()));
+        } else {
+            await this.init();
+            ({ data } = await this.worker.recognize(canvas.toDataURL()));
+        }
+
+        return data.confidence || 0;
+    }
+
     /**
      * Clean and sanitize OCR text by removing garbage characters and stray punctuation
-     * Removes leading/trailing punctuation, normalizes whitespace, and filters unwanted characters
+     * Keeps letters and combining marks from every script (Latin accents, Devanagari,
+     * Cyrillic, CJK, ...), digits, and the punctuation used in contact details
+     * Line breaks are kept so each card line can still be classified on its own
      * Note: Keeps commas and periods for addresses to remain readable
      * @param {string} text - Raw OCR text
      * @returns {string} - Cleaned text
@@ -391,24 +552,39 @@ class OCRProcessor {
         if (!text) return '';
         
         return text
+            // Compose accents so "e" + combining acute is stored as "é"
+            .normalize('NFC')
             // Normalize various dash types to standard hyphen
-            .replace(/[\u2010-\u2015\u2013\u2014]/g, '-')
+            .replace(/[\u2010-\u2015\u2212]/g, '-')
+            // Normalize curly apostrophes (O’Brien)
+            .replace(/[\u2018\u2019\u02BC]/g, "'")
             // Remove leading/trailing punctuation and garbage characters (but keep commas, periods)
-            .replace(/^[^a-zA-Z0-9@.\+\s\-,]+|[^a-zA-Z0-9@.\+\s\-,]+$/g, '')
-            // Replace common garbage punctuation with spaces (but keep commas, periods)
-            .replace(/[{}>\])(_+=•|\\/~]+/g, ' ')
+            .replace(/^[^\p{L}\p{M}\p{N}@.+\s\-,]+|[^\p{L}\p{M}\p{N}@.+\s\-,]+$/gu, '')
+            // Replace common garbage punctuation with spaces (but keep commas, periods, and + for country codes)
+            .replace(/[{}>\])(_=•|\\/~]+/g, ' ')
             // Replace multiple dashes/underscores with single space
             .replace(/[-_]{2,}/g, ' ')
-            // Replace multiple spaces with single space
-            .replace(/\s{2,}/g, ' ')
-            // Remove non-ASCII symbols (keep letters, digits, @, ., +, spaces, commas, hyphens)
-            .replace(/[^\x00-\x7F]+/g, ' ') // Remove non-ASCII characters
-            .replace(/[^\w\s@.+,\-]/g, ' ') // Keep only: word chars, spaces, @, ., +, commas, hyphens
-            // Normalize whitespace again after character removal
-            .replace(/\s{2,}/g, ' ')
+            // Keep only: letters and marks of any script, digits, whitespace, @ . + , - ' &
+            // (zero-width joiners are part of Indic spellings)
+            .replace(/[^\p{L}\p{M}\p{N}\s@.+,\-'&\u200C\u200D]/gu, ' ')
+            // Collapse runs of spaces/tabs but keep line breaks, dropping blank lines
+            .replace(/[^\S\n]{2,}/g, ' ')
+            .replace(/[^\S\n]*\n\s*/g, '\n')
             .trim();
     }
 
+    /**
+     * Whether a word starts the way a proper noun does in its script
+     * Cased scripts (Latin, Cyrillic, Greek) need an uppercase first letter;
+     * caseless scripts (Devanagari, Arabic, CJK, Thai) have no capitals, so any letter counts
+     * @param {string} word - Word to check
+     * @returns {boolean} - True if capitalized (or caseless)
+     */
+    startsCapitalized(word) {
+        const first = Array.from(word)[0] || '';
+        return /[\p{Lu}\p{Lt}\p{Lo}]/u.test(first);
+    }
+
     /**
      * Classify a line's type based on content clues
      * @param {string} line - Line to classify
@@ -430,7 +606,8 @@ class OCRProcessor {
         }
 
         // Phone detection
-        if (line.includes('+') || /\d{7,}/.test(line) || this.patterns.phone.test(line) || this.patterns.phoneAlt.test(line)) {
+        if (line.includes('+') || /\d{7,}/.test(line) || phoneParser.findNumbers(line).length > 0 ||
+            this.patterns.phone.test(line) || this.patterns.phoneAlt.test(line)) {
             classification.type = 'phone';
             classification.confidence = 10;
             return classification;
@@ -451,7 +628,9 @@ class OCRProcessor {
         }
 
         // Company keywords
-        const companyPatterns = ['inc', 'ltd', 'llc', 'corp', 'pvt', 'limited', 'incorporated', 'company', 'co.', 'group', 'solutions', 'systems', 'services', 'agency'];
+        const companyPatterns = ['inc', 'ltd', 'llc', 'corp', 'pvt', 'limited', 'incorporated', 'company', 'co.', 'group', 'solutions', 'systems', 'services', 'agency',
+            // Non-English legal forms (German, French/Spanish, Russian, Chinese, Japanese, Korean, Hindi/Nepali)
+            'gmbh', 's.a.', 'sarl', 'ооо', 'зао', 'компания', '公司', '株式会社', '有限会社', '주식회사', 'प्रा', 'कंपनी', 'कम्पनी'];
         const companyKeywords = ['technologies', 'tech', 'enterprises', 'ventures', 'partners', 'associates'];
         const hasStrongCompanyKeyword = companyPatterns.some(pattern => lowerLine.includes(pattern));
         const hasCompanyKeyword = companyKeywords.some(keyword => lowerLine.includes(keyword));
@@ -464,7 +643,10 @@ class OCRProcessor {
 
         // Title/role keywords (often appear after name)
         const titleKeywords = ['agent', 'manager', 'director', 'executive', 'president', 'ceo', 'cfo', 'cto', 'vp', 'vice president', 'specialist', 'consultant', 'advisor', 'representative', 'assistant', 'coordinator'];
-        const hasTitleKeyword = titleKeywords.some(keyword => lowerLine.includes(keyword));
+        // Role words that are also parts of other words are matched whole ("head" but not "headquarters",
+        // "partner" but not a "... & Partners" firm)
+        const titleWords = /\b(engineer|developer|designer|architect|analyst|officer|founder|partner|head|lead|sales)\b/;
+        const hasTitleKeyword = titleKeywords.some(keyword => lowerLine.includes(keyword)) || titleWords.test(lowerLine);
 
         if (hasTitleKeyword) {
             classification.type = 'title';
@@ -478,11 +660,13 @@ class OCRProcessor {
         }
 
         // Name detection - two capitalized words, no numbers, reasonable length
+        // Capitalization is script-aware: words in caseless scripts count as capitalized
         const words = line.split(/\s+/).filter(w => w.length > 0);
         const hasTwoWords = words.length === 2;
-        const allWordsCapitalized = words.every(w => w.length > 0 && w[0] === w[0].toUpperCase() && /^[A-Z]/.test(w));
-        const noNumbers = !/\d/.test(line);
-        const reasonableLength = line.length >= 3 && line.length <= 40;
+        const allWordsCapitalized = words.every(w => this.startsCapitalized(w));
+        const noNumbers = !/\p{N}/u.test(line);
+        const length = Array.from(line).length;
+        const reasonableLength = length >= 3 && length <= 40;
 
         if (hasTwoWords && allWordsCapitalized && noNumbers && reasonableLength) {
             classification.type = 'name';
@@ -490,6 +674,13 @@ class OCRProcessor {
             return classification;
         }
 
+        // CJK/Hangul names are usually 2-4 characters written without a space (王小明, 김민수)
+        if (words.length === 1 && this.patterns.compactScript.test(line) && noNumbers && length >= 2 && length <= 4) {
+            classification.type = 'name';
+            classification.confidence = 9;
+            return classification;
+        }
+
         // Multi-word capitalized line (could be company or name)
         if (words.length >= 2 && allWordsCapitalized && noNumbers && reasonableLength) {
             classification.type = 'name_or_company';
@@ -500,42 +691,228 @@ class OCRProcessor {
         return classification;
     }
 
+    /**
+     * Split OCR text into lines with their classifyLine() type, for assigning lines by hand
+     * @param {string} text - Raw OCR text
+     * @returns {Array<Object>} - [{ text, type, confidence }]
+     */
+    getLines(text) {
+        return this.cleanText(text || '').split(/\r?\n/)
+            .map(line => this.cleanText(line.trim()))
+            .filter(line => line.length > 0)
+            .map(line => {
+                const { type, confidence } = this.classifyLine(line);
+                return { text: line, type, confidence };
+            });
+    }
+
+    /**
+     * Value an OCR line gives a field it is assigned to
+     * Phone, email and website keep only the matching part ("Tel: 555 0100" → "555 0100")
+     * @param {string} line - OCR line
+     * @param {string} field - Contact field
+     * @returns {string} - Field value
+     */
+    getFieldValue(line, field) {
+        if (field === 'email') {
+            const emails = line.match(this.patterns.email);
+            return emails ? emails[0] : line.trim();
+        }
+        if (field === 'phone' || field === 'fax') {
+            const numbers = phoneParser.findNumbers(line);
+            return numbers.length > 0 ? numbers[0].display : line.trim();
+        }
+        if (field === 'website') {
+            return this.extractWebsite(line) || line.trim();
+        }
+        return line.trim();
+    }
+
+    /**
+     * Field an OCR line currently fills, if any
+     * @param {string} line - OCR line
+     * @param {Object} values - Current field values
+     * @returns {string} - Field name, or '' if the line isn't used
+     */
+    getLineField(line, values) {
+        return this.assignableFields.find(field => {
+            const value = String(values[field] || '').trim();
+            if (!value) return false;
+            return value === this.getFieldValue(line, field) || (field === 'address' && value.includes(line));
+        }) || '';
+    }
+
+    /**
+     * Field a single OCR word is part of, if any
+     * Phone-like words match by digits, so "(555)" is found in "+1 555-0100"
+     * @param {string} word - OCR word
+     * @param {Object} values - Current field values
+     * @returns {string} - Field name, or '' if no field contains the word
+     */
+    getWordField(word, values) {
+        const text = word.trim().toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+        // Single characters are in almost every field
+        if (text.length < 2) return '';
+        // Short numbers ("5" in "5 Main St") would match too many phone numbers
+        const digits = /^[\d\s()+.\/-]+$/.test(text) && text.replace(/\D/g, '').length >= 3
+            ? text.replace(/\D/g, '')
+            : '';
+
+        return this.assignableFields.find(field => {
+            const value = String(values[field] || '').toLowerCase();
+            if (digits) return value.replace(/\D/g, '').includes(digits);
+            return value.includes(text);
+        }) || '';
+    }
+
+    /**
+     * Put an OCR line into a field
+     * A line fills one field, so it is cleared from the field that had it;
+     * address lines are appended, as addresses usually span several lines
+     * @param {Object} values - Current field values
+     * @param {string} line - OCR line
+     * @param {string} field - Field to fill, or '' to leave the line unused
+     * @returns {Object} - Updated copy of the values
+     */
+    assignLine(values, line, field) {
+        const updated = { ...values };
+        const previous = this.getLineField(line, values);
+        if (previous === field) return updated;
+
+        if (previous) {
+            const value = this.getFieldValue(line, previous);
+            updated[previous] = previous === 'address'
+                ? String(values.address).replace(line, '').replace(/,\s*,/g, ',').replace(/^[,\s]+|[,\s]+$/g, '')
+                : String(values[previous]).replace(value, '').trim();
+        }
+
+        if (field) {
+            const value = this.getFieldValue(line, field);
+            const current = String(values[field] || '').trim();
+            updated[field] = field === 'address' && current ? `${current}, ${value}` : value;
+        }
+
+        return updated;
+    }
+
     /**
      * Normalize and organize extracted fields
-     * Removes duplicates and ensures proper ordering
+     * Picks primary phone/fax/email from the typed lists and removes duplicates
      * @param {Object} contact - Contact object with extracted fields
      * @param {Array} classifiedLines - Array of classified lines
      * @returns {Object} - Normalized contact object
      */
     normalizeFields(contact, classifiedLines) {
-        // If company is missing but a title line exists, use title as company
-        if (!contact.company || contact.company.trim() === '') {
-            const titleLine = classifiedLines.find(cl => cl.type === 'title' || (cl.type === 'company' && cl.confidence >= 7));
-            if (titleLine) {
-                contact.company = this.cleanText(titleLine.original);
-                console.log('Using title/role line as company:', contact.company);
-            }
-        }
+        // Primary phone is the first number that isn't a fax; fax gets its own field
+        const primaryPhone = contact.phones.find(p => p.type !== 'fax');
+        const faxPhone = contact.phones.find(p => p.type === 'fax');
+        contact.phone = primaryPhone ? primaryPhone.number : '';
+        contact.fax = faxPhone ? faxPhone.number : '';
+
+        contact.email = contact.emails.length > 0 ? contact.emails[0].address : '';
 
-        // Remove duplicate phone/email (already handled by regex extraction, but ensure single value)
-        // Ensure name is first if present
-        // Ensure company is second if present
+        // A line used as the company shouldn't also be the job title
+        if (contact.title && contact.title === contact.company) {
+            const otherTitle = classifiedLines.find(cl => cl.type === 'title' && this.cleanText(cl.original) !== contact.company);
+            contact.title = otherTitle ? this.cleanText(otherTitle.original) : '';
+        }
 
         return contact;
     }
 
+    /**
+     * Find every phone number on phone lines, typed by the label in front of it
+     * e.g. "Tel +44 20 7946 0958 Fax 020 7946 0959" yields an office and a fax number
+     * Numbers are returned as written; normalizePhone() converts them once extraction is done
+     * @param {Array<Object>} classifiedLines - Output of classifyLine() for every line
+     * @param {string} region - Region for numbers without a country code
+     * @returns {Array<Object>} - [{ type: 'mobile'|'office'|'fax'|'other', number }]
+     */
+    extractPhones(classifiedLines, region = phoneParser.defaultRegion) {
+        const phones = [];
+        const seen = new Set();
+
+        classifiedLines.filter(cl => cl.type === 'phone').forEach(cl => {
+            const line = cl.original;
+
+            phoneParser.findNumbers(line, region).forEach(found => {
+                const key = found.e164 + found.extension;
+                if (seen.has(key)) return;
+                seen.add(key);
+
+                phones.push({
+                    type: this.getPhoneType(line.substring(0, found.index)),
+                    number: found.raw
+                });
+            });
+        });
+
+        return phones;
+    }
+
+    /**
+     * Work out a phone number's type from the label text before it
+     * The label closest to the number wins
+     * @param {string} label - Text preceding the number on its line
+     * @returns {string} - 'mobile', 'office', 'fax' or 'other'
+     */
+    getPhoneType(label) {
+        const labels = label.toLowerCase().match(/\b(fax|f|mobile|mob|cell|m|c|tel|telephone|phone|ph|office|off|direct|work|t|o|d|w)\b/g);
+        if (!labels) return 'other';
+
+        const closest = labels[labels.length - 1];
+        if (['fax', 'f'].includes(closest)) return 'fax';
+        if (['mobile', 'mob', 'cell', 'm', 'c'].includes(closest)) return 'mobile';
+        return 'office';
+    }
+
+    /**
+     * Pull the URL out of a website line, ignoring any email address on it
+     * @param {string} line - Line classified as website
+     * @returns {string} - Website or empty string
+     */
+    extractWebsite(line) {
+        const withoutEmails = line.replace(this.patterns.email, ' ');
+        const match = withoutEmails.match(/\b(https?:\/\/)?(www\.)?[a-z0-9][a-z0-9-]*(\.[a-z0-9-]+)+(\/\S*)?/i);
+        return match ? match[0].replace(/[.,]+$/, '') : '';
+    }
+
+    /**
+     * Normalize a phone entry for storage
+     * Keeps the number as read if it doesn't parse, so nothing is lost
+     * @param {Object} phone - { type, number } with the number as read from the card
+     * @param {string} region - Region for numbers without a country code
+     * @returns {Object} - { type, number (display format), e164, extension }
+     */
+    normalizePhone(phone, region = phoneParser.defaultRegion) {
+        const parsed = phoneParser.parse(phone.number, region);
+        if (!parsed || !parsed.valid) {
+            return { type: phone.type, number: phone.number.trim(), e164: '', extension: '' };
+        }
+        return { type: phone.type, number: parsed.display, e164: parsed.e164, extension: parsed.extension };
+    }
+
     /**
      * Extract structured contact information from OCR text using layout-aware parsing
      * Improved to handle multi-column business cards with context-based detection
      * @param {string} text - Raw OCR text
-     * @returns {Object} - Contact object with extracted fields
+     * @param {Array<Object>} words - Optional Tesseract words ({ text, confidence }) from recognize()
+     * @returns {Object} - Contact object with extracted fields plus fieldConfidence
+     *                     ({ field: { score, ocr, classifier, source } })
      */
-    extractContactInfo(text) {
+    extractContactInfo(text, words = null) {
         let contact = {
             name: '',
+            title: '',
+            company: '',
             phone: '',
+            fax: '',
             email: '',
-            company: ''
+            website: '',
+            address: '',
+            phones: [],
+            emails: [],
+            fieldConfidence: {}
         };
 
         if (!text) return contact;
@@ -543,17 +920,19 @@ class OCRProcessor {
         // Clean up raw OCR text first
         const cleanedText = this.cleanText(text);
 
-        // Extract email (most reliable pattern)
+        // Extract emails (most reliable pattern)
         const emailMatch = cleanedText.match(this.patterns.email);
         if (emailMatch && emailMatch.length > 0) {
-            contact.email = emailMatch[0].trim().toLowerCase();
+            const addresses = [...new Set(emailMatch.map(e => e.trim().toLowerCase()))];
+            contact.emails = addresses.map(address => ({ type: 'work', address }));
         }
 
-        // Extract phone number
-        const phoneMatch = cleanedText.match(this.patterns.phone) || cleanedText.match(this.patterns.phoneAlt);
-        if (phoneMatch && phoneMatch.length > 0) {
-            contact.phone = phoneMatch[0].trim();
-        }
+        // National numbers are read in the country of the card's first international number,
+        // so the fax in "Tel +44 20 7946 0958 Fax 020 7946 0959" is found under any default region
+        const phoneRegion = phoneParser.findTextRegion(cleanedText) || phoneParser.defaultRegion;
+
+        // Whole-text phone match, used if no phone line can be isolated
+        const phoneMatch = phoneParser.findNumbers(cleanedText, phoneRegion);
 
         // Split text into lines for layout-aware analysis
         // If OCR returns single line with multiple fields, try to split intelligently
@@ -634,16 +1013,11 @@ class OCRProcessor {
             }
         }
 
-        // Find company: line with company keywords or title
-        const companyLines = classifiedLines.filter(cl => 
-            (cl.type === 'company' && cl.confidence >= 8) || 
-            (cl.type === 'title' && cl.confidence >= 7)
-        );
+        // Find company: line with company keywords
+        const companyLines = classifiedLines.filter(cl => cl.type === 'company' && cl.confidence >= 8);
         
         if (companyLines.length > 0) {
-            // Prefer company type over title type
-            const companyLine = companyLines.find(cl => cl.type === 'company') || companyLines[0];
-            contact.company = this.cleanText(companyLine.original);
+            contact.company = this.cleanText(companyLines[0].original);
             console.log('Extracted company:', contact.company);
         } else {
             // Fallback: look for remaining name_or_company lines
@@ -658,16 +1032,53 @@ class OCRProcessor {
             }
         }
 
+        // Find job title: line with role keywords
+        const titleLine = classifiedLines.find(cl => cl.type === 'title' && cl.confidence >= 7);
+        if (titleLine) {
+            contact.title = this.cleanText(titleLine.original);
+        }
+
+        // Website: first URL-looking line (may share a line with the email)
+        const websiteLine = classifiedLines.find(cl => cl.type === 'website') ||
+            classifiedLines.find(cl => /www\.|https?:\/\//i.test(cl.original));
+        if (websiteLine) {
+            contact.website = this.extractWebsite(websiteLine.original);
+        }
+
+        // Address: join consecutive address lines (street, city/postcode)
+        const addressLines = classifiedLines.filter(cl => cl.type === 'address').map(cl => this.cleanText(cl.original));
+        contact.address = addressLines.join(', ');
+
+        // Phones: every number on phone lines, typed by its label
+        contact.phones = this.extractPhones(classifiedLines, phoneRegion);
+        if (contact.phones.length === 0 && phoneMatch.length > 0) {
+            contact.phones.push({ type: 'other', number: phoneMatch[0].raw });
+        }
+
         // Normalize fields (remove duplicates, handle missing company)
         contact = this.normalizeFields(contact, classifiedLines);
 
+        // Remember which line each field came from before the final normalization
+        const sourceValues = {
+            name: contact.name,
+            title: contact.title,
+            company: contact.company,
+            email: contact.email,
+            phone: contact.phone,
+            fax: contact.fax,
+            website: contact.website,
+            address: contact.address
+        };
+
         // Final cleaning and normalization
         const rawName = contact.name;
         const rawCompany = contact.company;
         
         contact.name = this.cleanText(contact.name);
         contact.company = this.cleanText(contact.company);
-        contact.phone = contact.phone ? contact.phone.replace(/[\s\-\.]/g, '').replace(/^\+?1/, '') : ''; // Normalize phone
+        contact.phone = phoneParser.format(contact.phone, phoneRegion);
+        contact.fax = phoneParser.format(contact.fax, phoneRegion);
+        contact.phones = contact.phones.map(p => this.normalizePhone(p, phoneRegion));
         contact.email = contact.email ? contact.email.trim().toLowerCase() : '';
         
         // Debug: Log suspicious OCR results
@@ -685,22 +1096,90 @@ class OCRProcessor {
             });
         }
 
+        contact.fieldConfidence = this.scoreFields(contact, sourceValues, classifiedLines, words);
+
         return contact;
     }
 
+    /**
+     * Score each extracted field by combining Tesseract word confidence
+     * with the line classifier's confidence
+     * Fields without OCR words (QR vCards, typed or pasted text) are left unscored, like
+     * values that didn't come from OCR, so they aren't flagged for review
+     * @param {Object} contact - Extracted contact
+     * @param {Object} sourceValues - Field values as they appeared in the OCR lines
+     * @param {Array<Object>} classifiedLines - Output of classifyLine() for every line
+     * @param {Array<Object>|null} words - Tesseract words, or null when unavailable
+     * @returns {Object} - { field: { score, ocr, classifier, source } }; score is 0-100
+     */
+    scoreFields(contact, sourceValues, classifiedLines, words) {
+        const scores = {};
+
+        Object.keys(sourceValues).forEach(field => {
+            if (!contact[field]) return;
+
+            const needle = sourceValues[field].toLowerCase();
+            const sourceLine = classifiedLines.find(cl => cl.original.toLowerCase().includes(needle)) ||
+                classifiedLines.find(cl => needle.includes(cl.original.toLowerCase()));
+
+            // Classifier confidence is on a 0-10 scale; unclassified sources get a neutral 5
+            const classifier = sourceLine && sourceLine.confidence ? sourceLine.confidence : 5;
+            const ocr = words ? this.getOcrConfidence(sourceLine ? sourceLine.original : sourceValues[field], words) : null;
+            if (ocr === null) return;
+
+            scores[field] = {
+                score: Math.round(ocr * classifier / 10),
+                ocr: ocr,
+                classifier: classifier,
+                source: sourceLine ? sourceLine.original : sourceValues[field]
+            };
+        });
+
+        return scores;
+    }
+
+    /**
+     * Average Tesseract confidence of the words that make up a line
+     * @param {string} line - Cleaned line text
+     * @param {Array<Object>} words - Tesseract words ({ text, confidence })
+     * @returns {number|null} - Mean confidence (0-100) or null if no words matched
+     */
+    getOcrConfidence(line, words) {
+        const tokens = line.toLowerCase().split(/\s+/).filter(t => t.length > 0);
+        const confidences = [];
+
+        const cleanedWords = words
+            .map(w => ({ text: this.cleanText(w.text).toLowerCase(), confidence: w.confidence }))
+            .filter(w => w.text.length > 0);
+
+        tokens.forEach(token => {
+            // Exact match first; partial matches only for tokens long enough to be meaningful
+            const word = cleanedWords.find(w => w.text === token) ||
+                cleanedWords.find(w => token.length >= 3 && w.text.length >= 3 &&
+                    (w.text.includes(token) || token.includes(w.text)));
+            if (word) {
+                confidences.push(word.confidence);
+            }
+        });
+
+        if (confidences.length === 0) return null;
+        return Math.round(confidences.reduce((sum, c) => sum + c, 0) / confidences.length);
+    }
+
     /**
      * Process image and extract contact information
      * Combines OCR text extraction with structured data extraction
      * @param {File|HTMLImageElement|HTMLCanvasElement} imageSource - Image to process
+     * @param {Object} options - Passed through to extractText()
      * @returns {Promise<Object>} - Contact object with extracted fields
      */
-    async processImage(imageSource) {
+    async processImage(imageSource, options = {}) {
         try {
-            // Extract text using OCR
-            const text = await this.extractText(imageSource);
+            // Extract text (and word confidences) using OCR
+            const { text, words } = await this.recognize(imageSource, options);
             
             // Extract structured contact information
-            const contact = this.extractContactInfo(text);
+            const contact = this.extractContactInfo(text, words);
             
             return contact;
         } catch (error) {
@@ -709,18 +1188,53 @@ class OCRProcessor {
         }
     }
 
+    /**
+     * Run the current parser again on the OCR text stored with a contact
+     * Both sides are parsed and merged as when the card was scanned
+     * @param {Object} contact - Saved contact with rawText and/or backRawText
+     * @returns {Object|null} - Re-parsed contact, or null if no OCR text is stored
+     */
+    reparse(contact) {
+        const front = contact.rawText ? this.extractContactInfo(contact.rawText) : null;
+        const back = contact.backRawText ? this.extractContactInfo(contact.backRawText) : null;
+
+        if (front && back) return contactManager.mergeContacts(front, back);
+        return front || back;
+    }
+
+    /**
+     * Fields the current parser reads differently from a saved contact
+     * Fields it leaves empty are not listed, so a re-parse never clears a field
+     * @param {Object} contact - Saved contact
+     * @param {Object} parsed - Result of reparse()
+     * @returns {Array<Object>} - [{ field, current, parsed }]
+     */
+    getReparseChanges(contact, parsed) {
+        return this.reparseFields
+            .map(field => {
+                const current = String(contact[field] || '').trim();
+                let value = String(parsed[field] || '').trim();
+                // Saved numbers are in display format
+                if (field === 'phone' || field === 'fax') value = phoneParser.format(value);
+                return { field, current, parsed: value };
+            })
+            .filter(change => change.parsed && change.parsed !== change.current);
+    }
+
     /**
      * Process image and return both raw text and structured data
      * @param {File|HTMLImageElement|HTMLCanvasElement} imageSource - Image to process
-     * @returns {Promise<Object>} - Object with text and contact fields
+     * @param {Object} options - Passed through to extractText()
+     * @returns {Promise<Object>} - Object with text, contact fields and the words from recognize()
      */
-    async processImageFull(imageSource) {
-        const text = await this.extractText(imageSource);
-        const contact = this.extractContactInfo(text);
+    async processImageFull(imageSource, options = {}) {
+        const { text, words } = await this.recognize(imageSource, options);
+        const contact = this.extractContactInfo(text, words);
         
         return {
             text: text,
-            contact: contact
+            contact: contact,
+            words: words
         };
     }
 }
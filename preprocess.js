@@ -0,0 +1,270 @@
+/**
+ * Image Preprocessing Module
+ * Cleans up card photos on a canvas before they are handed to Tesseract or jsQR
+ * Pipeline: resize → grayscale → contrast normalization → denoise → adaptive threshold
+ * Runs entirely in the browser, no network required
+ */
+
+class ImagePreprocessor {
+    constructor() {
+        // Default pipeline settings (override with configure() or per call)
+        this.options = {
+            // Longest side is scaled down to this many pixels
+            maxDimension: 2000,
+            // Small images are scaled up so the longest side reaches this size
+            minDimension: 1000,
+            grayscale: true,
+            normalizeContrast: true,
+            // Fraction of darkest/brightest pixels ignored when stretching contrast
+            contrastClip: 0.01,
+            denoise: true,
+            threshold: true,
+            // Adaptive threshold window as a fraction of image width
+            thresholdWindow: 0.125,
+            // Pixel turns black when this much darker than its neighbourhood mean
+            thresholdBias: 0.15
+        };
+    }
+
+    /**
+     * Update default preprocessing options
+     * @param {Object} options - Options to merge into the defaults
+     * @returns {Object} - Current options
+     */
+    configure(options = {}) {
+        this.options = { ...this.options, ...options };
+        return this.options;
+    }
+
+    /**
+     * Run the preprocessing pipeline on an image
+     * @param {File|Blob|HTMLImageElement|HTMLCanvasElement|ImageData} source - Image to process
+     * @param {Object} options - Per-call overrides of the default options
+     * @returns {Promise<HTMLCanvasElement>} - Canvas holding the processed image
+     */
+    async process(source, options = {}) {
+        const opts = { ...this.options, ...options };
+        const canvas = await this.toCanvas(source, opts);
+
+        // The pixel steps all work on luminance, so grayscale is implied by any of them
+        if (!opts.grayscale && !opts.normalizeContrast && !opts.denoise && !opts.threshold) {
+            return canvas;
+        }
+
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const { width, height } = imageData;
+
+        let gray = this.toGrayscale(imageData);
+
+        if (opts.normalizeContrast) {
+            gray = this.normalizeContrast(gray, opts.contrastClip);
+        }
+
+        if (opts.denoise) {
+            gray = this.medianFilter(gray, width, height);
+        }
+
+        if (opts.threshold) {
+            gray = this.adaptiveThreshold(gray, width, height, opts.thresholdWindow, opts.thresholdBias);
+        }
+
+        this.writeGray(imageData, gray);
+        ctx.putImageData(imageData, 0, 0);
+
+        return canvas;
+    }
+
+    /**
+     * Draw any supported image source onto a new canvas, resizing within limits
+     * @param {File|Blob|HTMLImageElement|HTMLCanvasElement|ImageData} source - Image source
+     * @param {Object} opts - Options with maxDimension/minDimension
+     * @returns {Promise<HTMLCanvasElement>} - New canvas
+     */
+    async toCanvas(source, opts = this.options) {
+        let drawable = source;
+        let bitmap = null;
+
+        if (source instanceof Blob) {
+            bitmap = await createImageBitmap(source);
+            drawable = bitmap;
+        } else if (source instanceof ImageData) {
+            const tmp = document.createElement('canvas');
+            tmp.width = source.width;
+            tmp.height = source.height;
+            tmp.getContext('2d').putImageData(source, 0, 0);
+            drawable = tmp;
+        } else if (!(source instanceof HTMLImageElement) && !(source instanceof HTMLCanvasElement)) {
+            throw new Error('Unsupported image source type');
+        }
+
+        const srcWidth = drawable.naturalWidth || drawable.width;
+        const srcHeight = drawable.naturalHeight || drawable.height;
+        const longest = Math.max(srcWidth, srcHeight);
+
+        let scale = 1;
+        if (opts.maxDimension && longest > opts.maxDimension) {
+            scale = opts.maxDimension / longest;
+        } else if (opts.minDimension && longest < opts.minDimension) {
+            scale = opts.minDimension / longest;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(srcWidth * scale));
+        canvas.height = Math.max(1, Math.round(srcHeight * scale));
+
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(drawable, 0, 0, canvas.width, canvas.height);
+
+        if (bitmap) {
+            bitmap.close();
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Convert RGBA pixels to a single luminance channel
+     * @param {ImageData} imageData - Source pixels
+     * @returns {Uint8ClampedArray} - One byte per pixel
+     */
+    toGrayscale(imageData) {
+        const { data } = imageData;
+        const gray = new Uint8ClampedArray(data.length / 4);
+
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            gray[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        }
+
+        return gray;
+    }
+
+    /**
+     * Stretch the histogram so the darkest/brightest pixels span 0-255
+     * Compensates for low light and washed-out photos
+     * @param {Uint8ClampedArray} gray - Grayscale pixels
+     * @param {number} clip - Fraction of pixels to ignore at each end
+     * @returns {Uint8ClampedArray} - Normalized pixels
+     */
+    normalizeContrast(gray, clip = 0.01) {
+        const histogram = new Uint32Array(256);
+        for (let i = 0; i < gray.length; i++) {
+            histogram[gray[i]]++;
+        }
+
+        const clipCount = Math.floor(gray.length * clip);
+        let low = 0;
+        let high = 255;
+
+        for (let seen = 0; low < 255; low++) {
+            seen += histogram[low];
+            if (seen > clipCount) break;
+        }
+        for (let seen = 0; high > 0; high--) {
+            seen += histogram[high];
+            if (seen > clipCount) break;
+        }
+
+        // Nothing to stretch (blank or already full range)
+        if (high <= low) return gray;
+
+        const range = high - low;
+        const out = new Uint8ClampedArray(gray.length);
+        for (let i = 0; i < gray.length; i++) {
+            out[i] = ((gray[i] - low) * 255) / range;
+        }
+
+        return out;
+    }
+
+    /**
+     * 3x3 median filter to remove salt-and-pepper sensor noise
+     * Edge pixels are copied unchanged
+     * @param {Uint8ClampedArray} gray - Grayscale pixels
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {Uint8ClampedArray} - Filtered pixels
+     */
+    medianFilter(gray, width, height) {
+        const out = new Uint8ClampedArray(gray);
+        const neighbours = new Uint8Array(9);
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                let k = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    const row = (y + dy) * width;
+                    for (let dx = -1; dx <= 1; dx++) {
+                        neighbours[k++] = gray[row + x + dx];
+                    }
+                }
+                neighbours.sort();
+                out[y * width + x] = neighbours[4];
+            }
+        }
+
+        return out;
+    }
+
+    /**
+     * Bradley-Roth adaptive threshold using an integral image
+     * Each pixel is compared to the mean of its neighbourhood, so glare
+     * and uneven lighting do not wipe out text like a global threshold would
+     * @param {Uint8ClampedArray} gray - Grayscale pixels
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} windowFraction - Window size as a fraction of width
+     * @param {number} bias - How much darker than the mean a pixel must be to turn black
+     * @returns {Uint8ClampedArray} - Binary pixels (0 or 255)
+     */
+    adaptiveThreshold(gray, width, height, windowFraction = 0.125, bias = 0.15) {
+        const integral = new Float64Array((width + 1) * (height + 1));
+        const stride = width + 1;
+
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0;
+            for (let x = 0; x < width; x++) {
+                rowSum += gray[y * width + x];
+                integral[(y + 1) * stride + (x + 1)] = integral[y * stride + (x + 1)] + rowSum;
+            }
+        }
+
+        const half = Math.max(1, Math.floor((width * windowFraction) / 2));
+        const out = new Uint8ClampedArray(gray.length);
+
+        for (let y = 0; y < height; y++) {
+            const y1 = Math.max(0, y - half);
+            const y2 = Math.min(height - 1, y + half);
+            for (let x = 0; x < width; x++) {
+                const x1 = Math.max(0, x - half);
+                const x2 = Math.min(width - 1, x + half);
+                const count = (x2 - x1 + 1) * (y2 - y1 + 1);
+                const sum = integral[(y2 + 1) * stride + (x2 + 1)]
+                    - integral[y1 * stride + (x2 + 1)]
+                    - integral[(y2 + 1) * stride + x1]
+                    + integral[y1 * stride + x1];
+
+                const idx = y * width + x;
+                out[idx] = gray[idx] * count <= sum * (1 - bias) ? 0 : 255;
+            }
+        }
+
+        return out;
+    }
+
+    /**
+     * Write a single-channel buffer back into RGBA ImageData
+     * @param {ImageData} imageData - Target pixels (modified in place)
+     * @param {Uint8ClampedArray} gray - Grayscale pixels
+     */
+    writeGray(imageData, gray) {
+        const { data } = imageData;
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            data[i] = data[i + 1] = data[i + 2] = gray[p];
+        }
+    }
+}
+
+// Export for use in other modules
+const imagePreprocessor = new ImagePreprocessor();
@@ -7,18 +7,26 @@
 class QRDetector {
     /**
      * Detect QR code in an image
-     * @param {HTMLImageElement|HTMLCanvasElement|ImageData} imageSource - Image element, canvas, or ImageData
+     * Tries the raw image first, then retries on a preprocessed (binarized) copy
+     * so codes washed out by glare or low light are still found
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageData|File} imageSource - Image element, canvas, or ImageData
+     * @param {Object} options - { preprocessed: HTMLCanvasElement } reuses an image already run
+     *                           through imagePreprocessor; { preprocess: false } skips the retry
      * @returns {Promise<Object|null>} - Decoded QR code data or null if not found
      */
-    async detect(imageSource) {
+    async detect(imageSource, options = {}) {
         try {
             // Convert image source to ImageData if needed
             const imageData = await this.getImageData(imageSource);
             
             // Use jsQR to detect QR code
-            const code = jsQR(imageData.data, imageData.width, imageData.height, {
-                inversionAttempts: 'dontInvert'
-            });
+            let code = this.decode(imageData);
+
+            // Retry on the cleaned-up image
+            if (!code && options.preprocess !== false) {
+                const preprocessed = options.preprocessed || await imagePreprocessor.process(imageSource);
+                code = this.decode(await this.getImageData(preprocessed));
+            }
 
             if (code) {
                 return {
@@ -34,6 +42,17 @@ class QRDetector {
         }
     }
 
+    /**
+     * Run jsQR on ImageData
+     * @param {ImageData} imageData - Pixels to scan
+     * @returns {Object|null} - jsQR result or null
+     */
+    decode(imageData) {
+        return jsQR(imageData.data, imageData.width, imageData.height, {
+            inversionAttempts: 'dontInvert'
+        });
+    }
+
     /**
      * Convert various image sources to ImageData
      * @param {HTMLImageElement|HTMLCanvasElement|ImageData|File} source - Image source
@@ -98,10 +117,11 @@ class QRDetector {
     /**
      * Detect QR code and parse if it's a vCard
      * @param {HTMLImageElement|HTMLCanvasElement|ImageData|File} imageSource - Image source
+     * @param {Object} options - Passed through to detect()
      * @returns {Promise<Object|null>} - Parsed contact object or null
      */
-    async detectAndParseVCard(imageSource) {
-        const qrResult = await this.detect(imageSource);
+    async detectAndParseVCard(imageSource, options = {}) {
+        const qrResult = await this.detect(imageSource, options);
         
         if (!qrResult) {
             return null;
@@ -0,0 +1,306 @@
+/**
+ * Search Index Module
+ * Offline full-text search over saved contacts with an inverted index in IndexedDB
+ * (the searchTerms store next to contacts): one entry per term and contact.
+ * contactManager keeps the entries in step with every save, update and delete.
+ * Queries tolerate typos, match phone numbers by digits alone and are ranked.
+ */
+
+class SearchIndex {
+    constructor() {
+        this.storeName = 'searchTerms';
+
+        // A term found in several fields counts with its heaviest field
+        this.fieldWeights = {
+            name: 10,
+            phone: 8,
+            company: 6,
+            email: 6,
+            title: 4,
+            eventTag: 3,
+            website: 3,
+            address: 2,
+            notes: 2,
+            rawText: 1
+        };
+
+        // Phone numbers are indexed by every digit suffix at least this long,
+        // so a run of digits from anywhere in the number is a prefix lookup
+        this.minPhoneDigits = 4;
+        // Query words this long may be 1 (or 2) edits away from an indexed term
+        this.fuzzyMinLength = 3;
+        this.fuzzyTwoEditsLength = 7;
+
+        // Sorted distinct terms for typo matching, loaded on the first fuzzy
+        // lookup and dropped whenever this tab changes the index
+        this.vocabulary = null;
+    }
+
+    /**
+     * Lowercase, strip accents and punctuation, split into words
+     * @param {string} text - Text to split
+     * @returns {Array<string>} - Words
+     */
+    words(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(Boolean);
+    }
+
+    /**
+     * Index entries of a contact
+     * @param {Object} contact - Saved contact (with id)
+     * @returns {Array<Object>} - [{ term, contactId, weight }]
+     */
+    getEntries(contact) {
+        const weights = new Map();
+        const add = (term, weight) => {
+            if (term.length < 2) return;
+            weights.set(term, Math.max(weights.get(term) || 0, weight));
+        };
+
+        const text = {
+            name: contact.name,
+            title: contact.title,
+            company: contact.company,
+            email: contactManager.getEmails(contact).map(email => email.address).join(' '),
+            website: contact.website,
+            address: contact.address,
+            eventTag: contact.eventTag,
+            notes: contact.notes,
+            rawText: [contact.rawText, contact.backRawText].join('\n')
+        };
+        Object.entries(text).forEach(([field, value]) => {
+            this.words(value).forEach(word => add(word, this.fieldWeights[field]));
+        });
+
+        contactManager.getPhones(contact).forEach(phone => {
+            [phone.number, phone.e164].forEach(number => {
+                const digits = String(number || '').replace(/\D/g, '');
+                for (let i = 0; i <= digits.length - this.minPhoneDigits; i++) {
+                    add(digits.slice(i), this.fieldWeights.phone);
+                }
+            });
+        });
+
+        return [...weights].map(([term, weight]) => ({ term, contactId: contact.id, weight }));
+    }
+
+    /**
+     * Add the entries of a new contact
+     * @param {IDBObjectStore} store - searchTerms store of a readwrite transaction
+     * @param {Object} contact - Saved contact (with id)
+     */
+    addEntries(store, contact) {
+        this.getEntries(contact).forEach(entry => store.put(entry));
+        this.vocabulary = null;
+    }
+
+    /**
+     * Remove the entries of a contact
+     * @param {IDBObjectStore} store - searchTerms store of a readwrite transaction
+     * @param {number} contactId - Contact ID
+     * @param {Function} onDone - Called once the old entries are deleted (optional)
+     */
+    removeEntries(store, contactId, onDone = null) {
+        const request = store.index('contactId').openKeyCursor(IDBKeyRange.only(contactId));
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                if (onDone) onDone();
+                return;
+            }
+            store.delete(cursor.primaryKey);
+            cursor.continue();
+        };
+        this.vocabulary = null;
+    }
+
+    /**
+     * Replace the entries of an edited contact
+     * New entries are written after the old ones are gone, as both can share keys
+     * @param {IDBObjectStore} store - searchTerms store of a readwrite transaction
+     * @param {Object} contact - Updated contact (with id)
+     */
+    updateEntries(store, contact) {
+        this.removeEntries(store, contact.id, () => this.addEntries(store, contact));
+    }
+
+    /**
+     * Split a search query into words and phone-like digit runs
+     * "555-123 4567" is one digit run however it is spaced or punctuated
+     * @param {string} query - Search query
+     * @returns {Object} - { words: Array<string>, digits: Array<string> }
+     */
+    parseQuery(query) {
+        const digits = [];
+        const rest = String(query || '').replace(/\+?\d[\d\s().\/-]*\d/g, (run) => {
+            const runDigits = run.replace(/\D/g, '');
+            if (runDigits.length < 3) return run;
+            digits.push(runDigits);
+            return ' ';
+        });
+
+        return { words: [...new Set(this.words(rest))], digits: [...new Set(digits)] };
+    }
+
+    /**
+     * Damerau-Levenshtein distance (adjacent swaps count as one edit), capped
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @param {number} max - Largest distance of interest
+     * @returns {number} - Distance, or max + 1 if it is larger than max
+     */
+    editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previous2 = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (previous2 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], previous2[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous2 = previous;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Distinct indexed terms in sorted order
+     * @param {IDBObjectStore} store - searchTerms store
+     * @returns {Promise<Array<string>>} - Terms
+     */
+    getVocabulary(store) {
+        if (this.vocabulary) return Promise.resolve(this.vocabulary);
+
+        return new Promise((resolve, reject) => {
+            const request = store.openKeyCursor();
+            const terms = [];
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    this.vocabulary = terms;
+                    resolve(terms);
+                    return;
+                }
+                const term = cursor.key[0];
+                terms.push(term);
+                // Keys are [term, contactId]; skip the other contacts with this term
+                cursor.continue([term, []]);
+            };
+        });
+    }
+
+    /**
+     * Find the indexed terms matching one query token
+     * Words match exactly, as a prefix (search as you type) or within the edit limit;
+     * digit runs match any indexed digits that start with them
+     * @param {IDBObjectStore} store - searchTerms store
+     * @param {string} token - Query word or digit run
+     * @param {boolean} isDigits - Token is a digit run
+     * @returns {Promise<Map>} - term => match quality from 0 to 1
+     */
+    async findTerms(store, token, isDigits) {
+        const matches = new Map();
+
+        const prefixed = await new Promise((resolve, reject) => {
+            const request = store.getAllKeys(IDBKeyRange.bound([token], [token + '\uffff']));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        prefixed.forEach(([term]) => {
+            // A digit run inside a phone number is as good as the whole number
+            const quality = isDigits || term === token ? 1 : 0.5 + 0.4 * (token.length / term.length);
+            matches.set(term, quality);
+        });
+
+        if (isDigits || token.length < this.fuzzyMinLength) return matches;
+
+        const maxEdits = token.length >= this.fuzzyTwoEditsLength ? 2 : 1;
+        const vocabulary = await this.getVocabulary(store);
+        vocabulary.forEach(term => {
+            if (matches.has(term) || /^\d+$/.test(term)) return;
+            const distance = this.editDistance(token, term, maxEdits);
+            if (distance <= maxEdits) {
+                matches.set(term, distance === 1 ? 0.6 : 0.4);
+            }
+        });
+
+        return matches;
+    }
+
+    /**
+     * Search the index
+     * Every word and digit run of the query must match; contacts are ranked by
+     * the sum of their best match per token, weighted by field
+     * @param {IDBDatabase} db - Open database
+     * @param {string} query - Search query
+     * @returns {Promise<Array<Object>>} - [{ id, score, terms }] best first; terms are the
+     *   matched index terms (for highlighting)
+     */
+    async search(db, query) {
+        const { words, digits } = this.parseQuery(query);
+        const tokens = [
+            ...words.map(token => ({ token, isDigits: false })),
+            ...digits.map(token => ({ token, isDigits: true }))
+        ];
+        if (tokens.length === 0) return [];
+
+        const store = db.transaction([this.storeName], 'readonly').objectStore(this.storeName);
+        let results = null;
+
+        for (const { token, isDigits } of tokens) {
+            const terms = await this.findTerms(store, token, isDigits);
+            const hits = new Map();
+
+            for (const [term, quality] of terms) {
+                const entries = await new Promise((resolve, reject) => {
+                    const request = store.getAll(IDBKeyRange.bound([term], [term, []]));
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+
+                entries.forEach(entry => {
+                    const hit = hits.get(entry.contactId) || { score: 0, terms: [] };
+                    hit.score = Math.max(hit.score, quality * entry.weight);
+                    hit.terms.push(term);
+                    hits.set(entry.contactId, hit);
+                });
+            }
+
+            // Contacts missing this token drop out
+            const next = new Map();
+            hits.forEach((hit, id) => {
+                const previous = results ? results.get(id) : { score: 0, terms: [] };
+                if (!previous) return;
+                next.set(id, { score: previous.score + hit.score, terms: [...previous.terms, ...hit.terms] });
+            });
+            results = next;
+            if (results.size === 0) break;
+        }
+
+        return [...results]
+            .map(([id, result]) => ({ id, ...result }))
+            .sort((a, b) => b.score - a.score);
+    }
+}
+
+// Export for use in other modules
+const searchIndex = new SearchIndex();
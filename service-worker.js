@@ -3,7 +3,7 @@
  * Handles offline caching of static assets
  */
 
-const CACHE_NAME = 'business-card-scanner-v1';
+const CACHE_NAME = 'business-card-scanner-v12';
 
 // Get base path dynamically
 const basePath = self.location.pathname.substring(0, self.location.pathname.lastIndexOf('/') + 1);
@@ -11,16 +11,28 @@ const STATIC_ASSETS = [
     basePath || '/',
     basePath + 'index.html',
     basePath + 'app.js',
+    basePath + 'phone.js',
+    basePath + 'search-index.js',
     basePath + 'contacts.js',
+    basePath + 'duplicates.js',
+    basePath + 'batch-session.js',
     basePath + 'vcard.js',
+    basePath + 'import.js',
+    basePath + 'preprocess.js',
+    basePath + 'card-detector.js',
     basePath + 'qr.js',
+    basePath + 'language-packs.js',
     basePath + 'ocr.js',
+    basePath + 'ocr-pool.js',
     basePath + 'share.js',
+    basePath + 'virtual-list.js',
+    basePath + 'word-overlay.js',
     basePath + 'styles.css',
     basePath + 'manifest.json',
     // Tesseract.js local files for offline OCR
     basePath + 'tesseract/worker.min.js',
     basePath + 'tesseract/tesseract-core.wasm.js',
+    // Other language packs are cached by the fetch handler the first time OCR loads them
     basePath + 'tessdata/en.traineddata'
 ];
 
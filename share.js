@@ -5,6 +5,31 @@
  */
 
 class ShareHandler {
+    /**
+     * List the filled-in fields of a contact for text messages
+     * Every phone and email is included, labelled by type
+     * @param {Object} contact - Contact object
+     * @returns {Array<Object>} - [{ icon, label, value }] in display order
+     */
+    getDetails(contact) {
+        const phoneLabels = { mobile: 'Mobile', office: 'Office', fax: 'Fax', other: 'Phone' };
+        const details = [];
+
+        if (contact.title) details.push({ icon: '💼', label: 'Title', value: contact.title });
+        if (contact.company) details.push({ icon: '🏢', label: 'Company', value: contact.company });
+        contactManager.getPhones(contact).forEach(phone => {
+            details.push({ icon: phone.type === 'fax' ? '📠' : '📞', label: phoneLabels[phone.type] || phoneLabels.other, value: phone.number });
+        });
+        contactManager.getEmails(contact).forEach(email => {
+            details.push({ icon: '📧', label: 'Email', value: email.address });
+        });
+        if (contact.website) details.push({ icon: '🌐', label: 'Website', value: contact.website });
+        if (contact.address) details.push({ icon: '📍', label: 'Address', value: contact.address });
+        if (contact.eventTag) details.push({ icon: '🏷️', label: 'Event', value: contact.eventTag });
+
+        return details;
+    }
+
     /**
      * Share contact via WhatsApp
      * Formats contact as text message and opens WhatsApp share link
@@ -14,21 +39,9 @@ class ShareHandler {
         // Format contact information as text
         let message = `📇 *${contact.name || 'Contact'}*\n\n`;
         
-        if (contact.phone) {
-            message += `📞 Phone: ${contact.phone}\n`;
-        }
-        
-        if (contact.email) {
-            message += `📧 Email: ${contact.email}\n`;
-        }
-        
-        if (contact.company) {
-            message += `🏢 Company: ${contact.company}\n`;
-        }
-        
-        if (contact.eventTag) {
-            message += `🏷️ Event: ${contact.eventTag}\n`;
-        }
+        this.getDetails(contact).forEach(detail => {
+            message += `${detail.icon} ${detail.label}: ${detail.value}\n`;
+        });
 
         // Generate vCard if needed (for mobile WhatsApp)
         const vcardString = vCardHandler.generate(contact);
@@ -60,18 +73,9 @@ class ShareHandler {
         let body = `Please find the contact information below:\n\n`;
         
         body += `Name: ${contact.name || 'N/A'}\n`;
-        if (contact.phone) {
-            body += `Phone: ${contact.phone}\n`;
-        }
-        if (contact.email) {
-            body += `Email: ${contact.email}\n`;
-        }
-        if (contact.company) {
-            body += `Company: ${contact.company}\n`;
-        }
-        if (contact.eventTag) {
-            body += `Event: ${contact.eventTag}\n`;
-        }
+        this.getDetails(contact).forEach(detail => {
+            body += `${detail.label}: ${detail.value}\n`;
+        });
         
         body += `\n\n---\nContact saved from Business Card Scanner`;
 
@@ -116,10 +120,9 @@ class ShareHandler {
         
         contacts.forEach((contact, index) => {
             message += `${index + 1}. *${contact.name || 'Contact'}*\n`;
-            if (contact.phone) message += `   📞 ${contact.phone}\n`;
-            if (contact.email) message += `   📧 ${contact.email}\n`;
-            if (contact.company) message += `   🏢 ${contact.company}\n`;
-            if (contact.eventTag) message += `   🏷️ ${contact.eventTag}\n`;
+            this.getDetails(contact).forEach(detail => {
+                message += `   ${detail.icon} ${detail.value}\n`;
+            });
             message += '\n';
         });
 
@@ -140,10 +143,9 @@ class ShareHandler {
         
         contacts.forEach((contact, index) => {
             body += `${index + 1}. ${contact.name || 'Contact'}\n`;
-            if (contact.phone) body += `   Phone: ${contact.phone}\n`;
-            if (contact.email) body += `   Email: ${contact.email}\n`;
-            if (contact.company) body += `   Company: ${contact.company}\n`;
-            if (contact.eventTag) body += `   Event: ${contact.eventTag}\n`;
+            this.getDetails(contact).forEach(detail => {
+                body += `   ${detail.label}: ${detail.value}\n`;
+            });
             body += '\n';
         });
 
@@ -165,10 +167,9 @@ class ShareHandler {
      */
     async copyToClipboard(contact) {
         let text = `${contact.name || 'Contact'}\n`;
-        if (contact.phone) text += `Phone: ${contact.phone}\n`;
-        if (contact.email) text += `Email: ${contact.email}\n`;
-        if (contact.company) text += `Company: ${contact.company}\n`;
-        if (contact.eventTag) text += `Event: ${contact.eventTag}\n`;
+        this.getDetails(contact).forEach(detail => {
+            text += `${detail.label}: ${detail.value}\n`;
+        });
 
         try {
             await navigator.clipboard.writeText(text);
@@ -12,7 +12,9 @@ class TesseractFileDownloader {
         const files = {
             worker: false,
             core: false,
-            lang: false
+            lang: false,
+            // Enabled language packs missing from tessdata/ (see languagePackManager)
+            missingLanguages: []
         };
 
         try {
@@ -32,9 +34,10 @@ class TesseractFileDownloader {
         }
 
         try {
-            // Check language file
-            const langResponse = await fetch('./tessdata/en.traineddata', { method: 'HEAD' });
-            files.lang = langResponse.ok;
+            // Check language files for every enabled OCR language
+            await languagePackManager.detectInstalled(true);
+            files.missingLanguages = await languagePackManager.getMissingPacks();
+            files.lang = files.missingLanguages.length === 0;
         } catch (e) {
             files.lang = false;
         }
@@ -82,7 +85,9 @@ class TesseractFileDownloader {
 
         if (!files.worker) missingFiles.push({ name: 'worker.min.js', url: 'https://cdn.jsdelivr.net/npm/tesseract.js@4/dist/worker.min.js', path: 'tesseract/' });
         if (!files.core) missingFiles.push({ name: 'tesseract-core.wasm.js', url: 'https://cdn.jsdelivr.net/npm/tesseract.js@4/dist/tesseract-core.wasm.js', path: 'tesseract/' });
-        if (!files.lang) missingFiles.push({ name: 'en.traineddata', url: 'https://tessdata.projectnaptha.com/4.0.0/eng.traineddata.gz', path: 'tessdata/', note: 'Extract the .gz file after downloading' });
+        for (const pack of files.missingLanguages) {
+            missingFiles.push({ name: pack.file, url: pack.url, path: 'tessdata/', note: `${pack.name} OCR - extract the .gz file after downloading` });
+        }
 
         if (missingFiles.length === 0) {
             return null; // All files present
@@ -104,7 +109,7 @@ class TesseractFileDownloader {
         const results = [];
         
         for (const file of missingFiles) {
-            if (file.name.endsWith('.gz')) {
+            if (file.url.endsWith('.gz')) {
                 // For .gz files, just show instructions
                 results.push({
                     file: file.name,
@@ -1,10 +1,107 @@
 /**
  * vCard Module
  * Handles vCard format generation and parsing
- * Supports vCard 3.0 specification
+ * Generates vCard 3.0 (RFC 2426) or 4.0 (RFC 6350), optionally with the card image as PHOTO
  */
 
 class VCardHandler {
+    constructor() {
+        // Versions generate() can write; 3.0 is understood by the most address books
+        this.versions = ['3.0', '4.0'];
+        this.defaultVersion = '3.0';
+
+        // Contact phone types mapped to vCard TEL TYPE parameters
+        this.phoneTypes = {
+            mobile: 'CELL',
+            office: 'WORK,VOICE',
+            fax: 'WORK,FAX',
+            other: 'VOICE'
+        };
+        // vCard 4.0 type values are lowercase
+        this.phoneTypesV4 = {
+            mobile: 'cell',
+            office: 'work,voice',
+            fax: 'work,fax',
+            other: 'voice'
+        };
+        // Contact email types mapped to vCard 4.0 TYPE values (others get no TYPE)
+        this.emailTypesV4 = {
+            work: 'work',
+            home: 'home',
+            personal: 'home'
+        };
+
+        // Scripts that identify the language of a card, for the vCard 4.0 LANG property
+        // (Latin, Cyrillic, Arabic and Devanagari are shared by too many languages to tell)
+        this.scriptLanguages = [
+            { pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/u, lang: 'ja' },
+            { pattern: /\p{Script=Hangul}/u, lang: 'ko' },
+            { pattern: /\p{Script=Han}/u, lang: 'zh' },
+            { pattern: /\p{Script=Thai}/u, lang: 'th' },
+            { pattern: /\p{Script=Greek}/u, lang: 'el' },
+            { pattern: /\p{Script=Hebrew}/u, lang: 'he' },
+            { pattern: /\p{Script=Georgian}/u, lang: 'ka' },
+            { pattern: /\p{Script=Armenian}/u, lang: 'hy' }
+        ];
+
+        // Properties generate() always writes anew, so parsed ones aren't kept as extras
+        this.regeneratedProperties = ['VERSION', 'FN', 'N', 'KIND', 'REV'];
+        // Properties read into fields that generate() writes in its own way (ORG without
+        // departments, ADR as one street line, fixed TEL/EMAIL types); the lines they were
+        // read from are kept in sourceProperties and written back while the field is unchanged
+        this.sourcePropertyNames = ['ORG', 'ADR', 'TEL', 'EMAIL'];
+
+        // Parameters each version defines; stored properties lose any others (X- ones are kept)
+        this.versionParameters = {
+            '3.0': ['TYPE', 'VALUE', 'ENCODING', 'LANGUAGE'],
+            '4.0': ['TYPE', 'VALUE', 'PREF', 'LANGUAGE', 'ALTID', 'PID', 'MEDIATYPE', 'CALSCALE', 'SORT-AS', 'GEO', 'TZ', 'LABEL']
+        };
+        // Properties only one version has; stored ones are dropped when writing the other
+        this.versionProperties = {
+            '3.0': ['AGENT', 'CLASS', 'LABEL', 'MAILER', 'NAME', 'PROFILE', 'SORT-STRING'],
+            '4.0': ['ANNIVERSARY', 'CLIENTPIDMAP', 'GENDER', 'MEMBER', 'RELATED', 'XML']
+        };
+        // Top-level media type of inline binary values (3.0 TYPE=JPEG ↔ 4.0 data:image/jpeg)
+        this.mediaTypes = { PHOTO: 'image', LOGO: 'image', SOUND: 'audio', KEY: 'application' };
+
+        // Photo embedded by getPhoto(): none, the whole front of the card, or the
+        // area marked on it (headshot or logo; the whole card if none is marked)
+        this.photoModes = ['none', 'card', 'area'];
+        this.photoMode = 'none';
+        // Address books shrink or reject large photos; base64 adds a third to the size
+        this.photoMaxSize = 480;
+        this.photoMaxBytes = 48 * 1024;
+
+        // Content lines are folded at this many octets (RFC 2426 2.6, RFC 6350 3.2)
+        this.maxLineOctets = 75;
+    }
+
+    /**
+     * Set the version written when none is passed to generate()
+     * @param {string} version - '3.0' or '4.0'
+     * @returns {string} - The version now in use
+     */
+    setDefaultVersion(version) {
+        if (!this.versions.includes(version)) {
+            throw new Error(`Unsupported vCard version: ${version}`);
+        }
+        this.defaultVersion = version;
+        return version;
+    }
+
+    /**
+     * Set the photo getPhoto() embeds when no mode is passed
+     * @param {string} mode - 'none', 'card' or 'area'
+     * @returns {string} - The mode now in use
+     */
+    setPhotoMode(mode) {
+        if (!this.photoModes.includes(mode)) {
+            throw new Error(`Unsupported photo mode: ${mode}`);
+        }
+        this.photoMode = mode;
+        return mode;
+    }
+
     /**
      * Escape special characters in vCard fields
      * @param {string} value - Value to escape
@@ -21,143 +118,946 @@ class VCardHandler {
     }
 
     /**
-     * Generate vCard 3.0 format string from contact object
-     * @param {Object} contact - Contact object with name, phone, email, company
-     * @returns {string} - vCard formatted string
+     * Generate vCard format string from contact object
+     * @param {Object} contact - Contact object with name, title, company, phones, emails, website, address
+     * @param {Object} options - { version: '3.0'|'4.0' (defaults to defaultVersion),
+     *   photo: { type: 'JPEG', data } from getPhoto() (optional) }
+     * @returns {string} - vCard formatted string, folded at 75 octets
+     */
+    generate(contact, options = {}) {
+        const version = options.version || this.defaultVersion;
+        if (!this.versions.includes(version)) {
+            throw new Error(`Unsupported vCard version: ${version}`);
+        }
+        const lines = version === '4.0' ? this.generateV4(contact, options) : this.generateV3(contact, options);
+        return lines.map(line => this.fold(line)).join('\r\n');
+    }
+
+    /**
+     * Generate vCard 3.0 content lines from contact object
+     * @param {Object} contact - Contact object
+     * @param {Object} options - { photo } (see generate())
+     * @returns {Array<string>} - Unfolded content lines
      */
-    generate(contact) {
+    generateV3(contact, options = {}) {
         const lines = ['BEGIN:VCARD', 'VERSION:3.0'];
+        const stored = this.getStoredProperties(contact, '3.0', options);
 
         // Full name (FN field is required)
         if (contact.name) {
             lines.push(`FN:${this.escape(contact.name)}`);
             // Split name into components if possible
+            // Saved contacts already carry them (see contactManager.splitName)
+            const parts = contact.nameParts;
             const nameParts = contact.name.trim().split(/\s+/);
-            if (nameParts.length > 1) {
+            if (parts) {
+                const components = [parts.family, parts.given, parts.middle, parts.prefix, parts.suffix];
+                lines.push(`N:${components.map(part => this.escape(part || '')).join(';')}`);
+            } else if (nameParts.length > 1) {
                 lines.push(`N:${this.escape(nameParts[nameParts.length - 1])};${this.escape(nameParts.slice(0, -1).join(' '))};;;`);
             } else {
                 lines.push(`N:${this.escape(contact.name)};;;`);
             }
         }
 
-        // Phone number
-        if (contact.phone) {
-            // Clean phone number (remove spaces, dashes, etc.)
-            const cleanPhone = contact.phone.replace(/[\s\-\(\)]/g, '');
-            lines.push(`TEL;TYPE=CELL:${this.escape(cleanPhone)}`);
-        }
-
-        // Email
-        if (contact.email) {
-            lines.push(`EMAIL;TYPE=INTERNET:${this.escape(contact.email)}`);
+        // Job title
+        if (contact.title) {
+            lines.push(`TITLE:${this.escape(contact.title)}`);
         }
 
         // Organization/Company
-        if (contact.company) {
+        if (contact.company && !stored.company) {
             lines.push(`ORG:${this.escape(contact.company)}`);
         }
 
+        // Phone numbers, typed (mobile, office, fax)
+        contactManager.getPhones(contact).filter(phone => !stored.phones.has(this.getPhoneKey(phone))).forEach(phone => {
+            // E.164 when the number parsed, otherwise the number without spaces/dashes
+            let value = phone.e164 || phone.number.replace(/[\s\-\(\)]/g, '');
+            if (phone.e164 && phone.extension) {
+                value += ` ext. ${phone.extension}`;
+            }
+            lines.push(`TEL;TYPE=${this.phoneTypes[phone.type] || this.phoneTypes.other}:${this.escape(value)}`);
+        });
+
+        // Emails
+        contactManager.getEmails(contact).filter(email => !stored.emails.has(this.getEmailKey(email))).forEach(email => {
+            lines.push(`EMAIL;TYPE=INTERNET:${this.escape(email.address)}`);
+        });
+
+        // Website
+        if (contact.website) {
+            lines.push(`URL:${this.escape(contact.website)}`);
+        }
+
+        // Address (kept as a single street line; OCR can't reliably split city/region/postcode)
+        if (contact.address && !stored.address) {
+            lines.push(`ADR;TYPE=WORK:;;${this.escape(contact.address)};;;;`);
+        }
+
         // Custom field for event tag
         if (contact.eventTag) {
             lines.push(`X-EVENT-TAG:${this.escape(contact.eventTag)}`);
         }
 
+        if (contact.notes) {
+            lines.push(`NOTE:${this.escape(contact.notes)}`);
+        }
+
+        // Card image or marked area, base64 inline
+        if (options.photo) {
+            lines.push(`PHOTO;ENCODING=b;TYPE=${options.photo.type}:${options.photo.data}`);
+        }
+
+        // Properties of an imported card that no field holds or the fields can't reproduce
+        lines.push(...stored.lines);
+
         // End of vCard
         lines.push('END:VCARD');
 
-        return lines.join('\r\n');
+        return lines;
+    }
+
+    /**
+     * Generate vCard 4.0 (RFC 6350) format string from contact object
+     * Numbers that parsed are tel: URIs; the primary phone and email are marked PREF=1;
+     * REV and UID let address book servers tell versions and contacts apart
+     * @param {Object} contact - Contact object
+     * @param {Object} options - { photo } (see generate())
+     * @returns {Array<string>} - Unfolded content lines
+     */
+    generateV4(contact, options = {}) {
+        const lines = ['BEGIN:VCARD', 'VERSION:4.0'];
+        const stored = this.getStoredProperties(contact, '4.0', options);
+
+        // A card without a person's name describes the company itself
+        lines.push(`KIND:${contact.name ? 'individual' : 'org'}`);
+
+        // FN is required in 4.0
+        lines.push(`FN:${this.escape(contact.name || contact.company)}`);
+        if (contact.name) {
+            // Family;Given;Additional;Prefixes;Suffixes - the last three may list several values
+            const parts = contact.nameParts || contactManager.splitName(contact.name);
+            const list = (text) => String(text || '').split(/\s+/).filter(Boolean).map(word => this.escape(word)).join(',');
+            const components = [this.escape(parts.family), this.escape(parts.given), list(parts.middle), list(parts.prefix), list(parts.suffix)];
+            lines.push(`N:${components.join(';')}`);
+        }
+
+        if (contact.title) {
+            lines.push(`TITLE:${this.escape(contact.title)}`);
+        }
+
+        if (contact.company && !stored.company) {
+            lines.push(`ORG:${this.escape(contact.company)}`);
+        }
+
+        // The phone field is the first non-fax number; it is the preferred one
+        const phones = contactManager.getPhones(contact);
+        const preferred = phones.find(phone => phone.type !== 'fax') || phones[0];
+        phones.filter(phone => !stored.phones.has(this.getPhoneKey(phone))).forEach(phone => {
+            const params = [`TYPE=${this.phoneTypesV4[phone.type] || this.phoneTypesV4.other}`];
+            if (phone === preferred) params.push('PREF=1');
+
+            if (phone.e164) {
+                const uri = `tel:${phone.e164}${phone.extension ? `;ext=${phone.extension}` : ''}`;
+                lines.push(`TEL;VALUE=uri;${params.join(';')}:${uri}`);
+            } else {
+                // Numbers outside the metadata can't be tel: URIs; 4.0 still allows text
+                lines.push(`TEL;${params.join(';')}:${this.escape(phone.number)}`);
+            }
+        });
+
+        contactManager.getEmails(contact).forEach((email, index) => {
+            if (stored.emails.has(this.getEmailKey(email))) return;
+            const params = [];
+            if (this.emailTypesV4[email.type]) params.push(`TYPE=${this.emailTypesV4[email.type]}`);
+            if (index === 0) params.push('PREF=1');
+            lines.push(`EMAIL${params.map(param => `;${param}`).join('')}:${this.escape(email.address)}`);
+        });
+
+        // URL is a URI in 4.0, so a bare host name gets a scheme
+        if (contact.website) {
+            const url = /^[a-z][a-z\d+.-]*:/i.test(contact.website) ? contact.website : `https://${contact.website}`;
+            lines.push(`URL:${url}`);
+        }
+
+        if (contact.address && !stored.address) {
+            lines.push(`ADR;TYPE=work:;;${this.escape(contact.address)};;;;`);
+        }
+
+        const lang = contact.language || this.detectLanguage(contact);
+        if (lang) {
+            lines.push(`LANG:${lang}`);
+        }
+
+        if (contact.eventTag) {
+            lines.push(`X-EVENT-TAG:${this.escape(contact.eventTag)}`);
+        }
+
+        if (contact.notes) {
+            lines.push(`NOTE:${this.escape(contact.notes)}`);
+        }
+
+        // 4.0 photos are data: URIs
+        if (options.photo) {
+            lines.push(`PHOTO:data:image/${options.photo.type.toLowerCase()};base64,${options.photo.data}`);
+        }
+
+        lines.push(...stored.lines);
+
+        lines.push(`REV:${this.formatTimestamp(contact.updatedAt || contact.createdAt || new Date().toISOString())}`);
+        // Unsaved contacts get a new UID on every export
+        lines.push(`UID:urn:uuid:${contact.uid || contactManager.createUid()}`);
+
+        lines.push('END:VCARD');
+        return lines;
+    }
+
+    /**
+     * Stored properties of an imported card to write back, converted for the version
+     * A source property is written in place of its field's generated line while the field
+     * still has the value read from it, and dropped (with its group's label) once edited.
+     * An embedded photo replaces a PHOTO the card came with.
+     * @param {Object} contact - Contact object
+     * @param {string} version - '3.0' or '4.0'
+     * @param {Object} options - { photo } (see generate())
+     * @returns {Object} - { lines, company, address, phones, emails }: the content lines, and
+     *   the fields they already write (phones/emails: Sets of getPhoneKey()/getEmailKey() keys)
+     */
+    getStoredProperties(contact, version, options = {}) {
+        const parse = (lines) => (lines || []).map(line => this.parseProperty(line)).filter(Boolean);
+        const source = parse(contact.sourceProperties);
+        const labels = this.getLabels(source);
+        const stored = { lines: [], company: false, address: false, phones: new Set(), emails: new Set() };
+
+        const phones = new Set(contactManager.getPhones(contact).map(phone => this.getPhoneKey(phone)));
+        const emails = new Set(contactManager.getEmails(contact).map(email => this.getEmailKey(email)));
+        const written = source.filter(property => {
+            if (property.name === 'ORG' && !stored.company) {
+                stored.company = this.readCompany(property) === String(contact.company || '').trim();
+                return stored.company;
+            }
+            if (property.name === 'ADR' && !stored.address) {
+                stored.address = this.readAddress(property) === String(contact.address || '').trim();
+                return stored.address;
+            }
+            // Each phone and email is written by one property at most
+            if (property.name === 'TEL' || property.name === 'EMAIL') {
+                const [keys, covered] = property.name === 'TEL' ? [phones, stored.phones] : [emails, stored.emails];
+                const key = property.name === 'TEL'
+                    ? this.getPhoneKey(this.readPhone(property, labels))
+                    : this.getEmailKey(this.readEmail(property, labels));
+                if (!keys.has(key) || covered.has(key)) return false;
+                covered.add(key);
+                return true;
+            }
+            return false;
+        });
+        const groups = new Set(written.map(property => property.group).filter(Boolean));
+
+        stored.lines = [
+            ...source.filter(property => written.includes(property) || (property.name === 'X-ABLABEL' && groups.has(property.group))),
+            ...parse(contact.extraProperties).filter(property => !(options.photo && property.name === 'PHOTO'))
+        ]
+            .map(property => this.convertProperty(property, version))
+            .filter(Boolean)
+            .map(property => this.writeProperty(property));
+
+        return stored;
+    }
+
+    /**
+     * Comparison key of a phone list entry, so a stored TEL matches its number however it is formatted
+     * @param {Object} phone - { type, number }
+     * @returns {string} - Type and E.164 plus extension, or type and digits if the number doesn't parse
+     */
+    getPhoneKey(phone) {
+        const parsed = phoneParser.parse(phone.number);
+        const number = parsed && parsed.valid ? parsed.e164 + parsed.extension : String(phone.number).replace(/\D/g, '');
+        return `${phone.type}:${number}`;
+    }
+
+    /**
+     * Comparison key of an email list entry
+     * @param {Object} email - { type, address }
+     * @returns {string} - Type and lowercase address
+     */
+    getEmailKey(email) {
+        return `${email.type}:${email.address.trim().toLowerCase()}`;
+    }
+
+    /**
+     * Remove what 3.0 and 4.0 don't have from a parsed 2.1 property
+     * parseProperty() already decoded quoted-printable values, so the encoding and
+     * CHARSET go; 2.1 BASE64 and VALUE=URL get their 3.0 names
+     * @param {Object} property - From parseProperty()
+     * @returns {Object} - Copy of the property
+     */
+    normalizeProperty(property) {
+        const params = { ...property.params };
+        let value = property.value;
+        delete params.CHARSET;
+
+        const encoding = (params.ENCODING || [])[0];
+        if (['QUOTED-PRINTABLE', '8BIT', '7BIT'].includes(encoding)) {
+            delete params.ENCODING;
+            // Decoded line breaks are escaped in 3.0/4.0 text
+            value = value.replace(/\r?\n/g, '\\n');
+        } else if (encoding === 'BASE64' || encoding === 'B') {
+            params.ENCODING = ['b'];
+            value = value.replace(/\s+/g, '');
+        }
+        if ((params.VALUE || [])[0] === 'URL') {
+            params.VALUE = ['URI'];
+        }
+
+        return { ...property, params, value };
+    }
+
+    /**
+     * Rewrite a stored property for the version written
+     * Inline binary values are ENCODING=b in 3.0 and data: URIs in 4.0, tel: URIs become
+     * numbers in 3.0, PREF=1 and TYPE=PREF swap, and parameters the version doesn't define go
+     * @param {Object} property - From parseProperty()
+     * @param {string} version - '3.0' or '4.0'
+     * @returns {Object|null} - Converted property, or null if the version has no such property
+     */
+    convertProperty(property, version) {
+        const other = version === '4.0' ? '3.0' : '4.0';
+        if (this.versionProperties[other].includes(property.name)) {
+            return null;
+        }
+
+        const converted = this.normalizeProperty(property);
+        const { params } = converted;
+        const types = params.TYPE || [];
+
+        if (version === '4.0') {
+            if (params.ENCODING) {
+                const subtype = (types[0] || 'octet-stream').toLowerCase();
+                converted.value = `data:${this.mediaTypes[property.name] || 'application'}/${subtype};base64,${converted.value}`;
+                delete params.ENCODING;
+                delete params.TYPE;
+                delete params.VALUE;
+            } else if (types.includes('PREF')) {
+                params.TYPE = types.filter(type => type !== 'PREF');
+                params.PREF = params.PREF || ['1'];
+            }
+        } else {
+            const data = converted.value.match(/^data:[^/;,]+\/([^;,]+)[^,]*;base64,(.*)$/i);
+            if (data) {
+                params.ENCODING = ['b'];
+                params.TYPE = [data[1].toUpperCase()];
+                delete params.VALUE;
+                converted.value = data[2];
+            } else if (property.name === 'TEL' && ((params.VALUE || []).includes('URI') || /^tel:/i.test(converted.value))) {
+                converted.value = this.telUriToNumber(converted.value.trim());
+                delete params.VALUE;
+            }
+            if ((params.PREF || [])[0] === '1' && !types.includes('PREF')) {
+                params.TYPE = [...types, 'PREF'];
+            }
+        }
+
+        Object.keys(params).forEach(name => {
+            if (!name.startsWith('X-') && !this.versionParameters[version].includes(name)) {
+                delete params[name];
+            }
+        });
+
+        return converted;
+    }
+
+    /**
+     * Content line of a property
+     * The line it was read from is kept when the two only differ in case, as
+     * parseProperty() uppercases names and parameters
+     * @param {Object} property - { group, name, params, value, line }
+     * @returns {string} - Unfolded content line
+     */
+    writeProperty(property) {
+        // Parameter values are quoted when needed, with RFC 6868 ^-escapes
+        const param = (value) => {
+            const escaped = String(value).replace(/\^/g, '^^').replace(/\n/g, '^n').replace(/"/g, "^'");
+            return /[;:,]/.test(escaped) ? `"${escaped}"` : escaped;
+        };
+        const params = Object.entries(property.params)
+            .filter(([, values]) => values.length > 0)
+            .map(([name, values]) => `;${name}=${values.map(param).join(',')}`)
+            .join('');
+        const line = `${property.group ? `${property.group}.` : ''}${property.name}${params}:${property.value}`;
+
+        return property.line && property.line.toLowerCase() === line.toLowerCase() ? property.line : line;
+    }
+
+    /**
+     * Fold a content line so no line is longer than maxLineOctets
+     * Continuation lines start with a space; UTF-8 characters are never split
+     * @param {string} line - Unfolded content line
+     * @returns {string} - Line with CRLF + space inserted as needed
+     */
+    fold(line) {
+        const parts = [''];
+        let octets = 0;
+
+        for (const char of line) {
+            const codePoint = char.codePointAt(0);
+            const size = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+            // The leading space counts towards a continuation line's length
+            if (octets + size > this.maxLineOctets) {
+                parts.push(' ');
+                octets = 1;
+            }
+            parts[parts.length - 1] += char;
+            octets += size;
+        }
+
+        return parts.join('\r\n');
+    }
+
+    /**
+     * Photo of a saved contact for generate(), from the stored front image
+     * @param {Object} contact - Saved contact (with id; photoRegion marks the 'area')
+     * @param {string} mode - 'none', 'card' or 'area' (defaults to photoMode)
+     * @returns {Promise<Object|null>} - { type: 'JPEG', data }, or null for no photo
+     */
+    async getPhoto(contact, mode = this.photoMode) {
+        if (mode === 'none' || contact.id === undefined) return null;
+
+        const { front } = await contactManager.getImages(contact.id);
+        if (!front) return null;
+        return this.createPhoto(front, mode === 'area' ? contact.photoRegion || null : null);
+    }
+
+    /**
+     * Encode (part of) an image as a JPEG small enough for address books
+     * The quality is lowered first, then the size, until it fits photoMaxBytes
+     * @param {Blob} image - Card image
+     * @param {Object|null} region - { x, y, width, height } as fractions of the image, or null for all of it
+     * @returns {Promise<Object|null>} - { type: 'JPEG', data } with base64 data, or null if the image can't be decoded
+     */
+    async createPhoto(image, region = null) {
+        try {
+            const bitmap = await createImageBitmap(image);
+            const area = region ? {
+                x: Math.round(region.x * bitmap.width),
+                y: Math.round(region.y * bitmap.height),
+                width: Math.max(1, Math.round(region.width * bitmap.width)),
+                height: Math.max(1, Math.round(region.height * bitmap.height))
+            } : { x: 0, y: 0, width: bitmap.width, height: bitmap.height };
+
+            const canvas = document.createElement('canvas');
+            const encode = (scale, quality) => {
+                canvas.width = Math.max(1, Math.round(area.width * scale));
+                canvas.height = Math.max(1, Math.round(area.height * scale));
+                canvas.getContext('2d').drawImage(bitmap, area.x, area.y, area.width, area.height, 0, 0, canvas.width, canvas.height);
+                return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+            };
+
+            let scale = Math.min(1, this.photoMaxSize / Math.max(area.width, area.height));
+            let blob = await encode(scale, 0.85);
+            if (blob.size > this.photoMaxBytes) {
+                blob = await encode(scale, 0.6);
+            }
+            while (blob.size > this.photoMaxBytes && Math.max(canvas.width, canvas.height) > 64) {
+                scale *= 0.75;
+                blob = await encode(scale, 0.6);
+            }
+            bitmap.close();
+
+            return { type: 'JPEG', data: this.toBase64(new Uint8Array(await blob.arrayBuffer())) };
+        } catch (error) {
+            console.warn('Could not create vCard photo:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Base64-encode bytes
+     * @param {Uint8Array} bytes - Data
+     * @returns {string} - Base64 text
+     */
+    toBase64(bytes) {
+        let binary = '';
+        // In chunks, as fromCharCode() takes a limited number of arguments
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Guess the language of a card from the script of its name and company
+     * @param {Object} contact - Contact object
+     * @returns {string} - Language tag (e.g. 'ja'), or '' if the script doesn't tell
+     */
+    detectLanguage(contact) {
+        const text = `${contact.name || ''} ${contact.company || ''}`;
+        const match = this.scriptLanguages.find(({ pattern }) => pattern.test(text));
+        return match ? match.lang : '';
+    }
+
+    /**
+     * Format an ISO date as a vCard 4.0 timestamp (basic format, UTC)
+     * @param {string} isoDate - e.g. "2025-03-01T09:30:00.000Z"
+     * @returns {string} - e.g. "20250301T093000Z"
+     */
+    formatTimestamp(isoDate) {
+        return new Date(isoDate).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
     }
 
     /**
      * Parse vCard string into contact object
+     * A string with several cards gives the first one (see parseAll())
      * @param {string} vcardString - vCard formatted string
      * @returns {Object} - Contact object
      */
     parse(vcardString) {
-        const contact = {
+        return this.parseAll(vcardString)[0] || this.createContact();
+    }
+
+    /**
+     * Parse every card of a .vcf file (vCard 2.1, 3.0 or 4.0)
+     * Cards nested in a card (2.1 AGENT) are skipped
+     * @param {string} vcardString - One or more BEGIN:VCARD ... END:VCARD blocks
+     * @returns {Array<Object>} - Contact objects in file order
+     */
+    parseAll(vcardString) {
+        const cards = [];
+        let properties = null;
+        let depth = 0;
+
+        for (const line of this.unfold(vcardString)) {
+            const property = this.parseProperty(line);
+            if (!property) continue;
+
+            const isCardBoundary = property.value.trim().toUpperCase() === 'VCARD';
+            if (property.name === 'BEGIN' && isCardBoundary) {
+                depth++;
+                if (depth === 1) properties = [];
+            } else if (property.name === 'END' && isCardBoundary) {
+                depth = Math.max(depth - 1, 0);
+                if (depth === 0 && properties) {
+                    cards.push(this.toContact(properties));
+                    properties = null;
+                }
+            } else if (depth === 1) {
+                properties.push(property);
+            }
+        }
+
+        return cards;
+    }
+
+    /**
+     * Empty contact with every field parse() fills
+     * @returns {Object} - Contact object
+     */
+    createContact() {
+        return {
             name: '',
+            title: '',
+            company: '',
             phone: '',
+            fax: '',
             email: '',
-            company: '',
-            eventTag: ''
+            website: '',
+            address: '',
+            phones: [],
+            emails: [],
+            eventTag: '',
+            notes: '',
+            uid: '',
+            language: '',
+            // Unfolded lines of the properties no field holds (see toContact())
+            extraProperties: [],
+            // Unfolded lines of the ORG/ADR/TEL/EMAIL properties the fields were read from
+            sourceProperties: []
         };
+    }
 
-        if (!vcardString) return contact;
+    /**
+     * Join folded lines back into one line per property
+     * 3.0/4.0 folds start with a space or tab that is dropped; 2.1 keeps it.
+     * Quoted-printable values continue after a line ending in "=" (soft line break).
+     * @param {string} text - vCard text
+     * @returns {Array<string>} - Unfolded non-empty lines
+     */
+    unfold(text) {
+        const lines = [];
+        let version = '';
 
-        // Split into lines and process
-        const lines = vcardString.split(/[\r\n]+/);
-        
-        for (const line of lines) {
-            if (!line.trim() || line.startsWith('BEGIN') || line.startsWith('END')) {
-                continue;
-            }
-
-            // Parse vCard line format: FIELD:value or FIELD;params:value
-            const match = line.match(/^([^:]+):(.+)$/);
-            if (!match) continue;
-
-            const [, fieldPart, value] = match;
-            const field = fieldPart.split(';')[0].toUpperCase();
-            const unescapedValue = this.unescape(value);
-
-            switch (field) {
-                case 'FN':
-                    contact.name = unescapedValue;
-                    break;
-                case 'N':
-                    // Name field format: Last;First;Middle;Prefix;Suffix
-                    const nameParts = value.split(';');
-                    if (nameParts.length >= 2) {
-                        const first = this.unescape(nameParts[1]);
-                        const last = this.unescape(nameParts[0]);
-                        contact.name = `${first} ${last}`.trim();
-                    } else if (nameParts[0]) {
-                        contact.name = this.unescape(nameParts[0]);
-                    }
-                    break;
-                case 'TEL':
-                    if (!contact.phone) {
-                        contact.phone = unescapedValue;
-                    }
-                    break;
-                case 'EMAIL':
-                    if (!contact.email) {
-                        contact.email = unescapedValue;
-                    }
-                    break;
-                case 'ORG':
-                    contact.company = unescapedValue;
-                    break;
-                case 'X-EVENT-TAG':
-                    contact.eventTag = unescapedValue;
-                    break;
+        String(text || '').split(/\r\n|\r|\n/).forEach(raw => {
+            const last = lines.length - 1;
+            if (last >= 0 && lines[last].endsWith('=') && this.isQuotedPrintable(lines[last])) {
+                lines[last] = lines[last].slice(0, -1) + raw;
+            } else if (last >= 0 && /^[ \t]/.test(raw)) {
+                lines[last] += version === '2.1' ? raw : raw.slice(1);
+            } else if (raw.trim()) {
+                const match = raw.match(/^VERSION:(.*)$/i);
+                if (match) version = match[1].trim();
+                lines.push(raw);
+            }
+        });
+
+        return lines;
+    }
+
+    /**
+     * Whether a property line holds a quoted-printable value
+     * @param {string} line - Property line
+     * @returns {boolean}
+     */
+    isQuotedPrintable(line) {
+        const colon = line.indexOf(':');
+        return colon >= 0 && /QUOTED-PRINTABLE/i.test(line.slice(0, colon));
+    }
+
+    /**
+     * Split a string on a separator that is not inside double quotes
+     * @param {string} text - Text to split
+     * @param {string} separator - Single character
+     * @param {number} limit - Split at most this many times (optional)
+     * @returns {Array<string>} - Parts
+     */
+    splitUnquoted(text, separator, limit = Infinity) {
+        const parts = [''];
+        let quoted = false;
+
+        for (const char of text) {
+            if (char === '"') quoted = !quoted;
+            if (char === separator && !quoted && parts.length <= limit) {
+                parts.push('');
+            } else {
+                parts[parts.length - 1] += char;
+            }
+        }
+
+        return parts;
+    }
+
+    /**
+     * Split one unfolded line into group, name, parameters and value
+     * "item1.TEL;TYPE=work,voice;PREF=1:..." gives group "item1", name "TEL" and
+     * params { TYPE: ['WORK', 'VOICE'], PREF: ['1'] }. 2.1 parameters without a name
+     * ("TEL;WORK;FAX") are types, or the encoding.
+     * @param {string} line - Unfolded property line
+     * @returns {Object|null} - { group, name, params, value, line } (value still escaped,
+     *   line as read), or null
+     */
+    parseProperty(line) {
+        const [head, value] = this.splitUnquoted(line, ':', 1);
+        if (value === undefined) return null;
+
+        const [fullName, ...rawParams] = this.splitUnquoted(head, ';');
+        const dot = fullName.lastIndexOf('.');
+        const property = {
+            group: dot >= 0 ? fullName.slice(0, dot) : '',
+            name: fullName.slice(dot + 1).trim().toUpperCase(),
+            params: {},
+            value,
+            line
+        };
+
+        rawParams.forEach(rawParam => {
+            const [key, rawValue] = this.splitUnquoted(rawParam, '=', 1);
+            let name = key.trim().toUpperCase();
+            let values;
+            if (rawValue === undefined) {
+                values = [name];
+                name = ['QUOTED-PRINTABLE', 'BASE64', '8BIT', '7BIT'].includes(name) ? 'ENCODING' : 'TYPE';
+            } else {
+                // Parameter values may be quoted and use ^-escapes (RFC 6868)
+                values = this.splitUnquoted(rawValue, ',').map(part => part.trim()
+                    .replace(/^"|"$/g, '')
+                    .replace(/\^(.)/g, (match, char) => ({ n: '\n', "'": '"', '^': '^' })[char] || match));
             }
+            if (['TYPE', 'ENCODING', 'VALUE'].includes(name)) {
+                values = values.map(part => part.toUpperCase());
+            }
+            property.params[name] = [...(property.params[name] || []), ...values];
+        });
+
+        if ((property.params.ENCODING || []).includes('QUOTED-PRINTABLE')) {
+            property.value = this.decodeQuotedPrintable(value, (property.params.CHARSET || [])[0]);
         }
 
+        return property;
+    }
+
+    /**
+     * Decode a quoted-printable value (vCard 2.1)
+     * @param {string} value - Encoded value, soft line breaks already removed
+     * @param {string} charset - CHARSET parameter (defaults to UTF-8)
+     * @returns {string} - Decoded text
+     */
+    decodeQuotedPrintable(value, charset = 'utf-8') {
+        const bytes = [];
+        const encoder = new TextEncoder();
+
+        for (let i = 0; i < value.length; i++) {
+            const hex = value.slice(i + 1, i + 3);
+            if (value[i] === '=' && /^[0-9A-F]{2}$/i.test(hex)) {
+                bytes.push(parseInt(hex, 16));
+                i += 2;
+            } else {
+                bytes.push(...encoder.encode(value[i]));
+            }
+        }
+
+        let decoder;
+        try {
+            decoder = new TextDecoder(charset || 'utf-8');
+        } catch (error) {
+            // Unknown charset label
+            decoder = new TextDecoder('utf-8');
+        }
+        return decoder.decode(new Uint8Array(bytes)).replace(/\r\n?/g, '\n');
+    }
+
+    /**
+     * Split a structured value (N, ADR, ORG) on unescaped separators
+     * @param {string} value - Escaped value
+     * @param {string} separator - ';' between components, ',' between list items
+     * @returns {Array<string>} - Parts, still escaped
+     */
+    splitValue(value, separator = ';') {
+        const parts = [''];
+
+        for (let i = 0; i < value.length; i++) {
+            if (value[i] === '\\' && i + 1 < value.length) {
+                parts[parts.length - 1] += value[i] + value[i + 1];
+                i++;
+            } else if (value[i] === separator) {
+                parts.push('');
+            } else {
+                parts[parts.length - 1] += value[i];
+            }
+        }
+
+        return parts;
+    }
+
+    /**
+     * Convert a tel: URI to a phone number phoneParser understands
+     * @param {string} value - e.g. "tel:+1-555-123-4567;ext=12"
+     * @returns {string} - e.g. "+1-555-123-4567 ext. 12"
+     */
+    telUriToNumber(value) {
+        const [number, ...params] = value.replace(/^tel:/i, '').split(';');
+        const ext = params.find(param => /^ext=/i.test(param));
+        return ext ? `${number} ext. ${ext.slice(4)}` : number;
+    }
+
+    /**
+     * Build a contact from the properties of one card
+     * Several TEL/EMAIL properties all become list entries, most preferred first
+     * (PREF=1 in 4.0, TYPE=PREF before); the first non-fax and fax number and the
+     * first email fill the phone, fax and email fields. Apple-style groups
+     * ("item1.TEL" + "item1.X-ABLabel:Fax") take their type from the label.
+     * Properties no field holds (other than those generate() rewrites) are kept in
+     * extraProperties, and the ORG/ADR/TEL/EMAIL properties read into fields (with the
+     * labels of their groups) in sourceProperties, so generate() can write them back.
+     * 2.1 lines are stored without quoted-printable and CHARSET (see normalizeProperty()).
+     * @param {Array<Object>} properties - From parseProperty()
+     * @returns {Object} - Contact object
+     */
+    toContact(properties) {
+        const contact = this.createContact();
+
+        const labels = this.getLabels(properties);
+        const prefOf = (property) => {
+            if (property.params.PREF) return parseInt(property.params.PREF[0]) || 100;
+            return this.getTypes(property, labels).includes('PREF') ? 1 : 101;
+        };
+        // Properties a field was read from, and their groups
+        const used = new Set();
+        const byPref = (name) => properties
+            .filter(property => property.name === name && property.value.trim())
+            .map((property, index) => ({ property, index, pref: prefOf(property) }))
+            .sort((a, b) => a.pref - b.pref || a.index - b.index)
+            .map(({ property }) => property);
+        const first = (name) => {
+            const [property] = byPref(name);
+            if (property) used.add(property);
+            return property;
+        };
+        const text = (name) => {
+            const property = first(name);
+            return property ? this.unescape(property.value).trim() : '';
+        };
+
+        let name = text('FN');
+        const n = first('N');
+        if (!name && n) {
+            // N: Family;Given;Additional;Prefixes;Suffixes
+            const [family, given, middle, prefix, suffix] = this.splitValue(n.value)
+                .map(part => this.splitValue(part, ',').map(item => this.unescape(item).trim()).filter(Boolean).join(' '));
+            name = [prefix, given, middle, family, suffix].filter(Boolean).join(' ');
+        }
+        contact.name = name;
+
+        contact.title = text('TITLE');
+        const org = first('ORG');
+        if (org) {
+            contact.company = this.readCompany(org);
+        }
+
+        byPref('TEL').forEach(property => {
+            used.add(property);
+            const { type, number } = this.readPhone(property, labels);
+            contact.phones.push({ type, number });
+            if (type === 'fax') {
+                if (!contact.fax) contact.fax = number;
+            } else if (!contact.phone) {
+                contact.phone = number;
+            }
+        });
+
+        byPref('EMAIL').forEach(property => {
+            used.add(property);
+            contact.emails.push(this.readEmail(property, labels));
+        });
+        contact.email = contact.emails.length > 0 ? contact.emails[0].address : '';
+
+        contact.website = text('URL');
+
+        const adr = first('ADR');
+        if (adr) {
+            contact.address = this.readAddress(adr);
+        }
+
+        contact.eventTag = text('X-EVENT-TAG');
+        contact.notes = text('NOTE');
+        contact.uid = text('UID').replace(/^urn:uuid:/i, '');
+        contact.language = text('LANG');
+
+        // A label belongs to its group's property; one whose property became a field goes with it
+        const usedGroups = new Set([...used].map(property => property.group).filter(Boolean));
+        const source = [...used].filter(property => this.sourcePropertyNames.includes(property.name));
+        const sourceGroups = new Set(source.map(property => property.group).filter(Boolean));
+        const store = (property) => this.writeProperty(this.normalizeProperty(property));
+
+        contact.extraProperties = properties
+            .filter(property => !used.has(property) && property.value.trim())
+            .filter(property => !this.regeneratedProperties.includes(property.name))
+            .filter(property => !(property.name === 'X-ABLABEL' && usedGroups.has(property.group)))
+            .map(store);
+        contact.sourceProperties = properties
+            .filter(property => source.includes(property) || (property.name === 'X-ABLABEL' && sourceGroups.has(property.group)))
+            .map(store);
+
         return contact;
     }
 
+    /**
+     * Labels of Apple-style groups ("item1.X-ABLabel:_$!<Home>!$_" gives item1 → HOME)
+     * @param {Array<Object>} properties - From parseProperty()
+     * @returns {Object} - Uppercase label by group name
+     */
+    getLabels(properties) {
+        const labels = {};
+        properties
+            .filter(property => property.name === 'X-ABLABEL' && property.group)
+            .forEach(property => {
+                labels[property.group] = this.unescape(property.value).replace(/^_\$!<|>!\$_$/g, '').toUpperCase();
+            });
+        return labels;
+    }
+
+    /**
+     * TYPE parameters of a property plus the label of its group
+     * @param {Object} property - From parseProperty()
+     * @param {Object} labels - From getLabels()
+     * @returns {Array<string>} - Uppercase types
+     */
+    getTypes(property, labels) {
+        return [
+            ...(property.params.TYPE || []),
+            ...(property.group && labels[property.group] ? [labels[property.group]] : [])
+        ];
+    }
+
+    /**
+     * Company of an ORG property; further components are departments (Company;Department)
+     * @param {Object} property - From parseProperty()
+     * @returns {string} - Company name
+     */
+    readCompany(property) {
+        return this.unescape(this.splitValue(property.value)[0]).trim();
+    }
+
+    /**
+     * Address of an ADR property as one line
+     * @param {Object} property - From parseProperty(); PO Box;Extended;Street;City;Region;Postcode;Country
+     * @returns {string} - Non-empty components joined with ", "
+     */
+    readAddress(property) {
+        return this.splitValue(property.value)
+            .map(part => this.unescape(part).replace(/\s*\n\s*/g, ', ').trim())
+            .filter(Boolean)
+            .join(', ');
+    }
+
+    /**
+     * Phone list entry of a TEL property
+     * @param {Object} property - From parseProperty(); text or tel: URI value
+     * @param {Object} labels - From getLabels()
+     * @returns {Object} - { type, number }
+     */
+    readPhone(property, labels) {
+        const isUri = (property.params.VALUE || []).includes('URI') || /^tel:/i.test(property.value);
+        return {
+            type: this.getPhoneType(this.getTypes(property, labels).join(',')),
+            number: isUri ? this.telUriToNumber(property.value.trim()) : this.unescape(property.value).trim()
+        };
+    }
+
+    /**
+     * Email list entry of an EMAIL property
+     * @param {Object} property - From parseProperty()
+     * @param {Object} labels - From getLabels()
+     * @returns {Object} - { type: 'home'|'work', address }
+     */
+    readEmail(property, labels) {
+        return {
+            type: this.getTypes(property, labels).includes('HOME') ? 'home' : 'work',
+            address: this.unescape(property.value).replace(/^mailto:/i, '').trim()
+        };
+    }
+
+    /**
+     * Map the TYPE parameters of a TEL property to a contact phone type
+     * @param {string} fieldPart - Property name and parameters, e.g. "TEL;TYPE=WORK,FAX", or the types alone
+     * @returns {string} - 'mobile', 'office', 'fax' or 'other'
+     */
+    getPhoneType(fieldPart) {
+        const params = fieldPart.toUpperCase();
+        if (params.includes('FAX')) return 'fax';
+        if (params.includes('CELL') || params.includes('MOBILE') || params.includes('IPHONE')) return 'mobile';
+        if (params.includes('WORK')) return 'office';
+        return 'other';
+    }
+
     /**
      * Unescape special characters in vCard fields
+     * One pass, so an escaped backslash before "n" stays a backslash
      * @param {string} value - Escaped value
      * @returns {string} - Unescaped value
      */
     unescape(value) {
         if (!value) return '';
-        return String(value)
-            .replace(/\\n/g, '\n')   // Unescape newlines
-            .replace(/\\,/g, ',')    // Unescape commas
-            .replace(/\\;/g, ';')    // Unescape semicolons
-            .replace(/\\\\/g, '\\'); // Unescape backslashes
+        return String(value).replace(/\\(.)/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
     }
 
     /**
      * Generate vCard file and trigger download
      * @param {Object} contact - Contact object
      * @param {string} filename - Optional filename (defaults to contact name)
+     * @param {Object} options - Passed to generate(), e.g. { version: '4.0' }
      */
-    download(contact, filename = null) {
-        const vcardString = this.generate(contact);
+    download(contact, filename = null, options = {}) {
+        const vcardString = this.generate(contact, options);
         const blob = new Blob([vcardString], { type: 'text/vcard;charset=utf-8' });
         const url = URL.createObjectURL(blob);
         
@@ -174,19 +1074,21 @@ class VCardHandler {
     /**
      * Generate vCard for multiple contacts
      * @param {Array<Object>} contacts - Array of contact objects
+     * @param {Object} options - Passed to generate(), e.g. { version: '4.0' }
      * @returns {string} - Combined vCard string
      */
-    generateBatch(contacts) {
-        return contacts.map(contact => this.generate(contact)).join('\r\n\r\n');
+    generateBatch(contacts, options = {}) {
+        return contacts.map(contact => this.generate(contact, options)).join('\r\n\r\n');
     }
 
     /**
      * Download multiple contacts as a single vCard file
      * @param {Array<Object>} contacts - Array of contact objects
      * @param {string} filename - Optional filename
+     * @param {Object} options - Passed to generate(), e.g. { version: '4.0' }
      */
-    downloadBatch(contacts, filename = 'contacts.vcf') {
-        const vcardString = this.generateBatch(contacts);
+    downloadBatch(contacts, filename = 'contacts.vcf', options = {}) {
+        const vcardString = this.generateBatch(contacts, options);
         const blob = new Blob([vcardString], { type: 'text/vcard;charset=utf-8' });
         const url = URL.createObjectURL(blob);
         
@@ -0,0 +1,160 @@
+/**
+ * Virtual List Module
+ * Renders only the rows of a long list that are in or near view of its scroll container
+ * Rows can differ in height: rendered rows are measured, the others use an estimate
+ * Calls onNearEnd when the user scrolls close to the last loaded row (infinite scrolling)
+ */
+
+class VirtualList {
+    /**
+     * @param {HTMLElement} container - Scroll container (needs a fixed or max height)
+     * @param {Object} options - List options
+     * @param {Function} options.renderItem - (item, index) => HTML string for one row
+     * @param {number} options.estimatedHeight - Height in px assumed for rows not yet measured
+     * @param {number} options.overscan - Rows rendered above and below the visible ones
+     * @param {Function} options.onNearEnd - Called when the last rendered row is near the end
+     * @param {string} options.emptyHtml - Shown when there are no items
+     */
+    constructor(container, options) {
+        this.container = container;
+        this.renderItem = options.renderItem;
+        this.estimatedHeight = options.estimatedHeight || 150;
+        this.overscan = options.overscan || 4;
+        this.onNearEnd = options.onNearEnd || null;
+        this.emptyHtml = options.emptyHtml || '';
+
+        this.items = [];
+        // Measured row heights by index (undefined until the row has been rendered)
+        this.heights = [];
+        // Rows currently in the DOM: [first, last)
+        this.range = null;
+        this.frame = null;
+        this.forceRender = false;
+
+        this.container.innerHTML = '';
+        this.topSpacer = document.createElement('div');
+        this.rows = document.createElement('div');
+        this.bottomSpacer = document.createElement('div');
+        this.container.append(this.topSpacer, this.rows, this.bottomSpacer);
+
+        this.container.addEventListener('scroll', () => this.scheduleRender());
+        window.addEventListener('resize', () => {
+            // Rows reflow at a new width, so all measurements are stale
+            this.heights = [];
+            this.scheduleRender(true);
+        });
+    }
+
+    /**
+     * Replace all items and scroll back to the top
+     * @param {Array} items - Items to show
+     */
+    setItems(items) {
+        this.items = [...items];
+        this.heights = [];
+        this.container.scrollTop = 0;
+        this.render(true);
+    }
+
+    /**
+     * Add items at the end (the next page of an infinite list)
+     * @param {Array} items - Items to append
+     */
+    appendItems(items) {
+        if (items.length === 0) return;
+        this.items.push(...items);
+        this.render(true);
+    }
+
+    /**
+     * Re-render on the next animation frame (coalesces scroll events)
+     * @param {boolean} force - Re-render even if the visible range is unchanged
+     */
+    scheduleRender(force = false) {
+        this.forceRender = this.forceRender || force;
+        if (this.frame) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            const forced = this.forceRender;
+            this.forceRender = false;
+            this.render(forced);
+        });
+    }
+
+    /**
+     * Height of a row, measured or estimated
+     * @param {number} index - Row index
+     * @returns {number} - Height in px
+     */
+    heightOf(index) {
+        return this.heights[index] || this.estimatedHeight;
+    }
+
+    /**
+     * Total height of rows [from, to)
+     * @param {number} from - First row
+     * @param {number} to - Row after the last
+     * @returns {number} - Height in px
+     */
+    heightBetween(from, to) {
+        let height = 0;
+        for (let i = from; i < to; i++) {
+            height += this.heightOf(i);
+        }
+        return height;
+    }
+
+    /**
+     * Render the rows around the visible part of the container
+     * @param {boolean} force - Re-render even if the visible range is unchanged
+     */
+    render(force = false) {
+        const count = this.items.length;
+        if (count === 0) {
+            this.range = null;
+            this.topSpacer.style.height = '0px';
+            this.bottomSpacer.style.height = '0px';
+            this.rows.innerHTML = this.emptyHtml;
+            return;
+        }
+
+        const scrollTop = this.container.scrollTop;
+        const viewportHeight = this.container.clientHeight || window.innerHeight;
+
+        let start = 0;
+        let offset = 0;
+        while (start < count - 1 && offset + this.heightOf(start) <= scrollTop) {
+            offset += this.heightOf(start);
+            start++;
+        }
+        let end = start;
+        let visibleHeight = offset - scrollTop;
+        while (end < count && visibleHeight < viewportHeight) {
+            visibleHeight += this.heightOf(end);
+            end++;
+        }
+
+        const first = Math.max(0, start - this.overscan);
+        const last = Math.min(count, end + this.overscan);
+
+        if (force || !this.range || this.range[0] !== first || this.range[1] !== last) {
+            this.range = [first, last];
+            this.rows.innerHTML = this.items.slice(first, last)
+                .map((item, i) => `<div data-index="${first + i}" class="pb-2">${this.renderItem(item, first + i)}</div>`)
+                .join('');
+
+            // Measure what was rendered so the spacers match real heights
+            Array.from(this.rows.children).forEach(row => {
+                this.heights[Number(row.dataset.index)] = row.offsetHeight;
+            });
+        }
+
+        this.topSpacer.style.height = `${this.heightBetween(0, first)}px`;
+        this.bottomSpacer.style.height = `${this.heightBetween(last, count)}px`;
+
+        if (this.onNearEnd && last >= count - this.overscan) {
+            this.onNearEnd();
+        }
+    }
+}
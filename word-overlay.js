@@ -0,0 +1,260 @@
+/**
+ * Word Overlay Module
+ * Draws boxes around the words OCR found on a card image, colored by the field each word fills
+ * Tapping a box reports the word; dragging over the image reports the selected area
+ * (mouse drags always, touch drags in select mode so the page still scrolls otherwise)
+ * Word boxes and areas are fractions (0-1) of the image size, so they fit the image at any scale
+ */
+
+class WordOverlay {
+    /**
+     * @param {HTMLImageElement} image - Image the words were read from (its parent must be positioned)
+     * @param {Object} options - Overlay options
+     * @param {Function} options.getColor - (word) => CSS color of the word's box, or null if it fills no field
+     * @param {Function} options.onWordSelect - (word, point) called when a box is tapped
+     * @param {Function} options.onRegionSelect - (region, point) called when a drag ends;
+     *   region is { x, y, width, height }
+     * @param {number} options.minDrag - Pointer movement in px that turns a tap into a drag
+     */
+    constructor(image, options) {
+        this.image = image;
+        this.getColor = options.getColor;
+        this.onWordSelect = options.onWordSelect || null;
+        this.onRegionSelect = options.onRegionSelect || null;
+        this.minDrag = options.minDrag || 8;
+
+        // [{ text, line, x, y, width, height }] from ocrProcessor.getWordBoxes()
+        this.words = [];
+        // Tesseract line whose boxes are outlined (the line being reassigned)
+        this.selectedLine = null;
+        this.selectMode = false;
+        // Pointer drag in progress: { id, startX, startY, x, y, touch }
+        this.drag = null;
+
+        this.element = document.createElement('div');
+        this.element.className = 'absolute hidden select-none';
+        this.boxes = document.createElement('div');
+        this.selection = document.createElement('div');
+        this.selection.className = 'hidden absolute border-2 border-dashed border-blue-500 bg-blue-500/10 pointer-events-none';
+        this.element.append(this.boxes, this.selection);
+        image.insertAdjacentElement('afterend', this.element);
+
+        this.element.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.element.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.element.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.element.addEventListener('pointercancel', () => this.endDrag());
+        image.addEventListener('load', () => this.layout());
+        window.addEventListener('resize', () => this.layout());
+    }
+
+    /**
+     * Show the boxes of a newly scanned image (an empty list hides the overlay)
+     * @param {Array<Object>} words - Word boxes
+     */
+    setWords(words) {
+        this.words = words || [];
+        this.selectedLine = null;
+        this.render();
+    }
+
+    /**
+     * Turn select mode on or off; in select mode touch drags select an area instead of scrolling
+     * @param {boolean} enabled - Select mode
+     */
+    setSelectMode(enabled) {
+        this.selectMode = enabled;
+        this.element.style.touchAction = enabled ? 'none' : '';
+        this.element.classList.toggle('cursor-crosshair', enabled);
+        this.layout();
+    }
+
+    /**
+     * Outline the boxes of one line
+     * @param {number|null} line - Line index, or null to clear
+     */
+    selectLine(line) {
+        this.selectedLine = line;
+        this.render();
+    }
+
+    /**
+     * Cover exactly the displayed image (inside its border)
+     */
+    layout() {
+        // In select mode an area can be dragged even where there are no words
+        const visible = (this.words.length > 0 || this.selectMode) && this.image.clientWidth > 0;
+        this.element.classList.toggle('hidden', !visible);
+        if (!visible) return;
+
+        this.element.style.left = `${this.image.offsetLeft + this.image.clientLeft}px`;
+        this.element.style.top = `${this.image.offsetTop + this.image.clientTop}px`;
+        this.element.style.width = `${this.image.clientWidth}px`;
+        this.element.style.height = `${this.image.clientHeight}px`;
+    }
+
+    /**
+     * Redraw the boxes, e.g. after a field changed and words moved to another field
+     */
+    render() {
+        this.layout();
+
+        this.boxes.replaceChildren(...this.words.map(word => {
+            // Words that fill no field are gray
+            const color = this.getColor(word) || 'rgb(156, 163, 175)';
+            const selected = this.selectedLine !== null && word.line === this.selectedLine;
+            const box = document.createElement('div');
+            box.title = word.text;
+            box.className = `absolute border-2 rounded-sm${selected ? ' opacity-60' : ''}`;
+            Object.assign(box.style, {
+                left: `${word.x * 100}%`,
+                top: `${word.y * 100}%`,
+                width: `${word.width * 100}%`,
+                height: `${word.height * 100}%`,
+                borderColor: color,
+                backgroundColor: selected ? color : 'transparent'
+            });
+            return box;
+        }));
+    }
+
+    /**
+     * Pointer position relative to the overlay
+     * @param {PointerEvent} event - Pointer event
+     * @returns {Object} - { x, y } in px
+     */
+    getPoint(event) {
+        const rect = this.element.getBoundingClientRect();
+        return {
+            x: Math.min(Math.max(event.clientX - rect.left, 0), rect.width),
+            y: Math.min(Math.max(event.clientY - rect.top, 0), rect.height)
+        };
+    }
+
+    /**
+     * Start a tap or drag
+     * @param {PointerEvent} event - pointerdown event
+     */
+    handlePointerDown(event) {
+        if (event.button > 0 || this.drag) return;
+        const point = this.getPoint(event);
+        this.drag = {
+            id: event.pointerId,
+            startX: point.x,
+            startY: point.y,
+            x: point.x,
+            y: point.y,
+            // Touch drags scroll the page unless select mode is on
+            touch: event.pointerType !== 'mouse' && !this.selectMode
+        };
+        if (!this.drag.touch) this.element.setPointerCapture(event.pointerId);
+    }
+
+    /**
+     * Draw the selected area while dragging
+     * @param {PointerEvent} event - pointermove event
+     */
+    handlePointerMove(event) {
+        if (!this.drag || this.drag.id !== event.pointerId || this.drag.touch) return;
+        const { x, y } = this.getPoint(event);
+        this.drag.x = x;
+        this.drag.y = y;
+
+        if (this.isDragging()) {
+            const area = this.getDragArea();
+            Object.assign(this.selection.style, {
+                left: `${area.left}px`,
+                top: `${area.top}px`,
+                width: `${area.width}px`,
+                height: `${area.height}px`
+            });
+            this.selection.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Report the tapped box or the selected area
+     * @param {PointerEvent} event - pointerup event
+     */
+    handlePointerUp(event) {
+        if (!this.drag || this.drag.id !== event.pointerId) return;
+        const point = this.getPoint(event);
+        const dragging = this.isDragging();
+        const area = this.getDragArea();
+        this.endDrag();
+
+        if (dragging) {
+            const { width, height } = this.element.getBoundingClientRect();
+            if (this.onRegionSelect && area.width > 0 && area.height > 0) {
+                this.onRegionSelect({
+                    x: area.left / width,
+                    y: area.top / height,
+                    width: area.width / width,
+                    height: area.height / height
+                }, this.toContainer({ x: area.left, y: area.top + area.height }));
+            }
+            return;
+        }
+
+        const word = this.wordAt(point);
+        if (word && this.onWordSelect) {
+            this.onWordSelect(word, this.toContainer(point));
+        }
+    }
+
+    /**
+     * Word whose box contains a point (the pointer is captured, so the event target can't tell)
+     * @param {Object} point - { x, y } relative to the overlay
+     * @returns {Object|null} - Word box, or null if the point is between words
+     */
+    wordAt(point) {
+        const { width, height } = this.element.getBoundingClientRect();
+        const x = point.x / width;
+        const y = point.y / height;
+        return this.words.find(word =>
+            x >= word.x && x <= word.x + word.width && y >= word.y && y <= word.y + word.height) || null;
+    }
+
+    /**
+     * Whether the pointer moved far enough to select an area
+     * @returns {boolean}
+     */
+    isDragging() {
+        if (!this.drag || this.drag.touch) return false;
+        return Math.abs(this.drag.x - this.drag.startX) >= this.minDrag ||
+            Math.abs(this.drag.y - this.drag.startY) >= this.minDrag;
+    }
+
+    /**
+     * Rectangle between the drag start and the pointer
+     * @returns {Object} - { left, top, width, height } in px relative to the overlay
+     */
+    getDragArea() {
+        const { startX, startY, x, y } = this.drag;
+        return {
+            left: Math.min(startX, x),
+            top: Math.min(startY, y),
+            width: Math.abs(x - startX),
+            height: Math.abs(y - startY)
+        };
+    }
+
+    /**
+     * Forget the drag and hide the selection rectangle
+     */
+    endDrag() {
+        this.drag = null;
+        this.selection.classList.add('hidden');
+    }
+
+    /**
+     * Convert a point on the overlay to the image's positioned parent (for menus shown there)
+     * @param {Object} point - { x, y } relative to the overlay
+     * @returns {Object} - { x, y } relative to the parent
+     */
+    toContainer(point) {
+        return {
+            x: point.x + this.element.offsetLeft,
+            y: point.y + this.element.offsetTop
+        };
+    }
+}